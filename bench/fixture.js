@@ -0,0 +1,54 @@
+import { PRIORITIES } from "../src/api/taskQuery.js";
+
+/**
+ * Deterministic task fixture for the benchmark: the same `count` and `seed`
+ * always produce the same tasks.
+ */
+
+const STATUSES = ["todo", "in-progress", "done"];
+const WORDS = [
+  "invoice",
+  "review",
+  "deploy",
+  "customer",
+  "report",
+  "backup",
+  "design",
+  "meeting",
+  "migration",
+  "onboarding",
+  "audit",
+  "release",
+];
+const DAY = 24 * 60 * 60 * 1000;
+
+// mulberry32: tiny seeded PRNG so runs are comparable
+const random = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const generateTasks = (count, userIds, { seed = 1 } = {}) => {
+  const rnd = random(seed);
+  const pick = (list) => list[Math.floor(rnd() * list.length)];
+  const start = Date.now() - 365 * DAY;
+  return Array.from({ length: count }, (_, i) => {
+    const createdAt = start + Math.floor(rnd() * 365 * DAY);
+    const due = rnd() < 0.7 ? createdAt + Math.floor(rnd() * 60) * DAY : null;
+    return {
+      id: `fx${String(i).padStart(6, "0")}`,
+      title: `${pick(WORDS)} ${pick(WORDS)} #${i}`,
+      description: rnd() < 0.5 ? `Follow up on the ${pick(WORDS)}.` : "",
+      status: pick(STATUSES),
+      priority: pick(PRIORITIES),
+      assignedTo: rnd() < 0.9 ? pick(userIds) : null,
+      createdBy: pick(userIds),
+      dueDate: due ? new Date(due).toISOString().slice(0, 10) : null,
+      createdAt: new Date(createdAt).toISOString(),
+      updatedAt: new Date(createdAt).toISOString(),
+      sortOrder: createdAt,
+    };
+  });
+};
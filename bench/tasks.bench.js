@@ -0,0 +1,106 @@
+/**
+ * Task list benchmark: `npm run bench:tasks [-- count]`.
+ * Loads a generated fixture (default 50,000 tasks) into the service, once
+ * over the in-memory cached storage the IndexedDB backend uses and once over
+ * the mock server's JSON file storage, then times the calls the task list
+ * makes. Exits with status 1 when a median exceeds its budget.
+ */
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { performance } from "node:perf_hooks";
+import { createFileStorage } from "../server/storage.js";
+import { createTaskService } from "../src/api/service.js";
+import { createCachedStorage } from "../src/api/indexedDb.js";
+import { KEYS } from "../src/api/storage.js";
+import { generateTasks } from "./fixture.js";
+
+const COUNT = Number(process.argv[2]) || 50_000;
+const RUNS = 5;
+const BUDGET_MS = 150;
+
+const dataDir = mkdtempSync(join(tmpdir(), "tasks-bench-"));
+const BACKENDS = [
+  ["memory", () => createCachedStorage()],
+  [
+    "file",
+    () => {
+      const storage = createFileStorage(join(dataDir, "db.json"));
+      // after the storage's own flush on exit
+      process.on("exit", () =>
+        rmSync(dataDir, { recursive: true, force: true })
+      );
+      return storage;
+    },
+  ],
+];
+
+const median = (xs) => xs.slice().sort((a, b) => a - b)[xs.length >> 1];
+
+const bench = async (storage) => {
+  const service = createTaskService({ storage });
+  const { token } = await service.auth.login({
+    email: "admin@demo.com",
+    password: "admin",
+  });
+  const userIds = (await storage.read(KEYS.users, [])).map((u) => u.id);
+  await storage.write(KEYS.tasks, generateTasks(COUNT, userIds));
+
+  const list = (query) => service.tasks.list({ token, limit: 20, ...query });
+
+  // Follows nextCursor for `pages` batches.
+  const walk = async (pages) => {
+    let cursor;
+    for (let i = 0; i < pages && cursor !== null; i++) {
+      cursor = (await list({ cursor })).nextCursor;
+    }
+  };
+
+  // [name, fn, calls per run]
+  const CASES = [
+    ["first batch", () => list({})],
+    ["cursor walk (per batch)", () => walk(5), 5],
+    ["search", () => list({ search: "deploy" })],
+    [
+      "status + priority",
+      () => list({ status: "todo", priority: "high,low" }),
+    ],
+    ["mine + overdue", () => list({ mine: true, overdue: true })],
+    ["sort by title", () => list({ sortBy: "title" })],
+    ["sort by due date", () => list({ sortBy: "dueDate", sortDir: "asc" })],
+    ["board batch", () => list({ limit: 200, sortBy: "sortOrder" })],
+    [
+      "update one task",
+      () =>
+        service.tasks.update({
+          token,
+          id: "fx000042",
+          payload: { priority: "high" },
+        }),
+    ],
+  ];
+
+  let failed = false;
+  for (const [name, fn, calls = 1] of CASES) {
+    const samples = [];
+    for (let i = 0; i < RUNS; i++) {
+      const start = performance.now();
+      await fn();
+      samples.push((performance.now() - start) / calls);
+    }
+    const ms = median(samples);
+    const over = ms > BUDGET_MS;
+    failed ||= over;
+    const label = over ? "SLOW" : "ok  ";
+    console.log(`${label} ${name.padEnd(24)} ${ms.toFixed(1).padStart(7)} ms`);
+  }
+  return failed;
+};
+
+console.log(`${COUNT.toLocaleString("en-US")} tasks, median of ${RUNS} runs`);
+let failed = false;
+for (const [name, createStorage] of BACKENDS) {
+  console.log(`\n${name} storage`);
+  failed = (await bench(createStorage())) || failed;
+}
+process.exit(failed ? 1 : 0);
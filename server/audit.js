@@ -0,0 +1,18 @@
+import { toInt } from "./http.js";
+
+export const auditRoutes = (service) => [
+  [
+    "GET",
+    "/audit",
+    ({ token, query }) =>
+      service.audit.list({
+        token,
+        userId: query.userId || undefined,
+        entity: query.entity || undefined,
+        from: query.from || undefined,
+        to: query.to || undefined,
+        page: toInt(query.page, 1),
+        pageSize: toInt(query.pageSize, 20),
+      }),
+  ],
+];
@@ -0,0 +1,41 @@
+import { HttpError } from "./http.js";
+
+export const authRoutes = (service) => [
+  [
+    "POST",
+    "/auth/login",
+    ({ body }) => {
+      const { email, password } = body;
+      if (!email || !password) {
+        throw new HttpError(400, "invalid_request", "Email and password are required.");
+      }
+      return service.auth.login({ email, password });
+    },
+  ],
+  [
+    "POST",
+    "/auth/refresh",
+    ({ body }) => {
+      if (!body.refreshToken) {
+        throw new HttpError(400, "invalid_request", "refreshToken is required.");
+      }
+      return service.auth.refresh({ refreshToken: body.refreshToken });
+    },
+  ],
+  [
+    "POST",
+    "/auth/logout",
+    ({ token, body }) => service.auth.logout({ token, refreshToken: body.refreshToken }),
+  ],
+  [
+    "POST",
+    "/auth/password",
+    ({ token, body }) =>
+      service.auth.changePassword({
+        token,
+        currentPassword: body.currentPassword,
+        newPassword: body.newPassword,
+      }),
+  ],
+  ["GET", "/auth/me", ({ token }) => service.auth.me({ token })],
+];
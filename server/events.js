@@ -0,0 +1,45 @@
+// Server-sent change events (see src/api/events.js). EventSource can't set an
+// Authorization header, so the access token may also come as `?token=`.
+// The handler writes the response itself and keeps it open.
+//
+// Each stream only gets the events its user may see (service.events.access).
+// It closes when its session ends (logout, revocation, deactivation), and the
+// token is checked again every RECHECK_MS, so an expired token or a changed
+// role doesn't keep a stream going.
+const PING_MS = 25_000;
+const RECHECK_MS = 30_000;
+
+export const eventRoutes = (service, hub) => [
+  [
+    "GET",
+    "/events",
+    async ({ res, query, token }) => {
+      const accessToken = token || query.token;
+      let access = await service.events.access({ token: accessToken });
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      const unsubscribe = hub.subscribe((event) => {
+        if (event.entity === "session" && event.id === access.sessionId) res.end();
+        else if (access.canView(event)) res.write(`data: ${JSON.stringify(event)}\n\n`);
+      });
+      // comments keep proxies from closing an idle stream
+      const ping = setInterval(() => res.write(": ping\n\n"), PING_MS);
+      const recheck = setInterval(async () => {
+        try {
+          access = await service.events.access({ token: accessToken });
+        } catch {
+          res.end();
+        }
+      }, RECHECK_MS);
+      res.on("close", () => {
+        clearInterval(ping);
+        clearInterval(recheck);
+        unsubscribe();
+      });
+    },
+  ],
+];
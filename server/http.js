@@ -0,0 +1,79 @@
+// Small HTTP helpers shared by the mock server routes.
+
+export class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new HttpError(400, "invalid_json", "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+
+// Positive integer query parameter, or `fallback`.
+export const toInt = (v, fallback) => {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const sendJSON = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+export const sendError = (res, err) => {
+  const status = err.status || 500;
+  const code = err.code || (status === 500 ? "internal_error" : "error");
+  sendJSON(res, status, { error: { code, message: err.message } });
+};
+
+export const bearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+};
+
+/**
+ * Minimal router: routes are `[method, "/path/:param", handler]` tuples.
+ * Handlers receive `{ req, res, params, query, body, token }` and return the
+ * JSON payload (or throw an HttpError); a handler that writes to `res` itself
+ * returns nothing.
+ */
+export const createRouter = (routes) => {
+  const compiled = routes.map(([method, path, handler]) => {
+    const keys = [];
+    const pattern = new RegExp(
+      "^" +
+        path.replace(/:([A-Za-z]+)/g, (_, key) => {
+          keys.push(key);
+          return "([^/]+)";
+        }) +
+        "/?$"
+    );
+    return { method, pattern, keys, handler };
+  });
+
+  return (method, pathname) => {
+    for (const route of compiled) {
+      if (route.method !== method) continue;
+      const match = route.pattern.exec(pathname);
+      if (!match) continue;
+      const params = {};
+      route.keys.forEach((k, i) => (params[k] = decodeURIComponent(match[i + 1])));
+      return { handler: route.handler, params };
+    }
+    return null;
+  };
+};
@@ -0,0 +1,118 @@
+/**
+ * Local mock API server.
+ * - Zero dependencies (node:http only), runs offline: `npm run mock-server`.
+ * - Serves the task manager contract (auth, users, tasks) by running the same
+ *   service as the in-browser mock (src/api/service.js), so RBAC rules, error
+ *   statuses and the pagination shape are identical in both modes.
+ * - Data persists to a JSON file (MOCK_DB, default server/data/db.json).
+ * - Tokens are HS256-signed; MOCK_TOKEN_SECRET fixes the key (otherwise one is
+ *   generated into the data file) and MOCK_ACCESS_TTL sets the access token
+ *   lifetime in seconds.
+ * - JSON in/out; errors are `{ error: { code, message } }` with a matching HTTP status.
+ * - GET /events streams task/user change events (server-sent events).
+ * - /notifications serves the signed-in user's notifications (Dashboard bell).
+ * - /wallet serves the signed-in user's balance, coins, vouchers and ledger, with
+ *   top-ups through the fake payment provider (src/api/payments.js).
+ * - /vouchers lists, adds and checks the signed-in user's vouchers against an order.
+ * - /loyalty serves coins: balance and tier, history, rewards and the earn/burn rules.
+ * - /shipments quotes, books (paid from the wallet) and cancels the signed-in user's shipments.
+ * - `startMockServer()` is exported so tests can boot it on a random port.
+ */
+import { createServer } from "node:http";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { bearerToken, createRouter, HttpError, readBody, sendError, sendJSON } from "./http.js";
+import { createFileStorage } from "./storage.js";
+import { createTaskService } from "../src/api/service.js";
+import { authRoutes } from "./auth.js";
+import { userRoutes } from "./users.js";
+import { taskRoutes } from "./tasks.js";
+import { roleRoutes } from "./roles.js";
+import { auditRoutes } from "./audit.js";
+import { viewRoutes } from "./views.js";
+import { templateRoutes } from "./templates.js";
+import { notificationRoutes } from "./notifications.js";
+import { walletRoutes } from "./wallet.js";
+import { voucherRoutes } from "./vouchers.js";
+import { loyaltyRoutes } from "./loyalty.js";
+import { shipmentRoutes } from "./shipments.js";
+import { eventRoutes } from "./events.js";
+import { createEventHub } from "../src/api/events.js";
+
+const DEFAULT_DB = fileURLToPath(new URL("./data/db.json", import.meta.url));
+
+const createHandler = (match) => async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") return sendJSON(res, 204);
+
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const route = match(req.method, url.pathname);
+    if (!route) throw new HttpError(404, "not_found", `No route for ${req.method} ${url.pathname}`);
+    const body = ["POST", "PUT", "PATCH"].includes(req.method) ? await readBody(req) : {};
+    const data = await route.handler({
+      req,
+      res,
+      params: route.params,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      token: bearerToken(req),
+    });
+    // streaming routes (GET /events) answer on their own
+    if (!res.headersSent) sendJSON(res, 200, data);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    sendError(res, err);
+  }
+};
+
+export const startMockServer = ({
+  port = 4000,
+  dbFile = DEFAULT_DB,
+  tokenSecret,
+  accessTokenTtl,
+} = {}) => {
+  const events = createEventHub();
+  const service = createTaskService({
+    storage: createFileStorage(dbFile),
+    events,
+    tokenSecret,
+    accessTokenTtl,
+  });
+  const match = createRouter([
+    ...authRoutes(service),
+    ...userRoutes(service),
+    ...taskRoutes(service),
+    ...roleRoutes(service),
+    ...auditRoutes(service),
+    ...viewRoutes(service),
+    ...templateRoutes(service),
+    ...notificationRoutes(service),
+    ...walletRoutes(service),
+    ...voucherRoutes(service),
+    ...loyaltyRoutes(service),
+    ...shipmentRoutes(service),
+    ...eventRoutes(service, events),
+  ]);
+  return new Promise((resolve) => {
+    const server = createServer(createHandler(match));
+    server.listen(port, () => resolve(server));
+  });
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_PORT) || 4000;
+  startMockServer({
+    port,
+    dbFile: process.env.MOCK_DB || DEFAULT_DB,
+    tokenSecret: process.env.MOCK_TOKEN_SECRET,
+    accessTokenTtl: Number(process.env.MOCK_ACCESS_TTL) * 1000 || undefined,
+  }).then(() =>
+    console.log(`Mock API listening on http://localhost:${port}`)
+  );
+  // exit normally so the data file gets its pending writes
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => process.exit(0));
+  }
+}
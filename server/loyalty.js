@@ -0,0 +1,33 @@
+import { toInt } from "./http.js";
+
+export const loyaltyRoutes = (service) => [
+  ["GET", "/loyalty", ({ token }) => service.loyalty.summary({ token })],
+  [
+    "GET",
+    "/loyalty/history",
+    ({ token, query }) =>
+      service.loyalty.history({
+        token,
+        type: query.type || undefined,
+        page: toInt(query.page, 1),
+        pageSize: toInt(query.pageSize, 20),
+      }),
+  ],
+  [
+    "POST",
+    "/loyalty/estimate",
+    ({ token, body }) => service.loyalty.estimate({ token, service: body.service, spend: body.spend }),
+  ],
+  [
+    "POST",
+    "/loyalty/discount",
+    ({ token, body }) => service.loyalty.discount({ token, coins: body.coins, subtotal: body.subtotal }),
+  ],
+  [
+    "POST",
+    "/loyalty/rewards/:id/redeem",
+    ({ token, params }) => service.loyalty.redeemReward({ token, id: params.id }),
+  ],
+  ["GET", "/loyalty/rules", ({ token }) => service.loyalty.rules({ token })],
+  ["PUT", "/loyalty/rules", ({ token, body }) => service.loyalty.updateRules({ token, rules: body })],
+];
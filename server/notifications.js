@@ -0,0 +1,22 @@
+import { toInt } from "./http.js";
+
+export const notificationRoutes = (service) => [
+  [
+    "GET",
+    "/notifications",
+    ({ token, query }) =>
+      service.notifications.list({
+        token,
+        unread: query.unread === "1" || query.unread === "true",
+        limit: toInt(query.limit, 50),
+      }),
+  ],
+  ["POST", "/notifications/read", ({ token, body }) => service.notifications.markRead({ token, ids: body.ids })],
+  ["POST", "/notifications/read-all", ({ token }) => service.notifications.markAllRead({ token })],
+  ["GET", "/notifications/preferences", ({ token }) => service.notifications.preferences({ token })],
+  [
+    "PUT",
+    "/notifications/preferences",
+    ({ token, body }) => service.notifications.updatePreferences({ token, preferences: body }),
+  ],
+];
@@ -0,0 +1,10 @@
+export const roleRoutes = (service) => [
+  ["GET", "/roles", ({ token }) => service.roles.list({ token })],
+  [
+    "PUT",
+    "/roles/:role",
+    ({ token, params, body }) =>
+      service.roles.save({ token, role: params.role, permissions: body.permissions }),
+  ],
+  ["DELETE", "/roles/:role", ({ token, params }) => service.roles.remove({ token, role: params.role })],
+];
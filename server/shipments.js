@@ -0,0 +1,40 @@
+import { toInt } from "./http.js";
+
+// The booking fields the wizard sends to /shipments/quote and /shipments; amounts are in minor units.
+const booking = (body) => ({
+  service: body.service,
+  pickup: body.pickup,
+  dropoff: body.dropoff,
+  parcel: body.parcel,
+  schedule: body.schedule,
+  code: body.code,
+  useVoucher: body.useVoucher,
+  coins: body.coins,
+});
+
+export const shipmentRoutes = (service) => [
+  ["POST", "/shipments/quote", ({ token, body }) => service.shipments.quote({ token, ...booking(body) })],
+  [
+    "POST",
+    "/shipments",
+    ({ token, body }) => service.shipments.book({ token, ...booking(body), idempotencyKey: body.idempotencyKey }),
+  ],
+  [
+    "GET",
+    "/shipments",
+    ({ token, query }) =>
+      service.shipments.list({
+        token,
+        status: query.status || undefined,
+        page: toInt(query.page, 1),
+        pageSize: toInt(query.pageSize, 20),
+      }),
+  ],
+  ["GET", "/shipments/:id", ({ token, params }) => service.shipments.get({ token, id: params.id })],
+  ["POST", "/shipments/:id/cancel", ({ token, params }) => service.shipments.cancel({ token, id: params.id })],
+  [
+    "PUT",
+    "/shipments/:id/status",
+    ({ token, params, body }) => service.shipments.setStatus({ token, id: params.id, status: body.status }),
+  ],
+];
@@ -0,0 +1,55 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { createCachedStorage } from "../src/api/indexedDb.js";
+
+// How long writes are collected before the file is rewritten.
+const FLUSH_MS = 200;
+
+/**
+ * `Storage` (see src/api/storage.js) persisted to a single JSON file, so the
+ * server, integration tests and demos all see the same data. The file is
+ * loaded once and values stay in memory in a createCachedStorage, which
+ * doesn't copy record lists on every read. Writes are collected for
+ * FLUSH_MS and then the file is rewritten atomically as compact JSON; a
+ * pending rewrite also happens when the process exits.
+ */
+export const createFileStorage = (file) => {
+  let data = {};
+  if (existsSync(file)) {
+    try {
+      data = JSON.parse(readFileSync(file, "utf8"));
+    } catch {
+      console.warn(`Ignoring unreadable data file ${file}`);
+    }
+  }
+
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data));
+    renameSync(tmp, file);
+  };
+  const scheduleFlush = () => {
+    timer ??= setTimeout(flush, FLUSH_MS).unref();
+  };
+  process.once("exit", () => {
+    if (timer) flush();
+  });
+
+  // The cache owns the values it saves (the service never mutates records
+  // in place), so `data` can share them.
+  return createCachedStorage({
+    load: async (k) => data[k],
+    save: async (k, v) => {
+      data[k] = v;
+      scheduleFlush();
+    },
+    remove: async (k) => {
+      delete data[k];
+      scheduleFlush();
+    },
+  });
+};
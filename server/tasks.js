@@ -0,0 +1,62 @@
+import { toInt } from "./http.js";
+
+export const taskRoutes = (service) => [
+  [
+    "GET",
+    "/tasks",
+    ({ token, query }) =>
+      service.tasks.list({
+        ...query,
+        token,
+        page: toInt(query.page, 1),
+        pageSize: toInt(query.pageSize, 5),
+      }),
+  ],
+  ["POST", "/tasks", ({ token, body }) => service.tasks.create({ token, payload: body })],
+  ["GET", "/tasks/:id", ({ token, params }) => service.tasks.get({ token, id: params.id })],
+  [
+    "PATCH",
+    "/tasks/:id",
+    ({ token, params, body }) => service.tasks.update({ token, id: params.id, payload: body }),
+  ],
+  [
+    "DELETE",
+    "/tasks/:id",
+    ({ token, params, query }) =>
+      service.tasks.remove({ token, id: params.id, baseVersion: query.baseVersion }),
+  ],
+  ["GET", "/tasks/:id/history", ({ token, params }) => service.tasks.history({ token, id: params.id })],
+  [
+    "GET",
+    "/tasks/:id/comments",
+    ({ token, params }) => service.tasks.comments.list({ token, taskId: params.id }),
+  ],
+  [
+    "POST",
+    "/tasks/:id/comments",
+    ({ token, params, body }) =>
+      service.tasks.comments.create({
+        token,
+        taskId: params.id,
+        body: body.body,
+        parentId: body.parentId || null,
+      }),
+  ],
+  [
+    "PATCH",
+    "/tasks/:id/comments/:commentId",
+    ({ token, params, body }) =>
+      service.tasks.comments.update({
+        token,
+        taskId: params.id,
+        id: params.commentId,
+        body: body.body,
+      }),
+  ],
+  [
+    "DELETE",
+    "/tasks/:id/comments/:commentId",
+    ({ token, params }) =>
+      service.tasks.comments.remove({ token, taskId: params.id, id: params.commentId }),
+  ],
+];
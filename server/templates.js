@@ -0,0 +1,14 @@
+export const templateRoutes = (service) => [
+  ["GET", "/templates", ({ token }) => service.templates.list({ token })],
+  ["POST", "/templates", ({ token, body }) => service.templates.create({ token, payload: body })],
+  [
+    "PATCH",
+    "/templates/:id",
+    ({ token, params, body }) => service.templates.update({ token, id: params.id, payload: body }),
+  ],
+  [
+    "DELETE",
+    "/templates/:id",
+    ({ token, params }) => service.templates.remove({ token, id: params.id }),
+  ],
+];
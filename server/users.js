@@ -0,0 +1,25 @@
+export const userRoutes = (service) => [
+  ["GET", "/users", ({ token }) => service.users.list({ token })],
+  ["POST", "/users", ({ token, body }) => service.users.create({ token, payload: body })],
+  [
+    "PATCH",
+    "/users/:id",
+    ({ token, params, body }) => service.users.update({ token, id: params.id, payload: body }),
+  ],
+  [
+    "POST",
+    "/users/:id/deactivate",
+    ({ token, params }) => service.users.deactivate({ token, id: params.id }),
+  ],
+  [
+    "POST",
+    "/users/:id/reactivate",
+    ({ token, params }) => service.users.reactivate({ token, id: params.id }),
+  ],
+  [
+    "DELETE",
+    "/users/:id",
+    ({ token, params, query }) =>
+      service.users.remove({ token, id: params.id, reassignTo: query.reassignTo || null }),
+  ],
+];
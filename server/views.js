@@ -0,0 +1,16 @@
+export const viewRoutes = (service) => [
+  ["GET", "/views", ({ token }) => service.views.list({ token })],
+  ["POST", "/views", ({ token, body }) => service.views.create({ token, payload: body })],
+  [
+    "PATCH",
+    "/views/:id",
+    ({ token, params, body }) => service.views.update({ token, id: params.id, payload: body }),
+  ],
+  [
+    "PUT",
+    "/views/:id/pin",
+    ({ token, params, body }) =>
+      service.views.pin({ token, id: params.id, pinned: Boolean(body.pinned) }),
+  ],
+  ["DELETE", "/views/:id", ({ token, params }) => service.views.remove({ token, id: params.id })],
+];
@@ -0,0 +1,13 @@
+// `subtotal` is in minor units; `code` is optional on /vouchers/apply and /vouchers/redeem.
+const order = (body) => ({ service: body.service, subtotal: body.subtotal, code: body.code });
+
+export const voucherRoutes = (service) => [
+  ["GET", "/vouchers", ({ token }) => service.vouchers.list({ token })],
+  ["POST", "/vouchers", ({ token, body }) => service.vouchers.add({ token, code: body.code })],
+  ["POST", "/vouchers/apply", ({ token, body }) => service.vouchers.apply({ token, ...order(body) })],
+  [
+    "POST",
+    "/vouchers/redeem",
+    ({ token, body }) => service.vouchers.redeem({ token, ...order(body), reference: body.reference }),
+  ],
+];
@@ -0,0 +1,42 @@
+import { toInt } from "./http.js";
+
+export const walletRoutes = (service) => [
+  ["GET", "/wallet", ({ token }) => service.wallet.get({ token })],
+  [
+    "GET",
+    "/wallet/transactions",
+    ({ token, query }) =>
+      service.wallet.transactions({
+        token,
+        type: query.type || undefined,
+        kind: query.kind || undefined,
+        from: query.from || undefined,
+        to: query.to || undefined,
+        page: toInt(query.page, 1),
+        pageSize: toInt(query.pageSize, 20),
+      }),
+  ],
+  [
+    "POST",
+    "/wallet/top-up",
+    ({ token, body }) =>
+      service.wallet.topUp({
+        token,
+        amount: body.amount,
+        source: body.source,
+        idempotencyKey: body.idempotencyKey,
+      }),
+  ],
+  [
+    "POST",
+    "/wallet/payments",
+    ({ token, body }) =>
+      service.wallet.pay({
+        token,
+        amount: body.amount,
+        reference: body.reference,
+        description: body.description,
+        idempotencyKey: body.idempotencyKey,
+      }),
+  ],
+];
@@ -1,29 +1,54 @@
 import { useState } from "react";
 import personWithLapton from "./assets/personWithLapton.svg";
 import waves from "./assets/waves.jpg";
-import { useNavigate } from "react-router";
+import { Navigate, useLocation, useNavigate, type Location } from "react-router";
+import { useAuth } from "./auth/useAuth.ts";
+import { ApiError } from "./services/http.ts";
 
 const App = () => {
   const [user, setUser] = useState({ email: "", password: "" });
   const [errorMessage, setErrorMessage] = useState("");
+  const [submitting, setSubmitting] = useState(false);
 
   const navigate = useNavigate();
+  const location = useLocation();
+  const auth = useAuth();
+
+  // where RequireAuth bounced the visitor from, if anywhere
+  const from = (location.state as { from?: Location } | null)?.from;
+  const redirectTo = from
+    ? `${from.pathname}${from.search}${from.hash}`
+    : "/dashboard";
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setUser({ ...user, [name]: value });
   };
 
-  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    if (user.email === "admin@demo.com" && user.password === "admin") {
-      console.log("Form Submitted");
-      navigate("/dashboard");
-    } else {
-      setErrorMessage("Wrong Credentials");
+    setErrorMessage("");
+    setSubmitting(true);
+    try {
+      await auth.login(user);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setErrorMessage(
+        err instanceof ApiError && err.code === "invalid_credentials"
+          ? "Wrong Credentials"
+          : err instanceof Error
+          ? err.message
+          : "Login failed."
+      );
+    } finally {
+      setSubmitting(false);
     }
   };
 
+  if (auth.user && !submitting) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
   return (
     <div className="flex h-screen w-screen items-center justify-center bg-gray-100 overflow-hidden">
       <div className="lg:w-[500px] w-full bg-white p-2 h-full relative">
@@ -78,8 +103,11 @@ const App = () => {
 
             {errorMessage && <p className="text-red-600">{errorMessage}</p>}
 
-            <button className="text-xl bg-gradient-to-r from-orange-500 to-orange-300 text-white p-6 mt-14 w-[220px] rounded-4xl hover:bg-blue-700 self-end cursor-pointer">
-              Login
+            <button
+              disabled={submitting}
+              className="text-xl bg-gradient-to-r from-orange-500 to-orange-300 text-white p-6 mt-14 w-[220px] rounded-4xl hover:bg-blue-700 self-end cursor-pointer disabled:opacity-60"
+            >
+              {submitting ? "Signing in…" : "Login"}
             </button>
             <p className="text-[#2F5EE5] font-semibold text-sm self-end pt-4 cursor-pointer">
               Don't have an account? Sign up
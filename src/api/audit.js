@@ -0,0 +1,72 @@
+import { nowISO, uid } from "./seed.js";
+import { KEYS } from "./storage.js";
+
+// Fields whose before/after values are recorded. Secrets (password hashes)
+// and bookkeeping timestamps are never logged.
+export const TASK_AUDIT_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignedTo",
+  "dueDate",
+  "recurrence",
+  "parentId",
+  "blockedBy",
+  "checklist",
+];
+export const USER_AUDIT_FIELDS = ["name", "email", "role", "active"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level changes between two versions of a record; a missing side
+// (create/delete) is recorded as null.
+export const diffFields = (before, after, fields) =>
+  fields
+    .filter((f) => !same(before?.[f], after?.[f]))
+    .map((f) => ({
+      field: f,
+      before: before?.[f] ?? null,
+      after: after?.[f] ?? null,
+    }));
+
+/**
+ * Append-only audit trail. Each entry:
+ *   { id, at, actorId, action, entity, entityId, label, changes }
+ * where `action` is e.g. "task.update", `label` is the task title or user
+ * name at the time (so entries stay readable after deletion) and `changes`
+ * is a diffFields() list. Entries are never edited or removed.
+ */
+export const createAuditLog = ({ read, write }) => ({
+  record: async ({ actor, action, entity, entityId, label, changes = [] }) => {
+    const entries = await read(KEYS.audit, []);
+    const entry = {
+      id: uid(),
+      at: nowISO(),
+      actorId: actor?.id ?? null,
+      action,
+      entity,
+      entityId,
+      label: label ?? null,
+      changes,
+    };
+    entries.push(entry);
+    await write(KEYS.audit, entries);
+    return entry;
+  },
+  // Newest first. `from`/`to` are inclusive YYYY-MM-DD dates.
+  query: async ({ actorId, entity, entityId, from, to } = {}) => {
+    const start = from ? Date.parse(`${from}T00:00:00`) : -Infinity;
+    const end = to ? Date.parse(`${to}T23:59:59.999`) : Infinity;
+    return (await read(KEYS.audit, []))
+      .filter(
+        (e) =>
+          (!actorId || e.actorId === actorId) &&
+          (!entity || e.entity === entity) &&
+          (!entityId || e.entityId === entityId) &&
+          Date.parse(e.at) >= start &&
+          Date.parse(e.at) <= end
+      )
+      .reverse();
+  },
+});
@@ -0,0 +1,29 @@
+/**
+ * Kanban ordering. Tasks carry a numeric `sortOrder` (ascending within a
+ * status column); a moved card gets the midpoint of its new neighbours so
+ * only that task needs to be written. Tasks created before sortOrder existed
+ * fall back to their creation time, which is on the same scale as new
+ * values (see service.tasks.create).
+ */
+
+export const BOARD_COLUMNS = [
+  { status: "todo", label: "Todo" },
+  { status: "in-progress", label: "In Progress" },
+  { status: "done", label: "Done" },
+];
+
+const GAP = 1024;
+
+export const sortOrderOf = (task) =>
+  Number.isFinite(task.sortOrder) ? task.sortOrder : Date.parse(task.createdAt);
+
+export const bySortOrder = (a, b) => sortOrderOf(a) - sortOrderOf(b);
+
+// Order value for a card dropped between `prev` and `next` (either may be
+// missing at the ends of a column).
+export const orderBetween = (prev, next) => {
+  if (!prev && !next) return Date.now();
+  if (!prev) return sortOrderOf(next) - GAP;
+  if (!next) return sortOrderOf(prev) + GAP;
+  return (sortOrderOf(prev) + sortOrderOf(next)) / 2;
+};
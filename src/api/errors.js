@@ -0,0 +1,19 @@
+/**
+ * Errors thrown by every backend carry an HTTP-like `status` and a stable
+ * machine-readable `code`, so the UI can branch on them regardless of whether
+ * the call went to localStorage or over the network.
+ */
+export const apiError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || defaultCodes[status] || "error";
+  return err;
+};
+
+const defaultCodes = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+};
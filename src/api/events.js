@@ -0,0 +1,24 @@
+/**
+ * Change notifications. The service publishes one event per task or user
+ * write:
+ *   { type, entity, id, data, actorId, at }
+ * where `type` is the audit action ("task.update", "user.deactivate", ...)
+ * and `data` is the record after the change (null once deleted; users never
+ * include password hashes). "task.relations" events only carry
+ * `{ id, relations }` for a task whose subtasks or blockers changed (see
+ * relations.js). A session that is logged out or revoked publishes
+ * "session.end" ({ entity: "session", id: sessionId, data: { userId } }),
+ * which only closes its streams. Backends fan the other events out to
+ * clients: over a BroadcastChannel between tabs (local.js) or as server-sent
+ * events on GET /events (server/events.js).
+ */
+export const createEventHub = () => {
+  const listeners = new Set();
+  return {
+    publish: (event) => listeners.forEach((fn) => fn(event)),
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+};
@@ -0,0 +1,9 @@
+// index.js is plain JavaScript; this types what main.tsx uses of it.
+import type { AuthService } from "../services/auth.ts";
+
+export type TasksApi = { auth: AuthService } & Record<string, unknown>;
+
+export declare const createApi: (options?: {
+  backend?: "rest" | "local";
+  baseUrl?: string;
+}) => TasksApi;
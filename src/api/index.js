@@ -0,0 +1,29 @@
+import { createLocalApi } from "./local.js";
+import { createRestApi } from "./rest.js";
+
+/**
+ * Picks the task API backend. Both adapters expose the same shape:
+ *   auth (an AuthService, see src/services/auth.ts),
+ *   users.{list, create, update, deactivate, reactivate, remove},
+ *   tasks.{list, get, create, update, remove, history},
+ *   tasks.comments.{list, create, update, remove}, audit.{list},
+ *   views.{list, create, update, pin, remove},
+ *   templates.{list, create, update, remove},
+ *   roles.{list, save, remove}, events.{subscribe}
+ * Every call but `auth`'s takes the caller's access `token`; main.tsx hands
+ * `auth` to AuthProvider, which owns the session the Dashboard and the task
+ * manager share.
+ *
+ * Configure without code edits:
+ *   VITE_TASKS_BACKEND=rest (default) | local
+ *   VITE_API_URL=/api (default; base URL for the rest backend)
+ *
+ * With local, users sign in against the in-browser store, so the
+ * Dashboard's server features (wallet, the notification bell) only work
+ * with rest.
+ */
+export const createApi = ({
+  backend = import.meta.env.VITE_TASKS_BACKEND || "rest",
+  baseUrl = import.meta.env.VITE_API_URL || "/api",
+} = {}) =>
+  backend === "rest" ? createRestApi({ baseUrl }) : createLocalApi();
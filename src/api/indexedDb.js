@@ -0,0 +1,185 @@
+import { KEYS } from "./storage.js";
+
+/**
+ * IndexedDB-backed `Storage` for the local adapter. localStorage tops out
+ * around 5 MB and re-parses the whole task list on every read; here values
+ * live in memory after the first read and are persisted incrementally.
+ *
+ * Keys in RECORD_KEYS hold arrays of `{ id }` records. Each record is its
+ * own IndexedDB row, and a write only puts the records whose object changed
+ * since the previous write (the service never mutates records in place) and
+ * deletes the ones that disappeared, so updating one task out of 50k writes
+ * one row. Other keys are stored as plain values.
+ *
+ * Other tabs are told about writes over a BroadcastChannel and drop their
+ * cached copy of that key.
+ */
+
+export const RECORD_KEYS = [KEYS.tasks, KEYS.comments, KEYS.audit];
+
+const DB_VERSION = 1;
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+
+const openDb = (name) => {
+  const req = indexedDB.open(name, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore("kv");
+    db.createObjectStore("records", { keyPath: ["key", "id"] }).createIndex(
+      "key",
+      "key"
+    );
+  };
+  return request(req);
+};
+
+/**
+ * Persistence for createCachedStorage: record keys keep their id order in
+ * `kv` and their records in `records`.
+ */
+const createIndexedDbPersistence = (name) => {
+  const db = openDb(name);
+  return {
+    load: async (key) => {
+      const tx = (await db).transaction(["kv", "records"]);
+      const stored = await request(tx.objectStore("kv").get(key));
+      if (stored === undefined || !RECORD_KEYS.includes(key)) return stored;
+      const rows = await request(
+        tx.objectStore("records").index("key").getAll(key)
+      );
+      const byId = new Map(rows.map((r) => [r.id, r.value]));
+      return stored.ids.map((id) => byId.get(id)).filter(Boolean);
+    },
+    save: async (key, value, previous) => {
+      const tx = (await db).transaction(["kv", "records"], "readwrite");
+      const kv = tx.objectStore("kv");
+      if (!RECORD_KEYS.includes(key)) {
+        kv.put(value, key);
+        return transactionDone(tx);
+      }
+      const records = tx.objectStore("records");
+      const before = new Map((previous || []).map((r) => [r.id, r]));
+      for (const record of value) {
+        if (before.get(record.id) !== record) {
+          records.put({ key, id: record.id, value: record });
+        }
+        before.delete(record.id);
+      }
+      for (const id of before.keys()) records.delete([key, id]);
+      kv.put({ ids: value.map((r) => r.id) }, key);
+      return transactionDone(tx);
+    },
+    remove: async (key) => {
+      const tx = (await db).transaction(["kv", "records"], "readwrite");
+      tx.objectStore("kv").delete(key);
+      const records = tx.objectStore("records");
+      const ids = await request(records.index("key").getAllKeys(key));
+      ids.forEach((id) => records.delete(id));
+      return transactionDone(tx);
+    },
+    isEmpty: async () => {
+      const kv = (await db).transaction("kv").objectStore("kv");
+      return (await request(kv.count())) === 0;
+    },
+  };
+};
+
+/**
+ * In-memory `Storage` that keeps record arrays by reference (reads return a
+ * shallow copy) and hands every write to `persistence`, if any, together
+ * with the previous value so it can persist only the difference. Without a
+ * persistence it is a fast, non-cloning memory store (used by the
+ * benchmark); server/storage.js persists it to a JSON file.
+ *
+ * @param {{
+ *   load: (key: string) => Promise<any>,
+ *   save: (key: string, value: any, previous: any) => Promise<void>,
+ *   remove: (key: string) => Promise<void>,
+ * } | null} persistence
+ * @returns {import("./storage.js").Storage & { forget: (key: string) => void }}
+ */
+export const createCachedStorage = (persistence = null) => {
+  const cache = new Map();
+  const copy = (key, v) =>
+    RECORD_KEYS.includes(key) && Array.isArray(v)
+      ? v.slice()
+      : structuredClone(v);
+
+  return {
+    read: async (key, fallback) => {
+      if (!cache.has(key) && persistence) {
+        const loaded = await persistence.load(key);
+        if (loaded !== undefined && !cache.has(key)) cache.set(key, loaded);
+      }
+      return cache.has(key) ? copy(key, cache.get(key)) : fallback;
+    },
+    write: async (key, value) => {
+      const previous = cache.get(key);
+      const next = copy(key, value);
+      cache.set(key, next);
+      await persistence?.save(key, next, previous);
+    },
+    remove: async (key) => {
+      cache.delete(key);
+      await persistence?.remove(key);
+    },
+    // drop a cached value so the next read reloads it
+    forget: (key) => void cache.delete(key),
+  };
+};
+
+/**
+ * `migrateFrom` is copied over the first time the database is empty (used to
+ * carry existing localStorage data across).
+ *
+ * @param {{
+ *   name?: string,
+ *   migrateFrom?: import("./storage.js").Storage,
+ * }} [options]
+ * @returns {import("./storage.js").Storage}
+ */
+export const createIndexedDbStorage = ({ name = "tms", migrateFrom } = {}) => {
+  const persistence = createIndexedDbPersistence(name);
+  const storage = createCachedStorage(persistence);
+  const channel =
+    typeof BroadcastChannel === "undefined"
+      ? null
+      : new BroadcastChannel(`${name}-storage`);
+  if (channel) channel.onmessage = (e) => storage.forget(e.data.key);
+
+  const ready = (async () => {
+    if (!migrateFrom || !(await persistence.isEmpty())) return;
+    for (const key of Object.values(KEYS)) {
+      const value = await migrateFrom.read(key, undefined);
+      if (value !== undefined) await storage.write(key, value);
+    }
+  })();
+
+  return {
+    read: async (key, fallback) => {
+      await ready;
+      return storage.read(key, fallback);
+    },
+    write: async (key, value) => {
+      await ready;
+      await storage.write(key, value);
+      channel?.postMessage({ key });
+    },
+    remove: async (key) => {
+      await ready;
+      await storage.remove(key);
+      channel?.postMessage({ key });
+    },
+  };
+};
@@ -0,0 +1,132 @@
+import { withFreshToken } from "../services/http.ts";
+import { apiError } from "./errors.js";
+import { createEventHub } from "./events.js";
+import { createIndexedDbStorage } from "./indexedDb.js";
+import { createTaskService } from "./service.js";
+import { createSessionStore } from "./session.js";
+import { createLocalStorage, KEYS } from "./storage.js";
+
+// IndexedDB where available (VITE_LOCAL_STORE=localstorage opts out);
+// existing localStorage data is carried over on first use.
+const defaultStorage = () =>
+  typeof indexedDB !== "undefined" &&
+  import.meta.env.VITE_LOCAL_STORE !== "localstorage"
+    ? createIndexedDbStorage({ migrateFrom: createLocalStorage() })
+    : createLocalStorage();
+
+// The AuthService (src/services/auth.ts) of the in-browser service: the
+// session it hands AuthProvider is kept in `session`.
+const createLocalAuth = (service, session) => {
+  // Refresh tokens rotate, so concurrent renewals share one.
+  let renewing = null;
+  const renew = () =>
+    (renewing ??= (async () => {
+      const current = await session.get();
+      try {
+        if (!current?.refreshToken) {
+          throw apiError(401, "You are signed out.", "session_expired");
+        }
+        const next = await service.auth.refresh({
+          refreshToken: current.refreshToken,
+        });
+        await session.set(next);
+        return next;
+      } catch (e) {
+        if (e.status === 401) await session.clear();
+        throw e;
+      }
+    })().finally(() => {
+      renewing = null;
+    }));
+
+  return {
+    login: async (credentials) => {
+      const next = await service.auth.login(credentials);
+      await session.set(next);
+      return next;
+    },
+    logout: async () => {
+      const current = await session.get();
+      await session.clear();
+      if (current?.token) {
+        await service.auth
+          .logout({ token: current.token, refreshToken: current.refreshToken })
+          .catch(() => {});
+      }
+    },
+    restore: async () => {
+      const current = await session.get();
+      if (!current?.token) return null;
+      try {
+        const { user } = await service.auth.me({ token: current.token });
+        const { token, refreshToken, expiresAt } = current;
+        return { token, refreshToken, expiresAt, user };
+      } catch (e) {
+        if (e.status !== 401) throw e;
+        if (e.code === "token_expired") {
+          const next = await renew().catch(() => null);
+          if (next) return next;
+        }
+        await session.clear();
+        return null;
+      }
+    },
+    refresh: renew,
+    changePassword: async (change) =>
+      withFreshToken((await session.get())?.token, (token) =>
+        service.auth.changePassword({ token, ...change })
+      ),
+  };
+};
+
+// Every call made with an expired access token is retried once with a
+// renewed one, as requests to the server are (withFreshToken).
+const withRenewal = (group) =>
+  Object.fromEntries(
+    Object.entries(group).map(([name, value]) => [
+      name,
+      typeof value === "function"
+        ? (args = {}) =>
+            withFreshToken(args.token, (token) => value({ ...args, token }))
+        : withRenewal(value),
+    ])
+  );
+
+/**
+ * In-browser backend: the task service runs against IndexedDB (or
+ * localStorage), with a small artificial latency so loading states stay
+ * visible. Its `auth` signs users in against the same store.
+ */
+export const createLocalApi = ({ storage = defaultStorage() } = {}) => {
+  const delay = (ms = 250) => new Promise((res) => setTimeout(res, ms));
+  // Changes made in this tab are posted to the others; each tab applies its
+  // own changes directly, so it only listens to the channel.
+  const channel =
+    typeof BroadcastChannel === "undefined"
+      ? null
+      : new BroadcastChannel("tms-events");
+  const events = createEventHub();
+  events.subscribe((event) => {
+    if (event.entity !== "session") channel?.postMessage(event);
+  });
+  const service = createTaskService({ storage, delay, events });
+  const subscribe = (_args, fn) => {
+    if (!channel) return () => {};
+    const listener = (e) => fn(e.data);
+    channel.addEventListener("message", listener);
+    return () => channel.removeEventListener("message", listener);
+  };
+
+  return {
+    auth: createLocalAuth(service, createSessionStore(storage)),
+    users: withRenewal(service.users),
+    tasks: withRenewal(service.tasks),
+    views: withRenewal(service.views),
+    templates: withRenewal(service.templates),
+    audit: withRenewal(service.audit),
+    roles: withRenewal(service.roles),
+    events: { subscribe },
+    // expose for debugging
+    _debug: { ...KEYS },
+  };
+};
@@ -0,0 +1,460 @@
+import { apiError } from "./errors.js";
+import { nowISO, uid } from "./seed.js";
+import { KEYS } from "./storage.js";
+import { SERVICES } from "./vouchers.js";
+
+/**
+ * Loyalty coins. Every award is a lot that expires `expiryDays` after it was
+ * earned; spending takes coins from the lots that expire first. Lots:
+ *   { id, userId, amount, remaining, earnedAt, expiresAt }
+ * History entries, one per award, redemption, refund or expired lot:
+ *   { id, userId, type: COIN_ENTRY_TYPES[number], amount, balanceAfter,
+ *     description, reference, createdAt }
+ * Only "earn" entries count towards tiers; "welcome" is the one-off grant
+ * to new members.
+ *
+ * The rules (DEFAULT_LOYALTY_RULES) are stored once for everyone and edited
+ * by users with `loyalty.manage`:
+ * - earnRates: coins per 1.00 spent (100 minor units), by service
+ * - shipmentBonus: flat coins per shipment, by service
+ * - tiers: earning multipliers by coins earned over the last 365 days
+ * - expiryDays: how long earned coins last
+ * - coinValue: minor units a coin takes off an order
+ * - minRedeem / maxDiscountShare: the fewest coins spent as a discount, and
+ *   the largest share of an order they may pay for
+ * - rewards: vouchers bought with coins ({ id, title, cost, voucher })
+ */
+export const DEFAULT_LOYALTY_RULES = {
+  earnRates: { express: 2, regular: 1, cargo: 1.5 },
+  shipmentBonus: { express: 10, regular: 5, cargo: 20 },
+  tiers: [
+    { name: "Bronze", minEarned: 0, multiplier: 1 },
+    { name: "Silver", minEarned: 2000, multiplier: 1.25 },
+    { name: "Gold", minEarned: 5000, multiplier: 1.5 },
+  ],
+  expiryDays: 365,
+  coinValue: 1,
+  minRedeem: 100,
+  maxDiscountShare: 0.5,
+  rewards: [
+    {
+      id: "express-5",
+      title: "$5 off Express",
+      cost: 450,
+      voucher: {
+        kind: "amount",
+        value: 500,
+        maxDiscount: null,
+        minOrder: 2000,
+        services: ["express"],
+        validDays: 30,
+      },
+    },
+    {
+      id: "any-10",
+      title: "10% off any shipment",
+      cost: 800,
+      voucher: {
+        kind: "percent",
+        value: 10,
+        maxDiscount: 1500,
+        minOrder: 0,
+        services: SERVICES,
+        validDays: 30,
+      },
+    },
+    {
+      id: "cargo-20",
+      title: "$20 off Cargo",
+      cost: 1800,
+      voucher: {
+        kind: "amount",
+        value: 2000,
+        maxDiscount: null,
+        minOrder: 10000,
+        services: ["cargo"],
+        validDays: 60,
+      },
+    },
+  ],
+};
+
+// Coins a new member starts with, and how long they last.
+const WELCOME_COINS = { amount: 1295, days: 60 };
+
+export const COIN_ENTRY_TYPES = [
+  "earn",
+  "welcome",
+  "redeem",
+  "refund",
+  "expire",
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = 365 * DAY;
+
+const isInt = (n, min, max = Infinity) =>
+  Number.isInteger(n) && n >= min && n <= max;
+const isNumber = (n, min, max = Infinity) =>
+  typeof n === "number" && Number.isFinite(n) && n >= min && n <= max;
+
+const perService = (value, name) => {
+  if (
+    !value ||
+    typeof value !== "object" ||
+    SERVICES.some((s) => !isNumber(value[s], 0, 1000))
+  ) {
+    throw new Error(
+      `${name} needs a number from 0 to 1000 for each of: ${SERVICES.join(
+        ", "
+      )}.`
+    );
+  }
+  return Object.fromEntries(SERVICES.map((s) => [s, value[s]]));
+};
+
+const checkTiers = (tiers) => {
+  if (!Array.isArray(tiers) || !tiers.length || tiers.length > 10) {
+    throw new Error("tiers must be a list of 1 to 10 tiers.");
+  }
+  return tiers.map(({ name, minEarned, multiplier } = {}, i) => {
+    const label = String(name ?? "").trim();
+    if (!label || label.length > 20) {
+      throw new Error("Tier names need 1 to 20 characters.");
+    }
+    if (!isInt(minEarned, 0) || (i === 0 && minEarned !== 0)) {
+      throw new Error("The first tier starts at 0 coins earned.");
+    }
+    if (i > 0 && minEarned <= tiers[i - 1].minEarned) {
+      throw new Error("Tiers must be listed from lowest to highest.");
+    }
+    if (!isNumber(multiplier, 0.1, 10)) {
+      throw new Error("Tier multipliers must be between 0.1 and 10.");
+    }
+    return { name: label, minEarned, multiplier };
+  });
+};
+
+const checkReward = ({ id, title, cost, voucher } = {}) => {
+  const name = String(title ?? "").trim();
+  if (typeof id !== "string" || !/^[a-z0-9-]{1,24}$/.test(id)) {
+    throw new Error("Reward ids use 1-24 lowercase letters, digits or dashes.");
+  }
+  if (!name || name.length > 60) {
+    throw new Error(`Reward ${id} needs a title of 1 to 60 characters.`);
+  }
+  if (!isInt(cost, 1)) {
+    throw new Error(`Reward ${id} must cost a whole number of coins.`);
+  }
+  const { kind, value, maxDiscount, minOrder, services, validDays } =
+    voucher || {};
+  if (
+    !["percent", "amount"].includes(kind) ||
+    !isInt(value, 1, kind === "percent" ? 100 : Infinity) ||
+    !(maxDiscount === null || isInt(maxDiscount, 1)) ||
+    !isInt(minOrder, 0) ||
+    !Array.isArray(services) ||
+    !services.length ||
+    services.some((s) => !SERVICES.includes(s)) ||
+    !isInt(validDays, 1, 365)
+  ) {
+    throw new Error(`Reward ${id} has an invalid voucher.`);
+  }
+  return {
+    id,
+    title: name,
+    cost,
+    voucher: { kind, value, maxDiscount, minOrder, services, validDays },
+  };
+};
+
+/**
+ * `changes` applied over `current` and validated; keys left out keep their
+ * value. Throws an Error with a readable message when a rule is invalid.
+ */
+export const normalizeRules = (changes, current = DEFAULT_LOYALTY_RULES) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new Error("Rules must be an object.");
+  }
+  const unknown = Object.keys(changes).filter(
+    (k) => !Object.hasOwn(DEFAULT_LOYALTY_RULES, k)
+  );
+  if (unknown.length) {
+    throw new Error(`Unknown rule(s): ${unknown.join(", ")}.`);
+  }
+  const next = { ...current, ...changes };
+  if (!isInt(next.expiryDays, 1, 3650)) {
+    throw new Error("expiryDays must be a whole number from 1 to 3650.");
+  }
+  if (!isInt(next.coinValue, 1, 100)) {
+    throw new Error("coinValue must be a whole number from 1 to 100.");
+  }
+  if (!isInt(next.minRedeem, 1)) {
+    throw new Error("minRedeem must be a whole number of coins.");
+  }
+  if (!isNumber(next.maxDiscountShare, 0.01, 1)) {
+    throw new Error("maxDiscountShare must be between 0.01 and 1.");
+  }
+  if (!Array.isArray(next.rewards) || next.rewards.length > 20) {
+    throw new Error("rewards must be a list of at most 20 rewards.");
+  }
+  const rewards = next.rewards.map(checkReward);
+  if (new Set(rewards.map((r) => r.id)).size !== rewards.length) {
+    throw new Error("Reward ids must be unique.");
+  }
+  return {
+    earnRates: perService(next.earnRates, "earnRates"),
+    shipmentBonus: perService(next.shipmentBonus, "shipmentBonus"),
+    tiers: checkTiers(next.tiers),
+    expiryDays: next.expiryDays,
+    coinValue: next.coinValue,
+    minRedeem: next.minRedeem,
+    maxDiscountShare: next.maxDiscountShare,
+    rewards,
+  };
+};
+
+/**
+ * The tier for `earned` coins (over the last 365 days) as
+ * { name, multiplier, earned, next }, where `next` is
+ * { name, needed } for the tier above or null at the top.
+ */
+export const tierFor = (tiers, earned) => {
+  const index = tiers.findLastIndex((t) => earned >= t.minEarned);
+  const { name, multiplier } = tiers[Math.max(index, 0)];
+  const above = tiers[index + 1];
+  return {
+    name,
+    multiplier,
+    earned,
+    next: above
+      ? { name: above.name, needed: above.minEarned - earned }
+      : null,
+  };
+};
+
+// Coins for a shipment of `service` costing `spend` (minor units).
+export const shipmentCoins = (rules, { service, spend }, multiplier = 1) =>
+  Math.floor(
+    ((spend / 100) * rules.earnRates[service] + rules.shipmentBonus[service]) *
+      multiplier
+  );
+
+/**
+ * How many of `coins` can go towards an order of `subtotal` (minor units)
+ * and what they take off, as { coins, discount }; the coins are capped by
+ * `balance` and by the share of the order coins may pay for.
+ */
+export const coinDiscount = (rules, { coins, subtotal, balance }) => {
+  const cap = Math.floor((subtotal * rules.maxDiscountShare) / rules.coinValue);
+  const used = Math.max(Math.min(coins, balance, cap), 0);
+  return { coins: used, discount: used * rules.coinValue };
+};
+
+export const createLoyalty = ({ read, write }) => {
+  const rules = async () => ({
+    ...DEFAULT_LOYALTY_RULES,
+    ...(await read(KEYS.loyaltyRules, {})),
+  });
+
+  const record = async (userId, type, amount, balanceAfter, extra = {}) => {
+    const history = await read(KEYS.coinHistory, []);
+    const entry = {
+      id: uid(),
+      userId,
+      type,
+      amount,
+      balanceAfter,
+      description: extra.description ?? "",
+      reference: extra.reference ?? null,
+      createdAt: extra.createdAt ?? nowISO(),
+    };
+    await write(KEYS.coinHistory, [...history, entry]);
+    return entry;
+  };
+
+  const balanceOf = (lots, userId) =>
+    lots
+      .filter((l) => l.userId === userId)
+      .reduce((sum, l) => sum + l.remaining, 0);
+
+  const addLot = async (userId, amount, days, extra, type = "earn") => {
+    const lots = await read(KEYS.coinLots, []);
+    const earnedAt = nowISO();
+    const lot = {
+      id: uid(),
+      userId,
+      amount,
+      remaining: amount,
+      earnedAt,
+      expiresAt: new Date(Date.parse(earnedAt) + days * DAY).toISOString(),
+    };
+    await write(KEYS.coinLots, [...lots, lot]);
+    return record(userId, type, amount, balanceOf(lots, userId) + amount, {
+      ...extra,
+      createdAt: earnedAt,
+    });
+  };
+
+  // Starts new members off with the welcome coins, and expires lots that
+  // are past their date (one "expire" entry each).
+  const settle = async (userId) => {
+    const history = await read(KEYS.coinHistory, []);
+    if (!history.some((e) => e.userId === userId)) {
+      await addLot(
+        userId,
+        WELCOME_COINS.amount,
+        WELCOME_COINS.days,
+        { description: "Welcome coins" },
+        "welcome"
+      );
+    }
+    const now = Date.now();
+    const lots = await read(KEYS.coinLots, []);
+    const due = lots.filter(
+      (l) =>
+        l.userId === userId && l.remaining > 0 && Date.parse(l.expiresAt) <= now
+    );
+    if (!due.length) return lots;
+    const next = lots.map((l) =>
+      due.includes(l) ? { ...l, remaining: 0 } : l
+    );
+    await write(KEYS.coinLots, next);
+    let balance = balanceOf(lots, userId);
+    for (const lot of due) {
+      balance -= lot.remaining;
+      await record(userId, "expire", lot.remaining, balance, {
+        description: `Coins earned on ${lot.earnedAt.slice(0, 10)} expired`,
+      });
+    }
+    return next;
+  };
+
+  const earnedLastYear = async (userId) => {
+    const since = Date.now() - YEAR;
+    return (await read(KEYS.coinHistory, []))
+      .filter(
+        (e) =>
+          e.userId === userId &&
+          e.type === "earn" &&
+          Date.parse(e.createdAt) >= since
+      )
+      .reduce((sum, e) => sum + e.amount, 0);
+  };
+
+  const presentEntry = ({ userId: _userId, ...entry }) => entry;
+
+  return {
+    rules,
+    // `next` is a full, validated rule set (normalizeRules).
+    setRules: (next) => write(KEYS.loyaltyRules, next),
+    // { balance, tier, expiring } where `expiring` lists upcoming expiries
+    // as [{ amount, expiresAt }], soonest first.
+    account: async (userId) => {
+      const lots = (await settle(userId)).filter(
+        (l) => l.userId === userId && l.remaining > 0
+      );
+      const { tiers } = await rules();
+      return {
+        balance: balanceOf(lots, userId),
+        tier: tierFor(tiers, await earnedLastYear(userId)),
+        expiring: lots
+          .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt))
+          .slice(0, 3)
+          .map((l) => ({ amount: l.remaining, expiresAt: l.expiresAt })),
+      };
+    },
+    // Coins the user would earn on a shipment, with their tier's multiplier.
+    estimate: async (userId, shipment) => {
+      const current = await rules();
+      const { multiplier } = tierFor(
+        current.tiers,
+        await earnedLastYear(userId)
+      );
+      return shipmentCoins(current, shipment, multiplier);
+    },
+    // Awards the coins for a shipment ({ service, spend }); resolves the
+    // history entry, or null when it earns nothing.
+    award: async (userId, shipment, { description, reference = null }) => {
+      await settle(userId);
+      const current = await rules();
+      const { multiplier } = tierFor(
+        current.tiers,
+        await earnedLastYear(userId)
+      );
+      const coins = shipmentCoins(current, shipment, multiplier);
+      if (coins <= 0) return null;
+      const entry = await addLot(userId, coins, current.expiryDays, {
+        description,
+        reference,
+      });
+      return presentEntry(entry);
+    },
+    // Spends `coins`, soonest-expiring first; 409 insufficient_coins when
+    // the balance is short. Resolves { entry, balance }.
+    spend: async (userId, coins, { description, reference = null }) => {
+      const lots = await settle(userId);
+      const balance = balanceOf(lots, userId);
+      if (coins > balance) {
+        throw apiError(
+          409,
+          "You don't have enough coins.",
+          "insufficient_coins"
+        );
+      }
+      const order = lots
+        .filter((l) => l.userId === userId && l.remaining > 0)
+        .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+      const taken = new Map();
+      let left = coins;
+      for (const lot of order) {
+        if (!left) break;
+        const take = Math.min(lot.remaining, left);
+        taken.set(lot.id, take);
+        left -= take;
+      }
+      await write(
+        KEYS.coinLots,
+        lots.map((l) =>
+          taken.has(l.id)
+            ? { ...l, remaining: l.remaining - taken.get(l.id) }
+            : l
+        )
+      );
+      const entry = await record(userId, "redeem", coins, balance - coins, {
+        description,
+        reference,
+      });
+      return { entry: presentEntry(entry), balance: balance - coins };
+    },
+    // Gives back `coins` spent on something that was cancelled, as a new
+    // lot lasting `expiryDays`; refunds don't count towards tiers.
+    refund: async (userId, coins, { description, reference = null }) => {
+      await settle(userId);
+      const { expiryDays } = await rules();
+      const entry = await addLot(
+        userId,
+        coins,
+        expiryDays,
+        { description, reference },
+        "refund"
+      );
+      return presentEntry(entry);
+    },
+    // Newest first, optionally only one `type`.
+    history: async (userId, { type } = {}) => {
+      await settle(userId);
+      return (await read(KEYS.coinHistory, []))
+        .filter((e) => e.userId === userId && (!type || e.type === type))
+        .reverse()
+        .map(presentEntry);
+    },
+    // Everything kept for a user, when the user is deleted.
+    forget: async (userId) => {
+      for (const key of [KEYS.coinLots, KEYS.coinHistory]) {
+        const all = await read(key, []);
+        await write(key, all.filter((item) => item.userId !== userId));
+      }
+    },
+  };
+};
@@ -0,0 +1,71 @@
+/**
+ * @mentions in comment bodies. A user's handle is the local part of their
+ * email (`@alice` for alice@demo.com), or the whole email with a "." for the
+ * "@" (`@john.a.com`) when several users share that local part. The service
+ * resolves handles to user ids when a comment is saved and hands every user
+ * their handle (users.list); the UI uses the same rules to highlight them
+ * and to suggest completions.
+ */
+
+// Handles may contain . _ - but not end with them ("@alice." is "@alice"),
+// and the "@" must not follow one of those characters, so an email address
+// in the text ("bob@demo.com") isn't a mention.
+const HANDLE = /(?<![a-z0-9._-])@([a-z0-9](?:[a-z0-9._-]*[a-z0-9])?)/gi;
+
+const localPart = (user) =>
+  String(user.email || "")
+    .split("@")[0]
+    .toLowerCase();
+
+// Handle of each of `users` (all of them, so that handles don't change when
+// someone is deactivated), by user id.
+export const mentionHandles = (users) => {
+  const counts = new Map();
+  for (const u of users) {
+    counts.set(localPart(u), (counts.get(localPart(u)) || 0) + 1);
+  }
+  return new Map(
+    users.map((u) => [
+      u.id,
+      counts.get(localPart(u)) > 1
+        ? String(u.email).toLowerCase().replace("@", ".")
+        : localPart(u),
+    ])
+  );
+};
+
+// Ids of the users mentioned in `body`, in order of first mention. A handle
+// that still matches more than one user mentions nobody.
+export const extractMentions = (body, users) => {
+  const byHandle = new Map();
+  for (const [id, handle] of mentionHandles(users)) {
+    byHandle.set(handle, byHandle.has(handle) ? null : id);
+  }
+  const ids = [];
+  for (const [, handle] of String(body).matchAll(HANDLE)) {
+    const id = byHandle.get(handle.toLowerCase());
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+};
+
+// Splits `body` into text and mention parts for rendering.
+export const splitMentions = (body) => {
+  const parts = [];
+  let last = 0;
+  for (const match of String(body).matchAll(HANDLE)) {
+    if (match.index > last) {
+      parts.push({ text: body.slice(last, match.index) });
+    }
+    parts.push({ text: match[0], handle: match[1].toLowerCase() });
+    last = match.index + match[0].length;
+  }
+  if (last < body.length) parts.push({ text: body.slice(last) });
+  return parts;
+};
+
+// The partial handle being typed at the end of `text` ("@al" -> "al").
+export const pendingMention = (text) => {
+  const match = /(?:^|\s)@([a-z0-9._-]*)$/i.exec(text);
+  return match ? match[1].toLowerCase() : null;
+};
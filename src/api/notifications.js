@@ -0,0 +1,123 @@
+import { nowISO, uid } from "./seed.js";
+import { KEYS } from "./storage.js";
+
+/**
+ * Per-user notifications. Each one:
+ *   { id, userId, type, title, body, link, key, read, createdAt }
+ * where `link` is an app path (e.g. /tasks/abc). When `key` is set, a second
+ * notification with the same user and key is dropped, so checks that run
+ * repeatedly (due-date reminders) notify once.
+ *
+ * Users switch types off in their preferences; notifications of a type that
+ * is off aren't stored at all.
+ */
+export const NOTIFICATION_TYPES = [
+  "assignment",
+  "mention",
+  "due_soon",
+  "overdue",
+  "package",
+];
+
+export const DEFAULT_PREFERENCES = Object.fromEntries(
+  NOTIFICATION_TYPES.map((type) => [type, true])
+);
+
+// Older notifications beyond this many per user are dropped.
+const KEEP_PER_USER = 100;
+
+export const createNotifier = ({ read, write }) => {
+  const preferences = async (userId) => ({
+    ...DEFAULT_PREFERENCES,
+    ...(await read(KEYS.notificationPrefs, {}))[userId],
+  });
+  const unreadCount = (all, userId) =>
+    all.filter((n) => n.userId === userId && !n.read).length;
+
+  // Marks the user's notifications matching `pick` as read.
+  const markWhere = async (userId, pick) => {
+    const all = await read(KEYS.notifications, []);
+    await write(
+      KEYS.notifications,
+      all.map((n) =>
+        n.userId === userId && !n.read && pick(n) ? { ...n, read: true } : n
+      )
+    );
+    return { unread: unreadCount(all.filter((n) => !pick(n)), userId) };
+  };
+
+  return {
+    preferences,
+    setPreferences: async (userId, changes) => {
+      const all = await read(KEYS.notificationPrefs, {});
+      const next = { ...all[userId], ...changes };
+      await write(KEYS.notificationPrefs, { ...all, [userId]: next });
+      return { ...DEFAULT_PREFERENCES, ...next };
+    },
+    // Stores `items` ({ userId, type, title, body?, link?, key? }) for users
+    // who want that type; returns the ones stored.
+    deliver: async (items) => {
+      if (!items.length) return [];
+      const all = await read(KEYS.notifications, []);
+      const prefs = await read(KEYS.notificationPrefs, {});
+      const delivered = [];
+      for (const { userId, type, title, body = "", link = null, key = null }
+        of items) {
+        if (prefs[userId]?.[type] === false) continue;
+        if (key && all.some((n) => n.userId === userId && n.key === key)) {
+          continue;
+        }
+        const notification = {
+          id: uid(),
+          userId,
+          type,
+          title,
+          body,
+          link,
+          key,
+          read: false,
+          createdAt: nowISO(),
+        };
+        all.push(notification);
+        delivered.push(notification);
+      }
+      if (!delivered.length) return [];
+      // trim each recipient to their newest KEEP_PER_USER
+      const kept = new Map();
+      const trimmed = all
+        .reverse()
+        .filter((n) => {
+          const count = (kept.get(n.userId) || 0) + 1;
+          kept.set(n.userId, count);
+          return count <= KEEP_PER_USER;
+        })
+        .reverse();
+      await write(KEYS.notifications, trimmed);
+      return delivered;
+    },
+    // Newest first, with the user's unread count.
+    list: async (userId, { unread = false, limit = 50 } = {}) => {
+      const all = await read(KEYS.notifications, []);
+      const items = all
+        .filter((n) => n.userId === userId && (!unread || !n.read))
+        .reverse()
+        .slice(0, limit);
+      return { items, unread: unreadCount(all, userId) };
+    },
+    markRead: (userId, ids) => markWhere(userId, (n) => ids.includes(n.id)),
+    markAllRead: (userId) => markWhere(userId, () => true),
+    // Everything kept for a user, when the user is deleted.
+    forget: async (userId) => {
+      const all = await read(KEYS.notifications, []);
+      await write(
+        KEYS.notifications,
+        all.filter((n) => n.userId !== userId)
+      );
+      const { [userId]: _removed, ...prefs } = await read(
+        KEYS.notificationPrefs,
+        {}
+      );
+      await write(KEYS.notificationPrefs, prefs);
+    },
+  };
+};
@@ -0,0 +1,99 @@
+/**
+ * Password hashing and policy, shared by the browser mock and the mock
+ * server. Uses Web Crypto (PBKDF2-SHA256 with a per-user random salt), which
+ * is available both in browsers and in Node >= 19 as `globalThis.crypto`.
+ *
+ * Stored format: `pbkdf2-sha256$<iterations>$<saltHex>$<hashHex>`
+ */
+
+const ITERATIONS = 100_000;
+const KEY_BITS = 256;
+
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+const fromHex = (hex) =>
+  new Uint8Array(hex.match(/.{2}/g).map((h) => Number.parseInt(h, 16)));
+
+const derive = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    KEY_BITS
+  );
+  return toHex(bits);
+};
+
+export const hashPassword = async (password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, ITERATIONS);
+  return `pbkdf2-sha256$${ITERATIONS}$${toHex(salt)}$${hash}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, iterations, salt, expected] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2-sha256" || !salt || !expected) return false;
+  const actual = await derive(
+    String(password),
+    fromHex(salt),
+    Number(iterations)
+  );
+  // constant-time comparison
+  let diff = actual.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= actual.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+// ------------------------------
+// Policy
+// ------------------------------
+export const PASSWORD_POLICY =
+  "At least 8 characters, with a letter and a number, not a common password and not your email.";
+
+const COMMON = new Set([
+  "password",
+  "password1",
+  "12345678",
+  "123456789",
+  "qwerty123",
+  "letmein1",
+  "welcome1",
+  "admin123",
+]);
+
+/** Returns a list of human-readable problems; empty when the password is OK. */
+export const validatePassword = (password, { email = "" } = {}) => {
+  const problems = [];
+  const value = String(password || "");
+  if (value.length < 8) problems.push("Use at least 8 characters.");
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value))
+    problems.push("Include both letters and numbers.");
+  if (COMMON.has(value.toLowerCase()))
+    problems.push("This password is too common.");
+  const local = email.split("@")[0]?.toLowerCase();
+  if (local && local.length >= 3 && value.toLowerCase().includes(local))
+    problems.push("Don't include your email name.");
+  return problems;
+};
+
+/** Random password that satisfies the policy, for admin-created accounts. */
+export const generateTemporaryPassword = () => {
+  const letters = "abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ";
+  const digits = "23456789";
+  const pick = (chars, n) =>
+    Array.from(
+      crypto.getRandomValues(new Uint32Array(n)),
+      (x) => chars[x % chars.length]
+    ).join("");
+  return `${pick(letters, 8)}${pick(digits, 4)}`;
+};
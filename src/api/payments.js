@@ -0,0 +1,40 @@
+import { uid } from "./seed.js";
+
+/**
+ * Payment providers take the money for wallet top-ups. A provider is
+ *   { name, charge({ userId, amount, currency, source, idempotencyKey }) }
+ * where `amount` is in minor units and `source` is whatever the provider's
+ * checkout hands the client (a card token, a card number for the fake
+ * provider). `idempotencyKey` (or null) is the top-up's key, for providers
+ * that can refuse a duplicate charge themselves. `charge` resolves
+ * `{ id, label }` (the provider's reference and a readable description of
+ * the source, e.g. "Visa •••• 4242") or rejects with an Error whose `code`
+ * is "invalid_source" or "payment_declined".
+ *
+ * The task service takes one as its `paymentProvider` option; without it the
+ * fake provider below is used.
+ */
+
+const paymentError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+// Cards the fake provider refuses; any other valid 16-digit number succeeds.
+export const FAKE_DECLINED_CARDS = {
+  "4000000000000002": "Your card was declined.",
+  "4000000000009995": "Your card has insufficient funds.",
+};
+
+/** Accepts test card numbers and never moves real money. */
+export const createFakePaymentProvider = () => ({
+  name: "fake",
+  charge: async ({ source }) => {
+    const number = String(source ?? "").replace(/[\s-]/g, "");
+    if (!/^\d{16}$/.test(number)) {
+      throw paymentError("invalid_source", "Enter a 16-digit card number.");
+    }
+    if (FAKE_DECLINED_CARDS[number]) {
+      throw paymentError("payment_declined", FAKE_DECLINED_CARDS[number]);
+    }
+    return { id: `fake_${uid()}`, label: `Card •••• ${number.slice(-4)}` };
+  },
+});
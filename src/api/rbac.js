@@ -0,0 +1,71 @@
+/**
+ * Role/permission registry shared by every backend and the UI.
+ * A policy maps role names to the permission keys they grant, e.g.
+ *   { admin: ["users.manage", ...], viewer: [] }
+ * The service stores the editable policy (KEYS.roles); DEFAULT_ROLES is the
+ * starting point. The `admin` role is locked to every permission so the
+ * registry can't lock everyone out.
+ */
+
+export const PERMISSIONS = [
+  { key: "tasks.create", label: "Create tasks" },
+  { key: "tasks.assign", label: "Assign tasks to others" },
+  { key: "tasks.update.own", label: "Edit own tasks" },
+  { key: "tasks.update.any", label: "Edit any task" },
+  { key: "tasks.delete.own", label: "Delete own tasks" },
+  { key: "tasks.delete.any", label: "Delete any task" },
+  { key: "tasks.comment", label: "Comment on tasks" },
+  { key: "users.view", label: "View the user directory" },
+  { key: "users.manage", label: "Create, edit and remove users" },
+  { key: "roles.manage", label: "Edit roles and permissions" },
+  { key: "audit.view", label: "View the audit log" },
+  { key: "loyalty.manage", label: "Edit loyalty coin rules" },
+  { key: "shipments.manage", label: "Update shipment status" },
+];
+
+export const ALL_PERMISSIONS = PERMISSIONS.map((p) => p.key);
+
+export const LOCKED_ROLE = "admin";
+
+export const DEFAULT_ROLES = {
+  admin: ALL_PERMISSIONS,
+  manager: [
+    "tasks.create",
+    "tasks.assign",
+    "tasks.update.any",
+    "tasks.delete.any",
+    "tasks.comment",
+    "users.view",
+  ],
+  member: [
+    "tasks.create",
+    "tasks.update.own",
+    "tasks.delete.own",
+    "tasks.comment",
+  ],
+};
+
+export const can = (policy, user, permission) =>
+  Boolean(user && policy?.[user.role]?.includes(permission));
+
+export const canManageUsers = (policy, user) =>
+  can(policy, user, "users.manage");
+
+export const canAssignTasks = (policy, user) =>
+  can(policy, user, "tasks.assign");
+
+export const canDeleteTask = (policy, user, task) =>
+  can(policy, user, "tasks.delete.any") ||
+  (task.createdBy === user?.id && can(policy, user, "tasks.delete.own"));
+
+export const canUpdateTask = (policy, user, task) =>
+  can(policy, user, "tasks.update.any") ||
+  (task.createdBy === user?.id && can(policy, user, "tasks.update.own"));
+
+// Comments can only be edited by their author; `tasks.delete.any` also lets
+// moderators remove other people's comments.
+export const canEditComment = (user, comment) =>
+  Boolean(user) && comment.authorId === user.id;
+
+export const canDeleteComment = (policy, user, comment) =>
+  canEditComment(user, comment) || can(policy, user, "tasks.delete.any");
@@ -0,0 +1,261 @@
+/**
+ * Recurring tasks. A task's `recurrence` is
+ *   { rule, trigger: "complete" | "schedule", index, anchorDay? }
+ * where `rule` is a subset of the iCalendar RRULE syntax:
+ *   FREQ=DAILY | WEEKLY | MONTHLY   required
+ *   INTERVAL=n                      every n days/weeks/months (default 1)
+ *   BYDAY=MO,WE                     weekly only: the weekdays
+ *   BYMONTHDAY=15                   monthly only: day of month, -1 = last
+ *   COUNT=n                         n occurrences in total
+ *   UNTIL=YYYYMMDD                  no occurrence after this date
+ * `index` numbers the occurrence (1 for the first task) and `trigger` says
+ * when the service creates the next task: when this one is marked done, or
+ * once its due date arrives. `anchorDay` is set by the service (see
+ * anchorRecurrence), never by clients.
+ *
+ * Dates are YYYY-MM-DD strings and the arithmetic is done in UTC so that the
+ * result doesn't depend on the time zone.
+ */
+
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+export const WEEKDAY_LABELS = {
+  MO: "Mon",
+  TU: "Tue",
+  WE: "Wed",
+  TH: "Thu",
+  FR: "Fri",
+  SA: "Sat",
+  SU: "Sun",
+};
+
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY"];
+const PARTS = ["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "COUNT", "UNTIL"];
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+const fromDate = (d) => d.toISOString().slice(0, 10);
+
+export const addDays = (day, n) => {
+  const d = toDate(day);
+  d.setUTCDate(d.getUTCDate() + n);
+  return fromDate(d);
+};
+
+// 0 = Monday
+const weekdayIndex = (day) => (toDate(day).getUTCDay() + 6) % 7;
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const positiveInt = (name, value) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`${name} must be a positive whole number.`);
+  }
+  return n;
+};
+
+// Parsed rule, or throws an Error saying what is wrong with it.
+export const parseRule = (rule) => {
+  const parts = {};
+  for (const part of String(rule || "")
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter((p) => p.trim())) {
+    const [key, value = ""] = part.split("=").map((x) => x.trim());
+    const name = key.toUpperCase();
+    if (!PARTS.includes(name)) throw new Error(`${key} is not supported.`);
+    parts[name] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!FREQS.includes(freq)) {
+    throw new Error("FREQ must be DAILY, WEEKLY or MONTHLY.");
+  }
+  const byDay = parts.BYDAY ? parts.BYDAY.split(",") : [];
+  if (byDay.some((d) => !WEEKDAYS.includes(d))) {
+    throw new Error("BYDAY takes weekdays like MO,WE,FR.");
+  }
+  if (byDay.length && freq !== "WEEKLY") {
+    throw new Error("BYDAY only works with FREQ=WEEKLY.");
+  }
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY) {
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (
+      freq !== "MONTHLY" ||
+      !Number.isInteger(byMonthDay) ||
+      !(byMonthDay === -1 || (byMonthDay >= 1 && byMonthDay <= 31))
+    ) {
+      throw new Error("BYMONTHDAY takes 1-31 or -1 with FREQ=MONTHLY.");
+    }
+  }
+  let until = null;
+  if (parts.UNTIL) {
+    const m = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+    if (!m) throw new Error("UNTIL must be a date like 20261231.");
+    until = `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  return {
+    freq,
+    interval: parts.INTERVAL ? positiveInt("INTERVAL", parts.INTERVAL) : 1,
+    byDay: WEEKDAYS.filter((d) => byDay.includes(d)),
+    byMonthDay,
+    count: parts.COUNT ? positiveInt("COUNT", parts.COUNT) : null,
+    until,
+  };
+};
+
+export const formatRule = (rule) =>
+  [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay.length && `BYDAY=${rule.byDay.join(",")}`,
+    rule.byMonthDay && `BYMONTHDAY=${rule.byMonthDay}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${rule.until.replaceAll("-", "")}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+// Date of the occurrence after the one on `from` (occurrence number
+// `index`), or null when the rule has run out. A MONTHLY rule without
+// BYMONTHDAY lands on `anchorDay` (default: the day of `from`), or on the
+// month's last day when the month is shorter.
+export const nextOccurrence = (rule, from, index = 1, anchorDay = null) => {
+  const r = typeof rule === "string" ? parseRule(rule) : rule;
+  if (r.count && index >= r.count) return null;
+  let next;
+  if (r.freq === "DAILY") next = addDays(from, r.interval);
+  if (r.freq === "WEEKLY") {
+    const days = r.byDay.map((d) => WEEKDAYS.indexOf(d));
+    const current = weekdayIndex(from);
+    const later = days.find((i) => i > current);
+    if (!days.length) next = addDays(from, 7 * r.interval);
+    else if (later !== undefined) next = addDays(from, later - current);
+    else next = addDays(from, 7 * r.interval - current + days[0]);
+  }
+  if (r.freq === "MONTHLY") {
+    const d = toDate(from);
+    const dayIn = (year, month) => {
+      const last = daysInMonth(year, month);
+      const wanted = r.byMonthDay ?? anchorDay ?? d.getUTCDate();
+      return wanted === -1 ? last : Math.min(wanted, last);
+    };
+    const year = d.getUTCFullYear();
+    const month = d.getUTCMonth();
+    // a fixed day still to come this month comes first
+    if (r.byMonthDay && dayIn(year, month) > d.getUTCDate()) {
+      next = fromDate(new Date(Date.UTC(year, month, dayIn(year, month))));
+    } else {
+      const target = new Date(Date.UTC(year, month + r.interval, 1));
+      const y = target.getUTCFullYear();
+      const m = target.getUTCMonth();
+      next = fromDate(new Date(Date.UTC(y, m, dayIn(y, m))));
+    }
+  }
+  return r.until && next > r.until ? null : next;
+};
+
+/**
+ * `recurrence` with its `anchorDay`: for a MONTHLY rule without BYMONTHDAY,
+ * the day of the month the series keeps coming back to (`anchorDay`, by
+ * default the day of `day`, the due date the series is counted from), so
+ * that one started on the 31st returns to the month's end instead of
+ * drifting to the 28th after February. The rule itself stays as the user
+ * wrote it; other rules get no anchor.
+ */
+export const anchorRecurrence = (
+  recurrence,
+  day,
+  anchorDay = day ? Number(String(day).slice(8, 10)) : null
+) => {
+  if (!recurrence) return recurrence;
+  const { anchorDay: _previous, ...rest } = recurrence;
+  const r = parseRule(recurrence.rule);
+  if (r.freq !== "MONTHLY" || r.byMonthDay || !anchorDay) return rest;
+  return { ...rest, anchorDay };
+};
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Thu".
+export const describeRule = (rule) => {
+  let r;
+  try {
+    r = parseRule(rule);
+  } catch {
+    return "Custom schedule";
+  }
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[r.freq];
+  let text =
+    r.interval > 1 ? `Every ${r.interval} ${unit}s` : `Every ${unit}`;
+  if (r.byDay.length) {
+    text += ` on ${r.byDay.map((d) => WEEKDAY_LABELS[d]).join(", ")}`;
+  }
+  if (r.byMonthDay) {
+    text +=
+      r.byMonthDay === -1 ? " on the last day" : ` on day ${r.byMonthDay}`;
+  }
+  if (r.count) text += `, ${r.count} times`;
+  if (r.until) text += `, until ${r.until}`;
+  return text;
+};
+
+/**
+ * Validated, canonical `recurrence` for a task or template (null for none).
+ * Throws an Error with a readable message when the rule is invalid.
+ */
+export const normalizeRecurrence = (input) => {
+  if (!input || !input.rule) return null;
+  return {
+    rule: formatRule(parseRule(input.rule)),
+    trigger: input.trigger === "schedule" ? "schedule" : "complete",
+    index: Number.isInteger(input.index) && input.index > 0 ? input.index : 1,
+  };
+};
+
+export const EMPTY_PICKER = {
+  kind: "none",
+  days: [],
+  monthDay: "",
+  custom: "",
+  trigger: "complete",
+};
+
+/**
+ * Rule for the TaskFormCard repeat picker:
+ *   { kind: "none" | "daily" | "weekly" | "monthly" | "custom",
+ *     days: ["MO", ...], monthDay: "15", custom: "FREQ=...", trigger }
+ */
+export const ruleFromPicker = ({ kind, days = [], monthDay, custom }) => {
+  if (kind === "daily") return "FREQ=DAILY";
+  if (kind === "weekly") {
+    return days.length ? `FREQ=WEEKLY;BYDAY=${days.join(",")}` : "FREQ=WEEKLY";
+  }
+  if (kind === "monthly") {
+    return monthDay ? `FREQ=MONTHLY;BYMONTHDAY=${monthDay}` : "FREQ=MONTHLY";
+  }
+  if (kind === "custom") return custom?.trim() || null;
+  return null;
+};
+
+// Picker state for an existing recurrence; anything the simple choices
+// can't express is shown as a custom rule.
+export const pickerFromRecurrence = (recurrence) => {
+  if (!recurrence) return EMPTY_PICKER;
+  const picker = {
+    ...EMPTY_PICKER,
+    kind: "custom",
+    custom: recurrence.rule,
+    trigger: recurrence.trigger,
+  };
+  let r;
+  try {
+    r = parseRule(recurrence.rule);
+  } catch {
+    return picker;
+  }
+  if (r.interval > 1 || r.count || r.until) return picker;
+  if (r.freq === "DAILY") return { ...picker, kind: "daily" };
+  if (r.freq === "WEEKLY") return { ...picker, kind: "weekly", days: r.byDay };
+  return { ...picker, kind: "monthly", monthDay: String(r.byMonthDay ?? "") };
+};
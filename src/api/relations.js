@@ -0,0 +1,127 @@
+/**
+ * Subtasks, checklists and dependencies. Stored task fields:
+ *   parentId   the task this one is a subtask of (null for top-level)
+ *   blockedBy  ids of the tasks that must be done before this one can be
+ *   checklist  [{ id, text, done }]
+ *
+ * Tasks returned by the service also carry a read-only `relations` summary
+ * built from the other tasks (withRelations):
+ *   { parent: { id, title, status } | null,
+ *     subtasks: { total, done },
+ *     blockers: [{ id, title, status }] }
+ * It isn't stored and is ignored when sent back in a write.
+ */
+
+export const CHECKLIST_LIMIT = 50;
+const ITEM_TEXT_LIMIT = 200;
+
+// Lookups over all tasks, built once per call and shared by the helpers
+// below. With `only`, just what withRelations needs for those tasks is kept,
+// which is cheaper when decorating one page of a long list.
+export const relationIndex = (tasks, only = null) => {
+  let wanted = null;
+  if (only) {
+    wanted = new Set();
+    for (const t of only) {
+      wanted.add(t.id);
+      if (t.parentId) wanted.add(t.parentId);
+      for (const b of t.blockedBy || []) wanted.add(b);
+    }
+  }
+  const byId = new Map();
+  const subtasks = new Map(); // parentId -> { total, done }
+  for (const t of tasks) {
+    if (!wanted || wanted.has(t.id)) byId.set(t.id, t);
+    if (!t.parentId || (wanted && !wanted.has(t.parentId))) continue;
+    const counts = subtasks.get(t.parentId) || { total: 0, done: 0 };
+    counts.total += 1;
+    if (t.status === "done") counts.done += 1;
+    subtasks.set(t.parentId, counts);
+  }
+  return { byId, subtasks };
+};
+
+const summary = ({ id, title, status }) => ({ id, title, status });
+
+export const withRelations = (task, { byId, subtasks }) => {
+  const parent = task.parentId ? byId.get(task.parentId) : null;
+  return {
+    ...task,
+    relations: {
+      parent: parent ? summary(parent) : null,
+      subtasks: { ...(subtasks.get(task.id) || { total: 0, done: 0 }) },
+      blockers: (task.blockedBy || [])
+        .map((id) => byId.get(id))
+        .filter(Boolean)
+        .map(summary),
+    },
+  };
+};
+
+// Blockers (tasks or relations.blockers summaries) that aren't done yet.
+export const openBlockers = (blockers) =>
+  blockers.filter((b) => b && b.status !== "done");
+
+// True when `parentId` is `id` itself or one of its subtasks, at any depth.
+export const createsParentCycle = (byId, id, parentId) => {
+  const seen = new Set();
+  for (let at = parentId; at && !seen.has(at); at = byId.get(at)?.parentId) {
+    if (at === id) return true;
+    seen.add(at);
+  }
+  return false;
+};
+
+// True when a task in `blockedBy` waits on `id`, directly or through other
+// dependencies.
+export const createsDependencyCycle = (byId, id, blockedBy) => {
+  const seen = new Set();
+  const stack = [...blockedBy];
+  while (stack.length) {
+    const at = stack.pop();
+    if (at === id) return true;
+    if (seen.has(at)) continue;
+    seen.add(at);
+    stack.push(...(byId.get(at)?.blockedBy || []));
+  }
+  return false;
+};
+
+/**
+ * Validated checklist; items without an id get one from `newId`. Throws an
+ * Error with a readable message when the input is invalid.
+ */
+export const normalizeChecklist = (input, newId) => {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error("Checklist must be a list.");
+  if (input.length > CHECKLIST_LIMIT) {
+    throw new Error(`Checklists are limited to ${CHECKLIST_LIMIT} items.`);
+  }
+  return input.map((item) => {
+    const text = String(item?.text ?? "").trim();
+    if (!text) throw new Error("Checklist items need some text.");
+    if (text.length > ITEM_TEXT_LIMIT) {
+      throw new Error(
+        `Checklist items are limited to ${ITEM_TEXT_LIMIT} characters.`
+      );
+    }
+    return {
+      id: typeof item.id === "string" && item.id ? item.id : newId(),
+      text,
+      done: item.done === true,
+    };
+  });
+};
+
+// Done share of a task's subtasks and checklist items together, as
+// { done, total }, or null when it has neither.
+export const taskProgress = (task) => {
+  const subtasks = task.relations?.subtasks || { total: 0, done: 0 };
+  const items = task.checklist || [];
+  const total = subtasks.total + items.length;
+  if (!total) return null;
+  return {
+    done: subtasks.done + items.filter((i) => i.done).length,
+    total,
+  };
+};
@@ -0,0 +1,125 @@
+import { createHttpAuthService } from "../services/auth.ts";
+import { request } from "../services/http.ts";
+
+/**
+ * HTTP backend: same shape as the local adapter, talking to a REST server
+ * (see server/ for the mock implementation of the contract). Requests and
+ * the session are the Dashboard's (src/services), so an expired access
+ * token is renewed through AuthProvider like any other request.
+ */
+export const createRestApi = ({ baseUrl }) => {
+  const call = (path, { method = "GET", token, body, query } = {}) => {
+    const qs = new URLSearchParams();
+    Object.entries(query || {}).forEach(([k, v]) => {
+      if (v !== undefined && v !== null && v !== "") qs.set(k, String(v));
+    });
+    return request(baseUrl, `${path}${qs.size ? `?${qs}` : ""}`, {
+      method,
+      token,
+      body,
+    });
+  };
+
+  const userPath = (id) => `/users/${encodeURIComponent(id)}`;
+  const taskPath = (id) => `/tasks/${encodeURIComponent(id)}`;
+  const commentPath = (taskId, id) =>
+    `${taskPath(taskId)}/comments/${encodeURIComponent(id)}`;
+  const viewPath = (id) => `/views/${encodeURIComponent(id)}`;
+  const templatePath = (id) => `/templates/${encodeURIComponent(id)}`;
+  const rolePath = (role) => `/roles/${encodeURIComponent(role)}`;
+
+  return {
+    auth: createHttpAuthService(baseUrl),
+    users: {
+      list: ({ token }) => call("/users", { token }),
+      create: ({ token, payload }) =>
+        call("/users", { method: "POST", token, body: payload }),
+      update: ({ token, id, payload }) =>
+        call(userPath(id), { method: "PATCH", token, body: payload }),
+      deactivate: ({ token, id }) =>
+        call(`${userPath(id)}/deactivate`, { method: "POST", token }),
+      reactivate: ({ token, id }) =>
+        call(`${userPath(id)}/reactivate`, { method: "POST", token }),
+      remove: ({ token, id, reassignTo }) =>
+        call(userPath(id), {
+          method: "DELETE",
+          token,
+          query: { reassignTo },
+        }),
+    },
+    tasks: {
+      list: ({ token, ...query }) => call("/tasks", { token, query }),
+      get: ({ token, id }) => call(taskPath(id), { token }),
+      create: ({ token, payload }) =>
+        call("/tasks", { method: "POST", token, body: payload }),
+      update: ({ token, id, payload }) =>
+        call(taskPath(id), { method: "PATCH", token, body: payload }),
+      remove: ({ token, id, baseVersion }) =>
+        call(taskPath(id), {
+          method: "DELETE",
+          token,
+          query: { baseVersion },
+        }),
+      history: ({ token, id }) => call(`${taskPath(id)}/history`, { token }),
+      comments: {
+        list: ({ token, taskId }) =>
+          call(`${taskPath(taskId)}/comments`, { token }),
+        create: ({ token, taskId, body, parentId }) =>
+          call(`${taskPath(taskId)}/comments`, {
+            method: "POST",
+            token,
+            body: { body, parentId },
+          }),
+        update: ({ token, taskId, id, body }) =>
+          call(commentPath(taskId, id), {
+            method: "PATCH",
+            token,
+            body: { body },
+          }),
+        remove: ({ token, taskId, id }) =>
+          call(commentPath(taskId, id), { method: "DELETE", token }),
+      },
+    },
+    templates: {
+      list: ({ token }) => call("/templates", { token }),
+      create: ({ token, payload }) =>
+        call("/templates", { method: "POST", token, body: payload }),
+      update: ({ token, id, payload }) =>
+        call(templatePath(id), { method: "PATCH", token, body: payload }),
+      remove: ({ token, id }) =>
+        call(templatePath(id), { method: "DELETE", token }),
+    },
+    views: {
+      list: ({ token }) => call("/views", { token }),
+      create: ({ token, payload }) =>
+        call("/views", { method: "POST", token, body: payload }),
+      update: ({ token, id, payload }) =>
+        call(viewPath(id), { method: "PATCH", token, body: payload }),
+      pin: ({ token, id, pinned }) =>
+        call(`${viewPath(id)}/pin`, { method: "PUT", token, body: { pinned } }),
+      remove: ({ token, id }) =>
+        call(viewPath(id), { method: "DELETE", token }),
+    },
+    audit: {
+      list: ({ token, ...query }) => call("/audit", { token, query }),
+    },
+    roles: {
+      list: ({ token }) => call("/roles", { token }),
+      save: ({ token, role, permissions }) =>
+        call(rolePath(role), { method: "PUT", token, body: { permissions } }),
+      remove: ({ token, role }) =>
+        call(rolePath(role), { method: "DELETE", token }),
+    },
+    // Server-sent events; EventSource can't send headers, so the token goes
+    // in the query string. The browser reconnects on its own after drops.
+    events: {
+      subscribe: ({ token }, fn) => {
+        if (typeof EventSource === "undefined") return () => {};
+        const qs = new URLSearchParams({ token });
+        const source = new EventSource(`${baseUrl}/events?${qs}`);
+        source.onmessage = (e) => fn(JSON.parse(e.data));
+        return () => source.close();
+      },
+    },
+  };
+};
@@ -0,0 +1,94 @@
+import { hashPassword } from "./passwords.js";
+import { KEYS } from "./storage.js";
+
+export const uid = () => Math.random().toString(36).slice(2, 10);
+export const nowISO = () => new Date().toISOString();
+
+// Demo data written the first time a store is opened.
+export const seedIfEmpty = async (storage) => {
+  const users = await storage.read(KEYS.users, []);
+  if (!users || users.length === 0) {
+    const seeded = [
+      {
+        id: uid(),
+        name: "Alice Admin",
+        email: "admin@demo.com",
+        role: "admin",
+        passwordHash: await hashPassword("admin"),
+        mustChangePassword: false,
+        createdAt: nowISO(),
+      },
+      {
+        id: uid(),
+        name: "Mark Manager",
+        email: "manager@demo.com",
+        role: "manager",
+        passwordHash: await hashPassword("manager"),
+        mustChangePassword: false,
+        createdAt: nowISO(),
+      },
+      {
+        id: uid(),
+        name: "Mia Member",
+        email: "member@demo.com",
+        role: "member",
+        passwordHash: await hashPassword("member"),
+        mustChangePassword: false,
+        createdAt: nowISO(),
+      },
+    ];
+    await storage.write(KEYS.users, seeded);
+  }
+  const tasks = await storage.read(KEYS.tasks, []);
+  if (!tasks || tasks.length === 0) {
+    const usersRef = await storage.read(KEYS.users, []);
+    const adminId = usersRef.find((u) => u.role === "admin")?.id;
+    const memberId = usersRef.find((u) => u.role === "member")?.id;
+    const seededTasks = [
+      {
+        id: uid(),
+        title: "Kickoff meeting",
+        description: "Project intro and scope alignment.",
+        status: "todo",
+        priority: "medium",
+        createdAt: nowISO(),
+        updatedAt: nowISO(),
+        createdBy: adminId,
+        assignedTo: memberId,
+        dueDate: new Date(Date.now() + 86400000).toISOString(), // +1 day
+      },
+      {
+        id: uid(),
+        title: "Create wireframes",
+        description: "Low-fidelity screens for core flows.",
+        status: "in-progress",
+        priority: "high",
+        createdAt: nowISO(),
+        updatedAt: nowISO(),
+        createdBy: adminId,
+        assignedTo: adminId,
+        dueDate: new Date(Date.now() + 3 * 86400000).toISOString(),
+      },
+    ];
+    await storage.write(KEYS.tasks, seededTasks);
+  }
+};
+
+// Hashes passwords left in plaintext by older versions of the store. Users
+// still on the old "password" default must choose a new one at next login.
+export const upgradeStoredPasswords = async (storage) => {
+  const users = await storage.read(KEYS.users, []);
+  if (!users.some((u) => "password" in u)) return;
+  const upgraded = await Promise.all(
+    users.map(async ({ password, ...u }) =>
+      password === undefined
+        ? u
+        : {
+            ...u,
+            passwordHash: u.passwordHash || (await hashPassword(password)),
+            mustChangePassword: password === "password",
+          }
+    )
+  );
+  await storage.write(KEYS.users, upgraded);
+};
@@ -0,0 +1,2252 @@
+import {
+  TASK_AUDIT_FIELDS,
+  USER_AUDIT_FIELDS,
+  createAuditLog,
+  diffFields,
+} from "./audit.js";
+import { BOARD_COLUMNS } from "./board.js";
+import { apiError } from "./errors.js";
+import {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  LOCKED_ROLE,
+  PERMISSIONS,
+  can,
+  canAssignTasks,
+  canDeleteComment,
+  canDeleteTask,
+  canEditComment,
+  canManageUsers,
+  canUpdateTask,
+} from "./rbac.js";
+import {
+  generateTemporaryPassword,
+  hashPassword,
+  validatePassword,
+  verifyPassword,
+} from "./passwords.js";
+import { extractMentions, mentionHandles } from "./mentions.js";
+import { NOTIFICATION_TYPES, createNotifier } from "./notifications.js";
+import {
+  addDays,
+  anchorRecurrence,
+  nextOccurrence,
+  normalizeRecurrence,
+} from "./recurrence.js";
+import {
+  createsDependencyCycle,
+  createsParentCycle,
+  normalizeChecklist,
+  openBlockers,
+  relationIndex,
+  withRelations,
+} from "./relations.js";
+import {
+  COIN_ENTRY_TYPES,
+  coinDiscount,
+  createLoyalty,
+  normalizeRules,
+} from "./loyalty.js";
+import { createFakePaymentProvider } from "./payments.js";
+import { nowISO, seedIfEmpty, uid, upgradeStoredPasswords } from "./seed.js";
+import { createSessionManager } from "./sessions.js";
+import {
+  SHIPMENT_STATUSES,
+  createShipments,
+  estimatedDelivery,
+  normalizeBooking,
+  shipmentName,
+  shipmentPrice,
+  statusNotice,
+} from "./shipments.js";
+import { KEYS } from "./storage.js";
+import {
+  PRIORITIES,
+  SORT_KEYS,
+  compareTasks,
+  decodeCursor,
+  encodeCursor,
+  filterTasks,
+  firstSorted,
+  pickViewQuery,
+  today,
+} from "./taskQuery.js";
+import { LEDGER_KINDS, TOP_UP_LIMITS, createWallets } from "./wallet.js";
+import {
+  SERVICES,
+  bestVoucher,
+  checkVoucher,
+  findPromo,
+  normalizeCode,
+  promoExpiry,
+  voucherDiscount,
+} from "./vouchers.js";
+
+const sanitize = ({ password: _password, passwordHash: _hash, ...rest }) =>
+  rest;
+
+const isActive = (user) => user.active !== false;
+
+// What every signed-in user sees of the others: enough to show names and
+// resolve @mentions. Emails, roles and the rest need `users.view`.
+const directoryEntry = (user) => ({
+  id: user.id,
+  name: user.name,
+  active: isActive(user),
+});
+
+// Emails are stored and compared trimmed and lowercased.
+const normalizeEmail = (email) => String(email ?? "").trim().toLowerCase();
+
+const sameEmail = (user, email) => normalizeEmail(user.email) === email;
+
+const userEmail = (email) => {
+  const value = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+$/.test(value)) {
+    throw apiError(400, "A valid email is required.");
+  }
+  return value;
+};
+
+const userName = (name) => {
+  const value = String(name ?? "").trim();
+  if (!value) throw apiError(400, "Name is required.");
+  return value;
+};
+
+const weakPasswordError = (problems) =>
+  apiError(400, `Weak password. ${problems.join(" ")}`, "weak_password");
+
+const paginate = (all, page, pageSize) => ({
+  items: all.slice((page - 1) * pageSize, page * pageSize),
+  total: all.length,
+  page,
+  pageSize,
+  totalPages: Math.ceil(all.length / pageSize),
+});
+
+// Saved views carry `pinnedBy` (user ids); callers only see their own flag.
+const presentView = ({ pinnedBy = [], ...view }, me) => ({
+  ...view,
+  pinned: pinnedBy.includes(me.id),
+});
+
+const viewName = (name) => {
+  const text = String(name ?? "").trim();
+  if (!text) throw apiError(400, "View name is required.");
+  if (text.length > 40) {
+    throw apiError(400, "View names are limited to 40 characters.");
+  }
+  return text;
+};
+
+// Wallet amounts are whole minor units (cents for USD).
+const walletAmount = (amount, { min = 1, max = Infinity } = {}) => {
+  if (!Number.isInteger(amount) || amount < min || amount > max) {
+    throw apiError(
+      400,
+      max === Infinity
+        ? "Amount must be a positive whole number of minor units."
+        : `Amount must be between ${min} and ${max} minor units.`,
+      "invalid_amount"
+    );
+  }
+  return amount;
+};
+
+// An order for a shipping service; `subtotal` in minor units.
+const shipmentOrder = ({ service, subtotal }, currency) => {
+  if (!SERVICES.includes(service)) {
+    throw apiError(
+      400,
+      `service must be one of: ${SERVICES.join(", ")}.`,
+      "invalid_service"
+    );
+  }
+  return { service, subtotal: walletAmount(subtotal), currency };
+};
+
+// Coins to spend at once: a whole number, at least the rules' minRedeem.
+const coinAmount = (coins, rules) => {
+  if (!Number.isInteger(coins) || coins < rules.minRedeem) {
+    throw apiError(
+      400,
+      `Spend at least ${rules.minRedeem} coins at a time.`,
+      "invalid_coins"
+    );
+  }
+  return coins;
+};
+
+const shipmentBooking = (input) => {
+  try {
+    return normalizeBooking(input, today());
+  } catch (e) {
+    throw apiError(400, e.message, "invalid_shipment");
+  }
+};
+
+const loyaltyRules = (changes, current) => {
+  try {
+    return normalizeRules(changes, current);
+  } catch (e) {
+    throw apiError(400, `Invalid loyalty rules: ${e.message}`, "invalid_rules");
+  }
+};
+
+const taskRecurrence = (input) => {
+  try {
+    return normalizeRecurrence(input);
+  } catch (e) {
+    throw apiError(
+      400,
+      `Invalid repeat rule: ${e.message}`,
+      "invalid_recurrence"
+    );
+  }
+};
+
+const taskChecklist = (input) => {
+  try {
+    return normalizeChecklist(input, uid);
+  } catch (e) {
+    throw apiError(400, e.message, "invalid_checklist");
+  }
+};
+
+// Validated `parentId` and `blockedBy` for the task `id` (null while it is
+// being created, when it can't be part of a cycle yet).
+const relationFields = ({ parentId, blockedBy }, { byId }, id = null) => {
+  if (parentId && !byId.has(parentId)) {
+    throw apiError(400, "The parent task does not exist.", "invalid_parent");
+  }
+  if (parentId && id && createsParentCycle(byId, id, parentId)) {
+    throw apiError(
+      400,
+      "A task cannot be a subtask of itself or of one of its subtasks.",
+      "invalid_parent"
+    );
+  }
+  if (blockedBy !== undefined && blockedBy !== null) {
+    if (!Array.isArray(blockedBy)) {
+      throw apiError(400, "blockedBy must be a list of task ids.");
+    }
+  }
+  const blockers = [...new Set(blockedBy || [])];
+  const missing = blockers.find((b) => !byId.has(b));
+  if (missing) {
+    throw apiError(
+      400,
+      `Blocking task ${missing} does not exist.`,
+      "invalid_dependency"
+    );
+  }
+  if (id && createsDependencyCycle(byId, id, blockers)) {
+    throw apiError(
+      400,
+      "These dependencies would make tasks wait on each other.",
+      "dependency_cycle"
+    );
+  }
+  return { parentId: parentId || null, blockedBy: blockers };
+};
+
+// 409 for a task going to done while some of its blockers are still open.
+const checkBlockers = (task, { byId }) => {
+  const open = openBlockers((task.blockedBy || []).map((b) => byId.get(b)));
+  if (!open.length) return;
+  throw apiError(
+    409,
+    `Blocked by ${open.map((t) => `"${t.title}"`).join(", ")}. ` +
+      `Finish ${open.length > 1 ? "them" : "it"} first.`,
+    "task_blocked"
+  );
+};
+
+// The task after `task` in its recurring series (see recurrence.js), due on
+// the rule's next date counted from the task's due date, or null when the
+// rule has run out.
+const nextInstance = (task) => {
+  const from = task.dueDate ? String(task.dueDate).slice(0, 10) : today();
+  const recurrence = anchorRecurrence(
+    task.recurrence,
+    from,
+    task.recurrence.anchorDay
+  );
+  const { rule, index, anchorDay } = recurrence;
+  const dueDate = nextOccurrence(rule, from, index, anchorDay);
+  if (!dueDate) return null;
+  return {
+    id: uid(),
+    title: task.title,
+    description: task.description,
+    status: "todo",
+    priority: task.priority,
+    createdAt: nowISO(),
+    updatedAt: nowISO(),
+    createdBy: task.createdBy,
+    assignedTo: task.assignedTo,
+    dueDate,
+    sortOrder: Date.now(),
+    version: 1,
+    recurrence: { ...recurrence, index: index + 1 },
+    seriesId: task.seriesId || task.id,
+    nextTaskId: null,
+    parentId: task.parentId ?? null,
+    blockedBy: [],
+    checklist: (task.checklist || []).map((item) => ({
+      ...item,
+      id: uid(),
+      done: false,
+    })),
+  };
+};
+
+// The task after `task` due today or later: a scheduled series that fell
+// behind skips the dates it missed rather than creating a task for each.
+const catchUpInstance = (task, now) => {
+  let next = nextInstance(task);
+  while (next && next.dueDate < now) next = nextInstance(next);
+  return next;
+};
+
+const TASK_STATUSES = BOARD_COLUMNS.map((c) => c.status);
+
+// The plain fields of a task as sent to tasks.create, or to tasks.update
+// with the stored `task`: fields an update leaves out keep their values.
+const taskFields = (payload, task = null) => {
+  const pick = (key, fallback) =>
+    task ? payload[key] ?? task[key] : payload[key] || fallback;
+  const title = String(pick("title", "") ?? "").trim();
+  if (!title) throw apiError(400, "Task title is required.");
+  const status = pick("status", "todo");
+  if (!TASK_STATUSES.includes(status)) {
+    throw apiError(400, `status must be one of: ${TASK_STATUSES.join(", ")}.`);
+  }
+  const priority = pick("priority", "medium");
+  if (!PRIORITIES.includes(priority)) {
+    throw apiError(400, `priority must be one of: ${PRIORITIES.join(", ")}.`);
+  }
+  // null clears the due date
+  const dueDate =
+    task && payload.dueDate === undefined ? task.dueDate : payload.dueDate;
+  return {
+    title,
+    description: String(pick("description", "") ?? ""),
+    status,
+    priority,
+    dueDate: dueDate || null,
+  };
+};
+
+// Templates preset task fields; `dueInDays` sets the due date relative to
+// the day the task is created from it.
+const templateFields = (payload) => {
+  const name = String(payload.name ?? "").trim();
+  if (!name) throw apiError(400, "Template name is required.");
+  if (name.length > 60) {
+    throw apiError(400, "Template names are limited to 60 characters.");
+  }
+  const dueInDays =
+    payload.dueInDays === undefined ||
+    payload.dueInDays === null ||
+    payload.dueInDays === ""
+      ? null
+      : Number(payload.dueInDays);
+  if (dueInDays !== null && !(Number.isInteger(dueInDays) && dueInDays >= 0)) {
+    throw apiError(400, "dueInDays must be a whole number of days.");
+  }
+  return {
+    name,
+    title: String(payload.title ?? "").trim(),
+    description: String(payload.description ?? ""),
+    priority: PRIORITIES.includes(payload.priority)
+      ? payload.priority
+      : "medium",
+    assignedTo: payload.assignedTo || null,
+    dueInDays,
+    recurrence: taskRecurrence(payload.recurrence),
+  };
+};
+
+// Every task write bumps `version`; tasks stored before versioning count as
+// version 0. Writers may send the version they last saw as `baseVersion`
+// and get a 409 when someone else has changed the task since.
+const taskVersion = (task) => task.version ?? 0;
+
+const checkVersion = (task, baseVersion) => {
+  if (baseVersion === undefined || baseVersion === null || baseVersion === "") {
+    return;
+  }
+  if (Number(baseVersion) !== taskVersion(task)) {
+    throw apiError(
+      409,
+      "This task was changed by someone else since you loaded it.",
+      "version_conflict"
+    );
+  }
+};
+
+const COMMENT_MAX_LENGTH = 2000;
+
+const commentBody = (body) => {
+  const text = String(body ?? "").trim();
+  if (!text) throw apiError(400, "Comment cannot be empty.");
+  if (text.length > COMMENT_MAX_LENGTH) {
+    throw apiError(
+      400,
+      `Comments are limited to ${COMMENT_MAX_LENGTH} characters.`
+    );
+  }
+  return text;
+};
+
+/**
+ * Task/user API implemented on top of a `Storage` (see storage.js).
+ * Stateless apart from storage: every call carries its own token, so the same
+ * service backs the in-browser adapter and the mock REST server.
+ *
+ * Options: `storage` (required), `delay` (artificial latency), `tokenSecret`
+ * (HMAC key; generated and stored on first use when omitted),
+ * `accessTokenTtl` / `refreshTokenTtl` in ms (see sessions.js), `events`,
+ * a hub that receives a change event for every task/user write (events.js),
+ * and `paymentProvider`, which charges wallet top-ups (payments.js; the fake
+ * provider when omitted).
+ *
+ * @param {{
+ *   storage: import("./storage.js").Storage,
+ *   delay?: (ms?: number) => Promise<void>,
+ *   events?: { publish: (event: object) => void },
+ *   tokenSecret?: string,
+ *   accessTokenTtl?: number,
+ *   refreshTokenTtl?: number,
+ *   paymentProvider?: { name: string, charge: (charge: object) => Promise<{
+ *     id: string, label: string }> },
+ * }} options
+ */
+export const createTaskService = ({
+  storage,
+  delay = async () => {},
+  events = null,
+  tokenSecret,
+  accessTokenTtl,
+  refreshTokenTtl,
+  paymentProvider = createFakePaymentProvider(),
+}) => {
+  const ready = seedIfEmpty(storage).then(() =>
+    upgradeStoredPasswords(storage)
+  );
+  const read = async (k, fallback) => {
+    await ready;
+    return storage.read(k, fallback);
+  };
+  const write = (k, v) => storage.write(k, v);
+
+  // Ended sessions are published as "session.end" so that servers can close
+  // their event streams (server/events.js).
+  const sessions = createSessionManager({
+    read,
+    write,
+    secret: tokenSecret,
+    accessTokenTtl,
+    refreshTokenTtl,
+    onRevoke: (session) =>
+      events?.publish({
+        type: "session.end",
+        entity: "session",
+        id: session.id,
+        data: { userId: session.userId },
+        actorId: null,
+        at: nowISO(),
+      }),
+  });
+  const audit = createAuditLog({ read, write });
+  const notifier = createNotifier({ read, write });
+  const wallets = createWallets({ read, write });
+  const loyalty = createLoyalty({ read, write });
+  const shipments = createShipments({ read, write });
+  // Every task/user write is audited and then published to `events`; task
+  // events carry the task's `relations` (see relations.js).
+  const publish = (actor, action, entity, before, after) =>
+    events?.publish({
+      type: action,
+      entity,
+      id: (after || before).id,
+      data: after,
+      actorId: actor?.id ?? null,
+      at: nowISO(),
+    });
+  // A change to a task's status, title or parent also changes the
+  // `relations` summary of its parents, subtasks and the tasks it blocks;
+  // those get a "task.relations" event (their own fields are unchanged).
+  const publishRelatives = (actor, before, after, index) => {
+    const changed = ["status", "title", "parentId"].some(
+      (f) => before?.[f] !== after?.[f]
+    );
+    if (!changed) return;
+    const id = (after || before).id;
+    const ids = new Set([before?.parentId, after?.parentId].filter(Boolean));
+    for (const t of index.byId.values()) {
+      if (t.parentId === id || t.blockedBy?.includes(id)) ids.add(t.id);
+    }
+    for (const relative of ids) {
+      const task = index.byId.get(relative);
+      if (task) {
+        publish(actor, "task.relations", "task", task, {
+          id: task.id,
+          relations: withRelations(task, index).relations,
+        });
+      }
+    }
+  };
+  // Updates that touch no audited field (e.g. board reordering) aren't logged
+  // but are still published. `index` is a relationIndex() of the tasks after
+  // the write; without one the tasks are read again.
+  const auditTask = async (actor, action, before, after, index = null) => {
+    const changes = diffFields(before, after, TASK_AUDIT_FIELDS);
+    if (action !== "task.update" || changes.length) {
+      await audit.record({
+        actor,
+        action,
+        entity: "task",
+        entityId: (after || before).id,
+        label: (after || before).title,
+        changes,
+      });
+    }
+    if (!events) return;
+    const tasks = index ?? relationIndex(await read(KEYS.tasks, []));
+    publish(actor, action, "task", before, after && withRelations(after, tasks));
+    publishRelatives(actor, before, after, tasks);
+  };
+  const auditUser = async (actor, action, before, after) => {
+    await audit.record({
+      actor,
+      action,
+      entity: "user",
+      entityId: (after || before).id,
+      label: (after || before).name,
+      changes: diffFields(before, after, USER_AUDIT_FIELDS),
+    });
+    publish(actor, action, "user", before, after && sanitize(after));
+  };
+  // "schedule"-triggered series get their next task once the latest one is
+  // due, whether or not it is done; missed dates are skipped, so a series
+  // adds at most its current and its next task. Runs before task lists, so
+  // it needs no timer.
+  const spawnScheduled = async () => {
+    const tasks = await read(KEYS.tasks, []);
+    const now = today();
+    const isDue = (t) =>
+      t.recurrence?.trigger === "schedule" &&
+      !t.nextTaskId &&
+      t.dueDate &&
+      String(t.dueDate).slice(0, 10) <= now;
+    const created = [];
+    tasks.forEach((t, i) => {
+      if (!isDue(t)) return;
+      let at = i;
+      while (isDue(tasks[at])) {
+        const next = catchUpInstance(tasks[at], now);
+        if (!next) break;
+        tasks[at] = { ...tasks[at], nextTaskId: next.id };
+        at = tasks.push(next) - 1;
+        created.push(at);
+      }
+    });
+    if (!created.length) return;
+    await write(KEYS.tasks, tasks);
+    const index = relationIndex(tasks);
+    for (const at of created) {
+      await auditTask(null, "task.create", null, tasks[at], index);
+    }
+  };
+
+  const findUser = async (id) =>
+    (await read(KEYS.users, [])).find((u) => u.id === id) || null;
+  const findActiveUser = async (id) => {
+    const user = await findUser(id);
+    return user && isActive(user) ? user : null;
+  };
+
+  // Resolves the signed-in user for an access token, or throws 401.
+  const authenticate = async (token) => {
+    const { userId } = await sessions.authenticate(token);
+    const user = await findUser(userId);
+    if (!user) throw apiError(401, "Unauthorized");
+    if (!isActive(user)) {
+      throw apiError(
+        401,
+        "This account has been deactivated.",
+        "account_disabled"
+      );
+    }
+    return user;
+  };
+  // Users on a default/temporary password may only change it until they do.
+  const requireUser = async (token) => {
+    const me = await authenticate(token);
+    if (me.mustChangePassword) {
+      throw apiError(
+        403,
+        "You must change your password before continuing.",
+        "password_change_required"
+      );
+    }
+    return me;
+  };
+
+  // Current role -> permissions policy (see rbac.js).
+  const loadPolicy = async () => ({
+    ...(await read(KEYS.roles, DEFAULT_ROLES)),
+    [LOCKED_ROLE]: ALL_PERMISSIONS,
+  });
+  const requirePermission = async (token, permission, message) => {
+    const me = await requireUser(token);
+    const policy = await loadPolicy();
+    if (!can(policy, me, permission)) throw apiError(403, message);
+    return { me, policy };
+  };
+  const loadTask = async (id) => {
+    const task = (await read(KEYS.tasks, [])).find((t) => t.id === id);
+    if (!task) throw apiError(404, "Task not found.");
+    return task;
+  };
+  const findComment = (comments, taskId, id) => {
+    const idx = comments.findIndex((c) => c.id === id && c.taskId === taskId);
+    if (idx < 0) throw apiError(404, "Comment not found.");
+    return idx;
+  };
+  // Active users mentioned in `text` (handles come from every user).
+  const mentionedIds = async (text) => {
+    const users = await read(KEYS.users, []);
+    const active = new Set(users.filter(isActive).map((u) => u.id));
+    return extractMentions(text, users).filter((id) => active.has(id));
+  };
+
+  // Notifications (notifications.js) for the people a change concerns; the
+  // actor is never notified about their own change.
+  const notifyAssigned = (actor, task) =>
+    task.assignedTo && task.assignedTo !== actor.id
+      ? notifier.deliver([
+          {
+            userId: task.assignedTo,
+            type: "assignment",
+            title: `${actor.name} assigned you a task`,
+            body: task.title,
+            link: `/tasks/${task.id}`,
+          },
+        ])
+      : null;
+  const notifyMentioned = async (actor, comment, alreadyMentioned = []) => {
+    const task = await loadTask(comment.taskId);
+    return notifier.deliver(
+      comment.mentions
+        .filter((id) => id !== actor.id && !alreadyMentioned.includes(id))
+        .map((userId) => ({
+          userId,
+          type: "mention",
+          title: `${actor.name} mentioned you on "${task.title}"`,
+          body: comment.body,
+          link: `/tasks/${task.id}`,
+        }))
+    );
+  };
+  // Reminders for the user's open tasks due today or tomorrow, and for
+  // overdue ones. They are checked whenever the user reads notifications and
+  // sent once per task and due date.
+  const remindDue = async (me) => {
+    const now = today();
+    const soon = addDays(now, 1);
+    const reminders = [];
+    for (const t of await read(KEYS.tasks, [])) {
+      if (t.assignedTo !== me.id || t.status === "done" || !t.dueDate) {
+        continue;
+      }
+      const due = String(t.dueDate).slice(0, 10);
+      const type = due < now ? "overdue" : due <= soon ? "due_soon" : null;
+      if (!type) continue;
+      reminders.push({
+        userId: me.id,
+        type,
+        title:
+          type === "overdue"
+            ? `Overdue since ${due}`
+            : `Due ${due === now ? "today" : "tomorrow"}`,
+        body: t.title,
+        link: `/tasks/${t.id}`,
+        key: `${type}:${t.id}:${due}`,
+      });
+    }
+    await notifier.deliver(reminders);
+  };
+  // The voucher to use on `order` (vouchers.js): the one with `code`, or
+  // the best of the user's. A `code` that can't be used fails with its
+  // reason as the error code.
+  const pickVoucher = async (userId, order, code) => {
+    const mine = await wallets.vouchers(userId);
+    if (!normalizeCode(code)) return bestVoucher(mine, order);
+    const voucher = mine.find((v) => v.code === normalizeCode(code));
+    if (!voucher) {
+      throw apiError(
+        404,
+        `${normalizeCode(code)} isn't in your wallet.`,
+        "voucher_not_found"
+      );
+    }
+    const problem = checkVoucher(voucher, order);
+    if (problem) throw apiError(409, problem.message, problem.reason);
+    return {
+      voucher,
+      discount: voucherDiscount(voucher, order.subtotal),
+      rejected: [],
+    };
+  };
+  // A booking priced for the user: the best (or `code`) voucher unless
+  // `useVoucher` is false, then up to `coins` off what is left.
+  const priceShipment = async (
+    userId,
+    { code, useVoucher = true, coins = 0, ...input }
+  ) => {
+    const booking = shipmentBooking(input);
+    const { currency, balance } = await wallets.account(userId);
+    const price = shipmentPrice(booking);
+    const order = {
+      service: booking.service,
+      subtotal: price.subtotal,
+      currency,
+    };
+    const { voucher, discount, rejected } = useVoucher
+      ? await pickVoucher(userId, order, code)
+      : { voucher: null, discount: 0, rejected: [] };
+    const rules = await loyalty.rules();
+    const account = await loyalty.account(userId);
+    const paid = coinDiscount(rules, {
+      coins: coins ? coinAmount(coins, rules) : 0,
+      subtotal: price.subtotal - discount,
+      balance: account.balance,
+    });
+    const total = price.subtotal - discount - paid.discount;
+    return {
+      booking,
+      quote: {
+        service: booking.service,
+        ...price,
+        voucher,
+        voucherDiscount: discount,
+        rejected,
+        coins: paid.coins,
+        coinDiscount: paid.discount,
+        total,
+        currency,
+        balance,
+        coinBalance: account.balance,
+        coinsToEarn: await loyalty.estimate(userId, {
+          service: booking.service,
+          spend: total,
+        }),
+        estimatedDelivery: estimatedDelivery(booking),
+      },
+    };
+  };
+  // Top-ups still being charged, by user and idempotency key: a retry that
+  // arrives meanwhile waits for the first attempt instead of charging again.
+  const topUpsInFlight = new Map();
+  const chargeTopUp = async (me, { amount, source, key }) => {
+    const account = await wallets.account(me.id);
+    const earlier = await wallets.findEntry(me.id, key);
+    if (earlier) return { entry: earlier, balance: account.balance };
+    let charge;
+    try {
+      charge = await paymentProvider.charge({
+        userId: me.id,
+        amount,
+        currency: account.currency,
+        source,
+        idempotencyKey: key,
+      });
+    } catch (err) {
+      if (err.code === "invalid_source") {
+        throw apiError(400, err.message, err.code);
+      }
+      if (err.code === "payment_declined") {
+        throw apiError(402, err.message, err.code);
+      }
+      throw apiError(
+        502,
+        "The payment provider is unavailable. You were not charged.",
+        "payment_failed"
+      );
+    }
+    return wallets.post(me.id, {
+      type: "credit",
+      kind: "topup",
+      amount,
+      description: `Top-up from ${charge.label}`,
+      reference: charge.id,
+      key,
+    });
+  };
+  const loadShipment = async (userId, id) => {
+    const found = await shipments.find(id);
+    if (!found || found.userId !== userId) {
+      throw apiError(404, "Shipment not found.");
+    }
+    return found.shipment;
+  };
+  const notifyShipment = (userId, shipment) =>
+    notifier.deliver([
+      {
+        userId,
+        type: "package",
+        ...statusNotice(shipment),
+        link: `/shipments/${shipment.id}`,
+        key: `shipment:${shipment.id}:${shipment.status}`,
+      },
+    ]);
+  const assertRoleExists = (policy, role) => {
+    if (!Object.hasOwn(policy, role)) {
+      throw apiError(400, `Unknown role "${role}".`, "unknown_role");
+    }
+  };
+
+  // User-management mutations share the same guard and lookup.
+  const requireUserAdmin = async (token, action) => {
+    const me = await requireUser(token);
+    const policy = await loadPolicy();
+    if (!canManageUsers(policy, me)) {
+      throw apiError(403, `Forbidden: you cannot ${action} users.`);
+    }
+    return { me, policy };
+  };
+  const loadTargetUser = async (id) => {
+    const users = await read(KEYS.users, []);
+    const idx = users.findIndex((u) => u.id === id);
+    if (idx < 0) throw apiError(404, "User not found.");
+    return { users, idx, user: users[idx] };
+  };
+  // The last active admin can't be demoted, deactivated or deleted.
+  const assertNotLastAdmin = (users, user) => {
+    const admins = users.filter((u) => u.role === LOCKED_ROLE && isActive(u));
+    if (user.role === LOCKED_ROLE && isActive(user) && admins.length === 1) {
+      throw apiError(
+        409,
+        "At least one active admin is required.",
+        "last_admin"
+      );
+    }
+  };
+
+  return {
+    auth: {
+      login: async ({ email, password }) => {
+        await delay();
+        const users = await read(KEYS.users, []);
+        const user = users.find((u) => sameEmail(u, normalizeEmail(email)));
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+          throw apiError(
+            401,
+            "Invalid email or password.",
+            "invalid_credentials"
+          );
+        }
+        if (!isActive(user)) {
+          throw apiError(
+            403,
+            "This account has been deactivated. Contact an administrator.",
+            "account_disabled"
+          );
+        }
+        return { ...(await sessions.start(user)), user: sanitize(user) };
+      },
+      refresh: async ({ refreshToken }) => {
+        await delay(100);
+        const next = await sessions.refresh(refreshToken, findActiveUser);
+        return { ...next, user: sanitize(next.user) };
+      },
+      logout: async ({ token, refreshToken } = {}) => {
+        await delay(100);
+        await sessions.revoke({ token, refreshToken });
+        return { ok: true };
+      },
+      me: async ({ token }) => {
+        await delay(100);
+        const user = await authenticate(token);
+        return { token, user: sanitize(user) };
+      },
+      changePassword: async ({ token, currentPassword, newPassword }) => {
+        await delay();
+        const me = await authenticate(token);
+        if (!(await verifyPassword(currentPassword, me.passwordHash))) {
+          throw apiError(
+            400,
+            "Current password is incorrect.",
+            "invalid_current_password"
+          );
+        }
+        if (currentPassword === newPassword) {
+          throw weakPasswordError(["Choose a password you haven't used."]);
+        }
+        const problems = validatePassword(newPassword, me);
+        if (problems.length) throw weakPasswordError(problems);
+
+        // hashing is slow, so it happens before the users are read: other
+        // writes made meanwhile would otherwise be overwritten
+        const passwordHash = await hashPassword(newPassword);
+        const users = await read(KEYS.users, []);
+        const idx = users.findIndex((u) => u.id === me.id);
+        users[idx] = {
+          ...users[idx],
+          passwordHash,
+          mustChangePassword: false,
+          passwordChangedAt: nowISO(),
+        };
+        await write(KEYS.users, users);
+        await auditUser(me, "user.password_change", me, users[idx]);
+        // sign out other devices that may know the old password
+        const { sessionId } = await sessions.authenticate(token);
+        await sessions.revokeAllFor(me.id, { except: sessionId });
+        return sanitize(users[idx]);
+      },
+    },
+    users: {
+      // Everyone gets the directory (directoryEntry); `users.view` adds the
+      // full records. Both carry each user's mention `handle`.
+      list: async ({ token }) => {
+        await delay();
+        const me = await requireUser(token);
+        const full = can(await loadPolicy(), me, "users.view");
+        const users = await read(KEYS.users, []);
+        const handles = mentionHandles(users);
+        return users.map((u) => ({
+          ...(full ? sanitize(u) : directoryEntry(u)),
+          handle: handles.get(u.id),
+        }));
+      },
+      create: async ({ token, payload }) => {
+        await delay();
+        const { me, policy } = await requireUserAdmin(token, "create");
+        const name = userName(payload.name);
+        const email = userEmail(payload.email);
+        assertRoleExists(policy, payload.role);
+        // No password given: issue a random one and hand it back once.
+        const temporaryPassword = payload.password
+          ? null
+          : generateTemporaryPassword();
+        if (payload.password) {
+          const problems = validatePassword(payload.password, { email });
+          if (problems.length) throw weakPasswordError(problems);
+        }
+        // hashed before the users are read, as in changePassword
+        const passwordHash = await hashPassword(
+          payload.password || temporaryPassword
+        );
+        const users = await read(KEYS.users, []);
+        if (users.some((u) => sameEmail(u, email))) {
+          throw apiError(409, "Email already exists.", "email_taken");
+        }
+        const newUser = {
+          id: uid(),
+          name,
+          email,
+          role: payload.role,
+          passwordHash,
+          // passwords set by an admin are known to them: rotate on first login
+          mustChangePassword: true,
+          active: true,
+          createdAt: nowISO(),
+        };
+        users.push(newUser);
+        await write(KEYS.users, users);
+        await auditUser(me, "user.create", null, newUser);
+        return temporaryPassword
+          ? { ...sanitize(newUser), temporaryPassword }
+          : sanitize(newUser);
+      },
+      update: async ({ token, id, payload }) => {
+        await delay();
+        const { me, policy } = await requireUserAdmin(token, "edit");
+        const { users, idx, user } = await loadTargetUser(id);
+        const patch = {};
+        if (payload.name !== undefined) patch.name = userName(payload.name);
+        const email =
+          payload.email === undefined ? undefined : userEmail(payload.email);
+        if (email !== undefined && email !== user.email) {
+          if (users.some((u) => u.id !== id && sameEmail(u, email))) {
+            throw apiError(409, "Email already exists.", "email_taken");
+          }
+          patch.email = email;
+        }
+        if (payload.role !== undefined && payload.role !== user.role) {
+          assertRoleExists(policy, payload.role);
+          assertNotLastAdmin(users, user);
+          patch.role = payload.role;
+        }
+        users[idx] = { ...user, ...patch, updatedAt: nowISO() };
+        await write(KEYS.users, users);
+        if (Object.keys(patch).length) {
+          await auditUser(me, "user.update", user, users[idx]);
+        }
+        return sanitize(users[idx]);
+      },
+      deactivate: async ({ token, id }) => {
+        await delay();
+        const { me } = await requireUserAdmin(token, "deactivate");
+        if (id === me.id) {
+          throw apiError(409, "You cannot deactivate your own account.");
+        }
+        const { users, idx, user } = await loadTargetUser(id);
+        assertNotLastAdmin(users, user);
+        users[idx] = { ...user, active: false, deactivatedAt: nowISO() };
+        await write(KEYS.users, users);
+        await auditUser(me, "user.deactivate", user, users[idx]);
+        await sessions.revokeAllFor(id);
+        return sanitize(users[idx]);
+      },
+      reactivate: async ({ token, id }) => {
+        await delay();
+        const { me } = await requireUserAdmin(token, "reactivate");
+        const { users, idx, user } = await loadTargetUser(id);
+        users[idx] = { ...user, active: true, deactivatedAt: null };
+        await write(KEYS.users, users);
+        await auditUser(me, "user.reactivate", user, users[idx]);
+        return sanitize(users[idx]);
+      },
+      // Tasks assigned to the user go to `reassignTo`, or are left unassigned.
+      remove: async ({ token, id, reassignTo = null }) => {
+        await delay();
+        const { me } = await requireUserAdmin(token, "delete");
+        if (id === me.id) {
+          throw apiError(409, "You cannot delete your own account.");
+        }
+        const { users, user } = await loadTargetUser(id);
+        assertNotLastAdmin(users, user);
+        if (reassignTo) {
+          const target = users.find((u) => u.id === reassignTo);
+          if (!target || target.id === id || !isActive(target)) {
+            throw apiError(400, "Tasks must be reassigned to an active user.");
+          }
+        }
+        const tasks = await read(KEYS.tasks, []);
+        const moved = [];
+        const nextTasks = tasks.map((t) => {
+          if (t.assignedTo !== id) return t;
+          const next = {
+            ...t,
+            assignedTo: reassignTo,
+            updatedAt: nowISO(),
+            version: taskVersion(t) + 1,
+          };
+          moved.push([t, next]);
+          return next;
+        });
+        await write(KEYS.tasks, nextTasks);
+        await write(KEYS.users, users.filter((u) => u.id !== id));
+        const views = await read(KEYS.views, []);
+        await write(
+          KEYS.views,
+          views
+            .filter((v) => v.ownerId !== id)
+            .map((v) => ({
+              ...v,
+              pinnedBy: (v.pinnedBy || []).filter((u) => u !== id),
+            }))
+        );
+        // templates are shared, so they pass to the admin removing the user
+        const templates = await read(KEYS.templates, []);
+        await write(
+          KEYS.templates,
+          templates.map((t) => ({
+            ...t,
+            ownerId: t.ownerId === id ? me.id : t.ownerId,
+            assignedTo: t.assignedTo === id ? reassignTo : t.assignedTo,
+          }))
+        );
+        await sessions.revokeAllFor(id);
+        const index = relationIndex(nextTasks);
+        for (const [before, after] of moved) {
+          await auditTask(me, "task.update", before, after, index);
+        }
+        await notifier.forget(id);
+        await wallets.forget(id);
+        await loyalty.forget(id);
+        await shipments.forget(id);
+        if (reassignTo && reassignTo !== me.id && moved.length) {
+          await notifier.deliver([
+            {
+              userId: reassignTo,
+              type: "assignment",
+              title: `${me.name} reassigned ${moved.length} task${
+                moved.length === 1 ? "" : "s"
+              } to you`,
+              body: `They were assigned to ${user.name}, who was removed.`,
+              link: "/tasks?mine=1",
+            },
+          ]);
+        }
+        await auditUser(me, "user.delete", user, null);
+        return { ok: true, reassigned: moved.length };
+      },
+    },
+    tasks: {
+      // Filters and sorting: see taskQuery.js for the full query contract.
+      // Cursor mode (`limit`, `cursor`) returns { items, nextCursor, total };
+      // page mode returns paginate()'s shape.
+      list: async ({
+        token,
+        page = 1,
+        pageSize = 5,
+        limit,
+        cursor,
+        ...query
+      }) => {
+        await delay();
+        const me = await requireUser(token);
+        await spawnScheduled();
+        if (query.sortBy && !SORT_KEYS.includes(query.sortBy)) {
+          throw apiError(400, `Cannot sort tasks by "${query.sortBy}".`);
+        }
+        if (query.sortDir && !["asc", "desc"].includes(query.sortDir)) {
+          throw apiError(400, 'sortDir must be "asc" or "desc".');
+        }
+        const all = await read(KEYS.tasks, []);
+        const tasks = filterTasks(all, query, me);
+        const compare = compareTasks(query.sortBy, query.sortDir);
+        const decorate = (items) => {
+          const index = relationIndex(all, items);
+          return items.map((t) => withRelations(t, index));
+        };
+        if (!limit && !cursor) {
+          tasks.sort(compare);
+          const result = paginate(tasks, page, pageSize);
+          return { ...result, items: decorate(result.items) };
+        }
+
+        let rest = tasks;
+        if (cursor) {
+          const after = decodeCursor(cursor, query.sortBy, query.sortDir);
+          if (!after) {
+            throw apiError(
+              400,
+              "This list cursor is invalid or was issued for another sort.",
+              "invalid_cursor"
+            );
+          }
+          rest = tasks.filter((t) => compare(t, after) > 0);
+        }
+        const size = Math.min(Math.max(Number(limit) || 20, 1), 500);
+        // one extra item tells whether there is a next batch
+        const items = firstSorted(rest, compare, size + 1);
+        const more = items.length > size;
+        if (more) items.pop();
+        return {
+          items: decorate(items),
+          total: tasks.length,
+          nextCursor: more
+            ? encodeCursor(items.at(-1), query.sortBy, query.sortDir)
+            : null,
+        };
+      },
+      get: async ({ token, id }) => {
+        await delay();
+        await requireUser(token);
+        const tasks = await read(KEYS.tasks, []);
+        const task = tasks.find((t) => t.id === id);
+        if (!task) throw apiError(404, "Task not found.");
+        return withRelations(task, relationIndex(tasks, [task]));
+      },
+      create: async ({ token, payload }) => {
+        await delay();
+        const { me, policy } = await requirePermission(
+          token,
+          "tasks.create",
+          "Forbidden: you cannot create tasks."
+        );
+
+        // without tasks.assign, force assignedTo to self if they try
+        let assignedTo = payload.assignedTo || me.id;
+        if (!canAssignTasks(policy, me) && assignedTo !== me.id) {
+          assignedTo = me.id;
+        }
+
+        const fields = taskFields(payload);
+        const tasks = await read(KEYS.tasks, []);
+        const id = uid();
+        const recurrence = anchorRecurrence(
+          taskRecurrence(payload.recurrence),
+          fields.dueDate
+        );
+        const index = relationIndex(tasks);
+        const links = relationFields(payload, index);
+        const newTask = {
+          id,
+          ...fields,
+          createdAt: nowISO(),
+          updatedAt: nowISO(),
+          createdBy: me.id,
+          assignedTo,
+          // new cards go to the bottom of their board column
+          sortOrder: Date.now(),
+          version: 1,
+          recurrence,
+          seriesId: recurrence ? id : null,
+          nextTaskId: null,
+          ...links,
+          checklist: taskChecklist(payload.checklist),
+        };
+        if (newTask.status === "done") checkBlockers(newTask, index);
+        tasks.push(newTask);
+        await write(KEYS.tasks, tasks);
+        const after = relationIndex(tasks);
+        await auditTask(me, "task.create", null, newTask, after);
+        await notifyAssigned(me, newTask);
+        return withRelations(newTask, after);
+      },
+      // `relations` is derived (relations.js), so a copy sent back is ignored.
+      update: async ({
+        token,
+        id,
+        payload: { baseVersion, relations: _relations, ...payload },
+      }) => {
+        await delay();
+        const me = await requireUser(token);
+        const tasks = await read(KEYS.tasks, []);
+        const idx = tasks.findIndex((t) => t.id === id);
+        if (idx < 0) throw apiError(404, "Not found");
+
+        const t = tasks[idx];
+        const policy = await loadPolicy();
+        if (!canUpdateTask(policy, me, t)) {
+          throw apiError(403, "Forbidden: you cannot update this task.");
+        }
+        checkVersion(t, baseVersion);
+
+        if (
+          payload.sortOrder !== undefined &&
+          !Number.isFinite(payload.sortOrder)
+        ) {
+          throw apiError(400, "sortOrder must be a number.");
+        }
+        const fields = taskFields(payload, t);
+
+        // assignment rules
+        let assignedTo = payload.assignedTo ?? t.assignedTo;
+        if (payload.assignedTo !== undefined && !canAssignTasks(policy, me)) {
+          // without tasks.assign, assignment can't change
+          assignedTo = t.assignedTo;
+        }
+
+        // A new rule keeps the series' occurrence count. The series keeps
+        // its day of the month until the due date is moved.
+        const dueMoved =
+          String(fields.dueDate ?? "").slice(0, 10) !==
+          String(t.dueDate ?? "").slice(0, 10);
+        const recurrence = anchorRecurrence(
+          payload.recurrence === undefined
+            ? t.recurrence ?? null
+            : taskRecurrence(
+                payload.recurrence && {
+                  ...payload.recurrence,
+                  index: t.recurrence?.index,
+                }
+              ),
+          fields.dueDate,
+          dueMoved ? undefined : t.recurrence?.anchorDay
+        );
+
+        const index = relationIndex(tasks);
+        const links =
+          payload.parentId === undefined && payload.blockedBy === undefined
+            ? {}
+            : relationFields(
+                {
+                  parentId:
+                    payload.parentId === undefined
+                      ? t.parentId
+                      : payload.parentId,
+                  blockedBy:
+                    payload.blockedBy === undefined
+                      ? t.blockedBy
+                      : payload.blockedBy,
+                },
+                index,
+                id
+              );
+        const checklist =
+          payload.checklist === undefined
+            ? t.checklist
+            : taskChecklist(payload.checklist);
+
+        // only the fields a client may write; ids, authorship and series
+        // links stay as stored
+        const updated = {
+          ...t,
+          ...fields,
+          sortOrder: payload.sortOrder ?? t.sortOrder,
+          assignedTo,
+          recurrence,
+          ...links,
+          checklist,
+          updatedAt: nowISO(),
+          version: taskVersion(t) + 1,
+        };
+        if (updated.status === "done" && t.status !== "done") {
+          checkBlockers(updated, index);
+        }
+        // completing a task of a "complete"-triggered series creates the next
+        let next = null;
+        if (
+          updated.status === "done" &&
+          t.status !== "done" &&
+          recurrence?.trigger === "complete" &&
+          !t.nextTaskId
+        ) {
+          next = nextInstance(updated);
+          if (next) {
+            updated.nextTaskId = next.id;
+            tasks.push(next);
+          }
+        }
+        tasks[idx] = updated;
+        await write(KEYS.tasks, tasks);
+        const after = relationIndex(tasks);
+        await auditTask(me, "task.update", t, updated, after);
+        if (next) await auditTask(me, "task.create", null, next, after);
+        if (updated.assignedTo !== t.assignedTo) {
+          await notifyAssigned(me, updated);
+        }
+        return withRelations(updated, after);
+      },
+      remove: async ({ token, id, baseVersion }) => {
+        await delay();
+        const me = await requireUser(token);
+        const tasks = await read(KEYS.tasks, []);
+        const t = tasks.find((x) => x.id === id);
+        if (!t) throw apiError(404, "Not found");
+        if (!canDeleteTask(await loadPolicy(), me, t)) {
+          throw apiError(403, "Forbidden: you cannot delete this task.");
+        }
+        checkVersion(t, baseVersion);
+        // its subtasks become top-level and the tasks it blocked stop
+        // waiting on it
+        const detached = [];
+        const next = tasks
+          .filter((x) => x.id !== id)
+          .map((x) => {
+            if (x.parentId !== id && !x.blockedBy?.includes(id)) return x;
+            const after = {
+              ...x,
+              parentId: x.parentId === id ? null : x.parentId,
+              blockedBy: x.blockedBy?.filter((b) => b !== id) ?? [],
+              updatedAt: nowISO(),
+              version: taskVersion(x) + 1,
+            };
+            detached.push([x, after]);
+            return after;
+          });
+        await write(KEYS.tasks, next);
+        const index = relationIndex(next);
+        await auditTask(me, "task.delete", t, null, index);
+        for (const [before, after] of detached) {
+          await auditTask(me, "task.update", before, after, index);
+        }
+        const comments = await read(KEYS.comments, []);
+        await write(KEYS.comments, comments.filter((c) => c.taskId !== id));
+        return { ok: true };
+      },
+      // Audit entries for one task, newest first.
+      history: async ({ token, id }) => {
+        await delay(100);
+        await requireUser(token);
+        await loadTask(id);
+        return audit.query({ entity: "task", entityId: id });
+      },
+      // Threaded comments: `parentId` points at the comment being replied to
+      // (null for top-level). Lists are flat and oldest first; clients build
+      // the tree.
+      comments: {
+        list: async ({ token, taskId }) => {
+          await delay(100);
+          await requireUser(token);
+          await loadTask(taskId);
+          return (await read(KEYS.comments, []))
+            .filter((c) => c.taskId === taskId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        },
+        create: async ({ token, taskId, body, parentId = null }) => {
+          await delay();
+          const { me } = await requirePermission(
+            token,
+            "tasks.comment",
+            "Forbidden: you cannot comment on tasks."
+          );
+          await loadTask(taskId);
+          const text = commentBody(body);
+          const comments = await read(KEYS.comments, []);
+          if (parentId) {
+            const parent = comments.find((c) => c.id === parentId);
+            if (!parent || parent.taskId !== taskId) {
+              throw apiError(
+                400,
+                "The comment you replied to no longer exists."
+              );
+            }
+          }
+          const comment = {
+            id: uid(),
+            taskId,
+            parentId: parentId || null,
+            authorId: me.id,
+            body: text,
+            mentions: await mentionedIds(text),
+            createdAt: nowISO(),
+            updatedAt: nowISO(),
+            editedAt: null,
+          };
+          comments.push(comment);
+          await write(KEYS.comments, comments);
+          await notifyMentioned(me, comment);
+          return comment;
+        },
+        update: async ({ token, taskId, id, body }) => {
+          await delay();
+          const me = await requireUser(token);
+          const comments = await read(KEYS.comments, []);
+          const idx = findComment(comments, taskId, id);
+          if (!canEditComment(me, comments[idx])) {
+            throw apiError(
+              403,
+              "Forbidden: you can only edit your own comments."
+            );
+          }
+          if (comments[idx].deletedAt) {
+            throw apiError(409, "This comment has been deleted.");
+          }
+          const text = commentBody(body);
+          const before = comments[idx];
+          comments[idx] = {
+            ...comments[idx],
+            body: text,
+            mentions: await mentionedIds(text),
+            updatedAt: nowISO(),
+            editedAt: nowISO(),
+          };
+          await write(KEYS.comments, comments);
+          // only people newly mentioned by the edit
+          await notifyMentioned(me, comments[idx], before.mentions);
+          return comments[idx];
+        },
+        // Comments with replies are blanked rather than removed so the
+        // thread under them survives.
+        remove: async ({ token, taskId, id }) => {
+          await delay();
+          const me = await requireUser(token);
+          const comments = await read(KEYS.comments, []);
+          const idx = findComment(comments, taskId, id);
+          if (!canDeleteComment(await loadPolicy(), me, comments[idx])) {
+            throw apiError(403, "Forbidden: you cannot delete this comment.");
+          }
+          if (comments.some((c) => c.parentId === id)) {
+            comments[idx] = {
+              ...comments[idx],
+              body: "",
+              mentions: [],
+              updatedAt: nowISO(),
+              deletedAt: nowISO(),
+            };
+            await write(KEYS.comments, comments);
+          } else {
+            await write(KEYS.comments, comments.filter((c) => c.id !== id));
+          }
+          return { ok: true };
+        },
+      },
+    },
+    // Task templates are shared with everyone; only their owner edits them.
+    templates: {
+      list: async ({ token }) => {
+        await delay(100);
+        await requireUser(token);
+        return (await read(KEYS.templates, [])).sort((a, b) =>
+          a.name.localeCompare(b.name)
+        );
+      },
+      create: async ({ token, payload }) => {
+        await delay();
+        const { me } = await requirePermission(
+          token,
+          "tasks.create",
+          "Forbidden: you cannot create tasks."
+        );
+        const fields = templateFields(payload);
+        const templates = await read(KEYS.templates, []);
+        if (templates.some((t) => t.name === fields.name)) {
+          throw apiError(409, `A template named "${fields.name}" exists.`);
+        }
+        const template = {
+          id: uid(),
+          ...fields,
+          ownerId: me.id,
+          createdAt: nowISO(),
+          updatedAt: nowISO(),
+        };
+        templates.push(template);
+        await write(KEYS.templates, templates);
+        return template;
+      },
+      update: async ({ token, id, payload }) => {
+        await delay();
+        const me = await requireUser(token);
+        const templates = await read(KEYS.templates, []);
+        const idx = templates.findIndex((t) => t.id === id);
+        if (idx < 0) throw apiError(404, "Template not found.");
+        if (templates[idx].ownerId !== me.id) {
+          throw apiError(
+            403,
+            "Forbidden: only the owner can change a template."
+          );
+        }
+        const fields = templateFields({ ...templates[idx], ...payload });
+        if (templates.some((t) => t.id !== id && t.name === fields.name)) {
+          throw apiError(409, `A template named "${fields.name}" exists.`);
+        }
+        templates[idx] = { ...templates[idx], ...fields, updatedAt: nowISO() };
+        await write(KEYS.templates, templates);
+        return templates[idx];
+      },
+      remove: async ({ token, id }) => {
+        await delay();
+        const me = await requireUser(token);
+        const templates = await read(KEYS.templates, []);
+        const template = templates.find((t) => t.id === id);
+        if (!template) throw apiError(404, "Template not found.");
+        if (template.ownerId !== me.id) {
+          throw apiError(
+            403,
+            "Forbidden: only the owner can delete a template."
+          );
+        }
+        await write(
+          KEYS.templates,
+          templates.filter((t) => t.id !== id)
+        );
+        return { ok: true };
+      },
+    },
+    // Saved task queries. A view is visible to its owner, and to everyone
+    // once shared; only the owner may change or delete it. Pinning is per
+    // user, so anyone can pin a shared view to their own tabs.
+    views: {
+      list: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return (await read(KEYS.views, []))
+          .filter((v) => v.ownerId === me.id || v.shared)
+          .map((v) => presentView(v, me));
+      },
+      create: async ({ token, payload }) => {
+        await delay();
+        const me = await requireUser(token);
+        const name = viewName(payload.name);
+        const views = await read(KEYS.views, []);
+        if (views.some((v) => v.ownerId === me.id && v.name === name)) {
+          throw apiError(409, `You already have a view named "${name}".`);
+        }
+        const view = {
+          id: uid(),
+          name,
+          ownerId: me.id,
+          query: pickViewQuery(payload.query),
+          shared: Boolean(payload.shared),
+          pinnedBy: payload.pinned ? [me.id] : [],
+          createdAt: nowISO(),
+          updatedAt: nowISO(),
+        };
+        views.push(view);
+        await write(KEYS.views, views);
+        return presentView(view, me);
+      },
+      update: async ({ token, id, payload }) => {
+        await delay();
+        const me = await requireUser(token);
+        const views = await read(KEYS.views, []);
+        const idx = views.findIndex((v) => v.id === id);
+        if (idx < 0) throw apiError(404, "View not found.");
+        if (views[idx].ownerId !== me.id) {
+          throw apiError(403, "Forbidden: only the owner can change a view.");
+        }
+        const patch = {};
+        if (payload.name !== undefined) patch.name = viewName(payload.name);
+        if (payload.query !== undefined) {
+          patch.query = pickViewQuery(payload.query);
+        }
+        if (payload.shared !== undefined) {
+          patch.shared = Boolean(payload.shared);
+        }
+        views[idx] = { ...views[idx], ...patch, updatedAt: nowISO() };
+        await write(KEYS.views, views);
+        return presentView(views[idx], me);
+      },
+      pin: async ({ token, id, pinned }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const views = await read(KEYS.views, []);
+        const idx = views.findIndex(
+          (v) => v.id === id && (v.ownerId === me.id || v.shared)
+        );
+        if (idx < 0) throw apiError(404, "View not found.");
+        const others = (views[idx].pinnedBy || []).filter((u) => u !== me.id);
+        views[idx] = {
+          ...views[idx],
+          pinnedBy: pinned ? [...others, me.id] : others,
+        };
+        await write(KEYS.views, views);
+        return presentView(views[idx], me);
+      },
+      remove: async ({ token, id }) => {
+        await delay();
+        const me = await requireUser(token);
+        const views = await read(KEYS.views, []);
+        const view = views.find((v) => v.id === id);
+        if (!view) throw apiError(404, "View not found.");
+        if (view.ownerId !== me.id) {
+          throw apiError(403, "Forbidden: only the owner can delete a view.");
+        }
+        await write(KEYS.views, views.filter((v) => v.id !== id));
+        return { ok: true };
+      },
+    },
+    // The caller's own notifications (notifications.js).
+    notifications: {
+      list: async ({ token, unread = false, limit = 50 }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        await remindDue(me);
+        return notifier.list(me.id, {
+          unread,
+          limit: Math.min(Math.max(Number(limit) || 50, 1), 100),
+        });
+      },
+      markRead: async ({ token, ids }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        if (!Array.isArray(ids)) {
+          throw apiError(400, "ids must be a list of notification ids.");
+        }
+        return notifier.markRead(me.id, ids);
+      },
+      markAllRead: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return notifier.markAllRead(me.id);
+      },
+      preferences: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return notifier.preferences(me.id);
+      },
+      // `preferences` maps notification types to true (on) or false (off);
+      // types left out keep their setting.
+      updatePreferences: async ({ token, preferences }) => {
+        await delay();
+        const me = await requireUser(token);
+        const entries = Object.entries(preferences || {});
+        const bad = entries.find(
+          ([type, on]) =>
+            !NOTIFICATION_TYPES.includes(type) || typeof on !== "boolean"
+        );
+        if (bad) {
+          throw apiError(
+            400,
+            `Unknown notification type or setting: ${bad[0]}.`,
+            "invalid_preferences"
+          );
+        }
+        return notifier.setPreferences(me.id, Object.fromEntries(entries));
+      },
+    },
+    // The caller's balance and vouchers (wallet.js) and coins (loyalty.js).
+    wallet: {
+      get: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const { currency, balance, vouchers } = await wallets.summary(me.id);
+        const coins = (await loyalty.account(me.id)).balance;
+        return { currency, balance, coins, vouchers };
+      },
+      // The caller's ledger, newest first. Filters: `type` (credit or
+      // debit), `kind` (LEDGER_KINDS) and an inclusive `from`/`to` date
+      // range (YYYY-MM-DD).
+      transactions: async ({
+        token,
+        type,
+        kind,
+        from,
+        to,
+        page = 1,
+        pageSize = 20,
+      }) => {
+        await delay();
+        const me = await requireUser(token);
+        if (type && type !== "credit" && type !== "debit") {
+          throw apiError(400, "type must be credit or debit.");
+        }
+        if (kind && !LEDGER_KINDS.includes(kind)) {
+          throw apiError(400, `Unknown transaction kind: ${kind}.`);
+        }
+        const entries = await wallets.entries(me.id, { type, kind, from, to });
+        return paginate(entries, page, pageSize);
+      },
+      // Charges `source` through the payment provider and credits `amount`.
+      // Retrying with the same `idempotencyKey`, even while the first
+      // attempt is still being charged, returns the first top-up instead of
+      // charging again.
+      topUp: async ({ token, amount, source, idempotencyKey }) => {
+        await delay();
+        const me = await requireUser(token);
+        const value = walletAmount(amount, TOP_UP_LIMITS);
+        const key = idempotencyKey ? `topup:${idempotencyKey}` : null;
+        const input = { amount: value, source, key };
+        if (!key) return chargeTopUp(me, input);
+        const flight = `${me.id}:${key}`;
+        if (!topUpsInFlight.has(flight)) {
+          topUpsInFlight.set(
+            flight,
+            chargeTopUp(me, input).finally(() => topUpsInFlight.delete(flight))
+          );
+        }
+        return topUpsInFlight.get(flight);
+      },
+      // Pays from the balance, e.g. for a shipment (`reference` is its id);
+      // 409 insufficient_funds when the balance doesn't cover it.
+      pay: async ({
+        token,
+        amount,
+        reference,
+        description,
+        idempotencyKey,
+      }) => {
+        await delay();
+        const me = await requireUser(token);
+        const value = walletAmount(amount);
+        const text = String(description ?? "").trim() || "Payment";
+        if (text.length > 120) {
+          throw apiError(400, "Descriptions are limited to 120 characters.");
+        }
+        return wallets.post(me.id, {
+          type: "debit",
+          kind: "payment",
+          amount: value,
+          description: text,
+          reference: reference ? String(reference) : null,
+          key: idempotencyKey ? `payment:${idempotencyKey}` : null,
+        });
+      },
+    },
+    // The caller's vouchers and the rules for using them (vouchers.js).
+    vouchers: {
+      list: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return wallets.vouchers(me.id);
+      },
+      // Adds a promo code to the caller's wallet.
+      add: async ({ token, code }) => {
+        await delay();
+        const me = await requireUser(token);
+        const text = normalizeCode(code);
+        if (!text) throw apiError(400, "Enter a voucher code.");
+        const promo = findPromo(text);
+        if (!promo) {
+          throw apiError(
+            404,
+            `${text} isn't a valid voucher code.`,
+            "voucher_not_found"
+          );
+        }
+        if (promo.endsAt && Date.parse(promo.endsAt) < Date.now()) {
+          throw apiError(
+            409,
+            `The ${promo.code} offer has ended.`,
+            "voucher_expired"
+          );
+        }
+        return wallets.claimVoucher(me.id, promo);
+      },
+      // What a voucher takes off an order ({ service, subtotal }) without
+      // using it: the one with `code`, or the best of the caller's, with
+      // the reasons the others don't apply in `rejected`.
+      apply: async ({ token, service, subtotal, code }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const { currency } = await wallets.account(me.id);
+        const order = shipmentOrder({ service, subtotal }, currency);
+        const { voucher, discount, rejected } = await pickVoucher(
+          me.id,
+          order,
+          code
+        );
+        return {
+          subtotal: order.subtotal,
+          discount,
+          total: order.subtotal - discount,
+          voucher,
+          rejected,
+        };
+      },
+      // Uses the voucher `apply` would pick on an order; `reference` is
+      // what it was spent on (a shipment id). `voucher` is null when none
+      // applies.
+      redeem: async ({ token, service, subtotal, code, reference }) => {
+        await delay();
+        const me = await requireUser(token);
+        const { currency } = await wallets.account(me.id);
+        const order = shipmentOrder({ service, subtotal }, currency);
+        const { voucher, discount } = await pickVoucher(me.id, order, code);
+        return {
+          subtotal: order.subtotal,
+          discount,
+          total: order.subtotal - discount,
+          voucher:
+            voucher &&
+            (await wallets.redeemVoucher(
+              me.id,
+              voucher.id,
+              reference ? String(reference) : null
+            )),
+        };
+      },
+    },
+    // The caller's coins and the rules for earning and spending them
+    // (loyalty.js).
+    loyalty: {
+      // { balance, tier, expiring, rules, canEditRules }
+      summary: async ({ token }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const policy = await loadPolicy();
+        return {
+          ...(await loyalty.account(me.id)),
+          rules: await loyalty.rules(),
+          canEditRules: can(policy, me, "loyalty.manage"),
+        };
+      },
+      // Newest first; `type` is one of COIN_ENTRY_TYPES.
+      history: async ({ token, type, page = 1, pageSize = 20 }) => {
+        await delay();
+        const me = await requireUser(token);
+        if (type && !COIN_ENTRY_TYPES.includes(type)) {
+          throw apiError(
+            400,
+            `type must be one of: ${COIN_ENTRY_TYPES.join(", ")}.`
+          );
+        }
+        return paginate(await loyalty.history(me.id, { type }), page, pageSize);
+      },
+      // Coins a shipment ({ service, spend }) would earn the caller.
+      estimate: async ({ token, service, spend }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const order = shipmentOrder({ service, subtotal: spend });
+        return {
+          coins: await loyalty.estimate(me.id, {
+            service,
+            spend: order.subtotal,
+          }),
+        };
+      },
+      // Buys one of the rules' rewards; the voucher goes to the wallet.
+      redeemReward: async ({ token, id }) => {
+        await delay();
+        const me = await requireUser(token);
+        const reward = (await loyalty.rules()).rewards.find((r) => r.id === id);
+        if (!reward) throw apiError(404, "Reward not found.");
+        const { balance } = await loyalty.spend(me.id, reward.cost, {
+          description: `Redeemed for ${reward.title}`,
+          reference: reward.id,
+        });
+        const { validDays: _days, ...fields } = reward.voucher;
+        const voucher = await wallets.grantVoucher(me.id, {
+          code: `COINS-${uid().toUpperCase()}`,
+          title: reward.title,
+          ...fields,
+          expiresAt: promoExpiry(reward.voucher),
+        });
+        return { voucher, balance };
+      },
+      // What spending `coins` would take off an order of `subtotal`, as
+      // { coins, discount }; nothing is spent.
+      discount: async ({ token, coins, subtotal }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        const rules = await loyalty.rules();
+        const { balance } = await loyalty.account(me.id);
+        return coinDiscount(rules, {
+          coins: coinAmount(coins, rules),
+          subtotal: walletAmount(subtotal),
+          balance,
+        });
+      },
+      rules: async ({ token }) => {
+        await delay(100);
+        await requireUser(token);
+        return loyalty.rules();
+      },
+      // `rules` may hold any subset of the rules; the rest are kept.
+      updateRules: async ({ token, rules }) => {
+        await delay();
+        const { me } = await requirePermission(
+          token,
+          "loyalty.manage",
+          "Forbidden: you cannot edit loyalty rules."
+        );
+        const before = await loyalty.rules();
+        const next = loyaltyRules(rules, before);
+        await loyalty.setRules(next);
+        await audit.record({
+          actor: me,
+          action: "loyalty.rules.update",
+          entity: "loyalty",
+          entityId: "rules",
+          label: "Loyalty rules",
+          changes: diffFields(before, next, Object.keys(next)),
+        });
+        return next;
+      },
+    },
+    // The caller's shipments (shipments.js), paid from the wallet with an
+    // optional voucher and coins; coins are earned once one is delivered.
+    shipments: {
+      // What booking `input` ({ service, pickup, dropoff, parcel,
+      // schedule, code?, useVoucher?, coins? }) would cost, without
+      // booking it.
+      quote: async ({ token, ...input }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return (await priceShipment(me.id, input)).quote;
+      },
+      // Books and pays for a shipment: the total is debited from the
+      // balance (409 insufficient_funds), and the voucher and coins are
+      // used. Everything is checked before anything is written, and a step
+      // that still fails undoes the ones before it. Retrying with the same
+      // `idempotencyKey`, which is kept on the shipment, returns the first
+      // shipment instead of booking twice.
+      book: async ({ token, idempotencyKey, ...input }) => {
+        await delay();
+        const me = await requireUser(token);
+        const key = idempotencyKey ? `shipment:${idempotencyKey}` : null;
+        const earlier = key && (await shipments.findByKey(me.id, key));
+        if (earlier) return earlier;
+        const { booking, quote } = await priceShipment(me.id, input);
+        if (quote.total > quote.balance) {
+          throw apiError(409, "Insufficient balance.", "insufficient_funds");
+        }
+        const id = uid();
+        const trackingNumber = `TMS-${uid().toUpperCase()}`;
+        const name = shipmentName({ ...booking, trackingNumber });
+        const undo = [];
+        let shipment;
+        try {
+          const payment = quote.total
+            ? await wallets.post(me.id, {
+                type: "debit",
+                kind: "payment",
+                amount: quote.total,
+                description: name,
+                reference: id,
+              })
+            : null;
+          if (payment) {
+            undo.push(() =>
+              wallets.post(me.id, {
+                type: "credit",
+                kind: "refund",
+                amount: quote.total,
+                description: `Refund for ${name}`,
+                reference: id,
+                key: `refund:${id}`,
+              })
+            );
+          }
+          if (quote.voucher) {
+            await wallets.redeemVoucher(me.id, quote.voucher.id, id);
+            undo.push(() => wallets.releaseVoucher(me.id, quote.voucher.id));
+          }
+          if (quote.coins) {
+            await loyalty.spend(me.id, quote.coins, {
+              description: `Discount on ${name}`,
+              reference: id,
+            });
+            undo.push(() =>
+              loyalty.refund(me.id, quote.coins, {
+                description: `Refund for ${name}`,
+                reference: id,
+              })
+            );
+          }
+          shipment = await shipments.create(
+            me.id,
+            {
+              id,
+              trackingNumber,
+              ...booking,
+              price: {
+                chargeableKg: quote.chargeableKg,
+                baseFee: quote.baseFee,
+                weightFee: quote.weightFee,
+                subtotal: quote.subtotal,
+                voucherDiscount: quote.voucherDiscount,
+                coinDiscount: quote.coinDiscount,
+                total: quote.total,
+                currency: quote.currency,
+              },
+              voucher: quote.voucher && {
+                id: quote.voucher.id,
+                code: quote.voucher.code,
+              },
+              coinsSpent: quote.coins,
+              paymentId: payment && payment.entry.id,
+              estimatedDelivery: quote.estimatedDelivery,
+            },
+            key
+          );
+        } catch (e) {
+          for (const step of undo.reverse()) await step();
+          throw e;
+        }
+        await notifyShipment(me.id, shipment);
+        return shipment;
+      },
+      // Newest first, optionally only one `status`.
+      list: async ({ token, status, page = 1, pageSize = 20 }) => {
+        await delay();
+        const me = await requireUser(token);
+        const statuses = [...SHIPMENT_STATUSES, "cancelled"];
+        if (status && !statuses.includes(status)) {
+          throw apiError(
+            400,
+            `status must be one of: ${statuses.join(", ")}.`
+          );
+        }
+        const all = await shipments.list(me.id, { status });
+        return paginate(all, page, pageSize);
+      },
+      get: async ({ token, id }) => {
+        await delay(100);
+        const me = await requireUser(token);
+        return loadShipment(me.id, id);
+      },
+      // Cancels a shipment that hasn't been picked up and gives back what
+      // paid for it: the balance, the voucher and the coins.
+      cancel: async ({ token, id }) => {
+        await delay();
+        const me = await requireUser(token);
+        const shipment = await loadShipment(me.id, id);
+        if (shipment.status !== "booked") {
+          throw apiError(
+            409,
+            "Only shipments that haven't been picked up can be cancelled.",
+            "shipment_not_cancellable"
+          );
+        }
+        const name = shipmentName(shipment);
+        if (shipment.price.total) {
+          await wallets.post(me.id, {
+            type: "credit",
+            kind: "refund",
+            amount: shipment.price.total,
+            description: `Refund for ${name}`,
+            reference: id,
+            key: `refund:${id}`,
+          });
+        }
+        if (shipment.voucher) {
+          await wallets.releaseVoucher(me.id, shipment.voucher.id);
+        }
+        if (shipment.coinsSpent) {
+          await loyalty.refund(me.id, shipment.coinsSpent, {
+            description: `Refund for ${name}`,
+            reference: id,
+          });
+        }
+        const next = await shipments.setStatus(id, "cancelled");
+        await notifyShipment(me.id, next);
+        return next;
+      },
+      // Moves anyone's shipment forward to `status`, as the courier would;
+      // needs `shipments.manage`. Delivery awards the owner's coins.
+      setStatus: async ({ token, id, status }) => {
+        await delay();
+        const { me } = await requirePermission(
+          token,
+          "shipments.manage",
+          "Forbidden: you cannot update shipments."
+        );
+        const found = await shipments.find(id);
+        if (!found) throw apiError(404, "Shipment not found.");
+        const { userId, shipment } = found;
+        const from = SHIPMENT_STATUSES.indexOf(shipment.status);
+        const to = SHIPMENT_STATUSES.indexOf(status);
+        if (to === -1) {
+          throw apiError(
+            400,
+            `status must be one of: ${SHIPMENT_STATUSES.join(", ")}.`
+          );
+        }
+        // cancelled shipments (-1) stay cancelled
+        if (from === -1 || to <= from) {
+          throw apiError(
+            409,
+            `A ${shipment.status} shipment can't move to ${status}.`,
+            "invalid_status"
+          );
+        }
+        let extra = {};
+        if (status === "delivered") {
+          const entry = await loyalty.award(
+            userId,
+            { service: shipment.service, spend: shipment.price.total },
+            {
+              description: `${shipmentName(shipment)} delivered`,
+              reference: id,
+            }
+          );
+          extra = { coinsEarned: entry ? entry.amount : 0 };
+        }
+        const next = await shipments.setStatus(id, status, extra);
+        await audit.record({
+          actor: me,
+          action: "shipment.status",
+          entity: "shipment",
+          entityId: id,
+          label: shipment.trackingNumber,
+          changes: diffFields(shipment, next, ["status"]),
+        });
+        await notifyShipment(userId, next);
+        return next;
+      },
+    },
+    audit: {
+      // Admin-wide log. Filters: actor (`userId`), `entity`, and an
+      // inclusive `from`/`to` date range (YYYY-MM-DD).
+      list: async ({
+        token,
+        userId,
+        entity,
+        from,
+        to,
+        page = 1,
+        pageSize = 20,
+      }) => {
+        await delay();
+        await requirePermission(
+          token,
+          "audit.view",
+          "Forbidden: you cannot view the audit log."
+        );
+        const entries = await audit.query({
+          actorId: userId,
+          entity,
+          from,
+          to,
+        });
+        return paginate(entries, page, pageSize);
+      },
+    },
+    roles: {
+      // Any signed-in user may read the policy; the UI needs it for gating.
+      list: async ({ token }) => {
+        await delay(100);
+        await requireUser(token);
+        return { roles: await loadPolicy(), permissions: PERMISSIONS };
+      },
+      save: async ({ token, role, permissions }) => {
+        await delay();
+        const { me, policy } = await requirePermission(
+          token,
+          "roles.manage",
+          "Forbidden: you cannot edit roles."
+        );
+        const name = String(role || "").trim().toLowerCase();
+        if (!/^[a-z][a-z0-9-]{1,23}$/.test(name)) {
+          throw apiError(
+            400,
+            "Role names use 2-24 lowercase letters, digits or dashes."
+          );
+        }
+        if (name === LOCKED_ROLE) {
+          throw apiError(409, "The admin role always has every permission.");
+        }
+        const unknown = (permissions || []).filter(
+          (p) => !ALL_PERMISSIONS.includes(p)
+        );
+        if (unknown.length) {
+          throw apiError(400, `Unknown permission(s): ${unknown.join(", ")}.`);
+        }
+        const next = { ...policy, [name]: [...new Set(permissions || [])] };
+        await write(KEYS.roles, next);
+        await audit.record({
+          actor: me,
+          action: policy[name] ? "role.update" : "role.create",
+          entity: "role",
+          entityId: name,
+          label: name,
+          changes: diffFields(policy, next, [name]),
+        });
+        return { roles: next, permissions: PERMISSIONS };
+      },
+      remove: async ({ token, role }) => {
+        await delay();
+        const { me, policy } = await requirePermission(
+          token,
+          "roles.manage",
+          "Forbidden: you cannot edit roles."
+        );
+        if (role === LOCKED_ROLE) {
+          throw apiError(409, "The admin role cannot be removed.");
+        }
+        assertRoleExists(policy, role);
+        const users = await read(KEYS.users, []);
+        const holders = users.filter((u) => u.role === role).length;
+        if (holders) {
+          throw apiError(
+            409,
+            `${holders} user(s) still have the "${role}" role.`,
+            "role_in_use"
+          );
+        }
+        const { [role]: _removed, ...next } = policy;
+        await write(KEYS.roles, next);
+        await audit.record({
+          actor: me,
+          action: "role.delete",
+          entity: "role",
+          entityId: role,
+          label: role,
+          changes: diffFields(policy, next, [role]),
+        });
+        return { roles: next, permissions: PERMISSIONS };
+      },
+    },
+    events: {
+      // Who an event stream belongs to: `{ userId, sessionId, canView }`,
+      // where `canView(event)` says whether the user may see a published
+      // event. Streams call it again from time to time, so a stream ends
+      // (401/403) once its token expires, its session is revoked or the
+      // user is deactivated; "session.end" events are never shown.
+      access: async ({ token }) => {
+        const me = await requireUser(token);
+        const { sessionId } = await sessions.authenticate(token);
+        const policy = await loadPolicy();
+        const seesUsers = can(policy, me, "users.view");
+        return {
+          userId: me.id,
+          sessionId,
+          canView: (event) =>
+            event.entity === "task" ||
+            (event.entity === "user" && (seesUsers || event.id === me.id)),
+        };
+      },
+    },
+  };
+};
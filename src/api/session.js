@@ -0,0 +1,17 @@
+import { nowISO } from "./seed.js";
+import { KEYS } from "./storage.js";
+
+// Remembers which tokens this browser is signed in with (the local
+// adapter's auth; the rest adapter uses src/services/auth.ts).
+export const createSessionStore = (storage) => ({
+  get: () => storage.read(KEYS.session, null),
+  set: ({ token, refreshToken, expiresAt, user }) =>
+    storage.write(KEYS.session, {
+      token,
+      refreshToken,
+      expiresAt,
+      userId: user.id,
+      at: nowISO(),
+    }),
+  clear: () => storage.remove(KEYS.session),
+});
@@ -0,0 +1,153 @@
+import { apiError } from "./errors.js";
+import { nowISO, uid } from "./seed.js";
+import { KEYS } from "./storage.js";
+import { createTokenSigner, randomToken, sha256 } from "./tokens.js";
+
+export const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Server-side sessions behind signed access tokens.
+ * - Access token: HS256 JWT `{ sub, sid, iat, exp }`, short-lived.
+ * - Refresh token: `<sessionId>.<random>`, only its SHA-256 is stored; it is
+ *   rotated on every refresh and replaying an old one revokes the session.
+ * - Logout revokes the session, which invalidates its access tokens at once.
+ *   `onRevoke({ id, userId })` is called for every session that ends early.
+ */
+export const createSessionManager = ({
+  read,
+  write,
+  secret,
+  accessTokenTtl = ACCESS_TOKEN_TTL,
+  refreshTokenTtl = REFRESH_TOKEN_TTL,
+  onRevoke = () => {},
+}) => {
+  const signer = createTokenSigner(async () => {
+    if (secret) return secret;
+    const stored = await read(KEYS.tokenSecret, null);
+    if (stored) return stored;
+    const generated = randomToken(32);
+    await write(KEYS.tokenSecret, generated);
+    return generated;
+  });
+
+  const isLive = (s) => !s.revokedAt && Date.parse(s.expiresAt) > Date.now();
+
+  const issue = async (sessionId, user, refreshToken) => {
+    const iat = Date.now();
+    const exp = iat + accessTokenTtl;
+    const token = await signer.sign({
+      sub: user.id,
+      sid: sessionId,
+      iat: Math.floor(iat / 1000),
+      exp: Math.floor(exp / 1000),
+    });
+    return { token, refreshToken, expiresAt: new Date(exp).toISOString() };
+  };
+
+  return {
+    start: async (user) => {
+      // drop dead sessions while we're here
+      const sessions = (await read(KEYS.sessions, [])).filter(isLive);
+      const id = uid();
+      const refreshToken = `${id}.${randomToken()}`;
+      sessions.push({
+        id,
+        userId: user.id,
+        refreshHash: await sha256(refreshToken),
+        createdAt: nowISO(),
+        expiresAt: new Date(Date.now() + refreshTokenTtl).toISOString(),
+        revokedAt: null,
+      });
+      await write(KEYS.sessions, sessions);
+      return issue(id, user, refreshToken);
+    },
+
+    /** Resolves `{ userId, sessionId }` for a valid access token or throws 401. */
+    authenticate: async (token) => {
+      const claims = await signer.verify(token);
+      if (!claims) throw apiError(401, "Unauthorized");
+      if (claims.exp * 1000 <= Date.now()) {
+        throw apiError(401, "Session token expired.", "token_expired");
+      }
+      const session = (await read(KEYS.sessions, [])).find(
+        (s) => s.id === claims.sid
+      );
+      if (!session || session.revokedAt) {
+        throw apiError(401, "Session has ended.", "session_revoked");
+      }
+      return { userId: claims.sub, sessionId: session.id };
+    },
+
+    /** Rotates the refresh token; `loadUser(id)` supplies the account. */
+    refresh: async (refreshToken, loadUser) => {
+      const [sid] = String(refreshToken || "").split(".");
+      const sessions = await read(KEYS.sessions, []);
+      const idx = sessions.findIndex((s) => s.id === sid);
+      const session = sessions[idx];
+      if (!session || !isLive(session)) {
+        throw apiError(
+          401,
+          "Your session has expired. Please sign in again.",
+          "session_expired"
+        );
+      }
+      if ((await sha256(refreshToken)) !== session.refreshHash) {
+        // an already-rotated token was replayed: assume it leaked
+        sessions[idx] = { ...session, revokedAt: nowISO() };
+        await write(KEYS.sessions, sessions);
+        onRevoke(session);
+        throw apiError(
+          401,
+          "Refresh token was already used.",
+          "refresh_token_reused"
+        );
+      }
+      const user = await loadUser(session.userId);
+      if (!user) throw apiError(401, "Unauthorized");
+
+      const next = `${session.id}.${randomToken()}`;
+      sessions[idx] = {
+        ...session,
+        refreshHash: await sha256(next),
+        rotatedAt: nowISO(),
+      };
+      await write(KEYS.sessions, sessions);
+      return { ...(await issue(session.id, user, next)), user };
+    },
+
+    /** Revokes the session an access or refresh token belongs to. */
+    revoke: async ({ token, refreshToken }) => {
+      const claims = await signer.verify(token);
+      let sid = claims?.sid;
+      const sessions = await read(KEYS.sessions, []);
+      if (!sid && refreshToken) {
+        const candidate = String(refreshToken).split(".")[0];
+        const session = sessions.find((s) => s.id === candidate);
+        if (session && (await sha256(refreshToken)) === session.refreshHash) {
+          sid = session.id;
+        }
+      }
+      const idx = sessions.findIndex((s) => s.id === sid);
+      if (idx < 0) return;
+      sessions[idx] = { ...sessions[idx], revokedAt: nowISO() };
+      await write(KEYS.sessions, sessions);
+      onRevoke(sessions[idx]);
+    },
+
+    /** Ends every session of a user (e.g. after a password change). */
+    revokeAllFor: async (userId, { except } = {}) => {
+      const sessions = await read(KEYS.sessions, []);
+      const ended = sessions.filter(
+        (s) => s.userId === userId && s.id !== except && !s.revokedAt
+      );
+      await write(
+        KEYS.sessions,
+        sessions.map((s) =>
+          ended.includes(s) ? { ...s, revokedAt: nowISO() } : s
+        )
+      );
+      ended.forEach(onRevoke);
+    },
+  };
+};
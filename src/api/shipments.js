@@ -0,0 +1,307 @@
+import { addDays } from "./recurrence.js";
+import { nowISO } from "./seed.js";
+import { KEYS } from "./storage.js";
+import { SERVICES, SERVICE_LABELS } from "./vouchers.js";
+
+/**
+ * Shipments booked with the Dashboard's service wizard. A booking is
+ *   { service, pickup, dropoff, parcel, schedule }
+ * with addresses { name, phone, street, city, postalCode, country }, a
+ * parcel { weightKg, lengthCm, widthCm, heightCm } and a pickup schedule
+ * { date: "YYYY-MM-DD", window } (a PICKUP_WINDOWS id).
+ *
+ * Stored shipments add what was paid and how:
+ *   { id, userId, trackingNumber, ...booking, status,
+ *     price: { chargeableKg, baseFee, weightFee, subtotal, voucherDiscount,
+ *              coinDiscount, total, currency },
+ *     voucher: { id, code } | null, coinsSpent, coinsEarned, paymentId,
+ *     estimatedDelivery: { from, to }, history: [{ status, at }], key,
+ *     createdAt, updatedAt }
+ * Amounts are in minor units. `status` moves forward through
+ * SHIPMENT_STATUSES; a shipment can be "cancelled" until it is picked up.
+ */
+export const SHIPMENT_STATUSES = [
+  "booked",
+  "picked_up",
+  "in_transit",
+  "delivered",
+];
+
+export const PICKUP_WINDOWS = [
+  { id: "morning", label: "09:00–12:00" },
+  { id: "afternoon", label: "12:00–15:00" },
+  { id: "evening", label: "15:00–18:00" },
+];
+
+/**
+ * Per service: the price (a base fee plus a rate per started kilogram of
+ * chargeable weight, in minor units), the largest parcel accepted and the
+ * transit time in days after pickup.
+ */
+export const SERVICE_TERMS = {
+  express: {
+    baseFee: 1200,
+    perKg: 250,
+    maxWeightKg: 30,
+    maxSideCm: 120,
+    transitDays: [1, 2],
+  },
+  regular: {
+    baseFee: 600,
+    perKg: 120,
+    maxWeightKg: 30,
+    maxSideCm: 150,
+    transitDays: [3, 5],
+  },
+  cargo: {
+    baseFee: 4500,
+    perKg: 90,
+    maxWeightKg: 1000,
+    maxSideCm: 300,
+    transitDays: [5, 8],
+  },
+};
+
+// Length × width × height in cm over this is the volumetric weight in kg.
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Pickups can be booked from today up to this many days ahead, except on
+// Sundays.
+const BOOKING_DAYS = 30;
+
+const ADDRESS_FIELDS = [
+  ["name", "a name", 80],
+  ["phone", "a phone number", 20],
+  ["street", "a street address", 120],
+  ["city", "a city", 60],
+  ["postalCode", "a postal code", 12],
+  ["country", "a country", 56],
+];
+
+const address = (input, label) => {
+  if (!input || typeof input !== "object") {
+    throw new Error(`Enter the ${label} address.`);
+  }
+  const result = {};
+  for (const [key, what, max] of ADDRESS_FIELDS) {
+    const text = String(input[key] ?? "").trim();
+    if (!text) throw new Error(`The ${label} address needs ${what}.`);
+    if (text.length > max) {
+      throw new Error(`The ${label} ${what.split(" ").pop()} is too long.`);
+    }
+    result[key] = text;
+  }
+  if (!/^\+?[\d\s()-]{6,20}$/.test(result.phone)) {
+    throw new Error(`The ${label} phone number doesn't look right.`);
+  }
+  return result;
+};
+
+const sameAddress = (a, b) =>
+  ["street", "city", "postalCode", "country"].every(
+    (key) => a[key].toLowerCase() === b[key].toLowerCase()
+  );
+
+const parcelFor = (service, input) => {
+  const { maxWeightKg, maxSideCm } = SERVICE_TERMS[service];
+  const { weightKg, lengthCm, widthCm, heightCm } = input || {};
+  const positive = (n, max) =>
+    typeof n === "number" && Number.isFinite(n) && n > 0 && n <= max;
+  if (!positive(weightKg, maxWeightKg)) {
+    throw new Error(`Weight must be over 0 and at most ${maxWeightKg} kg.`);
+  }
+  if (![lengthCm, widthCm, heightCm].every((n) => positive(n, maxSideCm))) {
+    throw new Error(`Each side must be over 0 and at most ${maxSideCm} cm.`);
+  }
+  return { weightKg, lengthCm, widthCm, heightCm };
+};
+
+const scheduleFrom = (input, today) => {
+  const { date, window } = input || {};
+  const last = addDays(today, BOOKING_DAYS);
+  if (
+    typeof date !== "string" ||
+    !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+    Number.isNaN(Date.parse(date)) ||
+    date < today ||
+    date > last
+  ) {
+    throw new Error(`Pick a pickup date between ${today} and ${last}.`);
+  }
+  if (new Date(`${date}T00:00:00Z`).getUTCDay() === 0) {
+    throw new Error("There are no pickups on Sundays.");
+  }
+  if (!PICKUP_WINDOWS.some((w) => w.id === window)) {
+    throw new Error(
+      `window must be one of: ${PICKUP_WINDOWS.map((w) => w.id).join(", ")}.`
+    );
+  }
+  return { date, window };
+};
+
+/**
+ * `input` checked and trimmed into a booking; `today` is the local date
+ * (YYYY-MM-DD) pickups are counted from. Throws an Error with a readable
+ * message when something is missing or out of range.
+ */
+export const normalizeBooking = (input, today) => {
+  const { service } = input || {};
+  if (!SERVICES.includes(service)) {
+    throw new Error(`service must be one of: ${SERVICES.join(", ")}.`);
+  }
+  const pickup = address(input.pickup, "pickup");
+  const dropoff = address(input.dropoff, "drop-off");
+  if (sameAddress(pickup, dropoff)) {
+    throw new Error("The pickup and drop-off addresses are the same.");
+  }
+  return {
+    service,
+    pickup,
+    dropoff,
+    parcel: parcelFor(service, input.parcel),
+    schedule: scheduleFrom(input.schedule, today),
+  };
+};
+
+/**
+ * The price of a booking before discounts, as
+ * { chargeableKg, baseFee, weightFee, subtotal }. Parcels are charged by
+ * their actual or volumetric weight, whichever is higher, per started kg.
+ */
+export const shipmentPrice = ({ service, parcel }) => {
+  const { baseFee, perKg } = SERVICE_TERMS[service];
+  const volumetric =
+    (parcel.lengthCm * parcel.widthCm * parcel.heightCm) / VOLUMETRIC_DIVISOR;
+  const chargeableKg = Math.ceil(Math.max(parcel.weightKg, volumetric));
+  const weightFee = chargeableKg * perKg;
+  return { chargeableKg, baseFee, weightFee, subtotal: baseFee + weightFee };
+};
+
+// The days (YYYY-MM-DD) a booking should arrive between.
+export const estimatedDelivery = ({ service, schedule }) => {
+  const [min, max] = SERVICE_TERMS[service].transitDays;
+  return { from: addDays(schedule.date, min), to: addDays(schedule.date, max) };
+};
+
+// e.g. "Express shipment TMS-1A2B3C4D", for ledger entries and notices.
+export const shipmentName = ({ service, trackingNumber }) =>
+  `${SERVICE_LABELS[service]} shipment ${trackingNumber}`;
+
+// The `package` notification for a shipment that just reached its status.
+export const statusNotice = (shipment) => {
+  const name = shipmentName(shipment);
+  const { date, window } = shipment.schedule;
+  const { from, to } = shipment.estimatedDelivery;
+  switch (shipment.status) {
+    case "booked":
+      return {
+        title: `${name} is booked`,
+        body: `Pickup on ${date}, ${
+          PICKUP_WINDOWS.find((w) => w.id === window).label
+        }.`,
+      };
+    case "picked_up":
+      return {
+        title: `${name} was picked up`,
+        body: `It should arrive between ${from} and ${to}.`,
+      };
+    case "in_transit":
+      return {
+        title: `${name} is on its way`,
+        body: `Heading to ${shipment.dropoff.city}.`,
+      };
+    case "delivered":
+      return {
+        title: `${name} was delivered`,
+        body: shipment.coinsEarned
+          ? `You earned ${shipment.coinsEarned} coins.`
+          : "",
+      };
+    default:
+      return {
+        title: `${name} was cancelled`,
+        body: "What you paid is back in your wallet.",
+      };
+  }
+};
+
+const presentShipment = ({ userId: _userId, key: _key, ...shipment }) =>
+  shipment;
+
+export const createShipments = ({ read, write }) => {
+  const update = async (id, change) => {
+    const all = await read(KEYS.shipments, []);
+    const at = nowISO();
+    let updated = null;
+    await write(
+      KEYS.shipments,
+      all.map((s) => {
+        if (s.id !== id) return s;
+        updated = { ...change(s, at), updatedAt: at };
+        return updated;
+      })
+    );
+    return updated && presentShipment(updated);
+  };
+
+  return {
+    // Stores a booked shipment; `fields` is everything but the bookkeeping.
+    create: async (userId, fields, key = null) => {
+      const at = nowISO();
+      const shipment = {
+        ...fields,
+        userId,
+        status: "booked",
+        coinsEarned: 0,
+        history: [{ status: "booked", at }],
+        key,
+        createdAt: at,
+        updatedAt: at,
+      };
+      const all = await read(KEYS.shipments, []);
+      await write(KEYS.shipments, [...all, shipment]);
+      return presentShipment(shipment);
+    },
+    // Any user's shipment with its owner, or null.
+    find: async (id) => {
+      const shipment = (await read(KEYS.shipments, [])).find(
+        (s) => s.id === id
+      );
+      return shipment
+        ? { userId: shipment.userId, shipment: presentShipment(shipment) }
+        : null;
+    },
+    // The shipment booked earlier with this idempotency key, if any.
+    findByKey: async (userId, key) => {
+      const shipment = (await read(KEYS.shipments, [])).find(
+        (s) => s.userId === userId && s.key === key
+      );
+      return shipment ? presentShipment(shipment) : null;
+    },
+    // Newest first, optionally only one `status`.
+    list: async (userId, { status } = {}) =>
+      (await read(KEYS.shipments, []))
+        .filter(
+          (s) => s.userId === userId && (!status || s.status === status)
+        )
+        .reverse()
+        .map(presentShipment),
+    // Moves the shipment to `status` (and records when); `extra` fields are
+    // saved with it.
+    setStatus: (id, status, extra = {}) =>
+      update(id, (s, at) => ({
+        ...s,
+        ...extra,
+        status,
+        history: [...s.history, { status, at }],
+      })),
+    // Everything kept for a user, when the user is deleted.
+    forget: async (userId) => {
+      const all = await read(KEYS.shipments, []);
+      await write(
+        KEYS.shipments,
+        all.filter((s) => s.userId !== userId)
+      );
+    },
+  };
+};
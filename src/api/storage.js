@@ -0,0 +1,62 @@
+/**
+ * Key/value storage used by the task service. Every method is async so that
+ * localStorage, a JSON file (mock server) or an in-memory map are
+ * interchangeable.
+ *
+ * @typedef {{
+ *   read: (key: string, fallback: any) => Promise<any>,
+ *   write: (key: string, value: any) => Promise<void>,
+ *   remove: (key: string) => Promise<void>,
+ * }} Storage
+ */
+
+export const KEYS = {
+  users: "tms_users",
+  tasks: "tms_tasks",
+  comments: "tms_comments",
+  audit: "tms_audit",
+  views: "tms_views",
+  templates: "tms_templates",
+  notifications: "tms_notifications",
+  notificationPrefs: "tms_notification_prefs",
+  wallets: "tms_wallets",
+  vouchers: "tms_vouchers",
+  walletLedger: "tms_wallet_ledger",
+  coinLots: "tms_coin_lots",
+  coinHistory: "tms_coin_history",
+  loyaltyRules: "tms_loyalty_rules",
+  shipments: "tms_shipments",
+  roles: "tms_roles",
+  session: "tms_session",
+  sessions: "tms_sessions",
+  tokenSecret: "tms_token_secret",
+  // client-side offline sync (sync.js), suffixed with the user id
+  taskCache: "tms_task_cache",
+  outbox: "tms_outbox",
+  conflicts: "tms_conflicts",
+};
+
+/** @returns {Storage} */
+export const createLocalStorage = () => ({
+  read: async (k, fallback) => {
+    try {
+      const raw = localStorage.getItem(k);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  },
+  write: async (k, v) => localStorage.setItem(k, JSON.stringify(v)),
+  remove: async (k) => localStorage.removeItem(k),
+});
+
+/** @returns {Storage} */
+export const createMemoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    read: async (k, fallback) =>
+      data.has(k) ? structuredClone(data.get(k)) : fallback,
+    write: async (k, v) => void data.set(k, structuredClone(v)),
+    remove: async (k) => void data.delete(k),
+  };
+};
@@ -0,0 +1,418 @@
+import { TASK_AUDIT_FIELDS } from "./audit.js";
+import { apiError } from "./errors.js";
+import { nowISO, uid } from "./seed.js";
+import { KEYS, createLocalStorage } from "./storage.js";
+import { compareTasks, filterTasks } from "./taskQuery.js";
+
+/**
+ * Offline-first task writes on top of `api.tasks` (either backend).
+ *
+ * - Tasks the API returns are cached (per user), so the list still renders
+ *   from the cache when the server can't be reached.
+ * - create/update/remove go through an outbox. Each call queues its change
+ *   and then flushes the outbox; when the network is down the change stays
+ *   queued, is shown optimistically (`pending: true`) and is replayed, in
+ *   order, by the next flush (the UI flushes when the browser comes back
+ *   online). There is at most one queued change per task: later edits are
+ *   folded into it.
+ * - Updates and deletes send the task `version` they started from as
+ *   `baseVersion`. When the server answers 409 `version_conflict` (or the
+ *   task is gone) the change moves to `conflicts` with both sides, and waits
+ *   for resolve(): keep mine, keep theirs, or merge field by field.
+ *
+ * Queued change: { id, type: "create" | "update" | "remove", taskId,
+ *   payload, base, baseVersion, at } where `base` is the task as it was
+ *   before the first queued edit.
+ * Conflict: { id, type, taskId, payload, base, mine, theirs, at } where
+ *   `mine` is null for a delete and `theirs` is null when the task was
+ *   deleted on the server.
+ */
+
+// Fields offered in the merge UI.
+export const MERGE_FIELDS = TASK_AUDIT_FIELDS;
+
+const CACHE_LIMIT = 1000;
+const LOCAL_ID = "local-";
+
+export const isLocalTaskId = (id) => String(id).startsWith(LOCAL_ID);
+
+const isNetworkError = (e) => e?.status === 0;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Tasks stored before versioning count as version 0 (as in service.js).
+export const taskVersion = (task) => task?.version ?? 0;
+
+const withoutPending = ({ pending: _pending, ...task }) => task;
+
+/**
+ * Field-by-field view of a conflict for the merge UI: every MERGE_FIELDS
+ * entry where mine and theirs differ, with the side a three-way merge would
+ * pick (mine when I changed the field, theirs otherwise).
+ */
+export const conflictFields = ({ base, mine, theirs }) =>
+  MERGE_FIELDS.filter((f) => !same(mine?.[f], theirs?.[f])).map((f) => ({
+    field: f,
+    base: base?.[f] ?? null,
+    mine: mine?.[f] ?? null,
+    theirs: theirs?.[f] ?? null,
+    pick: same(mine?.[f], base?.[f]) ? "theirs" : "mine",
+  }));
+
+/**
+ * @param {{
+ *   tasks: { list: Function, get: Function, create: Function,
+ *     update: Function, remove: Function },
+ *   userId: string,
+ *   storage?: import("./storage.js").Storage,
+ *   isOnline?: () => boolean,
+ * }} options
+ */
+export const createTaskSync = ({
+  tasks,
+  userId,
+  storage = createLocalStorage(),
+  isOnline = () => typeof navigator === "undefined" || navigator.onLine,
+}) => {
+  const keys = {
+    cache: `${KEYS.taskCache}:${userId}`,
+    outbox: `${KEYS.outbox}:${userId}`,
+    conflicts: `${KEYS.conflicts}:${userId}`,
+  };
+  const listeners = new Set();
+  let offline = !isOnline();
+
+  const readCache = () => storage.read(keys.cache, []);
+  const readOutbox = () => storage.read(keys.outbox, []);
+  const readConflicts = () => storage.read(keys.conflicts, []);
+
+  const status = async () => ({
+    offline,
+    pending: (await readOutbox()).length,
+    conflicts: await readConflicts(),
+  });
+
+  const emit = async () => {
+    if (!listeners.size) return;
+    const snapshot = await status();
+    listeners.forEach((fn) => fn(snapshot));
+  };
+
+  const setOffline = (value) => {
+    if (offline === value) return;
+    offline = value;
+    emit();
+  };
+
+  // Most recently seen last; pending tasks are never evicted.
+  const cachePut = async (items) => {
+    const fresh = new Map(items.map((t) => [t.id, t]));
+    const kept = (await readCache()).filter((t) => !fresh.has(t.id));
+    const next = [...kept, ...fresh.values()];
+    const overflow = next.length - CACHE_LIMIT;
+    await storage.write(
+      keys.cache,
+      overflow > 0
+        ? next.filter((t, i) => t.pending || i >= overflow)
+        : next
+    );
+  };
+
+  const cacheDrop = async (id) =>
+    storage.write(
+      keys.cache,
+      (await readCache()).filter((t) => t.id !== id)
+    );
+
+  const cached = async (id) => (await readCache()).find((t) => t.id === id);
+
+  // Folds a change into the outbox (one entry per task). Returns the
+  // queued entry, or null when nothing is left to send.
+  const enqueue = async (change) => {
+    const outbox = await readOutbox();
+    const idx = outbox.findIndex((c) => c.taskId === change.taskId);
+    const queued = outbox[idx];
+    if (!queued && change.type !== "create" && isLocalTaskId(change.taskId)) {
+      // the create was already sent; the list reload brings the real task
+      if (change.type === "remove") return null;
+      throw apiError(404, "This task was just synced. Reload to edit it.");
+    }
+    if (!queued) {
+      outbox.push({ id: uid(), at: nowISO(), ...change });
+    } else if (change.type === "update") {
+      queued.payload = { ...queued.payload, ...change.payload };
+    } else if (queued.type === "create") {
+      // deleting a task that never reached the server
+      outbox.splice(idx, 1);
+    } else {
+      outbox[idx] = { ...queued, type: "remove", payload: null };
+    }
+    await storage.write(keys.outbox, outbox);
+    return outbox.find((c) => c.taskId === change.taskId) ?? null;
+  };
+
+  const dequeue = async (id) =>
+    storage.write(
+      keys.outbox,
+      (await readOutbox()).filter((c) => c.id !== id)
+    );
+
+  const addConflict = async (change, theirs) => {
+    const mine =
+      change.type === "remove" ? null : { ...change.base, ...change.payload };
+    const conflicts = (await readConflicts()).filter(
+      (c) => c.taskId !== change.taskId
+    );
+    conflicts.push({ ...change, mine, theirs, at: nowISO() });
+    await storage.write(keys.conflicts, conflicts);
+    if (theirs) await cachePut([theirs]);
+    else await cacheDrop(change.taskId);
+  };
+
+  const send = (token, change) => {
+    const { type, taskId, payload, baseVersion } = change;
+    if (type === "create") return tasks.create({ token, payload });
+    if (type === "update") {
+      return tasks.update({
+        token,
+        id: taskId,
+        payload: { ...payload, baseVersion },
+      });
+    }
+    return tasks.remove({ token, id: taskId, baseVersion });
+  };
+
+  // Outcome of each change sent by the current flush, read by the call that
+  // queued it: { task } | { conflict: true, error } | { error }.
+  const outcomes = new Map();
+
+  const replay = async (token, change) => {
+    try {
+      const saved = await send(token, change);
+      await dequeue(change.id);
+      if (change.type === "remove") await cacheDrop(change.taskId);
+      else {
+        if (change.type === "create") await cacheDrop(change.taskId);
+        await cachePut([saved]);
+      }
+      outcomes.set(change.id, { task: saved });
+    } catch (e) {
+      // stays queued: offline, or signed out (sent again after sign-in)
+      if (isNetworkError(e) || e.status === 401) throw e;
+      const gone = e.status === 404;
+      if (change.type === "remove" && gone) {
+        await dequeue(change.id);
+        await cacheDrop(change.taskId);
+        outcomes.set(change.id, { task: null });
+      } else if (e.code === "version_conflict" || gone) {
+        const theirs = gone
+          ? null
+          : await tasks.get({ token, id: change.taskId }).catch((err) => {
+              if (isNetworkError(err)) throw err;
+              return null;
+            });
+        await dequeue(change.id);
+        await addConflict(change, theirs);
+        outcomes.set(change.id, { conflict: true, error: e });
+      } else {
+        await dequeue(change.id);
+        // refused (permissions, validation): put the server's copy back
+        if (change.base) await cachePut([change.base]);
+        else await cacheDrop(change.taskId);
+        outcomes.set(change.id, { error: e });
+      }
+    }
+  };
+
+  // Concurrent callers share one flush, like token refreshes in local.js.
+  let flushing = null;
+  const flush = (token) =>
+    (flushing ??= (async () => {
+      let sent = 0;
+      try {
+        for (let next; (next = (await readOutbox())[0]); sent++) {
+          await replay(token, next);
+        }
+        setOffline(false);
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+        setOffline(true);
+      } finally {
+        await emit();
+      }
+      return { sent, ...(await status()) };
+    })().finally(() => {
+      flushing = null;
+    }));
+
+  // Queues `change`, flushes, and reports what became of it.
+  const submit = async (token, change, optimistic) => {
+    const conflicts = await readConflicts();
+    if (conflicts.some((c) => c.taskId === change.taskId)) {
+      throw apiError(
+        409,
+        "Resolve the sync conflict on this task first.",
+        "version_conflict"
+      );
+    }
+    const queued = await enqueue(change);
+    if (optimistic) await cachePut([{ ...optimistic, pending: true }]);
+    else await cacheDrop(change.taskId);
+    if (!queued) return null;
+    if (isOnline()) {
+      await flush(token);
+      // joined a flush that had already read the outbox
+      if (!outcomes.has(queued.id) && !offline) await flush(token);
+    } else setOffline(true);
+    const outcome = outcomes.get(queued.id);
+    outcomes.delete(queued.id);
+    if (!outcome) {
+      // still queued: later edits fold into it, so return the merged view
+      return optimistic && { ...optimistic, pending: true };
+    }
+    if (outcome.error) throw outcome.error;
+    return outcome.task;
+  };
+
+  return {
+    // tasks.list, falling back to the cache when offline. Offline results
+    // have `offline: true` and no further batches.
+    list: async ({ token, cursor, ...query }) => {
+      if (isOnline()) {
+        if ((await readOutbox()).length) await flush(token);
+        try {
+          const res = await tasks.list({ token, cursor, ...query });
+          await cachePut(res.items);
+          setOffline(false);
+          return res;
+        } catch (e) {
+          if (!isNetworkError(e)) throw e;
+        }
+      }
+      setOffline(true);
+      if (cursor) {
+        throw apiError(0, "You're offline.", "network_error");
+      }
+      const items = filterTasks(await readCache(), query, { id: userId }).sort(
+        compareTasks(query.sortBy, query.sortDir)
+      );
+      return { items, total: items.length, nextCursor: null, offline: true };
+    },
+    get: async ({ token, id }) => {
+      if (!isLocalTaskId(id) && isOnline()) {
+        try {
+          const task = await tasks.get({ token, id });
+          await cachePut([task]);
+          return task;
+        } catch (e) {
+          if (!isNetworkError(e)) throw e;
+          setOffline(true);
+        }
+      }
+      const task = await cached(id);
+      if (!task) throw apiError(404, "Not found");
+      return task;
+    },
+    create: async ({ token, payload }) => {
+      const id = `${LOCAL_ID}${uid()}`;
+      const draft = {
+        description: "",
+        status: "todo",
+        priority: "medium",
+        dueDate: null,
+        ...payload,
+        id,
+        createdBy: userId,
+        createdAt: nowISO(),
+        updatedAt: nowISO(),
+      };
+      return submit(token, { type: "create", taskId: id, payload }, draft);
+    },
+    // `task` is the copy being edited; its version is the base for
+    // conflict detection.
+    update: async ({ token, task, payload }) => {
+      const base = withoutPending(task);
+      return submit(
+        token,
+        {
+          type: "update",
+          taskId: task.id,
+          payload,
+          base,
+          baseVersion: taskVersion(base),
+        },
+        { ...base, ...payload }
+      );
+    },
+    remove: async ({ token, task }) => {
+      const base = withoutPending(task);
+      await submit(token, {
+        type: "remove",
+        taskId: task.id,
+        payload: null,
+        base,
+        baseVersion: taskVersion(base),
+      });
+      return { ok: true };
+    },
+    flush,
+    status,
+    // choice: "mine" | "theirs" | "merge" (with `fields`, the merged values)
+    resolve: async ({ token, taskId, choice, fields = {} }) => {
+      const conflicts = await readConflicts();
+      const conflict = conflicts.find((c) => c.taskId === taskId);
+      if (!conflict) throw apiError(404, "This conflict was already resolved.");
+      await storage.write(
+        keys.conflicts,
+        conflicts.filter((c) => c !== conflict)
+      );
+      const { theirs, mine } = conflict;
+      if (choice === "theirs") {
+        await emit();
+        return theirs;
+      }
+      let result;
+      if (!mine) {
+        // my delete against their edit: delete their version
+        result = await submit(token, {
+          type: "remove",
+          taskId,
+          payload: null,
+          base: theirs,
+          baseVersion: taskVersion(theirs),
+        });
+      } else if (!theirs) {
+        // my edit against their delete: create it again
+        const values = choice === "merge" ? { ...mine, ...fields } : mine;
+        const payload = Object.fromEntries(
+          MERGE_FIELDS.map((f) => [f, values[f] ?? null])
+        );
+        const id = `${LOCAL_ID}${uid()}`;
+        result = await submit(
+          token,
+          { type: "create", taskId: id, payload },
+          { ...mine, ...payload, id }
+        );
+      } else {
+        const payload = choice === "merge" ? fields : conflict.payload;
+        result = await submit(
+          token,
+          {
+            type: "update",
+            taskId,
+            payload,
+            base: theirs,
+            baseVersion: taskVersion(theirs),
+          },
+          { ...theirs, ...payload }
+        );
+      }
+      await emit();
+      return result;
+    },
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+};
@@ -0,0 +1,213 @@
+import { bySortOrder } from "./board.js";
+import { decodeJSON, encodeJSON } from "./tokens.js";
+
+/**
+ * Server-side task filtering and sorting shared by every backend, so the
+ * local adapter and the REST server honour the same `tasks.list` contract:
+ *
+ *   status      "all" | "todo" | "in-progress" | "done"
+ *   search      substring of title/description
+ *   assignedTo  user id, or "unassigned"
+ *   mine        true: only tasks assigned to the caller (wins over assignedTo)
+ *   createdBy   user id
+ *   priority    "low" | "medium" | "high", or a comma-separated list
+ *   dueFrom     YYYY-MM-DD, inclusive
+ *   dueTo       YYYY-MM-DD, inclusive
+ *   overdue     true: due before today and not done
+ *   parentId    task id: its subtasks; "none": top-level tasks only
+ *   blockedBy   task id: the tasks waiting on it
+ *   blocked     true: tasks with a blocker that isn't done
+ *   sortBy      see TASK_SORT_FIELDS (default createdAt)
+ *   sortDir     "asc" | "desc" (default desc; title and sortOrder asc)
+ *
+ * Pages are fetched either by `page`/`pageSize`, or by `limit` plus the
+ * `cursor` returned with the previous batch. Cursors hold the sort keys of
+ * the last item, so tasks created or deleted between requests don't shift
+ * later pages; ordering is total (ties break on id).
+ *
+ * Query-string values arrive as strings, so flags accept "true"/"1".
+ */
+
+export const TASK_SORT_FIELDS = [
+  { key: "createdAt", label: "Created" },
+  { key: "updatedAt", label: "Updated" },
+  { key: "dueDate", label: "Due date" },
+  { key: "priority", label: "Priority" },
+  { key: "title", label: "Title" },
+];
+
+// Board order (board.js) is sortable too, but isn't offered in the list UI.
+export const SORT_KEYS = [...TASK_SORT_FIELDS.map((f) => f.key), "sortOrder"];
+
+export const PRIORITIES = ["low", "medium", "high"];
+
+const DEFAULT_DIR = { title: "asc", sortOrder: "asc" };
+
+const flag = (v) => v === true || v === "true" || v === "1";
+
+const list = (v) =>
+  (Array.isArray(v) ? v : String(v || "").split(","))
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+const day = (iso) => (iso ? String(iso).slice(0, 10) : null);
+
+export const today = () => {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const isOverdue = (task, on = today()) =>
+  Boolean(task.dueDate) && task.status !== "done" && day(task.dueDate) < on;
+
+export const filterTasks = (tasks, query, me) => {
+  const {
+    status,
+    search,
+    assignedTo,
+    createdBy,
+    priority,
+    dueFrom,
+    dueTo,
+    parentId,
+    blockedBy,
+  } = query;
+  const priorities = list(priority);
+  const assignee = flag(query.mine) ? me.id : assignedTo;
+  const s = String(search || "").toLowerCase();
+  const now = today();
+  const statusOf = flag(query.blocked)
+    ? new Map(tasks.map((t) => [t.id, t.status]))
+    : null;
+  const isBlocked = (t) =>
+    (t.blockedBy || []).some(
+      (id) => statusOf.has(id) && statusOf.get(id) !== "done"
+    );
+
+  return tasks.filter(
+    (t) =>
+      (!status || status === "all" || t.status === status) &&
+      (!s ||
+        t.title.toLowerCase().includes(s) ||
+        (t.description || "").toLowerCase().includes(s)) &&
+      (!assignee ||
+        (assignee === "unassigned"
+          ? !t.assignedTo
+          : t.assignedTo === assignee)) &&
+      (!createdBy || t.createdBy === createdBy) &&
+      (!priorities.length || priorities.includes(t.priority)) &&
+      (!dueFrom || (t.dueDate && day(t.dueDate) >= dueFrom)) &&
+      (!dueTo || (t.dueDate && day(t.dueDate) <= dueTo)) &&
+      (!flag(query.overdue) || isOverdue(t, now)) &&
+      (!parentId ||
+        (parentId === "none" ? !t.parentId : t.parentId === parentId)) &&
+      (!blockedBy || (t.blockedBy || []).includes(blockedBy)) &&
+      (!statusOf || isBlocked(t))
+  );
+};
+
+const value = {
+  createdAt: (t) => Date.parse(t.createdAt),
+  updatedAt: (t) => Date.parse(t.updatedAt || t.createdAt),
+  dueDate: (t) => (t.dueDate ? Date.parse(t.dueDate) : null),
+  priority: (t) => PRIORITIES.indexOf(t.priority),
+  title: (t) => t.title.toLowerCase(),
+};
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+const byNewest = (a, b) =>
+  value.createdAt(b) - value.createdAt(a) || byId(a, b);
+
+// Comparator for `sortBy`/`sortDir`. Tasks without a due date sort last in
+// either direction; ties fall back to newest first, then id.
+export const compareTasks = (sortBy = "createdAt", sortDir) => {
+  if (sortBy === "sortOrder") return (a, b) => bySortOrder(a, b) || byId(a, b);
+  const get = value[sortBy] || value.createdAt;
+  const dir = (sortDir || DEFAULT_DIR[sortBy] || "desc") === "asc" ? 1 : -1;
+  return (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x === y) return byNewest(a, b);
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (x < y ? -1 : 1) * dir;
+  };
+};
+
+// The first `n` of `items` in `compare` order, without sorting the rest:
+// a single pass that keeps a sorted buffer of the best n seen so far.
+export const firstSorted = (items, compare, n) => {
+  const best = [];
+  for (const item of items) {
+    if (best.length === n && compare(item, best[n - 1]) >= 0) continue;
+    let lo = 0;
+    let hi = best.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compare(item, best[mid]) < 0) hi = mid;
+      else lo = mid + 1;
+    }
+    best.splice(lo, 0, item);
+    if (best.length > n) best.pop();
+  }
+  return best;
+};
+
+// Fields a saved view remembers (everything but the page number).
+const VIEW_QUERY_KEYS = [
+  "view",
+  "pageSize",
+  "status",
+  "search",
+  "sortBy",
+  "sortDir",
+  "assignedTo",
+  "createdBy",
+  "priority",
+  "dueFrom",
+  "dueTo",
+  "overdue",
+  "mine",
+  "parentId",
+  "blocked",
+];
+
+export const pickViewQuery = (query = {}) =>
+  Object.fromEntries(
+    VIEW_QUERY_KEYS.filter(
+      (k) => query[k] !== undefined && query[k] !== null && query[k] !== ""
+    ).map((k) => [k, query[k]])
+  );
+
+// Fields a cursor needs to place any task relative to the last one seen.
+const CURSOR_FIELDS = [
+  "id",
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "priority",
+  "title",
+  "sortOrder",
+];
+
+export const encodeCursor = (task, sortBy, sortDir) =>
+  encodeJSON({
+    sortBy,
+    sortDir,
+    after: Object.fromEntries(CURSOR_FIELDS.map((f) => [f, task[f] ?? null])),
+  });
+
+// The position encoded in `cursor`, or null when it is malformed or was
+// issued for a different sort.
+export const decodeCursor = (cursor, sortBy, sortDir) => {
+  try {
+    const decoded = decodeJSON(cursor);
+    if (decoded.sortBy !== sortBy || decoded.sortDir !== sortDir) return null;
+    return decoded.after && typeof decoded.after.id === "string"
+      ? decoded.after
+      : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * JWT-style HS256 tokens and random secrets via Web Crypto, so the same code
+ * signs tokens in the browser mock and in the mock server.
+ */
+
+const encoder = new TextEncoder();
+
+const base64url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64url = (str) =>
+  Uint8Array.from(atob(str.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
+    c.charCodeAt(0)
+  );
+
+// URL-safe JSON blobs (token parts, list cursors).
+export const encodeJSON = (value) =>
+  base64url(encoder.encode(JSON.stringify(value)));
+export const decodeJSON = (str) =>
+  JSON.parse(new TextDecoder().decode(fromBase64url(str)));
+
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+export const randomToken = (bytes = 32) =>
+  toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+
+export const sha256 = async (value) =>
+  toHex(await crypto.subtle.digest("SHA-256", encoder.encode(value)));
+
+/** @param {() => Promise<string>} getSecret resolves the HMAC secret (read once) */
+export const createTokenSigner = (getSecret) => {
+  let keyPromise = null;
+  const key = () =>
+    (keyPromise ??= getSecret().then((secret) =>
+      crypto.subtle.importKey(
+        "raw",
+        encoder.encode(secret),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign", "verify"]
+      )
+    ));
+
+  return {
+    sign: async (claims) => {
+      const header = encodeJSON({ alg: "HS256", typ: "JWT" });
+      const unsigned = `${header}.${encodeJSON(claims)}`;
+      const sig = await crypto.subtle.sign(
+        "HMAC",
+        await key(),
+        encoder.encode(unsigned)
+      );
+      return `${unsigned}.${base64url(new Uint8Array(sig))}`;
+    },
+    /** Returns the claims when the signature is valid (expiry is not checked), else null. */
+    verify: async (token) => {
+      const parts = String(token || "").split(".");
+      if (parts.length !== 3) return null;
+      try {
+        const ok = await crypto.subtle.verify(
+          "HMAC",
+          await key(),
+          fromBase64url(parts[2]),
+          encoder.encode(`${parts[0]}.${parts[1]}`)
+        );
+        if (!ok) return null;
+        return decodeJSON(parts[1]);
+      } catch {
+        return null;
+      }
+    },
+  };
+};
@@ -0,0 +1,189 @@
+/**
+ * Voucher rules: whether a voucher applies to an order, what it takes off
+ * and which of a user's vouchers is best. An order is
+ *   { service, subtotal, currency }
+ * with `subtotal` in minor units. Vouchers themselves are stored per user by
+ * wallet.js.
+ *
+ * Rejections carry a `reason` code and a message the UI can show as is:
+ *   voucher_used, voucher_expired, wrong_service, below_minimum
+ */
+export const SERVICES = ["express", "regular", "cargo"];
+
+export const SERVICE_LABELS = {
+  express: "Express",
+  regular: "Regular",
+  cargo: "Cargo",
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Codes any user can add to their wallet. A claimed voucher expires
+ * `validDays` after it is added, or when the campaign `endsAt`, whichever
+ * comes first.
+ */
+export const PROMO_CODES = [
+  {
+    code: "FREESHIP",
+    title: "$4 off any shipment",
+    kind: "amount",
+    value: 400,
+    maxDiscount: null,
+    minOrder: 1500,
+    services: SERVICES,
+    validDays: 30,
+    endsAt: null,
+  },
+  {
+    code: "EXPRESS25",
+    title: "25% off Express",
+    kind: "percent",
+    value: 25,
+    maxDiscount: 1000,
+    minOrder: 0,
+    services: ["express"],
+    validDays: 14,
+    endsAt: null,
+  },
+  {
+    code: "CARGO50",
+    title: "$50 off Cargo over $300",
+    kind: "amount",
+    value: 5000,
+    maxDiscount: null,
+    minOrder: 30000,
+    services: ["cargo"],
+    validDays: 45,
+    endsAt: null,
+  },
+  {
+    code: "WINTER10",
+    title: "10% off winter shipping",
+    kind: "percent",
+    value: 10,
+    maxDiscount: 800,
+    minOrder: 0,
+    services: SERVICES,
+    validDays: 30,
+    endsAt: "2026-03-01T00:00:00.000Z",
+  },
+];
+
+// Codes are matched without regard to case or surrounding spaces.
+export const normalizeCode = (code) =>
+  String(code ?? "")
+    .trim()
+    .toUpperCase();
+
+export const findPromo = (code) =>
+  PROMO_CODES.find((p) => p.code === normalizeCode(code)) || null;
+
+// When a voucher claimed from `promo` at `now` expires (ISO string).
+export const promoExpiry = (promo, now = Date.now()) => {
+  const end = now + promo.validDays * DAY;
+  return new Date(
+    promo.endsAt ? Math.min(end, Date.parse(promo.endsAt)) : end
+  ).toISOString();
+};
+
+export const voucherStatus = (voucher, now = Date.now()) => {
+  if (voucher.usedAt) return "used";
+  return Date.parse(voucher.expiresAt) < now ? "expired" : "available";
+};
+
+const money = (amount, currency = "USD") => {
+  const format = new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  });
+  return format.format(
+    amount / 10 ** (format.resolvedOptions().maximumFractionDigits ?? 2)
+  );
+};
+
+const serviceList = (services) => {
+  const names = services.map((s) => SERVICE_LABELS[s] || s);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`
+    : names[0];
+};
+
+/**
+ * Why `voucher` can't be used for `order`, as { reason, message }, or null
+ * when it can.
+ */
+export const checkVoucher = (voucher, order, now = Date.now()) => {
+  const status = voucherStatus(voucher, now);
+  if (status === "used") {
+    return {
+      reason: "voucher_used",
+      message: `${voucher.code} has already been used.`,
+    };
+  }
+  if (status === "expired") {
+    return {
+      reason: "voucher_expired",
+      message: `${voucher.code} expired on ${voucher.expiresAt.slice(0, 10)}.`,
+    };
+  }
+  if (!voucher.services.includes(order.service)) {
+    return {
+      reason: "wrong_service",
+      message: `${voucher.code} is only valid for ${serviceList(
+        voucher.services
+      )}.`,
+    };
+  }
+  if (order.subtotal < voucher.minOrder) {
+    return {
+      reason: "below_minimum",
+      message: `${voucher.code} needs an order of at least ${money(
+        voucher.minOrder,
+        order.currency
+      )}.`,
+    };
+  }
+  return null;
+};
+
+// What `voucher` takes off `subtotal`, never more than the subtotal.
+export const voucherDiscount = (voucher, subtotal) => {
+  let discount =
+    voucher.kind === "percent"
+      ? Math.floor((subtotal * voucher.value) / 100)
+      : voucher.value;
+  if (voucher.maxDiscount !== null) {
+    discount = Math.min(discount, voucher.maxDiscount);
+  }
+  return Math.min(discount, subtotal);
+};
+
+/**
+ * The voucher that takes the most off `order` (the one expiring first on a
+ * tie) as { voucher, discount }, with { voucher: null, discount: 0 } when
+ * none applies. `rejected` lists why each other unused, unexpired voucher
+ * doesn't apply.
+ */
+export const bestVoucher = (vouchers, order, now = Date.now()) => {
+  let best = { voucher: null, discount: 0 };
+  const rejected = [];
+  for (const voucher of vouchers) {
+    if (voucherStatus(voucher, now) !== "available") continue;
+    const problem = checkVoucher(voucher, order, now);
+    if (problem) {
+      rejected.push({ id: voucher.id, code: voucher.code, ...problem });
+      continue;
+    }
+    const discount = voucherDiscount(voucher, order.subtotal);
+    if (
+      discount > best.discount ||
+      (discount === best.discount &&
+        discount > 0 &&
+        Date.parse(voucher.expiresAt) < Date.parse(best.voucher.expiresAt))
+    ) {
+      best = { voucher, discount };
+    }
+  }
+  return { ...best, rejected };
+};
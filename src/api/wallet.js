@@ -0,0 +1,275 @@
+import { apiError } from "./errors.js";
+import { nowISO, uid } from "./seed.js";
+import { KEYS } from "./storage.js";
+import { SERVICES, promoExpiry, voucherStatus } from "./vouchers.js";
+
+/**
+ * Per-user wallets behind the Dashboard: a balance and vouchers (loyalty
+ * coins are kept by loyalty.js). Amounts are integers in the currency's
+ * minor unit (12198 USD is $121.98); clients format them for the user's
+ * locale.
+ *
+ * Wallets: { userId, currency, balance, createdAt }
+ * Ledger entries (newest last), one per change to a balance:
+ *   { id, userId, type: "credit" | "debit", kind, amount, balanceAfter,
+ *     description, reference, key, createdAt }
+ * `kind` is one of LEDGER_KINDS; `reference` points at what the money was
+ * for (a payment provider charge, a shipment). `key` makes a posting
+ * idempotent: a second one with the same user and key returns the first.
+ *
+ * Vouchers:
+ *   { id, userId, code, title, kind: "percent" | "amount", value,
+ *     maxDiscount, minOrder, services, expiresAt, usedAt, usedFor,
+ *     createdAt }
+ * `value` is a percentage for "percent" vouchers and an amount otherwise;
+ * `services` lists the shipping services it applies to and `usedFor` is what
+ * it was redeemed on (a shipment id). The rules live in vouchers.js.
+ *
+ * A wallet is opened with demo funds and vouchers the first time its user
+ * asks for it; the funds are posted as an "opening" credit.
+ */
+export const LEDGER_KINDS = ["opening", "topup", "payment", "refund"];
+
+// Smallest and largest single top-up, in minor units.
+export const TOP_UP_LIMITS = { min: 500, max: 100000 };
+
+const DEMO_WALLET = { currency: "USD", balance: 12198 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// [code, title, kind, value, maxDiscount, minOrder, services, expires in days]
+const DEMO_VOUCHERS = [
+  ["WELCOME10", "10% off any shipment", "percent", 10, 500, 0, SERVICES, 30],
+  ["EXPRESS5", "$5 off Express", "amount", 500, null, 2000, ["express"], 14],
+  ["CARGO15", "15% off Cargo", "percent", 15, 2000, 5000, ["cargo"], 60],
+  ["REGULAR3", "$3 off Regular", "amount", 300, null, 1000, ["regular"], 21],
+  ["SHIP8", "$8 off any shipment", "amount", 800, null, 4000, SERVICES, 7],
+  [
+    "FAST20",
+    "20% off Express and Regular",
+    "percent",
+    20,
+    1000,
+    2500,
+    ["express", "regular"],
+    3,
+  ],
+  ["BULK25", "$25 off big Cargo", "amount", 2500, null, 15000, ["cargo"], 90],
+  ["SPRING30", "30% off any shipment", "percent", 30, 1500, 0, SERVICES, -5],
+];
+
+const demoVouchers = (userId, now) =>
+  DEMO_VOUCHERS.map(
+    ([code, title, kind, value, maxDiscount, minOrder, services, days]) => ({
+      id: uid(),
+      userId,
+      code,
+      title,
+      kind,
+      value,
+      maxDiscount,
+      minOrder,
+      services,
+      expiresAt: new Date(now + days * DAY).toISOString(),
+      usedAt: null,
+      usedFor: null,
+      createdAt: nowISO(),
+    })
+  );
+
+// Available vouchers first, then by expiry, soonest first.
+const byUsefulness = (a, b) =>
+  (a.status !== "available") - (b.status !== "available") ||
+  Date.parse(a.expiresAt) - Date.parse(b.expiresAt);
+
+const presentVoucher = ({ userId: _userId, ...v }, now = Date.now()) => ({
+  ...v,
+  status: voucherStatus(v, now),
+});
+
+const presentEntry = ({ userId: _userId, key: _key, ...entry }) => entry;
+
+export const createWallets = ({ read, write }) => {
+  const appendEntry = async (entry) => {
+    const ledger = await read(KEYS.walletLedger, []);
+    await write(KEYS.walletLedger, [...ledger, entry]);
+  };
+
+  // The user's wallet, opened with the demo funds on first use.
+  const open = async (userId) => {
+    const wallets = await read(KEYS.wallets, []);
+    const existing = wallets.find((w) => w.userId === userId);
+    if (existing) return existing;
+    const wallet = { userId, ...DEMO_WALLET, createdAt: nowISO() };
+    await write(KEYS.wallets, [...wallets, wallet]);
+    await appendEntry({
+      id: uid(),
+      userId,
+      type: "credit",
+      kind: "opening",
+      amount: wallet.balance,
+      balanceAfter: wallet.balance,
+      description: "Welcome balance",
+      reference: null,
+      key: null,
+      createdAt: wallet.createdAt,
+    });
+    const vouchers = await read(KEYS.vouchers, []);
+    await write(KEYS.vouchers, [
+      ...vouchers,
+      ...demoVouchers(userId, Date.now()),
+    ]);
+    return wallet;
+  };
+
+  const vouchers = async (userId) => {
+    const now = Date.now();
+    return (await read(KEYS.vouchers, []))
+      .filter((v) => v.userId === userId)
+      .map((v) => presentVoucher(v, now))
+      .sort(byUsefulness);
+  };
+
+  // Adds a voucher ({ code, title, kind, value, maxDiscount, minOrder,
+  // services, expiresAt }) to the user's wallet.
+  const grantVoucher = async (userId, fields) => {
+    await open(userId);
+    const voucher = {
+      id: uid(),
+      userId,
+      ...fields,
+      usedAt: null,
+      usedFor: null,
+      createdAt: nowISO(),
+    };
+    const all = await read(KEYS.vouchers, []);
+    await write(KEYS.vouchers, [...all, voucher]);
+    return presentVoucher(voucher);
+  };
+
+  const setUse = async (userId, id, use) => {
+    const all = await read(KEYS.vouchers, []);
+    const mine = (v) => v.id === id && v.userId === userId;
+    const voucher = { ...all.find(mine), ...use };
+    await write(
+      KEYS.vouchers,
+      all.map((v) => (mine(v) ? voucher : v))
+    );
+    return presentVoucher(voucher);
+  };
+
+  const findEntry = async (userId, key) =>
+    (await read(KEYS.walletLedger, [])).find(
+      (e) => e.userId === userId && e.key === key
+    ) || null;
+
+  return {
+    // { currency, balance, vouchers } with each voucher's `status`.
+    summary: async (userId) => {
+      const { currency, balance } = await open(userId);
+      return { currency, balance, vouchers: await vouchers(userId) };
+    },
+    // The user's vouchers, available ones first.
+    vouchers: async (userId) => {
+      await open(userId);
+      return vouchers(userId);
+    },
+    // Adds a voucher made from a promo code (vouchers.js PROMO_CODES); 409
+    // voucher_already_added when the user has claimed it before.
+    claimVoucher: async (userId, promo) => {
+      await open(userId);
+      const all = await read(KEYS.vouchers, []);
+      if (all.some((v) => v.userId === userId && v.code === promo.code)) {
+        throw apiError(
+          409,
+          `${promo.code} is already in your wallet.`,
+          "voucher_already_added"
+        );
+      }
+      const { validDays: _days, endsAt: _endsAt, ...fields } = promo;
+      return grantVoucher(userId, { ...fields, expiresAt: promoExpiry(promo) });
+    },
+    grantVoucher,
+    // Marks the voucher used for `usedFor`; the caller checks it applies.
+    redeemVoucher: (userId, id, usedFor = null) =>
+      setUse(userId, id, { usedAt: nowISO(), usedFor }),
+    // Makes a redeemed voucher usable again, when what it was used for is
+    // cancelled.
+    releaseVoucher: (userId, id) =>
+      setUse(userId, id, { usedAt: null, usedFor: null }),
+    // { currency, balance } without the vouchers.
+    account: async (userId) => {
+      const { currency, balance } = await open(userId);
+      return { currency, balance };
+    },
+    // The entry posted earlier with this idempotency key, if any.
+    findEntry: async (userId, key) => {
+      const entry = key ? await findEntry(userId, key) : null;
+      return entry && presentEntry(entry);
+    },
+    // Credits or debits `amount` (minor units, > 0) and records it; debits
+    // beyond the balance fail with 409 insufficient_funds. Resolves
+    // { entry, balance }.
+    post: async (
+      userId,
+      { type, kind, amount, description, reference = null, key = null }
+    ) => {
+      const wallet = await open(userId);
+      if (key) {
+        const earlier = await findEntry(userId, key);
+        if (earlier) {
+          return { entry: presentEntry(earlier), balance: wallet.balance };
+        }
+      }
+      if (type === "debit" && amount > wallet.balance) {
+        throw apiError(409, "Insufficient balance.", "insufficient_funds");
+      }
+      const balance =
+        type === "credit" ? wallet.balance + amount : wallet.balance - amount;
+      const wallets = await read(KEYS.wallets, []);
+      await write(
+        KEYS.wallets,
+        wallets.map((w) => (w.userId === userId ? { ...w, balance } : w))
+      );
+      const entry = {
+        id: uid(),
+        userId,
+        type,
+        kind,
+        amount,
+        balanceAfter: balance,
+        description,
+        reference,
+        key,
+        createdAt: nowISO(),
+      };
+      await appendEntry(entry);
+      return { entry: presentEntry(entry), balance };
+    },
+    // Newest first. Filters: `type`, `kind` and an inclusive `from`/`to`
+    // date range (YYYY-MM-DD).
+    entries: async (userId, { type, kind, from, to } = {}) => {
+      await open(userId);
+      const start = from ? Date.parse(`${from}T00:00:00`) : -Infinity;
+      const end = to ? Date.parse(`${to}T23:59:59.999`) : Infinity;
+      return (await read(KEYS.walletLedger, []))
+        .filter(
+          (e) =>
+            e.userId === userId &&
+            (!type || e.type === type) &&
+            (!kind || e.kind === kind) &&
+            Date.parse(e.createdAt) >= start &&
+            Date.parse(e.createdAt) <= end
+        )
+        .reverse()
+        .map(presentEntry);
+    },
+    // Everything kept for a user, when the user is deleted.
+    forget: async (userId) => {
+      for (const key of [KEYS.wallets, KEYS.vouchers, KEYS.walletLedger]) {
+        const all = await read(key, []);
+        await write(key, all.filter((item) => item.userId !== userId));
+      }
+    },
+  };
+};
@@ -0,0 +1,21 @@
+import { createContext } from "react";
+import type {
+  Credentials,
+  PasswordChange,
+  Session,
+  User,
+} from "../services/auth.ts";
+
+export type AuthContextValue = {
+  user: User | null;
+  token: string | null;
+  /** True until the stored session has been restored (or found missing). */
+  loading: boolean;
+  login: (credentials: Credentials) => Promise<Session>;
+  logout: () => Promise<void>;
+  changePassword: (change: PasswordChange) => Promise<User>;
+  /** Loads the signed-in user again, e.g. after an admin changed them. */
+  reload: () => Promise<void>;
+};
+
+export const AuthContext = createContext<AuthContextValue | null>(null);
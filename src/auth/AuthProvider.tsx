@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { AuthContext } from "./AuthContext.ts";
+import { setTokenRefresher } from "../services/http.ts";
+import {
+  auth as defaultService,
+  type AuthService,
+  type Credentials,
+  type PasswordChange,
+  type Session,
+} from "../services/auth.ts";
+
+type Props = {
+  children: React.ReactNode;
+  /**
+   * Auth backend; defaults to the HTTP client for the mock API. main.tsx
+   * passes the task manager backend's (src/api), so both share one session.
+   */
+  service?: AuthService;
+};
+
+const AuthProvider = ({ children, service = defaultService }: Props) => {
+  const [session, setSession] = useState<Session | null>(null);
+  const [loading, setLoading] = useState(true);
+  const sessionRef = useRef<Session | null>(null);
+
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
+
+  // Requests made with an expired access token are retried once with a
+  // renewed one (see request() in services/http.ts); when the server turns
+  // the refresh token down, the user is signed out. A renewal that fails for
+  // another reason (offline) keeps the session.
+  useEffect(() => {
+    setTokenRefresher(async (expired) => {
+      const current = sessionRef.current;
+      if (!current) throw new Error("Not signed in.");
+      // another request renewed it already
+      if (current.token !== expired) return current.token;
+      try {
+        const next = await service.refresh();
+        sessionRef.current = next;
+        setSession(next);
+        return next.token;
+      } catch (e) {
+        if ((e as { status?: number } | null)?.status === 401) {
+          sessionRef.current = null;
+          setSession(null);
+        }
+        throw e;
+      }
+    });
+    return () => setTokenRefresher(null);
+  }, [service]);
+
+  useEffect(() => {
+    let mounted = true;
+    service
+      .restore()
+      .catch(() => null)
+      .then((restored) => {
+        if (!mounted) return;
+        setSession(restored);
+        setLoading(false);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, [service]);
+
+  const login = useCallback(
+    async (credentials: Credentials) => {
+      const next = await service.login(credentials);
+      setSession(next);
+      return next;
+    },
+    [service]
+  );
+
+  const logout = useCallback(async () => {
+    await service.logout();
+    setSession(null);
+  }, [service]);
+
+  const changePassword = useCallback(
+    async (change: PasswordChange) => {
+      const user = await service.changePassword(change);
+      setSession((s) => s && { ...s, user });
+      return user;
+    },
+    [service]
+  );
+
+  // null when the session is no longer valid, which signs the user out
+  const reload = useCallback(async () => {
+    setSession(await service.restore());
+  }, [service]);
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      token: session?.token ?? null,
+      loading,
+      login,
+      logout,
+      changePassword,
+      reload,
+    }),
+    [session, loading, login, logout, changePassword, reload]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,46 @@
+import { Navigate, Outlet, useLocation } from "react-router";
+import { useAuth } from "./useAuth.ts";
+import type { Role } from "../services/auth.ts";
+import Forbidden from "../pages/Forbidden.tsx";
+import ChangePassword from "../pages/ChangePassword.tsx";
+
+type Props = {
+  /** Only these roles may enter; omit to allow any signed-in user. */
+  roles?: Role[];
+  children?: React.ReactNode;
+};
+
+/**
+ * Route guard. Use it as a layout route (`<Route element={<RequireAuth />}>`)
+ * or wrap a single element. Visitors without a session are sent to the login
+ * page, which returns them to the requested location after signing in;
+ * users who must replace an admin-set password change it first.
+ */
+const RequireAuth = ({ roles, children }: Props) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-gray-500">
+        Loading…
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/" replace state={{ from: location }} />;
+  }
+
+  if (user.mustChangePassword) {
+    return <ChangePassword />;
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    return <Forbidden />;
+  }
+
+  return children ?? <Outlet />;
+};
+
+export default RequireAuth;
@@ -0,0 +1,8 @@
+import { useContext } from "react";
+import { AuthContext } from "./AuthContext.ts";
+
+export const useAuth = () => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>.");
+  return ctx;
+};
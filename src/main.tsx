@@ -2,18 +2,50 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App.tsx";
-import { BrowserRouter, Routes, Route } from "react-router";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router";
 import Dashboard from "./pages/Dashboard.tsx";
-// import NewApp from "./pages/NewApp.jsx";
+import Wallet from "./pages/Wallet.tsx";
+import Vouchers from "./pages/Vouchers.tsx";
+import Coins from "./pages/Coins.tsx";
+import BookShipment from "./pages/BookShipment.tsx";
+import Shipments from "./pages/Shipments.tsx";
+import AuthProvider from "./auth/AuthProvider.tsx";
+import RequireAuth from "./auth/RequireAuth.tsx";
+import NewApp from "./pages/NewApp.jsx";
+import { createApi } from "./api/index.js";
+
+// The task manager's backend (src/api); its auth service is the app's
+// session, so one sign-in covers the Dashboard and the task manager.
+const api = createApi();
 
 createRoot(document.getElementById("root")!).render(
   <StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/dashboard" element={<Dashboard />} />
-        {/* <Route path="/newApp" element={<NewApp />} /> */}
-      </Routes>
-    </BrowserRouter>
+    <AuthProvider service={api.auth}>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/" element={<App />} />
+          {/* Private screens; pass `roles` to RequireAuth to restrict by role */}
+          <Route element={<RequireAuth />}>
+            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/wallet" element={<Wallet />} />
+            <Route path="/vouchers" element={<Vouchers />} />
+            <Route path="/coins" element={<Coins />} />
+            <Route path="/ship/:service" element={<BookShipment />} />
+            <Route path="/shipments" element={<Shipments />} />
+            <Route path="/shipments/:shipmentId" element={<Shipments />} />
+            {/* Task manager: NewApp reads the matched child route to pick its view */}
+            <Route element={<NewApp api={api} />}>
+              <Route path="/tasks" />
+              <Route path="/tasks/:taskId" />
+              <Route path="/users" />
+              <Route path="/roles" />
+              <Route path="/audit" />
+              <Route path="/profile" />
+            </Route>
+          </Route>
+          <Route path="/newApp" element={<Navigate to="/tasks" replace />} />
+        </Routes>
+      </BrowserRouter>
+    </AuthProvider>
   </StrictMode>
 );
@@ -0,0 +1,239 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router";
+import bellIcon from "../../public/bell.svg";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  NOTIFICATION_TYPE_LABELS,
+  notifications as defaultService,
+  type AppNotification,
+  type NotificationPreferences,
+  type NotificationService,
+  type NotificationType,
+} from "../services/notifications.ts";
+import { useNotifications } from "./useNotifications.ts";
+
+type Props = {
+  /** Notification backend; defaults to the HTTP client for the mock API. */
+  service?: NotificationService;
+};
+
+const TYPE_ICONS: Record<NotificationType, string> = {
+  assignment: "👤",
+  mention: "💬",
+  due_soon: "⏰",
+  overdue: "⚠️",
+  package: "📦",
+};
+
+const timeAgo = (iso: string) => {
+  const minutes = Math.round((Date.now() - Date.parse(iso)) / 60_000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+const Preferences = ({ service }: { service: NotificationService }) => {
+  const { token } = useAuth();
+  const [prefs, setPrefs] = useState<NotificationPreferences | null>(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!token) return;
+    service
+      .preferences(token)
+      .then(setPrefs)
+      .catch((e: Error) => setError(e.message || "Failed to load settings."));
+  }, [service, token]);
+
+  const toggle = async (type: NotificationType) => {
+    if (!token || !prefs) return;
+    const on = !prefs[type];
+    setPrefs({ ...prefs, [type]: on });
+    try {
+      setPrefs(await service.updatePreferences(token, { [type]: on }));
+      setError("");
+    } catch (e) {
+      setPrefs({ ...prefs, [type]: !on });
+      setError(e instanceof Error ? e.message : "Failed to save settings.");
+    }
+  };
+
+  if (error && !prefs) {
+    return <p className="p-4 text-sm text-rose-600">{error}</p>;
+  }
+  if (!prefs) return <p className="p-4 text-sm text-gray-400">Loading…</p>;
+  return (
+    <div className="p-4 space-y-2">
+      <p className="text-sm text-gray-500">Notify me about</p>
+      {(Object.keys(NOTIFICATION_TYPE_LABELS) as NotificationType[]).map(
+        (type) => (
+          <label key={type} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={prefs[type]}
+              onChange={() => toggle(type)}
+            />
+            {NOTIFICATION_TYPE_LABELS[type]}
+          </label>
+        )
+      )}
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * Bell with the unread count; opens a dropdown listing the user's
+ * notifications, with mark-read actions and per-type settings.
+ */
+const NotificationBell = ({ service = defaultService }: Props) => {
+  const { items, unread, loading, error, refresh, markRead, markAllRead } =
+    useNotifications(service);
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState(false);
+  const ref = useRef<HTMLDivElement>(null);
+  const navigate = useNavigate();
+
+  // close on a click outside or Escape
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e: MouseEvent) => {
+      if (!ref.current?.contains(e.target as Node)) setOpen(false);
+    };
+    const onKey = (e: KeyboardEvent) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onClick);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  const toggleOpen = () => {
+    if (!open) refresh();
+    setSettings(false);
+    setOpen(!open);
+  };
+
+  const openItem = (n: AppNotification) => {
+    if (!n.read) markRead([n.id]);
+    if (n.link) {
+      setOpen(false);
+      navigate(n.link);
+    }
+  };
+
+  return (
+    <div ref={ref} className="relative">
+      <button
+        type="button"
+        onClick={toggleOpen}
+        aria-label={
+          unread ? `Notifications, ${unread} unread` : "Notifications"
+        }
+        aria-expanded={open}
+        className="relative block mb-2 cursor-pointer"
+      >
+        <img src={bellIcon} alt="" className="w-[30px]" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-rose-500 text-white text-[11px] leading-[18px] text-center">
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full z-20 w-[320px] max-w-[90vw] rounded-2xl border border-gray-200 bg-white shadow-lg">
+          <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
+            <h3 className="font-semibold">
+              {settings ? "Notification settings" : "Notifications"}
+            </h3>
+            <div className="flex items-center gap-3 text-sm">
+              {!settings && unread > 0 && (
+                <button
+                  type="button"
+                  className="text-purple-500 hover:underline"
+                  onClick={markAllRead}
+                >
+                  Mark all read
+                </button>
+              )}
+              <button
+                type="button"
+                className="text-gray-500 hover:underline"
+                onClick={() => setSettings(!settings)}
+              >
+                {settings ? "Back" : "Settings"}
+              </button>
+            </div>
+          </div>
+
+          {settings ? (
+            <Preferences service={service} />
+          ) : loading && !items.length ? (
+            <p className="p-4 text-sm text-gray-400">Loading…</p>
+          ) : error && !items.length ? (
+            <div className="p-4 text-sm">
+              <p className="text-rose-600">{error}</p>
+              <button
+                type="button"
+                className="mt-2 text-purple-500 hover:underline"
+                onClick={refresh}
+              >
+                Try again
+              </button>
+            </div>
+          ) : !items.length ? (
+            <p className="p-4 text-sm text-gray-400">
+              You're all caught up.
+            </p>
+          ) : (
+            <ul className="max-h-[360px] overflow-y-auto divide-y divide-gray-100">
+              {items.map((n) => (
+                <li key={n.id}>
+                  <button
+                    type="button"
+                    onClick={() => openItem(n)}
+                    className={`flex w-full gap-3 px-4 py-3 text-left hover:bg-gray-50 ${
+                      n.read ? "" : "bg-purple-50/50"
+                    }`}
+                  >
+                    <span aria-hidden>{TYPE_ICONS[n.type]}</span>
+                    <span className="min-w-0 flex-1">
+                      <span
+                        className={`block text-sm ${
+                          n.read ? "text-gray-600" : "font-semibold"
+                        }`}
+                      >
+                        {n.title}
+                      </span>
+                      {n.body && (
+                        <span className="block truncate text-sm text-gray-400">
+                          {n.body}
+                        </span>
+                      )}
+                      <span className="block text-xs text-gray-400">
+                        {timeAgo(n.createdAt)}
+                      </span>
+                    </span>
+                    {!n.read && (
+                      <span
+                        aria-label="unread"
+                        className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-purple-500"
+                      />
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
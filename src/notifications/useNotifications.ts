@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  notifications as defaultService,
+  type AppNotification,
+  type NotificationService,
+} from "../services/notifications.ts";
+
+// The bell isn't pushed notifications, so it checks for new ones this often.
+const POLL_MS = 30_000;
+
+type State = {
+  items: AppNotification[];
+  unread: number;
+  loading: boolean;
+  error: string;
+};
+
+const message = (e: unknown, fallback: string) =>
+  e instanceof Error && e.message ? e.message : fallback;
+
+/**
+ * The signed-in user's notifications, refreshed every POLL_MS. Marking read
+ * updates the list right away and takes the unread count from the server.
+ */
+export const useNotifications = (
+  service: NotificationService = defaultService
+) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    items: [],
+    unread: 0,
+    loading: true,
+    error: "",
+  });
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    try {
+      const { items, unread } = await service.list(token);
+      setState({ items, unread, loading: false, error: "" });
+    } catch (e) {
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error: message(e, "Failed to load notifications."),
+      }));
+    }
+  }, [service, token]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const markRead = async (ids: string[]) => {
+    if (!token || !ids.length) return;
+    setState((s) => ({
+      ...s,
+      items: s.items.map((n) => (ids.includes(n.id) ? { ...n, read: true } : n)),
+    }));
+    try {
+      const { unread } = await service.markRead(token, ids);
+      setState((s) => ({ ...s, unread }));
+    } catch (e) {
+      setState((s) => ({ ...s, error: message(e, "Failed to update.") }));
+    }
+  };
+
+  const markAllRead = async () => {
+    if (!token) return;
+    setState((s) => ({
+      ...s,
+      items: s.items.map((n) => ({ ...n, read: true })),
+    }));
+    try {
+      const { unread } = await service.markAllRead(token);
+      setState((s) => ({ ...s, unread }));
+    } catch (e) {
+      setState((s) => ({ ...s, error: message(e, "Failed to update.") }));
+    }
+  };
+
+  return { ...state, refresh, markRead, markAllRead };
+};
@@ -0,0 +1,665 @@
+import { useRef, useState } from "react";
+import { Link, useParams } from "react-router";
+import { useAuth } from "../auth/useAuth.ts";
+import { ApiError } from "../services/http.ts";
+import {
+  BOOKING_DAYS,
+  PICKUP_WINDOWS,
+  SERVICE_TERMS,
+  shipments as shipmentService,
+  type Address,
+  type Booking,
+  type BookingDiscounts,
+  type PickupWindow,
+  type Shipment,
+  type ShipmentQuote,
+} from "../services/shipments.ts";
+import { SERVICE_LABELS } from "../services/vouchers.ts";
+import {
+  formatCount,
+  formatMoney,
+  type ShippingService,
+} from "../services/wallet.ts";
+import { useVouchers } from "../wallet/useVouchers.ts";
+
+const STEPS = [
+  "Addresses",
+  "Parcel",
+  "Pickup",
+  "Quote",
+  "Discounts",
+  "Confirm",
+];
+
+const inputClass =
+  "border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400";
+
+const errorText = (e: unknown, fallback: string) =>
+  e instanceof Error && e.message ? e.message : fallback;
+
+const EMPTY_ADDRESS: Address = {
+  name: "",
+  phone: "",
+  street: "",
+  city: "",
+  postalCode: "",
+  country: "",
+};
+
+const ADDRESS_FIELDS: [keyof Address, string, string][] = [
+  ["name", "Name", "name"],
+  ["phone", "Phone", "tel"],
+  ["street", "Street address", "street-address"],
+  ["city", "City", "address-level2"],
+  ["postalCode", "Postal code", "postal-code"],
+  ["country", "Country", "country-name"],
+];
+
+// Parcel sizes as typed, so a half-typed number isn't rounded away.
+type ParcelInput = Record<keyof Booking["parcel"], string>;
+
+type Draft = {
+  pickup: Address;
+  dropoff: Address;
+  parcel: ParcelInput;
+  schedule: { date: string; window: PickupWindow };
+};
+
+const localDay = (d: Date) => {
+  const pad = (n: number) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const daysFromNow = (n: number) => {
+  const d = new Date();
+  d.setDate(d.getDate() + n);
+  return localDay(d);
+};
+
+const shortDate = (day: string) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+
+const windowLabel = (id: PickupWindow) =>
+  PICKUP_WINDOWS.find((w) => w.id === id)?.label ?? id;
+
+const toBooking = (service: ShippingService, draft: Draft): Booking => ({
+  service,
+  pickup: draft.pickup,
+  dropoff: draft.dropoff,
+  parcel: {
+    weightKg: Number(draft.parcel.weightKg),
+    lengthCm: Number(draft.parcel.lengthCm),
+    widthCm: Number(draft.parcel.widthCm),
+    heightCm: Number(draft.parcel.heightCm),
+  },
+  schedule: draft.schedule,
+});
+
+// "best", "none" or a voucher code, as picked on the Discounts step.
+const toDiscounts = (voucher: string, coins: string): BookingDiscounts => ({
+  useVoucher: voucher !== "none",
+  code: voucher === "best" || voucher === "none" ? undefined : voucher,
+  coins: Number(coins) || 0,
+});
+
+const AddressFields = ({
+  legend,
+  value,
+  onChange,
+}: {
+  legend: string;
+  value: Address;
+  onChange: (value: Address) => void;
+}) => (
+  <fieldset className="flex flex-col gap-2">
+    <legend className="mb-2 font-bold">{legend}</legend>
+    {ADDRESS_FIELDS.map(([key, label, autoComplete]) => (
+      <input
+        key={key}
+        aria-label={`${legend}: ${label}`}
+        placeholder={label}
+        autoComplete={autoComplete}
+        type={key === "phone" ? "tel" : "text"}
+        value={value[key]}
+        onChange={(e) => onChange({ ...value, [key]: e.target.value })}
+        className={inputClass}
+        required
+      />
+    ))}
+  </fieldset>
+);
+
+const Row = ({
+  label,
+  value,
+  strong = false,
+}: {
+  label: string;
+  value: string;
+  strong?: boolean;
+}) => (
+  <div
+    className={`flex justify-between py-1 text-sm ${
+      strong ? "font-semibold" : "text-gray-600"
+    }`}
+  >
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+const PriceBreakdown = ({ quote }: { quote: ShipmentQuote }) => {
+  const money = (amount: number) => formatMoney(amount, quote.currency);
+  return (
+    <div className="rounded-2xl border border-gray-300 p-4">
+      <Row label="Base fee" value={money(quote.baseFee)} />
+      <Row
+        label={`${quote.chargeableKg} kg chargeable weight`}
+        value={money(quote.weightFee)}
+      />
+      {quote.voucher && (
+        <Row
+          label={`Voucher ${quote.voucher.code}`}
+          value={`−${money(quote.voucherDiscount)}`}
+        />
+      )}
+      {quote.coins > 0 && (
+        <Row
+          label={`${formatCount(quote.coins)} coins`}
+          value={`−${money(quote.coinDiscount)}`}
+        />
+      )}
+      <div className="mt-1 border-t border-gray-100 pt-1">
+        <Row label="Total" value={money(quote.total)} strong />
+      </div>
+    </div>
+  );
+};
+
+const Discounts = ({
+  service,
+  quote,
+  voucher,
+  coins,
+  onVoucher,
+  onCoins,
+  onApply,
+}: {
+  service: ShippingService;
+  quote: ShipmentQuote;
+  voucher: string;
+  coins: string;
+  onVoucher: (value: string) => void;
+  onCoins: (value: string) => void;
+  onApply: () => void;
+}) => {
+  const { vouchers } = useVouchers();
+  const usable =
+    vouchers?.filter(
+      (v) => v.status === "available" && v.services.includes(service)
+    ) ?? [];
+
+  return (
+    <div className="flex flex-col gap-4">
+      <label className="flex flex-col gap-1 text-sm text-gray-500">
+        Voucher
+        <select
+          value={voucher}
+          onChange={(e) => onVoucher(e.target.value)}
+          className={inputClass}
+        >
+          <option value="best">Best available</option>
+          {usable.map((v) => (
+            <option key={v.id} value={v.code}>
+              {v.code}: {v.title}
+            </option>
+          ))}
+          <option value="none">No voucher</option>
+        </select>
+      </label>
+      {quote.rejected.length > 0 && voucher === "best" && (
+        <ul className="list-disc pl-5 text-xs text-gray-400">
+          {quote.rejected.map((r) => (
+            <li key={r.id}>{r.message}</li>
+          ))}
+        </ul>
+      )}
+      <label className="flex flex-col gap-1 text-sm text-gray-500">
+        Coins to spend (you have {formatCount(quote.coinBalance)})
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={coins}
+            onChange={(e) => onCoins(e.target.value)}
+            placeholder="0"
+            className={`${inputClass} min-w-0 flex-1`}
+          />
+          <button
+            type="button"
+            onClick={onApply}
+            className="rounded-lg border border-purple-400 px-4 text-sm text-purple-600"
+          >
+            Apply
+          </button>
+        </div>
+      </label>
+      <PriceBreakdown quote={quote} />
+    </div>
+  );
+};
+
+const Confirmation = ({ shipment }: { shipment: Shipment }) => (
+  <div className="mt-6 flex flex-col gap-4" role="status">
+    <div className="rounded-2xl bg-green-50 p-4">
+      <p className="font-bold text-green-700">Shipment booked</p>
+      <p className="mt-1 text-sm text-gray-600">
+        Tracking number{" "}
+        <span className="font-mono font-semibold">
+          {shipment.trackingNumber}
+        </span>
+      </p>
+      <p className="text-sm text-gray-600">
+        Pickup {shortDate(shipment.schedule.date)},{" "}
+        {windowLabel(shipment.schedule.window)} · arrives{" "}
+        {shortDate(shipment.estimatedDelivery.from)}–
+        {shortDate(shipment.estimatedDelivery.to)}
+      </p>
+      <p className="text-sm text-gray-600">
+        Paid {formatMoney(shipment.price.total, shipment.price.currency)} from
+        your balance.
+      </p>
+    </div>
+    <div className="flex gap-3">
+      <Link
+        to={`/shipments/${shipment.id}`}
+        className="flex-1 rounded-full bg-purple-500 py-2 text-center text-sm text-white"
+      >
+        Track it
+      </Link>
+      <Link
+        to="/dashboard"
+        className="flex-1 rounded-full border border-gray-300 py-2 text-center text-sm"
+      >
+        Dashboard
+      </Link>
+    </div>
+  </div>
+);
+
+/**
+ * Books a shipment of one service (/ship/:service) in steps: addresses,
+ * parcel, pickup time, the quote, a voucher and coins, then confirmation.
+ * The server prices every step and charges the wallet balance on booking.
+ */
+const BookShipment = () => {
+  const { service } = useParams();
+  const { token } = useAuth();
+  const [step, setStep] = useState(0);
+  const [draft, setDraft] = useState<Draft>({
+    pickup: EMPTY_ADDRESS,
+    dropoff: EMPTY_ADDRESS,
+    parcel: { weightKg: "", lengthCm: "", widthCm: "", heightCm: "" },
+    schedule: { date: daysFromNow(1), window: "morning" },
+  });
+  const [voucher, setVoucher] = useState("best");
+  const [coins, setCoins] = useState("");
+  const [quote, setQuote] = useState<ShipmentQuote | null>(null);
+  const [shipment, setShipment] = useState<Shipment | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  // one key per booking attempt, so retrying after a lost response can't
+  // book and pay twice
+  const attempt = useRef<string | null>(null);
+
+  if (!service || !Object.hasOwn(SERVICE_LABELS, service)) {
+    return (
+      <div className="flex min-h-screen items-start justify-center bg-gray-100">
+        <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+          <p className="text-sm text-gray-600">There is no such service.</p>
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+  const kind = service as ShippingService;
+  const terms = SERVICE_TERMS[kind];
+
+  const edit = (changes: Partial<Draft>) => {
+    attempt.current = null;
+    setDraft({ ...draft, ...changes });
+  };
+
+  const fetchQuote = async (discounts: BookingDiscounts) => {
+    if (!token) return null;
+    setBusy(true);
+    setError("");
+    try {
+      const next = await shipmentService.quote(token, {
+        ...toBooking(kind, draft),
+        ...discounts,
+      });
+      setQuote(next);
+      return next;
+    } catch (e) {
+      setError(errorText(e, "Couldn't price this shipment."));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const book = async () => {
+    if (!token) return;
+    attempt.current ??= crypto.randomUUID();
+    setBusy(true);
+    setError("");
+    try {
+      setShipment(
+        await shipmentService.book(token, {
+          ...toBooking(kind, draft),
+          ...toDiscounts(voucher, coins),
+          idempotencyKey: attempt.current,
+        })
+      );
+      attempt.current = null;
+    } catch (e) {
+      setError(errorText(e, "Couldn't book this shipment."));
+      // the price changed under us (a voucher expired, coins ran out)
+      if (e instanceof ApiError && e.status === 409) {
+        await fetchQuote(toDiscounts(voucher, coins));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const next = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setError("");
+    // the Pickup step is the last one with booking details, so the server
+    // checks them all before the quote is shown
+    if (step === 2 && !(await fetchQuote({ useVoucher: false }))) return;
+    // then priced with the voucher and coins picked on the Discounts step
+    const discounted = step === 3 || step === 4;
+    if (discounted && !(await fetchQuote(toDiscounts(voucher, coins)))) {
+      return;
+    }
+    if (step === 5) return book();
+    setStep(step + 1);
+  };
+
+  const back = () => {
+    setError("");
+    setStep(step - 1);
+  };
+
+  return (
+    <div className="flex min-h-screen items-start justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+        <div className="flex items-center justify-between">
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+          <h1 className="text-lg font-bold">{SERVICE_LABELS[kind]} shipment</h1>
+        </div>
+
+        {shipment ? (
+          <Confirmation shipment={shipment} />
+        ) : (
+          <form onSubmit={next} className="mt-6 flex flex-col gap-4">
+            <div>
+              <p className="text-sm text-gray-400">
+                Step {step + 1} of {STEPS.length} · {STEPS[step]}
+              </p>
+              <div className="mt-2 flex gap-1" aria-hidden>
+                {STEPS.map((name, i) => (
+                  <span
+                    key={name}
+                    className={`h-1 flex-1 rounded-full ${
+                      i <= step ? "bg-purple-500" : "bg-gray-200"
+                    }`}
+                  />
+                ))}
+              </div>
+            </div>
+
+            {step === 0 && (
+              <>
+                <AddressFields
+                  legend="Pickup"
+                  value={draft.pickup}
+                  onChange={(pickup) => edit({ pickup })}
+                />
+                <AddressFields
+                  legend="Drop-off"
+                  value={draft.dropoff}
+                  onChange={(dropoff) => edit({ dropoff })}
+                />
+              </>
+            )}
+
+            {step === 1 && (
+              <fieldset className="flex flex-col gap-3">
+                <legend className="mb-2 font-bold">Parcel</legend>
+                <p className="text-xs text-gray-400">
+                  {SERVICE_LABELS[kind]} takes parcels up to{" "}
+                  {formatCount(terms.maxWeightKg)} kg and{" "}
+                  {formatCount(terms.maxSideCm)} cm a side. Bulky parcels are
+                  charged by volume (L × W × H ÷ 5000).
+                </p>
+                <label className="flex flex-col gap-1 text-sm text-gray-500">
+                  Weight (kg)
+                  <input
+                    type="number"
+                    min="0.1"
+                    max={terms.maxWeightKg}
+                    step="0.1"
+                    value={draft.parcel.weightKg}
+                    onChange={(e) =>
+                      edit({
+                        parcel: { ...draft.parcel, weightKg: e.target.value },
+                      })
+                    }
+                    className={inputClass}
+                    required
+                  />
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  {(
+                    [
+                      ["lengthCm", "Length"],
+                      ["widthCm", "Width"],
+                      ["heightCm", "Height"],
+                    ] as const
+                  ).map(([key, label]) => (
+                    <label
+                      key={key}
+                      className="flex flex-col gap-1 text-sm text-gray-500"
+                    >
+                      {label} (cm)
+                      <input
+                        type="number"
+                        min="1"
+                        max={terms.maxSideCm}
+                        step="1"
+                        value={draft.parcel[key]}
+                        onChange={(e) =>
+                          edit({
+                            parcel: { ...draft.parcel, [key]: e.target.value },
+                          })
+                        }
+                        className={inputClass}
+                        required
+                      />
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            )}
+
+            {step === 2 && (
+              <fieldset className="flex flex-col gap-3">
+                <legend className="mb-2 font-bold">Pickup</legend>
+                <label className="flex flex-col gap-1 text-sm text-gray-500">
+                  Date (no pickups on Sundays)
+                  <input
+                    type="date"
+                    min={daysFromNow(0)}
+                    max={daysFromNow(BOOKING_DAYS)}
+                    value={draft.schedule.date}
+                    onChange={(e) =>
+                      edit({
+                        schedule: { ...draft.schedule, date: e.target.value },
+                      })
+                    }
+                    className={inputClass}
+                    required
+                  />
+                </label>
+                <div className="flex gap-2" role="radiogroup">
+                  {PICKUP_WINDOWS.map((w) => (
+                    <label
+                      key={w.id}
+                      className={`flex-1 cursor-pointer rounded-lg border py-2 text-center text-sm ${
+                        draft.schedule.window === w.id
+                          ? "border-purple-400 bg-purple-50 text-purple-600"
+                          : "border-gray-300 text-gray-600"
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="window"
+                        value={w.id}
+                        checked={draft.schedule.window === w.id}
+                        onChange={() =>
+                          edit({
+                            schedule: { ...draft.schedule, window: w.id },
+                          })
+                        }
+                        className="sr-only"
+                      />
+                      {w.label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            )}
+
+            {step === 3 && quote && (
+              <div className="flex flex-col gap-3">
+                <h2 className="font-bold">Your quote</h2>
+                <PriceBreakdown quote={quote} />
+                <p className="text-sm text-gray-600">
+                  Arrives {shortDate(quote.estimatedDelivery.from)}–
+                  {shortDate(quote.estimatedDelivery.to)} after a pickup on{" "}
+                  {shortDate(draft.schedule.date)},{" "}
+                  {windowLabel(draft.schedule.window)}.
+                </p>
+              </div>
+            )}
+
+            {step === 4 && quote && (
+              <Discounts
+                service={kind}
+                quote={quote}
+                voucher={voucher}
+                coins={coins}
+                onVoucher={(value) => {
+                  attempt.current = null;
+                  setVoucher(value);
+                }}
+                onCoins={(value) => {
+                  attempt.current = null;
+                  setCoins(value);
+                }}
+                onApply={() => fetchQuote(toDiscounts(voucher, coins))}
+              />
+            )}
+
+            {step === 5 && quote && (
+              <div className="flex flex-col gap-3 text-sm">
+                <h2 className="font-bold">Check and book</h2>
+                <p>
+                  <span className="text-gray-400">From</span>{" "}
+                  {draft.pickup.name}, {draft.pickup.street},{" "}
+                  {draft.pickup.city}
+                </p>
+                <p>
+                  <span className="text-gray-400">To</span>{" "}
+                  {draft.dropoff.name}, {draft.dropoff.street},{" "}
+                  {draft.dropoff.city}
+                </p>
+                <p>
+                  <span className="text-gray-400">Parcel</span>{" "}
+                  {draft.parcel.weightKg} kg, {draft.parcel.lengthCm} ×{" "}
+                  {draft.parcel.widthCm} × {draft.parcel.heightCm} cm
+                </p>
+                <p>
+                  <span className="text-gray-400">Pickup</span>{" "}
+                  {shortDate(draft.schedule.date)},{" "}
+                  {windowLabel(draft.schedule.window)}
+                </p>
+                <PriceBreakdown quote={quote} />
+                <p className="text-gray-600">
+                  Paid from your balance of{" "}
+                  {formatMoney(quote.balance, quote.currency)}. You'll earn
+                  about {formatCount(quote.coinsToEarn)} coins once it's
+                  delivered.
+                </p>
+                {quote.total > quote.balance && (
+                  <p className="text-rose-600">
+                    Your balance doesn't cover this.{" "}
+                    <Link to="/wallet" className="text-purple-500 underline">
+                      Top up
+                    </Link>
+                  </p>
+                )}
+              </div>
+            )}
+
+            {error && (
+              <p className="text-sm text-rose-600" role="alert">
+                {error}
+              </p>
+            )}
+
+            <div className="flex gap-3">
+              {step > 0 && (
+                <button
+                  type="button"
+                  onClick={back}
+                  disabled={busy}
+                  className="flex-1 rounded-full border border-gray-300 py-2 text-sm"
+                >
+                  Back
+                </button>
+              )}
+              <button
+                disabled={busy}
+                className="flex-1 rounded-full bg-purple-500 py-2 text-sm text-white disabled:opacity-60"
+              >
+                {busy
+                  ? "Please wait…"
+                  : step === STEPS.length - 1
+                  ? `Book and pay ${
+                      quote ? formatMoney(quote.total, quote.currency) : ""
+                    }`
+                  : "Next"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookShipment;
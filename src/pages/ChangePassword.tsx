@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+
+const inputClass =
+  "border-b-2 border-blue-700 focus:outline-none pb-1 pt-2";
+
+/**
+ * Shown by RequireAuth instead of any private screen while the user still
+ * has a password an admin set: the API refuses everything else
+ * (403 password_change_required) until it is replaced.
+ */
+const ChangePassword = () => {
+  const { user, changePassword, logout } = useAuth();
+  const [form, setForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) =>
+    setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setError("");
+    if (form.newPassword !== form.confirmPassword) {
+      setError("New passwords do not match.");
+      return;
+    }
+    setSaving(true);
+    try {
+      // the guard lets the user through once the session's user is updated
+      await changePassword({
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword,
+      });
+    } catch (err) {
+      setError(
+        err instanceof Error && err.message
+          ? err.message
+          : "Failed to change password."
+      );
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen w-screen items-center justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full bg-white p-8 rounded-2xl">
+        <h1 className="text-[#2F5EE5] text-3xl font-bold">
+          Set a new password
+        </h1>
+        <p className="text-gray-500 mt-4 text-sm">
+          {user?.name}, your account is using a password set by an
+          administrator. Choose a new one to continue.
+        </p>
+        <form onSubmit={handleSubmit} className="mt-6 flex flex-col gap-6">
+          {(
+            [
+              ["currentPassword", "Current password"],
+              ["newPassword", "New password"],
+              ["confirmPassword", "Confirm new password"],
+            ] as const
+          ).map(([name, label]) => (
+            <div key={name} className="flex flex-col gap-2">
+              <label className="text-blue-600 text-sm" htmlFor={name}>
+                {label}
+              </label>
+              <input
+                type="password"
+                id={name}
+                name={name}
+                value={form[name]}
+                onChange={handleChange}
+                className={inputClass}
+                required
+              />
+            </div>
+          ))}
+          {/* PASSWORD_POLICY in src/api/passwords.js; the server checks it */}
+          <p className="text-xs text-gray-500">
+            At least 8 characters, with a letter and a number, not a common
+            password and not your email.
+          </p>
+          {error && <p className="text-red-600 text-sm">{error}</p>}
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => logout()}
+              className="text-sm text-purple-400 font-semibold cursor-pointer"
+            >
+              Sign out
+            </button>
+            <button
+              disabled={saving}
+              className="bg-gradient-to-r from-orange-500 to-orange-300 text-white px-8 py-3 rounded-4xl cursor-pointer disabled:opacity-60"
+            >
+              {saving ? "Saving…" : "Save password"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,522 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router";
+import diamondIcon from "../../public/diamond.svg";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  COIN_ENTRY_LABELS,
+  loyalty as loyaltyService,
+  type CoinEntry,
+  type LoyaltyReward,
+  type LoyaltyRules,
+  type LoyaltySummary,
+} from "../services/loyalty.ts";
+import { SERVICE_LABELS } from "../services/vouchers.ts";
+import {
+  formatCount,
+  formatMoney,
+  type ShippingService,
+} from "../services/wallet.ts";
+import { useCoinHistory } from "../wallet/useCoinHistory.ts";
+import { useLoyalty } from "../wallet/useLoyalty.ts";
+import { useWallet } from "../wallet/useWallet.ts";
+
+const PAGE_SIZE = 10;
+
+const SERVICES = Object.keys(SERVICE_LABELS) as ShippingService[];
+
+const inputClass =
+  "border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400";
+
+const errorText = (e: unknown, fallback: string) =>
+  e instanceof Error && e.message ? e.message : fallback;
+
+const shortDate = (iso: string) =>
+  new Date(iso).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const Rewards = ({
+  summary,
+  onRedeemed,
+}: {
+  summary: LoyaltySummary;
+  onRedeemed: () => void;
+}) => {
+  const { token } = useAuth();
+  const [busy, setBusy] = useState<string | null>(null);
+  const [message, setMessage] = useState({ text: "", ok: false });
+
+  const redeem = async (reward: LoyaltyReward) => {
+    if (!token) return;
+    setBusy(reward.id);
+    setMessage({ text: "", ok: false });
+    try {
+      const { voucher } = await loyaltyService.redeemReward(token, reward.id);
+      setMessage({
+        text: `${voucher.code} is in your vouchers.`,
+        ok: true,
+      });
+      onRedeemed();
+    } catch (e) {
+      setMessage({ text: errorText(e, "Couldn't redeem coins."), ok: false });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!summary.rules.rewards.length) {
+    return <p className="text-sm text-gray-400">No rewards right now.</p>;
+  }
+  return (
+    <>
+      <ul className="flex flex-col gap-3">
+        {summary.rules.rewards.map((reward) => {
+          const short = reward.cost - summary.balance;
+          return (
+            <li
+              key={reward.id}
+              className="flex items-center justify-between gap-3 rounded-2xl border border-gray-300 p-4"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-semibold">{reward.title}</p>
+                <p className="text-xs text-gray-400">
+                  {formatCount(reward.cost)} coins · valid{" "}
+                  {reward.voucher.validDays} days
+                </p>
+              </div>
+              <button
+                type="button"
+                disabled={short > 0 || busy !== null}
+                title={
+                  short > 0 ? `${formatCount(short)} more coins needed` : ""
+                }
+                onClick={() => redeem(reward)}
+                className="shrink-0 rounded-full bg-purple-500 px-4 py-1 text-sm text-white disabled:bg-gray-300"
+              >
+                {busy === reward.id ? "Redeeming…" : "Redeem"}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {message.text && (
+        <p
+          role={message.ok ? "status" : "alert"}
+          className={`mt-2 text-sm ${
+            message.ok ? "text-green-600" : "text-rose-600"
+          }`}
+        >
+          {message.text}{" "}
+          {message.ok && (
+            <Link to="/vouchers" className="text-purple-500 underline">
+              View vouchers
+            </Link>
+          )}
+        </p>
+      )}
+    </>
+  );
+};
+
+const HowToEarn = ({
+  rules,
+  currency,
+}: {
+  rules: LoyaltyRules;
+  currency: string;
+}) => (
+  <div className="text-sm text-gray-600">
+    <table className="w-full text-left">
+      <thead className="text-xs text-gray-400">
+        <tr>
+          <th className="py-1 font-normal">Service</th>
+          <th className="py-1 font-normal">
+            Per {formatMoney(100, currency)} spent
+          </th>
+          <th className="py-1 font-normal">Per shipment</th>
+        </tr>
+      </thead>
+      <tbody>
+        {SERVICES.map((service) => (
+          <tr key={service}>
+            <td className="py-1">{SERVICE_LABELS[service]}</td>
+            <td className="py-1">{rules.earnRates[service]} coins</td>
+            <td className="py-1">+{rules.shipmentBonus[service]} coins</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <p className="mt-3">
+      Tiers, by coins earned in the last year:{" "}
+      {rules.tiers
+        .map(
+          (t) =>
+            `${t.name} (${formatCount(t.minEarned)}+, ×${t.multiplier})`
+        )
+        .join(", ")}
+      .
+    </p>
+    <p className="mt-2">
+      Coins expire {rules.expiryDays} days after you earn them. At
+      checkout, {formatCount(100)} coins take{" "}
+      {formatMoney(100 * rules.coinValue, currency)} off, from{" "}
+      {formatCount(rules.minRedeem)} coins and for up to{" "}
+      {Math.round(rules.maxDiscountShare * 100)}% of an order.
+    </p>
+  </div>
+);
+
+// Scalar and per-service rules; tiers and rewards are edited through the
+// API (PUT /loyalty/rules).
+const RulesEditor = ({
+  rules,
+  onSaved,
+}: {
+  rules: LoyaltyRules;
+  onSaved: () => void;
+}) => {
+  const { token } = useAuth();
+  const [draft, setDraft] = useState(rules);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", ok: false });
+
+  const setNumber = (key: keyof LoyaltyRules, value: string) =>
+    setDraft({ ...draft, [key]: Number(value) });
+  const setPerService = (
+    key: "earnRates" | "shipmentBonus",
+    service: ShippingService,
+    value: string
+  ) =>
+    setDraft({
+      ...draft,
+      [key]: { ...draft[key], [service]: Number(value) },
+    });
+
+  const submit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!token) return;
+    setBusy(true);
+    try {
+      setDraft(
+        await loyaltyService.updateRules(token, {
+          earnRates: draft.earnRates,
+          shipmentBonus: draft.shipmentBonus,
+          expiryDays: draft.expiryDays,
+          coinValue: draft.coinValue,
+          minRedeem: draft.minRedeem,
+          maxDiscountShare: draft.maxDiscountShare,
+        })
+      );
+      setMessage({ text: "Rules saved.", ok: true });
+      onSaved();
+    } catch (err) {
+      setMessage({ text: errorText(err, "Couldn't save rules."), ok: false });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const field = (
+    label: string,
+    value: number,
+    onChange: (value: string) => void,
+    step = "1"
+  ) => (
+    <label className="flex flex-col gap-1 text-xs text-gray-400">
+      {label}
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+        required
+      />
+    </label>
+  );
+
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-3">
+      <div className="grid grid-cols-3 gap-2">
+        {SERVICES.map((service) => (
+          <div key={service} className="flex flex-col gap-2">
+            <p className="text-sm font-semibold">{SERVICE_LABELS[service]}</p>
+            {field(
+              "Coins per 1.00",
+              draft.earnRates[service],
+              (v) => setPerService("earnRates", service, v),
+              "0.1"
+            )}
+            {field("Bonus per shipment", draft.shipmentBonus[service], (v) =>
+              setPerService("shipmentBonus", service, v)
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {field("Expire after (days)", draft.expiryDays, (v) =>
+          setNumber("expiryDays", v)
+        )}
+        {field("Coin value (minor units)", draft.coinValue, (v) =>
+          setNumber("coinValue", v)
+        )}
+        {field("Fewest coins per discount", draft.minRedeem, (v) =>
+          setNumber("minRedeem", v)
+        )}
+        {field(
+          "Largest share of an order",
+          draft.maxDiscountShare,
+          (v) => setNumber("maxDiscountShare", v),
+          "0.01"
+        )}
+      </div>
+      {message.text && (
+        <p
+          role={message.ok ? "status" : "alert"}
+          className={`text-sm ${message.ok ? "text-green-600" : "text-rose-600"}`}
+        >
+          {message.text}
+        </p>
+      )}
+      <button
+        disabled={busy}
+        className="self-end rounded-full bg-purple-500 px-6 py-2 text-sm text-white disabled:opacity-60"
+      >
+        {busy ? "Saving…" : "Save rules"}
+      </button>
+    </form>
+  );
+};
+
+const HistoryRow = ({ entry }: { entry: CoinEntry }) => {
+  const credit = entry.type !== "redeem" && entry.type !== "expire";
+  return (
+    <li className="flex items-center justify-between gap-3 py-3">
+      <div className="min-w-0">
+        <p className="truncate text-sm font-semibold">{entry.description}</p>
+        <p className="text-xs text-gray-400">
+          {COIN_ENTRY_LABELS[entry.type]} ·{" "}
+          {new Date(entry.createdAt).toLocaleString()}
+        </p>
+      </div>
+      <div className="shrink-0 text-right">
+        <p
+          className={`text-sm font-semibold ${
+            credit ? "text-green-600" : "text-gray-800"
+          }`}
+        >
+          {credit ? "+" : "−"}
+          {formatCount(entry.amount)}
+        </p>
+        <p className="text-xs text-gray-400">
+          Balance {formatCount(entry.balanceAfter)}
+        </p>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Coin balance and tier, rewards to spend coins on, how coins are earned and
+ * the coin history (?type=&page= in the query string). Users allowed to
+ * manage loyalty also get the rules editor.
+ */
+const Coins = () => {
+  const { summary, error, refresh } = useLoyalty();
+  const { wallet } = useWallet();
+  const [params, setParams] = useSearchParams();
+  const type = (params.get("type") || undefined) as
+    | CoinEntry["type"]
+    | undefined;
+  const history = useCoinHistory({
+    type,
+    page: Math.max(Number(params.get("page")) || 1, 1),
+    pageSize: PAGE_SIZE,
+  });
+  const currency = wallet?.currency ?? "USD";
+  const page = history.page;
+
+  const setFilter = (key: string, value: string) => {
+    const next = new URLSearchParams(params);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    if (key !== "page") next.delete("page");
+    setParams(next, { replace: key !== "page" });
+  };
+
+  const afterChange = () => {
+    refresh();
+    history.refresh();
+  };
+
+  const tier = summary?.tier;
+  const nextAt = tier?.next ? tier.earned + tier.next.needed : 0;
+
+  return (
+    <div className="flex min-h-screen items-start justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+        <div className="flex items-center justify-between">
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+          <h1 className="text-lg font-bold">My Coins</h1>
+        </div>
+
+        <section className="mt-6 rounded-2xl border border-gray-300 p-4">
+          <p className="flex text-sm text-gray-400">
+            <img src={diamondIcon} alt="" className="mr-1 w-[15px]" />
+            My Coins
+          </p>
+          {error && !summary ? (
+            <p className="mt-1 text-sm text-rose-600" role="alert">
+              {error}
+              <button
+                type="button"
+                className="ml-2 text-purple-500 hover:underline"
+                onClick={refresh}
+              >
+                Retry
+              </button>
+            </p>
+          ) : !summary || !tier ? (
+            <p className="text-3xl">…</p>
+          ) : (
+            <>
+              <p className="text-3xl">{formatCount(summary.balance)}</p>
+              <p className="mt-2 text-sm">
+                <span className="rounded-full bg-amber-100 px-2 py-0.5 text-amber-700">
+                  {tier.name}
+                </span>{" "}
+                <span className="text-gray-500">
+                  earns ×{tier.multiplier}
+                  {tier.next &&
+                    ` · ${formatCount(tier.next.needed)} more coins to ${
+                      tier.next.name
+                    }`}
+                </span>
+              </p>
+              {tier.next && (
+                <div
+                  className="mt-2 h-2 rounded-full bg-gray-100"
+                  role="progressbar"
+                  aria-label={`Progress to ${tier.next.name}`}
+                  aria-valuemin={0}
+                  aria-valuemax={nextAt}
+                  aria-valuenow={tier.earned}
+                >
+                  <div
+                    className="h-2 rounded-full bg-amber-400"
+                    style={{ width: `${(tier.earned / nextAt) * 100}%` }}
+                  />
+                </div>
+              )}
+              {summary.expiring[0] && (
+                <p className="mt-3 text-xs text-gray-500">
+                  {formatCount(summary.expiring[0].amount)} coins expire on{" "}
+                  {shortDate(summary.expiring[0].expiresAt)}.
+                </p>
+              )}
+            </>
+          )}
+        </section>
+
+        {summary && (
+          <>
+            <section className="mt-6">
+              <h2 className="mb-3 font-bold">Redeem for vouchers</h2>
+              <Rewards summary={summary} onRedeemed={afterChange} />
+            </section>
+
+            <section className="mt-8">
+              <h2 className="mb-3 font-bold">How you earn</h2>
+              <HowToEarn rules={summary.rules} currency={currency} />
+            </section>
+
+            {summary.canEditRules && (
+              <section className="mt-8">
+                <h2 className="mb-3 font-bold">Coin rules</h2>
+                <RulesEditor rules={summary.rules} onSaved={refresh} />
+              </section>
+            )}
+          </>
+        )}
+
+        <section className="mt-8">
+          <h2 className="mb-3 font-bold">Coin history</h2>
+          <select
+            aria-label="Type"
+            value={type ?? ""}
+            onChange={(e) => setFilter("type", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Everything</option>
+            {Object.entries(COIN_ENTRY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {history.error && !page ? (
+            <div className="py-6 text-sm">
+              <p className="text-rose-600">{history.error}</p>
+              <button
+                type="button"
+                className="mt-2 text-purple-500 hover:underline"
+                onClick={history.refresh}
+              >
+                Try again
+              </button>
+            </div>
+          ) : !page ? (
+            <p className="py-6 text-sm text-gray-400">Loading…</p>
+          ) : !page.items.length ? (
+            <p className="py-6 text-sm text-gray-400">
+              {type ? "Nothing of this type yet." : "No coin activity yet."}
+            </p>
+          ) : (
+            <ul
+              className={`mt-2 divide-y divide-gray-100 ${
+                history.loading ? "opacity-60" : ""
+              }`}
+              aria-busy={history.loading}
+            >
+              {page.items.map((entry) => (
+                <HistoryRow key={entry.id} entry={entry} />
+              ))}
+            </ul>
+          )}
+
+          {page && page.totalPages > 1 && (
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button
+                type="button"
+                disabled={page.page <= 1}
+                onClick={() => setFilter("page", String(page.page - 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Previous
+              </button>
+              <span className="text-gray-400">
+                Page {page.page} of {page.totalPages}
+              </span>
+              <button
+                type="button"
+                disabled={page.page >= page.totalPages}
+                onClick={() => setFilter("page", String(page.page + 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Coins;
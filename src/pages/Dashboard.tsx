@@ -1,5 +1,4 @@
 import locationIcon from "../../public/location.svg";
-import bellIcon from "../../public/bell.svg";
 import voucherIcon from "../../public/coupon.png";
 import walletIcon from "../../public/wallet.svg";
 import diamondIcon from "../../public/diamond.svg";
@@ -14,8 +13,71 @@ import homeIcon from "../../public/home.svg";
 import activity from "../../public/activity.png";
 import message from "../../public/message.png";
 import account from "../../public/account.png";
+import { Link } from "react-router";
+import NotificationBell from "../notifications/NotificationBell.tsx";
+import { SHIPMENT_STATUS_LABELS } from "../services/shipments.ts";
+import { SERVICE_LABELS } from "../services/vouchers.ts";
+import {
+  formatCount,
+  formatMoney,
+  type ShippingService,
+} from "../services/wallet.ts";
+import { useShipments } from "../shipments/useShipments.ts";
+import { useWallet } from "../wallet/useWallet.ts";
+
+// "Our Service": a booking wizard per service, then tracking.
+const SERVICES = [
+  {
+    to: "/ship/express",
+    label: "Express",
+    icon: thunderIcon,
+    ring: "border-amber-400 bg-amber-50",
+    padding: "p-5",
+  },
+  {
+    to: "/ship/regular",
+    label: "Regular",
+    icon: archiveIcon,
+    ring: "border-green-400 bg-green-100",
+    padding: "p-4",
+  },
+  {
+    to: "/ship/cargo",
+    label: "Cargo",
+    icon: deliveryIcon,
+    ring: "border-blue-400 bg-blue-100",
+    padding: "p-4",
+  },
+  {
+    to: "/shipments",
+    label: "Tracking",
+    icon: trackIcon,
+    ring: "border-amber-400 bg-amber-50",
+    padding: "p-5",
+  },
+];
+
+const PACKAGE_ICONS: Record<ShippingService, string> = {
+  express: thunderIcon,
+  regular: archiveIcon,
+  cargo: deliveryIcon,
+};
+
+const shortDate = (day: string) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
 
 const Dashboard = () => {
+  const { wallet, loading, error, refresh } = useWallet();
+  const packages = useShipments({ pageSize: 2 });
+  const available =
+    wallet?.vouchers.filter((v) => v.status === "available").length ?? 0;
+  // keeps the last figures on screen while a refresh is in flight
+  const figure = (value: (w: NonNullable<typeof wallet>) => string) =>
+    wallet ? value(wallet) : loading ? "…" : "—";
+
   return (
     <div className="flex  items-center justify-center bg-gray-100 overflow-hidden">
       <div className="lg:w-[500px] w-full bg-white p-2 relative ">
@@ -66,11 +128,7 @@ const Dashboard = () => {
               </div>
             </div>
 
-            <img
-              src={bellIcon}
-              alt="bellIcon"
-              className="w-[30px] mb-2 cursor-pointer"
-            ></img>
+            <NotificationBell />
           </div>
 
           <div className="border border-gray-300 w-[90%] rounded-2xl h-[120px] mx-auto mt-4">
@@ -81,7 +139,10 @@ const Dashboard = () => {
                 </div>
               </div>
               <div className="border-gray-300 border-r-2 w-[40%] h-[60px] pt-1">
-                <div className="flex flex-col justify-center ml-2 gap-0.5">
+                <Link
+                  to="/wallet"
+                  className="flex flex-col justify-center ml-2 gap-0.5"
+                >
                   <p className="text-sm text-gray-400 flex">
                     <img
                       src={walletIcon}
@@ -90,11 +151,16 @@ const Dashboard = () => {
                     />{" "}
                     My Balance
                   </p>
-                  <p className="text-xl">$121,98</p>
-                </div>
+                  <p className="text-xl" aria-busy={loading}>
+                    {figure((w) => formatMoney(w.balance, w.currency))}
+                  </p>
+                </Link>
               </div>
               <div className="border-gray-300 w-[40%] h-[60px]">
-                <div className="flex flex-col justify-center ml-2 gap-0.5 pt-1 ">
+                <Link
+                  to="/coins"
+                  className="flex flex-col justify-center ml-2 gap-0.5 pt-1 "
+                >
                   <p className="text-sm text-gray-400 flex">
                     <img
                       src={diamondIcon}
@@ -103,26 +169,47 @@ const Dashboard = () => {
                     />{" "}
                     My Coins
                   </p>
-                  <p className="text-xl">1,295</p>
-                </div>
+                  <p className="text-xl" aria-busy={loading}>
+                    {figure((w) => formatCount(w.coins))}
+                  </p>
+                </Link>
               </div>
             </div>
             <div className="border-t border-gray-300"> </div>
 
             <div className="flex justify-between items-center">
-              <p className="p-2 pl-6 flex">
+              {error ? (
+                <p className="p-2 pl-6 flex text-sm text-rose-600" role="alert">
+                  {error}
+                  <button
+                    type="button"
+                    className="ml-2 text-purple-500 hover:underline"
+                    onClick={refresh}
+                  >
+                    Retry
+                  </button>
+                </p>
+              ) : (
+                <Link to="/vouchers" className="p-2 pl-6 flex">
+                  <img
+                    src={voucherIcon}
+                    alt="voucher"
+                    className="w-[25px] mr-3"
+                  />
+                  {wallet
+                    ? `${formatCount(available)} Voucher${
+                        available === 1 ? "" : "s"
+                      } Available`
+                    : "Loading vouchers…"}
+                </Link>
+              )}
+              <Link to="/vouchers" aria-label="Open vouchers">
                 <img
-                  src={voucherIcon}
-                  alt="voucher"
-                  className="w-[25px] mr-3"
+                  src={rightArrowIcon}
+                  alt=""
+                  className="w-[15px] mr-4 cursor-pointer"
                 />
-                7 Vouchers Available
-              </p>
-              <img
-                src={rightArrowIcon}
-                alt="right arrow"
-                className="w-[15px] mr-4 cursor-pointer"
-              />
+              </Link>
             </div>
           </div>
         </div>
@@ -130,30 +217,20 @@ const Dashboard = () => {
         <div className="mt-6 p-4">
           <h3 className="text-lg font-bold">Our Service</h3>
           <div className="flex justify-between mt-4">
-            <div className="flex flex-col items-center gap-2">
-              <div className="border border-amber-400 w-[70px] h-[70px] bg-amber-50 rounded-full">
-                <img src={thunderIcon} alt="thunderIcon" className="p-5" />
-              </div>
-              <p className="text-sm text-gray-400">Express</p>
-            </div>
-            <div className="flex flex-col items-center gap-2">
-              <div className="border border-green-400 w-[70px] h-[70px] bg-green-100 rounded-full">
-                <img src={archiveIcon} alt="archiveIcon" className="p-4" />
-              </div>
-              <p className="text-sm text-gray-400">Regular</p>
-            </div>
-            <div className="flex flex-col items-center gap-2">
-              <div className="border border-blue-400 w-[70px] h-[70px] bg-blue-100 rounded-full">
-                <img src={deliveryIcon} alt="deliveryIcon" className="p-4" />
-              </div>
-              <p className="text-sm text-gray-400">Cargo</p>
-            </div>
-            <div className="flex flex-col items-center gap-2">
-              <div className="border border-amber-400 w-[70px] h-[70px] bg-amber-50 rounded-full">
-                <img src={trackIcon} alt="trackIcon" className="p-5" />
-              </div>
-              <p className="text-sm text-gray-400">Tracking</p>
-            </div>
+            {SERVICES.map(({ to, label, icon, ring, padding }) => (
+              <Link
+                key={label}
+                to={to}
+                className="flex flex-col items-center gap-2"
+              >
+                <div
+                  className={`border w-[70px] h-[70px] rounded-full ${ring}`}
+                >
+                  <img src={icon} alt="" className={padding} />
+                </div>
+                <p className="text-sm text-gray-400">{label}</p>
+              </Link>
+            ))}
           </div>
 
           <div className="bg-amber-200 rounded-2xl h-[120px] mx-auto mt-6">
@@ -170,56 +247,63 @@ const Dashboard = () => {
           <div className="mt-8">
             <div className="flex justify-between">
               <h3 className="text-lg font-bold">My Package</h3>
-              <h3 className="text-md text-purple-400 font-semibold cursor-pointer">
+              <Link
+                to="/shipments"
+                className="text-md text-purple-400 font-semibold"
+              >
                 See All
-              </h3>
+              </Link>
             </div>
 
             <div className="mt-4 flex flex-col gap-4 pb-20">
-              <div className="w-full bg-gray-100 h-[65px] mx-auto rounded-2xl p-4">
-                <div className="flex justify-between">
-                  <div className="flex gap-4">
-                    <div className=" w-[35px] h-[35px]">
-                      <img
-                        src={thunderIcon}
-                        alt="thunderIcon"
-                        className="bg-white rounded p-1"
-                      />
-                    </div>
-                    <div className="text-sm">
-                      <h4 className="-mt-0.5">Express Service</h4>
-                      <p className="text-slate-400">USA, New York</p>
-                    </div>
-                  </div>
+              {packages.error && !packages.page ? (
+                <p className="text-sm text-rose-600" role="alert">
+                  {packages.error}
+                </p>
+              ) : !packages.page ? (
+                <p className="text-sm text-gray-400">Loading packages…</p>
+              ) : !packages.page.items.length ? (
+                <p className="text-sm text-gray-400">
+                  No packages yet. Pick a service above to send one.
+                </p>
+              ) : (
+                packages.page.items.map((s) => (
+                  <Link
+                    key={s.id}
+                    to={`/shipments/${s.id}`}
+                    className="w-full bg-gray-100 h-[65px] mx-auto rounded-2xl p-4"
+                  >
+                    <div className="flex justify-between">
+                      <div className="flex gap-4">
+                        <div className=" w-[35px] h-[35px]">
+                          <img
+                            src={PACKAGE_ICONS[s.service]}
+                            alt=""
+                            className="bg-white rounded p-1"
+                          />
+                        </div>
+                        <div className="text-sm">
+                          <h4 className="-mt-0.5">
+                            {SERVICE_LABELS[s.service]} Service
+                          </h4>
+                          <p className="text-slate-400">
+                            {s.dropoff.country}, {s.dropoff.city}
+                          </p>
+                        </div>
+                      </div>
 
-                  <div className="text-[15px] text-right">
-                    <h1 className="-mt-1">est. Aug 25</h1>
-                    <p className="text-slate-400">Pyotr Kodzhebash</p>
-                  </div>
-                </div>
-              </div>
-              <div className="w-full bg-gray-100 h-[65px] mx-auto rounded-2xl p-4">
-                <div className="flex justify-between">
-                  <div className="flex gap-4">
-                    <div className=" w-[35px] h-[35px] ">
-                      <img
-                        src={archiveIcon}
-                        alt="archiveIcon"
-                        className="bg-white rounded p-1"
-                      />
-                    </div>
-                    <div className="text-sm">
-                      <h4 className="-mt-0.5">Regular Service</h4>
-                      <p className="text-slate-400">USA, New York</p>
+                      <div className="text-[15px] text-right">
+                        <h1 className="-mt-1">
+                          {s.status === "delivered" || s.status === "cancelled"
+                            ? SHIPMENT_STATUS_LABELS[s.status]
+                            : `est. ${shortDate(s.estimatedDelivery.to)}`}
+                        </h1>
+                        <p className="text-slate-400">{s.dropoff.name}</p>
+                      </div>
                     </div>
-                  </div>
-
-                  <div className="text-[15px] text-right">
-                    <h1 className="-mt-1">est. Aug 25</h1>
-                    <p className="text-slate-400">Pyotr Kodzhebash</p>
-                  </div>
-                </div>
-              </div>
+                  </Link>
+                ))
+              )}
             </div>
           </div>
         </div>
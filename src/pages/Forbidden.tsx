@@ -0,0 +1,22 @@
+import { Link } from "react-router";
+
+const Forbidden = () => {
+  return (
+    <div className="flex h-screen w-screen items-center justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full bg-white p-8 text-center rounded-2xl">
+        <h1 className="text-[#2F5EE5] text-4xl font-bold">403</h1>
+        <p className="text-gray-500 mt-4">
+          You don't have permission to view this page.
+        </p>
+        <Link
+          to="/dashboard"
+          className="inline-block mt-8 text-sm text-purple-400 font-semibold"
+        >
+          Back to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,5 @@
+// NewApp.jsx is plain JavaScript; this gives main.tsx a typed default export.
+import type { TasksApi } from "../api/index.js";
+
+declare const NewApp: (props: { api: TasksApi }) => React.JSX.Element;
+export default NewApp;
@@ -1,361 +1,117 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Link,
+  Navigate,
+  useLocation,
+  useMatch,
+  useNavigate,
+  useSearchParams,
+} from "react-router";
+import {
+  BOARD_COLUMNS,
+  bySortOrder,
+  orderBetween,
+} from "../api/board.js";
+import { useAuth } from "../auth/useAuth.ts";
+import { PRIORITIES, TASK_SORT_FIELDS, today } from "../api/taskQuery.js";
+import { PASSWORD_POLICY, validatePassword } from "../api/passwords.js";
+import {
+  DEFAULT_ROLES,
+  LOCKED_ROLE,
+  PERMISSIONS,
+  can as hasPermission,
+  canDeleteComment,
+  canDeleteTask,
+  canEditComment,
+  canUpdateTask,
+} from "../api/rbac.js";
+import { pendingMention, splitMentions } from "../api/mentions.js";
+import {
+  conflictFields,
+  createTaskSync,
+  isLocalTaskId,
+  taskVersion,
+} from "../api/sync.js";
+import { TASK_AUDIT_FIELDS, diffFields } from "../api/audit.js";
+import {
+  EMPTY_PICKER,
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+  addDays,
+  describeRule,
+  parseRule,
+  pickerFromRecurrence,
+  ruleFromPicker,
+} from "../api/recurrence.js";
+import {
+  CHECKLIST_LIMIT,
+  openBlockers,
+  taskProgress,
+} from "../api/relations.js";
 
 /**
  * Task Management System — Single-file React App
  * - All UI is inside <App/> (inner components declared inside the function).
  * - Tailwind CSS for styling.
- * - Mock REST API with token/session in localStorage (swap to real API by replacing calls in `api`).
- * - RBAC: admin, manager, member.
- *    - admin: full access (users & tasks).
- *    - manager: task create/update/delete, assign tasks to anyone, list users.
- *    - member: can create tasks, update/delete ONLY own tasks, cannot assign/reassign (except themselves on create).
- * - Users: create + list (admin only can create users).
- * - Auth: email/password, token stored in localStorage.
- * - Pagination: tasks list with page controls.
+ * - Data access lives in src/api (backend picked in src/api/index.js).
+ * - Routing: /tasks, /tasks/:taskId, /users, /roles, /audit, /profile
+ *   (main.tsx). Features are described in the README.
  * - Responsive layout.
  */
 
-export default function App() {
+export default function App({ api }) {
   // ------------------------------
-  // Mock REST API (localStorage-backed)
+  // Auth (the app's session, from AuthProvider; RequireAuth signs users in)
   // ------------------------------
-  const api = useMemo(() => {
-    const LS_USERS = "tms_users";
-    const LS_TASKS = "tms_tasks";
-    const LS_SESSION = "tms_session";
-
-    // Helpers
-    const readJSON = (k, fallback) => {
-      try {
-        const raw = localStorage.getItem(k);
-        return raw ? JSON.parse(raw) : fallback;
-      } catch {
-        return fallback;
-      }
-    };
-    const writeJSON = (k, v) => localStorage.setItem(k, JSON.stringify(v));
-    const uid = () => Math.random().toString(36).slice(2, 10);
-    const nowISO = () => new Date().toISOString();
-
-    const seedIfEmpty = () => {
-      const users = readJSON(LS_USERS, []);
-      if (!users || users.length === 0) {
-        const seeded = [
-          {
-            id: uid(),
-            name: "Alice Admin",
-            email: "admin@demo.com",
-            role: "admin",
-            password: "admin",
-            createdAt: nowISO(),
-          },
-          {
-            id: uid(),
-            name: "Mark Manager",
-            email: "manager@demo.com",
-            role: "manager",
-            password: "manager",
-            createdAt: nowISO(),
-          },
-          {
-            id: uid(),
-            name: "Mia Member",
-            email: "member@demo.com",
-            role: "member",
-            password: "member",
-            createdAt: nowISO(),
-          },
-        ];
-        writeJSON(LS_USERS, seeded);
-      }
-      const tasks = readJSON(LS_TASKS, []);
-      if (!tasks || tasks.length === 0) {
-        const usersRef = readJSON(LS_USERS, []);
-        const adminId = usersRef.find((u) => u.role === "admin")?.id;
-        const memberId = usersRef.find((u) => u.role === "member")?.id;
-        const seededTasks = [
-          {
-            id: uid(),
-            title: "Kickoff meeting",
-            description: "Project intro and scope alignment.",
-            status: "todo",
-            priority: "medium",
-            createdAt: nowISO(),
-            updatedAt: nowISO(),
-            createdBy: adminId,
-            assignedTo: memberId,
-            dueDate: new Date(Date.now() + 86400000).toISOString(), // +1 day
-          },
-          {
-            id: uid(),
-            title: "Create wireframes",
-            description: "Low-fidelity screens for core flows.",
-            status: "in-progress",
-            priority: "high",
-            createdAt: nowISO(),
-            updatedAt: nowISO(),
-            createdBy: adminId,
-            assignedTo: adminId,
-            dueDate: new Date(Date.now() + 3 * 86400000).toISOString(),
-          },
-        ];
-        writeJSON(LS_TASKS, seededTasks);
-      }
-    };
-
-    seedIfEmpty();
-
-    const delay = (ms = 250) => new Promise((res) => setTimeout(res, ms));
-
-    // Simple token/session utilities
-    const createToken = (user) => `mock-token-${user.id}`;
-    const getUserFromToken = (token) => {
-      if (!token || !token.startsWith("mock-token-")) return null;
-      const id = token.replace("mock-token-", "");
-      const users = readJSON(LS_USERS, []);
-      return users.find((u) => u.id === id) || null;
-    };
+  const auth = useAuth();
 
-    // RBAC checks
-    const canManageUsers = (user) => user?.role === "admin";
-    const canAssignTasks = (user) =>
-      user && (user.role === "admin" || user.role === "manager");
-    const canDeleteTask = (user, task) =>
-      user &&
-      (user.role === "admin" ||
-        user.role === "manager" ||
-        (user.role === "member" && task.createdBy === user.id));
-    const canUpdateTask = (user, task) =>
-      user &&
-      (user.role === "admin" ||
-        user.role === "manager" ||
-        (user.role === "member" && task.createdBy === user.id));
-
-    // API shape
-    return {
-      auth: {
-        login: async ({ email, password }) => {
-          await delay();
-          const users = readJSON(LS_USERS, []);
-          const user = users.find(
-            (u) => u.email === email && u.password === password
-          );
-          if (!user) {
-            const err = new Error("Invalid email or password.");
-            err.status = 401;
-            throw err;
-          }
-          const token = createToken(user);
-          writeJSON(LS_SESSION, { token, userId: user.id, at: nowISO() });
-          return { token, user };
-        },
-        logout: async () => {
-          await delay(100);
-          localStorage.removeItem(LS_SESSION);
-          return { ok: true };
-        },
-        me: async () => {
-          await delay(100);
-          const session = readJSON(LS_SESSION, null);
-          if (!session?.token) return null;
-          const user = getUserFromToken(session.token);
-          if (!user) return null;
-          return { token: session.token, user };
-        },
-      },
-      users: {
-        list: async ({ token }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me) throw new Error("Unauthorized");
-          const users = readJSON(LS_USERS, []);
-          // Everyone can list users in this mock (you can limit to admin/manager if you prefer)
-          return users.map(({ password, ...rest }) => rest);
-        },
-        create: async ({ token, payload }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me || !canManageUsers(me)) {
-            const err = new Error("Forbidden: only admin can create users.");
-            err.status = 403;
-            throw err;
-          }
-          const users = readJSON(LS_USERS, []);
-          if (users.some((u) => u.email === payload.email)) {
-            const err = new Error("Email already exists.");
-            err.status = 409;
-            throw err;
-          }
-          const newUser = {
-            id: uid(),
-            name: payload.name,
-            email: payload.email,
-            role: payload.role,
-            password: payload.password || "password",
-            createdAt: nowISO(),
-          };
-          users.push(newUser);
-          writeJSON(LS_USERS, users);
-          const { password, ...sanitized } = newUser;
-          return sanitized;
-        },
-      },
-      tasks: {
-        list: async ({ token, page = 1, pageSize = 5, status, search }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me) throw new Error("Unauthorized");
-
-          let tasks = readJSON(LS_TASKS, []);
-          // Basic filtering
-          if (status && status !== "all")
-            tasks = tasks.filter((t) => t.status === status);
-          if (search) {
-            const s = search.toLowerCase();
-            tasks = tasks.filter(
-              (t) =>
-                t.title.toLowerCase().includes(s) ||
-                (t.description || "").toLowerCase().includes(s)
-            );
-          }
-          // Order by createdAt desc
-          tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-          const total = tasks.length;
-          const start = (page - 1) * pageSize;
-          const end = start + pageSize;
-          const items = tasks.slice(start, end);
-          return {
-            items,
-            total,
-            page,
-            pageSize,
-            totalPages: Math.ceil(total / pageSize),
-          };
-        },
-        create: async ({ token, payload }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me) throw new Error("Unauthorized");
-
-          // members cannot assign to others; force assignedTo to self if they try
-          let assignedTo = payload.assignedTo || me.id;
-          if (me.role === "member" && assignedTo !== me.id) {
-            assignedTo = me.id;
-          }
-
-          const tasks = readJSON(LS_TASKS, []);
-          const newTask = {
-            id: uid(),
-            title: payload.title,
-            description: payload.description || "",
-            status: payload.status || "todo",
-            priority: payload.priority || "medium",
-            createdAt: nowISO(),
-            updatedAt: nowISO(),
-            createdBy: me.id,
-            assignedTo,
-            dueDate: payload.dueDate || null,
-          };
-          tasks.push(newTask);
-          writeJSON(LS_TASKS, tasks);
-          return newTask;
-        },
-        update: async ({ token, id, payload }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me) throw new Error("Unauthorized");
-          const tasks = readJSON(LS_TASKS, []);
-          const idx = tasks.findIndex((t) => t.id === id);
-          if (idx < 0) throw new Error("Not found");
-
-          const t = tasks[idx];
-          if (!canUpdateTask(me, t)) {
-            const err = new Error("Forbidden: you cannot update this task.");
-            err.status = 403;
-            throw err;
-          }
-
-          // assignment rules
-          let assignedTo = payload.assignedTo ?? t.assignedTo;
-          if (payload.assignedTo !== undefined && !canAssignTasks(me)) {
-            // members cannot change assignment
-            assignedTo = t.assignedTo;
-          }
-
-          tasks[idx] = {
-            ...t,
-            ...payload,
-            assignedTo,
-            updatedAt: nowISO(),
-          };
-          writeJSON(LS_TASKS, tasks);
-          return tasks[idx];
-        },
-        remove: async ({ token, id }) => {
-          await delay();
-          const me = getUserFromToken(token);
-          if (!me) throw new Error("Unauthorized");
-          const tasks = readJSON(LS_TASKS, []);
-          const t = tasks.find((x) => x.id === id);
-          if (!t) throw new Error("Not found");
-          if (!canDeleteTask(me, t)) {
-            const err = new Error("Forbidden: you cannot delete this task.");
-            err.status = 403;
-            throw err;
-          }
-          const next = tasks.filter((x) => x.id !== id);
-          writeJSON(LS_TASKS, next);
-          return { ok: true };
-        },
-      },
-      // expose for debugging
-      _debug: { LS_USERS, LS_TASKS, LS_SESSION },
-    };
-  }, []);
+  // false while the user still has to replace an admin-issued password
+  const sessionReady = Boolean(auth.token && !auth.user?.mustChangePassword);
 
   // ------------------------------
-  // Auth State
+  // Permissions (role -> permission policy from api.roles)
   // ------------------------------
-  const [auth, setAuth] = useState({
-    token: null,
-    user: null,
-    loading: true,
-    error: "",
+  const [policy, setPolicy] = useState({
+    roles: DEFAULT_ROLES,
+    permissions: PERMISSIONS,
   });
+  const can = (permission) =>
+    hasPermission(policy.roles, auth.user, permission);
+  const roleNames = Object.keys(policy.roles);
+
+  const fetchPolicy = async () => {
+    try {
+      setPolicy(await api.roles.list({ token: auth.token }));
+    } catch (e) {
+      notify("error", e.message || "Failed to load permissions.");
+    }
+  };
 
   useEffect(() => {
-    let mounted = true;
-    api.auth
-      .me()
-      .then((res) => {
-        if (!mounted) return;
-        if (res)
-          setAuth({
-            token: res.token,
-            user: res.user,
-            loading: false,
-            error: "",
-          });
-        else setAuth({ token: null, user: null, loading: false, error: "" });
-      })
-      .catch(() => {
-        if (!mounted) return;
-        setAuth({ token: null, user: null, loading: false, error: "" });
-      });
-    return () => {
-      mounted = false;
-    };
-  }, [api]);
+    if (sessionReady) fetchPolicy();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady]);
 
-  const isAdmin = auth.user?.role === "admin";
-  const isManager = auth.user?.role === "manager";
-  const isMember = auth.user?.role === "member";
+  // ------------------------------
+  // Routing
+  // ------------------------------
+  const location = useLocation();
+  const navigate = useNavigate();
+  const taskMatch = useMatch("/tasks/:taskId");
+  const activeTaskId = taskMatch?.params.taskId ?? null;
+  const activeTab = location.pathname.startsWith("/users")
+    ? "users"
+    : location.pathname.startsWith("/roles")
+    ? "roles"
+    : location.pathname.startsWith("/audit")
+    ? "audit"
+    : location.pathname.startsWith("/profile")
+    ? "profile"
+    : "tasks"; // tasks | users | roles | audit | profile
 
   // ------------------------------
   // UI Helpers
   // ------------------------------
-  const [activeTab, setActiveTab] = useState("tasks"); // tasks | users | profile
   const [toast, setToast] = useState({ type: "", msg: "" });
   const notify = (type, msg) => {
     setToast({ type, msg });
@@ -366,6 +122,7 @@ export default function App() {
   // Users (Admin)
   // ------------------------------
   const [users, setUsers] = useState([]);
+  const activeUsers = users.filter((u) => u.active !== false);
   const [userForm, setUserForm] = useState({
     name: "",
     email: "",
@@ -373,6 +130,8 @@ export default function App() {
     password: "",
   });
   const [userError, setUserError] = useState("");
+  // { email, password } of the last account created with a generated password
+  const [issuedCredentials, setIssuedCredentials] = useState(null);
 
   const fetchUsers = async () => {
     if (!auth.token) return;
@@ -385,19 +144,34 @@ export default function App() {
   };
 
   useEffect(() => {
-    if (auth.token) fetchUsers();
+    if (sessionReady) fetchUsers();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [auth.token]);
+  }, [auth.token, sessionReady]);
 
   const handleCreateUser = async (e) => {
     e.preventDefault();
     setUserError("");
-    if (!userForm.name || !userForm.email || !userForm.password) {
-      setUserError("All fields are required.");
+    if (!userForm.name || !userForm.email) {
+      setUserError("Name and email are required.");
+      return;
+    }
+    const problems = userForm.password
+      ? validatePassword(userForm.password, userForm)
+      : [];
+    if (problems.length) {
+      setUserError(problems.join(" "));
       return;
     }
     try {
-      await api.users.create({ token: auth.token, payload: userForm });
+      const created = await api.users.create({
+        token: auth.token,
+        payload: userForm,
+      });
+      setIssuedCredentials(
+        created.temporaryPassword
+          ? { email: created.email, password: created.temporaryPassword }
+          : null
+      );
       setUserForm({ name: "", email: "", role: "member", password: "" });
       fetchUsers();
       notify("success", "User created.");
@@ -406,19 +180,184 @@ export default function App() {
     }
   };
 
+  // Admin actions on existing users
+  const [userEdit, setUserEdit] = useState(null); // { id, name, email, role }
+  const [userDelete, setUserDelete] = useState(null); // { id, reassignTo }
+
+  const handleUpdateUser = async (e) => {
+    e.preventDefault();
+    const { id, ...payload } = userEdit;
+    try {
+      await api.users.update({ token: auth.token, id, payload });
+      setUserEdit(null);
+      fetchUsers();
+      notify("success", "User updated.");
+    } catch (e) {
+      notify("error", e.message || "Failed to update user.");
+    }
+  };
+
+  const handleToggleUserActive = async (u) => {
+    const active = u.active !== false;
+    if (
+      active &&
+      !window.confirm(`Deactivate ${u.name}? They'll be signed out.`)
+    )
+      return;
+    try {
+      if (active) await api.users.deactivate({ token: auth.token, id: u.id });
+      else await api.users.reactivate({ token: auth.token, id: u.id });
+      fetchUsers();
+      notify("success", active ? "User deactivated." : "User reactivated.");
+    } catch (e) {
+      notify("error", e.message || "Failed to update user.");
+    }
+  };
+
+  const handleDeleteUser = async () => {
+    const { id, reassignTo } = userDelete;
+    try {
+      const { reassigned } = await api.users.remove({
+        token: auth.token,
+        id,
+        reassignTo: reassignTo || null,
+      });
+      setUserDelete(null);
+      fetchUsers();
+      fetchTasks();
+      notify(
+        "success",
+        `User deleted; ${reassigned} task(s) ${
+          reassignTo ? "reassigned" : "left unassigned"
+        }.`
+      );
+    } catch (e) {
+      notify("error", e.message || "Failed to delete user.");
+    }
+  };
+
+  // ------------------------------
+  // Roles (roles.manage)
+  // ------------------------------
+  const [rolesDraft, setRolesDraft] = useState(policy.roles);
+  const [newRoleName, setNewRoleName] = useState("");
+
+  useEffect(() => setRolesDraft(policy.roles), [policy.roles]);
+
+  const toggleRolePermission = (role, permission) =>
+    setRolesDraft((d) => ({
+      ...d,
+      [role]: d[role].includes(permission)
+        ? d[role].filter((p) => p !== permission)
+        : [...d[role], permission],
+    }));
+
+  const handleSaveRole = async (role, permissions = rolesDraft[role]) => {
+    try {
+      setPolicy(
+        await api.roles.save({ token: auth.token, role, permissions })
+      );
+      notify("success", `Role "${role}" saved.`);
+      return true;
+    } catch (e) {
+      notify("error", e.message || "Failed to save role.");
+      return false;
+    }
+  };
+
+  const handleAddRole = async (e) => {
+    e.preventDefault();
+    const role = newRoleName.trim().toLowerCase();
+    if (!role) return;
+    if (policy.roles[role]) {
+      notify("error", `Role "${role}" already exists.`);
+      return;
+    }
+    if (await handleSaveRole(role, [])) setNewRoleName("");
+  };
+
+  const handleRemoveRole = async (role) => {
+    if (!window.confirm(`Remove the "${role}" role?`)) return;
+    try {
+      setPolicy(await api.roles.remove({ token: auth.token, role }));
+      notify("success", `Role "${role}" removed.`);
+    } catch (e) {
+      notify("error", e.message || "Failed to remove role.");
+    }
+  };
+
+  // ------------------------------
+  // Audit log (audit.view)
+  // ------------------------------
+  const emptyAuditQuery = { userId: "", from: "", to: "", page: 1 };
+  const [auditQuery, setAuditQuery] = useState(emptyAuditQuery);
+  const [auditLog, setAuditLog] = useState({
+    items: [],
+    total: 0,
+    totalPages: 1,
+    loading: false,
+    error: "",
+  });
+
+  const fetchAuditLog = async () => {
+    if (!auth.token) return;
+    setAuditLog((l) => ({ ...l, loading: true, error: "" }));
+    try {
+      const res = await api.audit.list({
+        token: auth.token,
+        ...auditQuery,
+        pageSize: 20,
+      });
+      setAuditLog({
+        items: res.items,
+        total: res.total,
+        totalPages: res.totalPages || 1,
+        loading: false,
+        error: "",
+      });
+    } catch (e) {
+      setAuditLog((l) => ({
+        ...l,
+        loading: false,
+        error: e.message || "Failed to load the audit log.",
+      }));
+    }
+  };
+
+  useEffect(() => {
+    if (sessionReady && activeTab === "audit" && can("audit.view")) {
+      fetchAuditLog();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady, activeTab, auditQuery, policy]);
+
+  const setAuditFilter = (patch) =>
+    setAuditQuery((q) => ({ ...q, ...patch, page: 1 }));
+
   // ------------------------------
   // Tasks
   // ------------------------------
   const [tasks, setTasks] = useState([]);
   const [taskTotal, setTaskTotal] = useState(0);
-  const [taskQuery, setTaskQuery] = useState({
-    page: 1,
-    pageSize: 5,
-    status: "all",
-    search: "",
-  });
   const [taskLoading, setTaskLoading] = useState(false);
 
+  // Filters and sort are kept in the URL (see parseTaskQuery) so that
+  // links, back/forward and refresh restore the same list.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const taskQuery = useMemo(
+    () => parseTaskQuery(searchParams),
+    [searchParams]
+  );
+  const setTaskQuery = (update, { replace = false } = {}) =>
+    setSearchParams(
+      (prev) => {
+        const current = parseTaskQuery(prev);
+        const next = typeof update === "function" ? update(current) : update;
+        return serializeTaskQuery(next);
+      },
+      { replace }
+    );
+
   const emptyTask = {
     title: "",
     description: "",
@@ -426,24 +365,292 @@ export default function App() {
     priority: "medium",
     assignedTo: "",
     dueDate: "",
+    repeat: EMPTY_PICKER, // see ruleFromPicker
   };
   const [taskForm, setTaskForm] = useState(emptyTask);
   const [taskError, setTaskError] = useState("");
   const titleInputRef = useRef(null);
 
-  const fetchTasks = async () => {
+  // `recurrence` for the form's repeat picker; throws on an invalid rule.
+  const formRecurrence = (form) => {
+    const rule = ruleFromPicker(form.repeat);
+    if (!rule) return null;
+    parseRule(rule);
+    return { rule, trigger: form.repeat.trigger };
+  };
+
+  // Task templates (api.templates), applied and saved from TaskFormCard
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [templateName, setTemplateName] = useState("");
+
+  const fetchTemplates = async () => {
+    if (!auth.token) return;
+    try {
+      setTemplates(await api.templates.list({ token: auth.token }));
+    } catch (e) {
+      notify("error", e.message || "Failed to load templates.");
+    }
+  };
+
+  useEffect(() => {
+    if (sessionReady) fetchTemplates();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady]);
+
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const template = templates.find((t) => t.id === id);
+    if (!template) return;
+    setTemplateName(template.name);
+    setTaskError("");
+    setTaskForm({
+      ...emptyTask,
+      title: template.title,
+      description: template.description,
+      priority: template.priority,
+      assignedTo: template.assignedTo || "",
+      dueDate:
+        template.dueInDays === null
+          ? ""
+          : addDays(today(), template.dueInDays),
+      repeat: pickerFromRecurrence(template.recurrence),
+    });
+  };
+
+  // Saves the form as a template: updates the selected one when its name is
+  // kept, otherwise creates a new one.
+  const handleSaveTemplate = async () => {
+    setTaskError("");
+    const name = templateName.trim();
+    if (!name) {
+      setTaskError("Give the template a name.");
+      return;
+    }
+    try {
+      const due = taskForm.dueDate ? taskForm.dueDate.slice(0, 10) : null;
+      const payload = {
+        name,
+        title: taskForm.title,
+        description: taskForm.description,
+        priority: taskForm.priority,
+        assignedTo: taskForm.assignedTo || null,
+        dueInDays: due
+          ? Math.max(
+              0,
+              Math.round((Date.parse(due) - Date.parse(today())) / 864e5)
+            )
+          : null,
+        recurrence: formRecurrence(taskForm),
+      };
+      const selected = templates.find((t) => t.id === templateId);
+      const saved =
+        selected?.name === name && selected.ownerId === auth.user?.id
+          ? await api.templates.update({
+              token: auth.token,
+              id: selected.id,
+              payload,
+            })
+          : await api.templates.create({ token: auth.token, payload });
+      setTemplateId(saved.id);
+      fetchTemplates();
+      notify("success", `Template "${saved.name}" saved.`);
+    } catch (e) {
+      setTaskError(e.message || "Failed to save template.");
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find((t) => t.id === templateId);
+    if (!template || !window.confirm(`Delete template "${template.name}"?`)) {
+      return;
+    }
+    try {
+      await api.templates.remove({ token: auth.token, id: template.id });
+      setTemplateId("");
+      setTemplateName("");
+      fetchTemplates();
+      notify("success", "Template deleted.");
+    } catch (e) {
+      notify("error", e.message || "Failed to delete template.");
+    }
+  };
+
+  // Saved views (named task queries, see api.views)
+  const [views, setViews] = useState([]);
+
+  const fetchViews = async () => {
     if (!auth.token) return;
-    setTaskLoading(true);
     try {
-      const { items, total } = await api.tasks.list({
+      setViews(await api.views.list({ token: auth.token }));
+    } catch (e) {
+      notify("error", e.message || "Failed to load saved views.");
+    }
+  };
+
+  useEffect(() => {
+    if (sessionReady) fetchViews();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady]);
+
+  const viewQuery = (view) => ({ ...TASK_QUERY_DEFAULTS, ...view.query });
+  const viewHref = (view) =>
+    `/tasks?${serializeTaskQuery(viewQuery(view))}`.replace(/\?$/, "");
+  const isViewActive = (view) =>
+    location.pathname === "/tasks" &&
+    serializeTaskQuery(taskQuery).toString() ===
+      serializeTaskQuery(viewQuery(view)).toString();
+
+  const handleSaveView = async ({ name, shared, pinned }) => {
+    try {
+      // the API keeps everything but the page number
+      await api.views.create({
+        token: auth.token,
+        payload: { name, shared, pinned, query: taskQuery },
+      });
+      fetchViews();
+      notify("success", `View "${name}" saved.`);
+      return true;
+    } catch (e) {
+      notify("error", e.message || "Failed to save view.");
+      return false;
+    }
+  };
+
+  const handleUpdateView = async (view, payload, message) => {
+    try {
+      await api.views.update({ token: auth.token, id: view.id, payload });
+      fetchViews();
+      if (message) notify("success", message);
+    } catch (e) {
+      notify("error", e.message || "Failed to update view.");
+    }
+  };
+
+  const handlePinView = async (view) => {
+    try {
+      await api.views.pin({
+        token: auth.token,
+        id: view.id,
+        pinned: !view.pinned,
+      });
+      fetchViews();
+    } catch (e) {
+      notify("error", e.message || "Failed to pin view.");
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    if (!window.confirm(`Delete the "${view.name}" view?`)) return;
+    try {
+      await api.views.remove({ token: auth.token, id: view.id });
+      fetchViews();
+      notify("success", "View deleted.");
+    } catch (e) {
+      notify("error", e.message || "Failed to delete view.");
+    }
+  };
+
+  // Task reads and writes go through the offline sync layer (src/api/sync.js):
+  // lists fall back to a local cache and changes queue up while the server
+  // can't be reached, then replay when the browser is back online.
+  const userId = auth.user?.id;
+  const sync = useMemo(
+    () => (userId ? createTaskSync({ tasks: api.tasks, userId }) : null),
+    [api, userId]
+  );
+  const [syncStatus, setSyncStatus] = useState({
+    offline: false,
+    pending: 0,
+    conflicts: [],
+  });
+
+  const handleSync = async () => {
+    if (!sync || !auth.token) return;
+    try {
+      const { sent, offline } = await sync.flush(auth.token);
+      if (offline) notify("error", "Still offline. Changes stay queued.");
+      else if (sent) {
+        fetchTasks();
+        if (activeTaskId) fetchTaskDetail();
+      }
+    } catch (e) {
+      notify("error", e.message || "Failed to sync changes.");
+    }
+  };
+  // the window listeners below always call the latest handleSync
+  const handleSyncRef = useRef(handleSync);
+  handleSyncRef.current = handleSync;
+
+  useEffect(() => {
+    if (!sync) return;
+    sync.status().then(setSyncStatus);
+    const unsubscribe = sync.subscribe(setSyncStatus);
+    const online = () => handleSyncRef.current();
+    const offline = () => setSyncStatus((st) => ({ ...st, offline: true }));
+    window.addEventListener("online", online);
+    window.addEventListener("offline", offline);
+    return () => {
+      unsubscribe();
+      window.removeEventListener("online", online);
+      window.removeEventListener("offline", offline);
+    };
+  }, [sync]);
+
+  const handleResolveConflict = async (conflict, choice, fields) => {
+    try {
+      await sync.resolve({
         token: auth.token,
-        page: taskQuery.page,
-        pageSize: taskQuery.pageSize,
-        status: taskQuery.status,
-        search: taskQuery.search.trim(),
+        taskId: conflict.taskId,
+        choice,
+        fields,
       });
+      notify("success", "Conflict resolved.");
+    } catch (e) {
+      notify("error", e.message || "Failed to resolve the conflict.");
+    }
+    fetchTasks();
+    if (activeTaskId) fetchTaskDetail();
+  };
+
+  // The list loads `pageSize` tasks at a time and follows the API cursor as
+  // you scroll; the board loads every column at once, in board order.
+  const BOARD_LIMIT = 200;
+  const [taskCursor, setTaskCursor] = useState(null);
+  const [taskLoadingMore, setTaskLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+
+  const taskListParams = () => {
+    const board = taskQuery.view === "board";
+    return {
+      token: auth.token,
+      limit: board ? BOARD_LIMIT : taskQuery.pageSize,
+      status: board ? "all" : taskQuery.status,
+      search: taskQuery.search.trim(),
+      sortBy: board ? "sortOrder" : taskQuery.sortBy,
+      sortDir: board ? undefined : taskQuery.sortDir,
+      assignedTo: taskQuery.assignedTo,
+      createdBy: taskQuery.createdBy,
+      priority: taskQuery.priority,
+      dueFrom: taskQuery.dueFrom,
+      dueTo: taskQuery.dueTo,
+      overdue: taskQuery.overdue || undefined,
+      mine: taskQuery.mine || undefined,
+      parentId: taskQuery.parentId,
+      blocked: taskQuery.blocked || undefined,
+    };
+  };
+
+  // `quiet` reloads without the loading state (live updates).
+  const fetchTasks = async ({ quiet = false } = {}) => {
+    if (!auth.token) return;
+    if (!quiet) setTaskLoading(true);
+    try {
+      const { items, total, nextCursor } = await sync.list(taskListParams());
       setTasks(items);
       setTaskTotal(total);
+      setTaskCursor(taskQuery.view === "board" ? null : nextCursor);
+      setNewTaskCount(0);
     } catch (e) {
       notify("error", e.message || "Failed to load tasks.");
     } finally {
@@ -451,16 +658,66 @@ export default function App() {
     }
   };
 
+  const fetchMoreTasks = async () => {
+    if (!taskCursor || loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    setTaskLoadingMore(true);
+    try {
+      const { items, total, nextCursor } = await sync.list({
+        ...taskListParams(),
+        cursor: taskCursor,
+      });
+      setTasks((ts) => [...ts, ...items]);
+      setTaskTotal(total);
+      setTaskCursor(nextCursor);
+    } catch (e) {
+      notify("error", e.message || "Failed to load more tasks.");
+    } finally {
+      loadingMoreRef.current = false;
+      setTaskLoadingMore(false);
+    }
+  };
+
   useEffect(() => {
-    if (auth.token) fetchTasks();
+    if (sessionReady) fetchTasks();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [
-    auth.token,
-    taskQuery.page,
-    taskQuery.pageSize,
-    taskQuery.status,
-    taskQuery.search,
-  ]);
+  }, [auth.token, sessionReady, serializeTaskQuery(taskQuery).toString()]);
+
+  // Drop `task` into `status` before the card `beforeId` (or at the end).
+  const handleMoveTask = async (task, status, beforeId = null) => {
+    if (beforeId === task.id) return;
+    const column = tasks
+      .filter((t) => t.status === status && t.id !== task.id)
+      .sort(bySortOrder);
+    const at = beforeId
+      ? column.findIndex((t) => t.id === beforeId)
+      : column.length;
+    // dropped where it already is
+    if (task.status === status) {
+      const current = tasks
+        .filter((t) => t.status === status)
+        .sort(bySortOrder);
+      const prev = current[current.findIndex((t) => t.id === task.id) - 1];
+      if (prev?.id === column[at - 1]?.id) return;
+    }
+    const sortOrder = orderBetween(column[at - 1], column[at]);
+
+    // optimistic: move the card now, reload if the API refuses
+    setTasks((ts) =>
+      ts.map((t) => (t.id === task.id ? { ...t, status, sortOrder } : t))
+    );
+    try {
+      const saved = await sync.update({
+        token: auth.token,
+        task,
+        payload: { status, sortOrder },
+      });
+      setTasks((ts) => ts.map((t) => (t.id === task.id ? saved : t)));
+    } catch (e) {
+      notify("error", e.message || "Failed to move task.");
+      fetchTasks();
+    }
+  };
 
   const handleCreateTask = async (e) => {
     e.preventDefault();
@@ -472,71 +729,398 @@ export default function App() {
     }
     try {
       // default assignment: member cannot assign to others
+      const recurrence = formRecurrence(taskForm);
+      if (recurrence?.trigger === "schedule" && !taskForm.dueDate) {
+        setTaskError("Tasks repeating on a schedule need a due date.");
+        return;
+      }
       const payload = {
-        ...taskForm,
+        title: taskForm.title,
+        description: taskForm.description,
+        status: taskForm.status,
+        priority: taskForm.priority,
         assignedTo: taskForm.assignedTo || auth.user?.id,
         dueDate: taskForm.dueDate || null,
+        recurrence,
       };
-      await api.tasks.create({ token: auth.token, payload });
+      const created = await sync.create({ token: auth.token, payload });
       setTaskForm(emptyTask);
-      setTaskQuery((q) => ({ ...q, page: 1 })); // jump to first page to see newest
-      fetchTasks();
-      notify("success", "Task created.");
+      setTemplateId("");
+      fetchTasks(); // back to the first batch to see the new task
+      notify(
+        "success",
+        created.pending
+          ? "Task saved offline. It will sync when you're back online."
+          : "Task created."
+      );
     } catch (e) {
       setTaskError(e.message || "Failed to create task.");
     }
   };
 
-  const handleUpdateTask = async (id, patch) => {
+  // Single task for /tasks/:taskId
+  const [taskDetail, setTaskDetail] = useState({
+    task: null,
+    loading: false,
+    error: "",
+  });
+
+  const fetchTaskDetail = async () => {
+    if (!auth.token || !activeTaskId) return;
+    setTaskDetail((d) => ({ ...d, loading: true, error: "" }));
     try {
-      await api.tasks.update({ token: auth.token, id, payload: patch });
-      fetchTasks();
-      notify("success", "Task updated.");
+      const task = await sync.get({ token: auth.token, id: activeTaskId });
+      setTaskDetail({ task, loading: false, error: "" });
     } catch (e) {
-      notify("error", e.message || "Failed to update task.");
+      setTaskDetail({
+        task: null,
+        loading: false,
+        error: e.message || "Failed to load task.",
+      });
     }
   };
 
-  const handleDeleteTask = async (id) => {
-    if (!window.confirm("Delete this task?")) return;
+  useEffect(() => {
+    if (sessionReady && activeTaskId) fetchTaskDetail();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady, activeTaskId]);
+
+  // Subtasks of /tasks/:taskId (parentId, see src/api/relations.js)
+  const [subtasks, setSubtasks] = useState({ items: [], loading: false });
+
+  const fetchSubtasks = async () => {
+    if (!auth.token || !activeTaskId || isLocalTaskId(activeTaskId)) return;
+    setSubtasks((st) => ({ ...st, loading: true }));
     try {
-      await api.tasks.remove({ token: auth.token, id });
-      fetchTasks();
-      notify("success", "Task deleted.");
+      const { items } = await sync.list({
+        token: auth.token,
+        parentId: activeTaskId,
+        limit: 100,
+        sortBy: "createdAt",
+        sortDir: "asc",
+      });
+      setSubtasks({ items, loading: false });
     } catch (e) {
-      notify("error", e.message || "Failed to delete task.");
+      setSubtasks({ items: [], loading: false });
+      notify("error", e.message || "Failed to load subtasks.");
     }
   };
 
-  // ------------------------------
-  // Auth UI
-  // ------------------------------
-  const [loginForm, setLoginForm] = useState({ email: "", password: "" });
-  const [loginError, setLoginError] = useState("");
+  useEffect(() => {
+    setSubtasks({ items: [], loading: false });
+    if (sessionReady && activeTaskId) fetchSubtasks();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady, activeTaskId]);
 
-  const doLogin = async (e) => {
-    e.preventDefault();
-    setLoginError("");
+  const handleCreateSubtask = async (title) => {
     try {
-      const res = await api.auth.login(loginForm);
-      setAuth({ token: res.token, user: res.user, loading: false, error: "" });
-      setActiveTab("tasks");
-      notify("success", `Welcome back, ${res.user.name.split(" ")[0]}!`);
+      const created = await sync.create({
+        token: auth.token,
+        payload: {
+          title,
+          parentId: activeTaskId,
+          assignedTo: auth.user?.id,
+        },
+      });
+      fetchSubtasks();
+      fetchTaskDetail();
+      notify(
+        "success",
+        created.pending
+          ? "Subtask saved offline. It will sync when you're back online."
+          : "Subtask added."
+      );
+      return true;
     } catch (e) {
-      setLoginError(e.message || "Login failed.");
+      notify("error", e.message || "Failed to add subtask.");
+      return false;
     }
   };
 
-  const doLogout = async () => {
-    await api.auth.logout();
-    setAuth({ token: null, user: null, loading: false, error: "" });
-    setTasks([]);
-    setUsers([]);
-    setActiveTab("tasks");
-    notify("success", "Logged out.");
+  // Audit entries for /tasks/:taskId
+  const [taskHistory, setTaskHistory] = useState({
+    items: [],
+    loading: false,
+    error: "",
+  });
+
+  const fetchTaskHistory = async () => {
+    if (!auth.token || !activeTaskId || isLocalTaskId(activeTaskId)) return;
+    setTaskHistory((h) => ({ ...h, loading: true, error: "" }));
+    try {
+      const items = await api.tasks.history({
+        token: auth.token,
+        id: activeTaskId,
+      });
+      setTaskHistory({ items, loading: false, error: "" });
+    } catch (e) {
+      setTaskHistory({
+        items: [],
+        loading: false,
+        error: e.message || "Failed to load history.",
+      });
+    }
   };
 
-  // ------------------------------
+  useEffect(() => {
+    if (sessionReady && activeTaskId) fetchTaskHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady, activeTaskId]);
+
+  // Comments for /tasks/:taskId (flat list; the view builds the thread)
+  const [comments, setComments] = useState({
+    items: [],
+    loading: false,
+    error: "",
+  });
+
+  const fetchComments = async () => {
+    if (!auth.token || !activeTaskId || isLocalTaskId(activeTaskId)) return;
+    setComments((c) => ({ ...c, loading: true, error: "" }));
+    try {
+      const items = await api.tasks.comments.list({
+        token: auth.token,
+        taskId: activeTaskId,
+      });
+      setComments({ items, loading: false, error: "" });
+    } catch (e) {
+      setComments({
+        items: [],
+        loading: false,
+        error: e.message || "Failed to load comments.",
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (sessionReady && activeTaskId) fetchComments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [auth.token, sessionReady, activeTaskId]);
+
+  // Composer callbacks resolve to true on success so they can clear/close.
+  const handleAddComment = async (body, parentId = null) => {
+    try {
+      await api.tasks.comments.create({
+        token: auth.token,
+        taskId: activeTaskId,
+        body,
+        parentId,
+      });
+      fetchComments();
+      return true;
+    } catch (e) {
+      notify("error", e.message || "Failed to post comment.");
+      return false;
+    }
+  };
+
+  const handleEditComment = async (id, body) => {
+    try {
+      await api.tasks.comments.update({
+        token: auth.token,
+        taskId: activeTaskId,
+        id,
+        body,
+      });
+      fetchComments();
+      return true;
+    } catch (e) {
+      notify("error", e.message || "Failed to update comment.");
+      return false;
+    }
+  };
+
+  const handleDeleteComment = async (id) => {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      await api.tasks.comments.remove({
+        token: auth.token,
+        taskId: activeTaskId,
+        id,
+      });
+      fetchComments();
+    } catch (e) {
+      notify("error", e.message || "Failed to delete comment.");
+    }
+  };
+
+  // ------------------------------
+  // Live updates (api.events): task and user changes from other tabs/users
+  // ------------------------------
+  // Tasks created elsewhere while the list is scrolled past its first batch
+  // (reloading would lose the scroll position, so they are offered instead).
+  const [newTaskCount, setNewTaskCount] = useState(0);
+
+  const handleLiveEvent = ({ entity, type, id, data }) => {
+    if (entity === "user") {
+      fetchUsers();
+      if (id === auth.user?.id) auth.reload().catch(() => {});
+      return;
+    }
+    if (type === "task.create") {
+      if (taskQuery.view === "board" || tasks.length <= taskQuery.pageSize) {
+        fetchTasks({ quiet: true });
+      } else setNewTaskCount((n) => n + 1);
+    }
+    if (type === "task.update") {
+      // newer versions only; unsynced local edits stay on top
+      const newer = (t) =>
+        t.id === id && !t.pending && taskVersion(data) > taskVersion(t);
+      setTasks((ts) => ts.map((t) => (newer(t) ? data : t)));
+      if (taskDetail.task && newer(taskDetail.task)) {
+        setTaskDetail({ task: data, loading: false, error: "" });
+        fetchTaskHistory();
+      }
+    }
+    if (type === "task.relations") {
+      // only the derived summary changed (src/api/relations.js)
+      const patch = (t) =>
+        t.id === id ? { ...t, relations: data.relations } : t;
+      setTasks((ts) => ts.map(patch));
+      if (taskDetail.task?.id === id) {
+        setTaskDetail((d) => ({ ...d, task: patch(d.task) }));
+        fetchSubtasks();
+      }
+    }
+    if (type === "task.delete") {
+      if (tasks.some((t) => t.id === id)) {
+        setTasks((ts) => ts.filter((t) => t.id !== id));
+        setTaskTotal((n) => n - 1);
+      }
+      if (taskDetail.task?.id === id) {
+        setTaskDetail({
+          task: null,
+          loading: false,
+          error: "This task was deleted by someone else.",
+        });
+      }
+    }
+  };
+  const handleLiveEventRef = useRef(handleLiveEvent);
+  handleLiveEventRef.current = handleLiveEvent;
+
+  useEffect(() => {
+    if (!sessionReady) return;
+    return api.events.subscribe({ token: auth.token }, (event) =>
+      handleLiveEventRef.current(event)
+    );
+  }, [api, auth.token, sessionReady]);
+
+  // Open TaskRow editors by task id: { draft, base }, where `base` is the copy
+  // editing started from. Rows remount whenever App re-renders (live updates
+  // included), so editors keep their state here instead of in the row.
+  const taskEditorsRef = useRef({});
+  // The same for the comment thread and the board: composer drafts by key
+  // ({ text, caret }) with the key of the one being typed in, open
+  // reply/edit forms by comment id and the card being dragged.
+  const commentDraftsRef = useRef({ drafts: {}, focused: null });
+  const commentModesRef = useRef({});
+  const boardDragRef = useRef({ dragId: null, over: null });
+
+  // The copy of a task being edited; its version is what conflicts are
+  // detected against.
+  const loadedTask = (id) =>
+    tasks.find((t) => t.id === id) ??
+    (taskDetail.task?.id === id ? taskDetail.task : null);
+
+  // A change someone else made first: show their copy next to the conflict.
+  const handleTaskWriteError = (e, fallback) => {
+    if (e.code === "version_conflict") {
+      notify("error", `${e.message} Choose which changes to keep.`);
+      fetchTasks();
+      if (activeTaskId) fetchTaskDetail();
+    } else notify("error", e.message || fallback);
+  };
+
+  // `task` is the copy the change is based on (see TaskRow).
+  const handleUpdateTask = async (task, patch) => {
+    const { id } = task;
+    try {
+      const updated = await sync.update({
+        token: auth.token,
+        task,
+        payload: patch,
+      });
+      if (id === activeTaskId) {
+        setTaskDetail({ task: updated, loading: false, error: "" });
+        if (!updated.pending) fetchTaskHistory();
+      } else if (activeTaskId) {
+        // a subtask of the open task: its progress changes too
+        fetchSubtasks();
+        fetchTaskDetail();
+      } else {
+        // patch in place so the loaded batches (and scroll) stay put
+        setTasks((ts) => ts.map((t) => (t.id === id ? updated : t)));
+      }
+      notify(
+        "success",
+        updated.pending
+          ? "Saved offline. It will sync when you're back online."
+          : "Task updated."
+      );
+    } catch (e) {
+      handleTaskWriteError(e, "Failed to update task.");
+    }
+  };
+
+  const handleDeleteTask = async (id) => {
+    if (!window.confirm("Delete this task?")) return;
+    try {
+      await sync.remove({ token: auth.token, task: loadedTask(id) });
+      if (activeTaskId) navigate("/tasks");
+      else {
+        setTasks((ts) => ts.filter((t) => t.id !== id));
+        setTaskTotal((n) => n - 1);
+      }
+      notify("success", "Task deleted.");
+    } catch (e) {
+      handleTaskWriteError(e, "Failed to delete task.");
+    }
+  };
+
+  // ------------------------------
+  // Auth UI
+  // ------------------------------
+  const emptyPasswordForm = {
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  };
+  const [passwordForm, setPasswordForm] = useState(emptyPasswordForm);
+  const [passwordError, setPasswordError] = useState("");
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError("");
+    const { currentPassword, newPassword, confirmPassword } = passwordForm;
+    if (!currentPassword || !newPassword) {
+      setPasswordError("Enter your current and new password.");
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordError("New passwords do not match.");
+      return;
+    }
+    const problems = validatePassword(newPassword, auth.user);
+    if (problems.length) {
+      setPasswordError(problems.join(" "));
+      return;
+    }
+    try {
+      await auth.changePassword({ currentPassword, newPassword });
+      setPasswordForm(emptyPasswordForm);
+      notify("success", "Password changed.");
+    } catch (e) {
+      setPasswordError(e.message || "Failed to change password.");
+    }
+  };
+
+  const doLogout = async () => {
+    await auth.logout();
+    navigate("/", { replace: true });
+  };
+
+  // ------------------------------
   // Inner Components (kept inside <App/>)
   // ------------------------------
   const Shell = ({ children }) => (
@@ -593,59 +1177,10 @@ export default function App() {
     </div>
   );
 
-  const AuthView = () => (
-    <div className="min-h-[70vh] flex items-center justify-center">
-      <div className="w-full max-w-md bg-white rounded-2xl shadow p-6">
-        <h2 className="text-xl font-semibold mb-1">Login</h2>
-        <p className="text-sm text-slate-600 mb-4">
-          Sign in with the demo credentials or your own.
-        </p>
-        <form className="space-y-3" onSubmit={doLogin}>
-          <div>
-            <label className="block text-sm mb-1">Email</label>
-            <input
-              className="w-full rounded-xl border border-slate-300 px-3 py-2 outline-none focus:ring-2 focus:ring-slate-200"
-              value={loginForm.email}
-              onChange={(e) =>
-                setLoginForm((f) => ({ ...f, email: e.target.value }))
-              }
-              type="email"
-              placeholder="you@example.com"
-            />
-          </div>
-          <div>
-            <label className="block text-sm mb-1">Password</label>
-            <input
-              className="w-full rounded-xl border border-slate-300 px-3 py-2 outline-none focus:ring-2 focus:ring-slate-200"
-              value={loginForm.password}
-              onChange={(e) =>
-                setLoginForm((f) => ({ ...f, password: e.target.value }))
-              }
-              type="password"
-              placeholder="••••••••"
-            />
-          </div>
-          {loginError ? (
-            <p className="text-sm text-rose-600">{loginError}</p>
-          ) : null}
-          <button
-            type="submit"
-            className="w-full rounded-xl bg-slate-900 text-white py-2 hover:bg-slate-800"
-          >
-            Sign In
-          </button>
-          <div className="text-xs text-slate-500">
-            Tip: Try <span className="font-mono">admin@demo.com / admin</span>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-
   const Tabs = () => (
     <div className="flex flex-wrap gap-2 mb-4">
-      <button
-        onClick={() => setActiveTab("tasks")}
+      <Link
+        to="/tasks"
         className={`px-3 py-1.5 rounded-xl border ${
           activeTab === "tasks"
             ? "bg-slate-900 text-white border-slate-900"
@@ -653,10 +1188,26 @@ export default function App() {
         }`}
       >
         Tasks
-      </button>
-      {(isAdmin || isManager) && (
-        <button
-          onClick={() => setActiveTab("users")}
+      </Link>
+      {views
+        .filter((v) => v.pinned)
+        .map((v) => (
+          <Link
+            key={v.id}
+            to={viewHref(v)}
+            title={v.shared ? "Shared view" : "Saved view"}
+            className={`px-3 py-1.5 rounded-xl border ${
+              isViewActive(v)
+                ? "bg-indigo-600 text-white border-indigo-600"
+                : "border-indigo-200 text-indigo-700 hover:bg-white"
+            }`}
+          >
+            {v.name}
+          </Link>
+        ))}
+      {(can("users.view") || can("users.manage")) && (
+        <Link
+          to="/users"
           className={`px-3 py-1.5 rounded-xl border ${
             activeTab === "users"
               ? "bg-slate-900 text-white border-slate-900"
@@ -664,10 +1215,34 @@ export default function App() {
           }`}
         >
           Users
-        </button>
+        </Link>
+      )}
+      {can("roles.manage") && (
+        <Link
+          to="/roles"
+          className={`px-3 py-1.5 rounded-xl border ${
+            activeTab === "roles"
+              ? "bg-slate-900 text-white border-slate-900"
+              : "border-slate-300 hover:bg-white"
+          }`}
+        >
+          Roles
+        </Link>
+      )}
+      {can("audit.view") && (
+        <Link
+          to="/audit"
+          className={`px-3 py-1.5 rounded-xl border ${
+            activeTab === "audit"
+              ? "bg-slate-900 text-white border-slate-900"
+              : "border-slate-300 hover:bg-white"
+          }`}
+        >
+          Audit
+        </Link>
       )}
-      <button
-        onClick={() => setActiveTab("profile")}
+      <Link
+        to="/profile"
         className={`px-3 py-1.5 rounded-xl border ${
           activeTab === "profile"
             ? "bg-slate-900 text-white border-slate-900"
@@ -675,18 +1250,18 @@ export default function App() {
         }`}
       >
         Profile
-      </button>
+      </Link>
     </div>
   );
 
   const UsersView = () => (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-      {/* Create User (admin only) */}
+      {/* Create User (users.manage) */}
       <div className="bg-white rounded-2xl border border-slate-200 p-4">
         <h3 className="text-lg font-semibold mb-2">Create User</h3>
-        {!isAdmin ? (
+        {!can("users.manage") ? (
           <p className="text-sm text-slate-500">
-            Only admins can create users.
+            You don't have permission to create users.
           </p>
         ) : (
           <form className="grid gap-3" onSubmit={handleCreateUser}>
@@ -721,9 +1296,11 @@ export default function App() {
                     setUserForm((f) => ({ ...f, role: e.target.value }))
                   }
                 >
-                  <option value="member">member</option>
-                  <option value="manager">manager</option>
-                  <option value="admin">admin</option>
+                  {roleNames.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
                 </select>
               </div>
               <div>
@@ -735,12 +1312,25 @@ export default function App() {
                     setUserForm((f) => ({ ...f, password: e.target.value }))
                   }
                   type="password"
+                  placeholder="Leave blank to generate"
                 />
               </div>
             </div>
+            <p className="text-xs text-slate-500">
+              {PASSWORD_POLICY} The user must change it on first login.
+            </p>
             {userError ? (
               <p className="text-sm text-rose-600">{userError}</p>
             ) : null}
+            {issuedCredentials ? (
+              <div className="rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                Temporary password for {issuedCredentials.email}:{" "}
+                <span className="font-mono">{issuedCredentials.password}</span>
+                <div className="text-xs">
+                  Share it securely; it won't be shown again.
+                </div>
+              </div>
+            ) : null}
             <button className="rounded-xl bg-slate-900 text-white px-4 py-2 hover:bg-slate-800">
               Create
             </button>
@@ -761,14 +1351,144 @@ export default function App() {
         </div>
         <div className="divide-y text-sm">
           {users.map((u) => (
-            <div key={u.id} className="py-2 flex items-center justify-between">
-              <div>
-                <div className="font-medium">{u.name}</div>
-                <div className="text-slate-500">{u.email}</div>
-              </div>
-              <span className="text-xs uppercase bg-slate-100 px-2 py-0.5 rounded">
-                {u.role}
-              </span>
+            <div key={u.id} className="py-2">
+              {userEdit?.id === u.id ? (
+                <form className="grid gap-2" onSubmit={handleUpdateUser}>
+                  <input
+                    className="w-full rounded-xl border border-slate-300 px-3 py-1.5"
+                    value={userEdit.name}
+                    onChange={(e) =>
+                      setUserEdit((f) => ({ ...f, name: e.target.value }))
+                    }
+                  />
+                  <input
+                    type="email"
+                    className="w-full rounded-xl border border-slate-300 px-3 py-1.5"
+                    value={userEdit.email}
+                    onChange={(e) =>
+                      setUserEdit((f) => ({ ...f, email: e.target.value }))
+                    }
+                  />
+                  <div className="flex items-center gap-2">
+                    <select
+                      className="rounded-xl border border-slate-300 px-3 py-1.5"
+                      value={userEdit.role}
+                      onChange={(e) =>
+                        setUserEdit((f) => ({ ...f, role: e.target.value }))
+                      }
+                    >
+                      {roleNames.map((r) => (
+                        <option key={r} value={r}>
+                          {r}
+                        </option>
+                      ))}
+                    </select>
+                    <button className="px-3 py-1.5 rounded-xl bg-slate-900 text-white">
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      className="px-3 py-1.5 rounded-xl border border-slate-300"
+                      onClick={() => setUserEdit(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="flex items-center justify-between gap-2">
+                  <div className={u.active === false ? "opacity-60" : ""}>
+                    <div className="font-medium">
+                      {u.name}
+                      {u.active === false && (
+                        <span className="ml-2 text-xs text-rose-600">
+                          deactivated
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-slate-500">{u.email}</div>
+                  </div>
+                  <div className="flex flex-wrap items-center justify-end gap-2">
+                    <span className="text-xs uppercase bg-slate-100 px-2 py-0.5 rounded">
+                      {u.role}
+                    </span>
+                    {can("users.manage") && (
+                      <button
+                        className="px-2 py-1 rounded-lg border border-slate-300 text-xs"
+                        onClick={() =>
+                          setUserEdit({
+                            id: u.id,
+                            name: u.name,
+                            email: u.email,
+                            role: u.role,
+                          })
+                        }
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {can("users.manage") && u.id !== auth.user?.id && (
+                      <>
+                        <button
+                          className="px-2 py-1 rounded-lg border border-slate-300 text-xs"
+                          onClick={() => handleToggleUserActive(u)}
+                        >
+                          {u.active === false ? "Reactivate" : "Deactivate"}
+                        </button>
+                        <button
+                          className="px-2 py-1 rounded-lg border border-rose-300 text-rose-700 text-xs hover:bg-rose-50"
+                          onClick={() =>
+                            setUserDelete({ id: u.id, reassignTo: "" })
+                          }
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+              {userDelete?.id === u.id && (
+                <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 p-3 grid gap-2">
+                  <div>
+                    Delete <span className="font-medium">{u.name}</span>? Their
+                    assigned tasks will be:
+                  </div>
+                  <select
+                    className="rounded-xl border border-slate-300 px-3 py-1.5 bg-white"
+                    value={userDelete.reassignTo}
+                    onChange={(e) =>
+                      setUserDelete((d) => ({
+                        ...d,
+                        reassignTo: e.target.value,
+                      }))
+                    }
+                  >
+                    <option value="">Left unassigned</option>
+                    {users
+                      .filter((x) => x.id !== u.id && x.active !== false)
+                      .map((x) => (
+                        <option key={x.id} value={x.id}>
+                          Reassigned to {x.name}
+                        </option>
+                      ))}
+                  </select>
+                  <div className="flex gap-2">
+                    <button
+                      className="px-3 py-1.5 rounded-xl bg-rose-600 text-white"
+                      onClick={handleDeleteUser}
+                    >
+                      Delete user
+                    </button>
+                    <button
+                      className="px-3 py-1.5 rounded-xl border border-slate-300 bg-white"
+                      onClick={() => setUserDelete(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           ))}
           {users.length === 0 && (
@@ -779,10 +1499,142 @@ export default function App() {
     </div>
   );
 
+  // Repeat choice for a new task; `value` is the picker state from
+  // recurrence.js (EMPTY_PICKER, ruleFromPicker).
+  const RepeatPicker = ({ value, onChange }) => {
+    const rule = ruleFromPicker(value);
+    let ruleError = "";
+    try {
+      if (rule) parseRule(rule);
+    } catch (e) {
+      ruleError = e.message;
+    }
+    const set = (patch) => onChange({ ...value, ...patch });
+    const toggleDay = (day) =>
+      set({
+        days: WEEKDAYS.filter(
+          (d) => (d === day) !== value.days.includes(d)
+        ),
+      });
+
+    return (
+      <div className="grid gap-2">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm mb-1">Repeat</label>
+            <select
+              className="w-full rounded-xl border border-slate-300 px-3 py-2"
+              value={value.kind}
+              onChange={(e) => set({ kind: e.target.value })}
+            >
+              <option value="none">Does not repeat</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+              <option value="custom">Custom rule…</option>
+            </select>
+          </div>
+          {value.kind !== "none" && (
+            <div>
+              <label className="block text-sm mb-1">Create the next one</label>
+              <select
+                className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                value={value.trigger}
+                onChange={(e) => set({ trigger: e.target.value })}
+              >
+                <option value="complete">When this one is done</option>
+                <option value="schedule">On schedule</option>
+              </select>
+            </div>
+          )}
+        </div>
+
+        {value.kind === "weekly" && (
+          <div className="flex flex-wrap gap-1">
+            {WEEKDAYS.map((d) => (
+              <button
+                key={d}
+                type="button"
+                onClick={() => toggleDay(d)}
+                aria-pressed={value.days.includes(d)}
+                className={`rounded-lg border px-2 py-1 text-xs ${
+                  value.days.includes(d)
+                    ? "bg-slate-900 text-white border-slate-900"
+                    : "border-slate-300 hover:bg-slate-50"
+                }`}
+              >
+                {WEEKDAY_LABELS[d]}
+              </button>
+            ))}
+          </div>
+        )}
+        {value.kind === "monthly" && (
+          <select
+            className="rounded-xl border border-slate-300 px-3 py-2 text-sm"
+            value={value.monthDay}
+            onChange={(e) => set({ monthDay: e.target.value })}
+          >
+            <option value="">Same day as the due date</option>
+            {Array.from({ length: 31 }, (_, i) => (
+              <option key={i + 1} value={String(i + 1)}>
+                Day {i + 1}
+              </option>
+            ))}
+            <option value="-1">Last day of the month</option>
+          </select>
+        )}
+        {value.kind === "custom" && (
+          <input
+            className="rounded-xl border border-slate-300 px-3 py-2 font-mono text-sm"
+            value={value.custom}
+            onChange={(e) => set({ custom: e.target.value })}
+            placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+          />
+        )}
+        {rule && (
+          <p
+            className={`text-xs ${
+              ruleError ? "text-rose-600" : "text-slate-500"
+            }`}
+          >
+            {ruleError || describeRule(rule)}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   const TaskFormCard = () => (
     <div className="bg-white rounded-2xl border border-slate-200 p-4">
       <h3 className="text-lg font-semibold mb-2">Create Task</h3>
       <form className="grid gap-3" onSubmit={handleCreateTask}>
+        <div>
+          <label className="block text-sm mb-1">Template</label>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              className="flex-1 min-w-0 rounded-xl border border-slate-300 px-3 py-2"
+              value={templateId}
+              onChange={(e) => applyTemplate(e.target.value)}
+            >
+              <option value="">— Blank task —</option>
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+            {templates.find((t) => t.id === templateId)?.ownerId ===
+              auth.user?.id && (
+              <button
+                type="button"
+                onClick={handleDeleteTemplate}
+                className="rounded-xl border border-rose-300 text-rose-700 px-3 py-2 text-sm hover:bg-rose-50"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
         <div>
           <label className="block text-sm mb-1">Title</label>
           <input
@@ -850,7 +1702,12 @@ export default function App() {
           </div>
         </div>
 
-        {(isAdmin || isManager) && (
+        <RepeatPicker
+          value={taskForm.repeat}
+          onChange={(repeat) => setTaskForm((f) => ({ ...f, repeat }))}
+        />
+
+        {can("tasks.assign") && (
           <div>
             <label className="block text-sm mb-1">Assign to</label>
             <select
@@ -861,9 +1718,10 @@ export default function App() {
               }
             >
               <option value="">— Select user —</option>
-              {users.map((u) => (
+              {activeUsers.map((u) => (
                 <option key={u.id} value={u.id}>
-                  {u.name} ({u.role})
+                  {u.name}
+                  {u.role ? ` (${u.role})` : ""}
                 </option>
               ))}
             </select>
@@ -883,133 +1741,886 @@ export default function App() {
           </button>
           <button
             type="button"
-            onClick={() => setTaskForm(emptyTask)}
+            onClick={() => {
+              setTaskForm(emptyTask);
+              setTemplateId("");
+            }}
             className="rounded-xl border border-slate-300 px-4 py-2 hover:bg-white"
           >
             Reset
           </button>
         </div>
-      </form>
-    </div>
-  );
-
-  const TaskFilters = () => (
-    <div className="bg-white rounded-2xl border border-slate-200 p-3 flex flex-col sm:flex-row gap-3 items-stretch sm:items-center justify-between">
-      <div className="flex gap-2">
-        <select
-          className="rounded-xl border border-slate-300 px-3 py-2"
-          value={taskQuery.status}
-          onChange={(e) =>
-            setTaskQuery((q) => ({ ...q, status: e.target.value, page: 1 }))
-          }
-        >
-          <option value="all">All</option>
-          <option value="todo">Todo</option>
-          <option value="in-progress">In Progress</option>
-          <option value="done">Done</option>
-        </select>
-        <select
-          className="rounded-xl border border-slate-300 px-3 py-2"
-          value={taskQuery.pageSize}
-          onChange={(e) =>
-            setTaskQuery((q) => ({
-              ...q,
-              pageSize: Number(e.target.value),
-              page: 1,
-            }))
-          }
-        >
-          {[5, 10, 20].map((n) => (
-            <option key={n} value={n}>
-              {n}/page
-            </option>
-          ))}
-        </select>
-      </div>
-      <div className="flex items-center gap-2">
-        <input
-          className="rounded-xl border border-slate-300 px-3 py-2 w-full sm:w-64"
-          placeholder="Search title/description…"
-          value={taskQuery.search}
-          onChange={(e) =>
-            setTaskQuery((q) => ({ ...q, search: e.target.value, page: 1 }))
-          }
-        />
-        <button
-          className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50"
-          onClick={fetchTasks}
-        >
-          Refresh
-        </button>
-      </div>
-    </div>
-  );
-
-  const TaskList = () => (
-    <div className="bg-white rounded-2xl border border-slate-200">
-      <div className="p-3 border-b border-slate-100 flex items-center justify-between">
-        <h3 className="text-lg font-semibold">Tasks</h3>
-        <span className="text-sm text-slate-500">{taskTotal} total</span>
-      </div>
-      {taskLoading ? (
-        <div className="p-6 text-slate-500">Loading tasks…</div>
-      ) : tasks.length === 0 ? (
-        <div className="p-6 text-slate-500">No tasks found.</div>
-      ) : (
-        <ul className="divide-y">
-          {tasks.map((t) => (
-            <li key={t.id} className="p-4">
-              <TaskRow task={t} />
-            </li>
-          ))}
-        </ul>
-      )}
 
-      {/* Pagination */}
-      <div className="p-3 border-t border-slate-100 flex items-center justify-between text-sm">
-        <div>
-          Page {taskQuery.page} of{" "}
-          {Math.max(1, Math.ceil(taskTotal / taskQuery.pageSize))}
-        </div>
-        <div className="flex gap-2">
-          <button
-            className="px-3 py-1.5 rounded-xl border border-slate-300 disabled:opacity-50"
-            disabled={taskQuery.page <= 1}
-            onClick={() => setTaskQuery((q) => ({ ...q, page: q.page - 1 }))}
-          >
-            Prev
-          </button>
+        <div className="flex flex-wrap items-center gap-2 border-t border-slate-100 pt-3">
+          <input
+            className="flex-1 min-w-0 rounded-xl border border-slate-300 px-3 py-2 text-sm"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            placeholder="Template name"
+            maxLength={60}
+          />
           <button
-            className="px-3 py-1.5 rounded-xl border border-slate-300 disabled:opacity-50"
-            disabled={
-              taskQuery.page >= Math.ceil(taskTotal / taskQuery.pageSize)
-            }
-            onClick={() => setTaskQuery((q) => ({ ...q, page: q.page + 1 }))}
+            type="button"
+            onClick={handleSaveTemplate}
+            className="rounded-xl border border-slate-300 px-3 py-2 text-sm hover:bg-slate-50"
           >
-            Next
+            Save as template
           </button>
         </div>
-      </div>
+      </form>
     </div>
   );
 
-  const TaskRow = ({ task }) => {
-    const [editing, setEditing] = useState(false);
-    const [draft, setDraft] = useState({
-      title: task.title,
-      description: task.description,
-      status: task.status,
-      priority: task.priority,
-      assignedTo: task.assignedTo,
-      dueDate: task.dueDate ? task.dueDate.slice(0, 10) : "",
-    });
+  const selectClass = "rounded-xl border border-slate-300 px-3 py-2";
+  const setTaskFilter = (patch) =>
+    setTaskQuery((q) => ({ ...q, ...patch }));
+  const activeFilterCount = TASK_FILTER_KEYS.filter(
+    (k) => k !== "search" && k !== "status" && taskQuery[k]
+  ).length;
 
-    const assignedUser = users.find((u) => u.id === task.assignedTo);
+  const TaskFilters = () => (
+    <div className="bg-white rounded-2xl border border-slate-200 p-3 space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3 items-stretch sm:items-center justify-between">
+        <div className="flex gap-2">
+          <div className="flex rounded-xl border border-slate-300 overflow-hidden">
+            {["list", "board"].map((view) => (
+              <button
+                key={view}
+                className={`px-3 py-2 capitalize ${
+                  taskQuery.view === view
+                    ? "bg-slate-900 text-white"
+                    : "hover:bg-slate-50"
+                }`}
+                onClick={() => setTaskQuery((q) => ({ ...q, view }))}
+              >
+                {view}
+              </button>
+            ))}
+          </div>
+          {taskQuery.view === "list" && (
+            <>
+              <select
+                className="rounded-xl border border-slate-300 px-3 py-2"
+                value={taskQuery.status}
+                onChange={(e) => setTaskFilter({ status: e.target.value })}
+              >
+                <option value="all">All</option>
+                <option value="todo">Todo</option>
+                <option value="in-progress">In Progress</option>
+                <option value="done">Done</option>
+              </select>
+              <select
+                className="rounded-xl border border-slate-300 px-3 py-2"
+                value={taskQuery.pageSize}
+                onChange={(e) =>
+                  setTaskFilter({ pageSize: Number(e.target.value) })
+                }
+              >
+                {TASK_BATCH_SIZES.map((n) => (
+                  <option key={n} value={n}>
+                    {n} at a time
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            className="rounded-xl border border-slate-300 px-3 py-2 w-full sm:w-64"
+            placeholder="Search title/description…"
+            value={taskQuery.search}
+            onChange={(e) =>
+              setTaskQuery((q) => ({ ...q, search: e.target.value }), {
+                replace: true,
+              })
+            }
+          />
+          <button
+            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50"
+            onClick={() => fetchTasks()}
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-end gap-2 text-sm border-t border-slate-100 pt-3">
+        {taskQuery.view === "list" && (
+          <label>
+            <span className="block text-slate-500 mb-1">Sort by</span>
+            <div className="flex gap-1">
+              <select
+                className={selectClass}
+                value={taskQuery.sortBy}
+                onChange={(e) =>
+                  setTaskFilter({
+                    sortBy: e.target.value,
+                    sortDir: e.target.value === "title" ? "asc" : "desc",
+                  })
+                }
+              >
+                {TASK_SORT_FIELDS.map((f) => (
+                  <option key={f.key} value={f.key}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50"
+                title={
+                  taskQuery.sortDir === "asc" ? "Ascending" : "Descending"
+                }
+                onClick={() =>
+                  setTaskFilter({
+                    sortDir: taskQuery.sortDir === "asc" ? "desc" : "asc",
+                  })
+                }
+              >
+                {taskQuery.sortDir === "asc" ? "↑" : "↓"}
+              </button>
+            </div>
+          </label>
+        )}
+        <label>
+          <span className="block text-slate-500 mb-1">Assignee</span>
+          <select
+            className={selectClass}
+            value={taskQuery.assignedTo}
+            disabled={taskQuery.mine}
+            onChange={(e) => setTaskFilter({ assignedTo: e.target.value })}
+          >
+            <option value="">Anyone</option>
+            <option value="unassigned">Unassigned</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="block text-slate-500 mb-1">Creator</span>
+          <select
+            className={selectClass}
+            value={taskQuery.createdBy}
+            onChange={(e) => setTaskFilter({ createdBy: e.target.value })}
+          >
+            <option value="">Anyone</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="block text-slate-500 mb-1">Priority</span>
+          <select
+            className={selectClass}
+            value={taskQuery.priority}
+            onChange={(e) => setTaskFilter({ priority: e.target.value })}
+          >
+            <option value="">Any</option>
+            {PRIORITIES.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="block text-slate-500 mb-1">Due from</span>
+          <input
+            type="date"
+            className={selectClass}
+            value={taskQuery.dueFrom}
+            onChange={(e) => setTaskFilter({ dueFrom: e.target.value })}
+          />
+        </label>
+        <label>
+          <span className="block text-slate-500 mb-1">Due to</span>
+          <input
+            type="date"
+            className={selectClass}
+            value={taskQuery.dueTo}
+            onChange={(e) => setTaskFilter({ dueTo: e.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-2 py-2">
+          <input
+            type="checkbox"
+            checked={taskQuery.mine}
+            onChange={(e) => setTaskFilter({ mine: e.target.checked })}
+          />
+          Assigned to me
+        </label>
+        <label>
+          <span className="block text-slate-500 mb-1">Subtasks</span>
+          <select
+            className={selectClass}
+            value={taskQuery.parentId}
+            onChange={(e) => setTaskFilter({ parentId: e.target.value })}
+          >
+            <option value="">Include subtasks</option>
+            <option value="none">Top-level only</option>
+            {taskQuery.parentId && taskQuery.parentId !== "none" && (
+              <option value={taskQuery.parentId}>
+                Subtasks of{" "}
+                {tasks.find(
+                  (t) => t.relations?.parent?.id === taskQuery.parentId
+                )?.relations.parent.title || "the selected task"}
+              </option>
+            )}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 py-2">
+          <input
+            type="checkbox"
+            checked={taskQuery.overdue}
+            onChange={(e) => setTaskFilter({ overdue: e.target.checked })}
+          />
+          Overdue
+        </label>
+        <label className="flex items-center gap-2 py-2">
+          <input
+            type="checkbox"
+            checked={taskQuery.blocked}
+            onChange={(e) => setTaskFilter({ blocked: e.target.checked })}
+          />
+          Blocked
+        </label>
+        {activeFilterCount > 0 && (
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50"
+            onClick={() =>
+              setTaskFilter(
+                Object.fromEntries(
+                  TASK_FILTER_KEYS.filter(
+                    (k) => k !== "search" && k !== "status"
+                  ).map((k) => [k, TASK_QUERY_DEFAULTS[k]])
+                )
+              )
+            }
+          >
+            Clear filters ({activeFilterCount})
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  // Fetches the next batch when scrolled into view; the button is the
+  // fallback for browsers without IntersectionObserver.
+  const LoadMoreTasks = () => {
+    const ref = useRef(null);
+    useEffect(() => {
+      if (!ref.current || typeof IntersectionObserver === "undefined") return;
+      const observer = new IntersectionObserver(
+        (entries) => entries.some((e) => e.isIntersecting) && fetchMoreTasks(),
+        { rootMargin: "400px" }
+      );
+      observer.observe(ref.current);
+      return () => observer.disconnect();
+    }, []);
+
+    return (
+      <div
+        ref={ref}
+        className="p-3 border-t border-slate-100 flex items-center justify-center text-sm"
+      >
+        <button
+          className="px-3 py-1.5 rounded-xl border border-slate-300 disabled:opacity-50"
+          disabled={taskLoadingMore}
+          onClick={fetchMoreTasks}
+        >
+          {taskLoadingMore ? "Loading…" : "Load more"}
+        </button>
+      </div>
+    );
+  };
+
+  const TaskList = () => (
+    <div className="bg-white rounded-2xl border border-slate-200">
+      <div className="p-3 border-b border-slate-100 flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Tasks</h3>
+        <span className="text-sm text-slate-500">
+          {tasks.length < taskTotal
+            ? `${tasks.length} of ${taskTotal}`
+            : `${taskTotal} total`}
+        </span>
+      </div>
+      {newTaskCount > 0 && (
+        <button
+          className="w-full p-2 text-sm text-indigo-700 bg-indigo-50 border-b border-indigo-100 hover:bg-indigo-100"
+          onClick={() => fetchTasks()}
+        >
+          {newTaskCount} new task{newTaskCount === 1 ? "" : "s"} · Show
+        </button>
+      )}
+      {taskLoading ? (
+        <div className="p-6 text-slate-500">Loading tasks…</div>
+      ) : tasks.length === 0 ? (
+        <div className="p-6 text-slate-500">No tasks found.</div>
+      ) : (
+        <ul className="divide-y">
+          {tasks.map((t) => (
+            <li key={t.id} className="p-4">
+              <TaskRow task={t} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {taskCursor && !taskLoading && <LoadMoreTasks />}
+    </div>
+  );
+
+  const SavedViewsCard = () => {
+    const [form, setForm] = useState({ name: "", shared: false, pinned: true });
+
+    const submit = async (e) => {
+      e.preventDefault();
+      if (!form.name.trim()) return;
+      if (await handleSaveView({ ...form, name: form.name.trim() })) {
+        setForm({ name: "", shared: false, pinned: true });
+      }
+    };
+
+    return (
+      <div className="bg-white rounded-2xl border border-slate-200 p-4 mt-4">
+        <h3 className="text-lg font-semibold mb-2">Saved views</h3>
+        <form className="grid gap-2 text-sm" onSubmit={submit}>
+          <input
+            className="w-full rounded-xl border border-slate-300 px-3 py-2"
+            placeholder="Name the current filters, e.g. My open high"
+            maxLength={40}
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+          />
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.pinned}
+                onChange={(e) =>
+                  setForm((f) => ({ ...f, pinned: e.target.checked }))
+                }
+              />
+              Pin to tabs
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.shared}
+                onChange={(e) =>
+                  setForm((f) => ({ ...f, shared: e.target.checked }))
+                }
+              />
+              Share with everyone
+            </label>
+          </div>
+          <button
+            className="rounded-xl bg-slate-900 text-white px-4 py-2 hover:bg-slate-800 disabled:opacity-50"
+            disabled={!form.name.trim()}
+          >
+            Save current view
+          </button>
+        </form>
+
+        {views.length > 0 && (
+          <ul className="mt-3 divide-y text-sm">
+            {views.map((v) => {
+              const mine = v.ownerId === auth.user?.id;
+              const owner = users.find((u) => u.id === v.ownerId);
+              return (
+                <li key={v.id} className="py-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <Link
+                      to={viewHref(v)}
+                      className={`font-medium hover:underline ${
+                        isViewActive(v) ? "text-indigo-700" : ""
+                      }`}
+                    >
+                      {v.name}
+                    </Link>
+                    <span className="text-xs text-slate-500">
+                      {mine ? (v.shared ? "shared" : "private") : owner?.name}
+                    </span>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-3 text-xs">
+                    <button
+                      className="text-slate-600 hover:underline"
+                      onClick={() => handlePinView(v)}
+                    >
+                      {v.pinned ? "Unpin" : "Pin"}
+                    </button>
+                    {mine && (
+                      <>
+                        <button
+                          className="text-slate-600 hover:underline"
+                          onClick={() =>
+                            handleUpdateView(
+                              v,
+                              { query: taskQuery },
+                              `View "${v.name}" now matches the current filters.`
+                            )
+                          }
+                        >
+                          Update to current
+                        </button>
+                        <button
+                          className="text-slate-600 hover:underline"
+                          onClick={() =>
+                            handleUpdateView(v, { shared: !v.shared })
+                          }
+                        >
+                          {v.shared ? "Stop sharing" : "Share"}
+                        </button>
+                        <button
+                          className="text-rose-700 hover:underline"
+                          onClick={() => handleDeleteView(v)}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const TaskBoard = () => {
+    const drag = boardDragRef.current;
+    const [dragId, setDragIdState] = useState(drag.dragId);
+    // status of the hovered column
+    const [over, setOverState] = useState(drag.over);
+    const dragged = tasks.find((t) => t.id === dragId);
+    const setDragId = (id) => {
+      drag.dragId = id;
+      setDragIdState(id);
+    };
+    const setOver = (status) => {
+      drag.over = status;
+      setOverState(status);
+    };
+
+    const drop = (e, status, beforeId = null) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setOver(null);
+      setDragId(null);
+      if (dragged) handleMoveTask(dragged, status, beforeId);
+    };
+    // A card remounted mid-drag never gets its dragend; the mouse only moves
+    // again once the drag is over.
+    const endStaleDrag = () => {
+      if (!dragId) return;
+      setOver(null);
+      setDragId(null);
+    };
+
+    if (taskLoading && !tasks.length) {
+      return (
+        <div className="bg-white rounded-2xl border border-slate-200 p-6 text-slate-500">
+          Loading tasks…
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-2" onMouseMove={endStaleDrag}>
+        {taskTotal > tasks.length && (
+          <p className="text-xs text-slate-500">
+            Showing the first {tasks.length} of {taskTotal} tasks; narrow the
+            search to see the rest.
+          </p>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {BOARD_COLUMNS.map((col) => {
+            const cards = tasks
+              .filter((t) => t.status === col.status)
+              .sort(bySortOrder);
+            return (
+              <div
+                key={col.status}
+                className={`rounded-2xl border p-2 min-h-[200px] ${
+                  over === col.status
+                    ? "border-slate-900 bg-slate-100"
+                    : "border-slate-200 bg-slate-50"
+                }`}
+                onDragOver={(e) => {
+                  if (!dragged) return;
+                  e.preventDefault();
+                  setOver(col.status);
+                }}
+                onDragLeave={(e) => {
+                  if (!e.currentTarget.contains(e.relatedTarget)) {
+                    setOver(null);
+                  }
+                }}
+                onDrop={(e) => drop(e, col.status)}
+              >
+                <div className="flex items-center justify-between px-1 pb-2">
+                  <h4 className="text-sm font-semibold">{col.label}</h4>
+                  <span className="text-xs text-slate-500">
+                    {cards.length}
+                  </span>
+                </div>
+                <ul className="space-y-2">
+                  {cards.map((task) => {
+                    const movable = canUpdateTask(
+                      policy.roles,
+                      auth.user,
+                      task
+                    );
+                    const assignee = users.find(
+                      (u) => u.id === task.assignedTo
+                    );
+                    const progress = taskProgress(task);
+                    return (
+                      <li
+                        key={task.id}
+                        draggable={movable}
+                        onDragStart={(e) => {
+                          e.dataTransfer.effectAllowed = "move";
+                          e.dataTransfer.setData("text/plain", task.id);
+                          setDragId(task.id);
+                        }}
+                        onDragEnd={() => {
+                          setDragId(null);
+                          setOver(null);
+                        }}
+                        onDrop={(e) => drop(e, col.status, task.id)}
+                        title={
+                          movable ? undefined : "You cannot move this task"
+                        }
+                        className={`bg-white rounded-xl border border-slate-200 p-3 text-sm ${
+                          movable ? "cursor-grab" : "opacity-70"
+                        } ${dragId === task.id ? "opacity-40" : ""}`}
+                      >
+                        <Link
+                          to={`/tasks/${task.id}`}
+                          className="font-medium hover:underline"
+                        >
+                          {task.title}
+                        </Link>
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                          <span className="uppercase bg-amber-50 text-amber-700 px-2 py-0.5 rounded">
+                            {task.priority}
+                          </span>
+                          {task.pending && (
+                            <span className="uppercase bg-slate-100 text-slate-600 px-2 py-0.5 rounded">
+                              not synced
+                            </span>
+                          )}
+                          {task.status !== "done" &&
+                            openBlockers(task.relations?.blockers || [])
+                              .length > 0 && (
+                              <span className="uppercase bg-rose-50 text-rose-700 px-2 py-0.5 rounded">
+                                blocked
+                              </span>
+                            )}
+                          {progress && (
+                            <span title="Subtasks and checklist items done">
+                              ☑ {progress.done}/{progress.total}
+                            </span>
+                          )}
+                          {task.recurrence && (
+                            <span
+                              title={describeRule(task.recurrence.rule)}
+                              className="bg-indigo-50 text-indigo-700 px-2 py-0.5 rounded"
+                            >
+                              ↻ #{task.recurrence.index}
+                            </span>
+                          )}
+                          <span>{assignee ? assignee.name : "Unassigned"}</span>
+                          {task.dueDate && (
+                            <span>
+                              · due{" "}
+                              {new Date(task.dueDate).toLocaleDateString()}
+                            </span>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  // Parent, blockers, progress and checklist of a task (relations.js). While
+  // TaskRow is editing, `draft` holds parentId / blockedBy / checklist;
+  // otherwise checklist items are ticked off directly.
+  const TaskRelations = ({ task, draft, setDraft, canEdit }) => {
+    const [newItem, setNewItem] = useState("");
+    const { parent = null, blockers = [] } = task.relations || {};
+    const progress = taskProgress(task);
+    const others = tasks.filter((t) => t.id !== task.id);
+    const titleOf = (id) =>
+      others.find((t) => t.id === id)?.title ||
+      blockers.find((b) => b.id === id)?.title ||
+      (parent?.id === id ? parent.title : "Unknown task");
+    const checklist = draft ? draft.checklist : task.checklist || [];
+    const setChecklist = (items) =>
+      draft
+        ? setDraft((d) => ({ ...d, checklist: items }))
+        : handleUpdateTask(task, { checklist: items });
+    const addItem = () => {
+      const text = newItem.trim();
+      if (!text) return;
+      setChecklist([...checklist, { text, done: false }]);
+      setNewItem("");
+    };
+    const selectClass =
+      "w-full rounded-xl border border-slate-300 px-2 py-1 text-sm";
+
+    return (
+      <div className="mt-2 space-y-2 text-sm">
+        {draft ? (
+          <label className="block">
+            <span className="block text-slate-500 mb-1">Subtask of</span>
+            <select
+              className={selectClass}
+              value={draft.parentId}
+              onChange={(e) =>
+                setDraft((d) => ({ ...d, parentId: e.target.value }))
+              }
+            >
+              <option value="">— Top-level task —</option>
+              {draft.parentId &&
+                !others.some((t) => t.id === draft.parentId) && (
+                  <option value={draft.parentId}>
+                    {titleOf(draft.parentId)}
+                  </option>
+                )}
+              {others.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.title}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : (
+          parent && (
+            <div className="text-xs text-slate-500">
+              Subtask of{" "}
+              <Link
+                to={`/tasks/${parent.id}`}
+                className="font-medium hover:underline"
+              >
+                {parent.title}
+              </Link>
+            </div>
+          )
+        )}
+
+        {draft ? (
+          <div>
+            <span className="block text-slate-500 mb-1">Blocked by</span>
+            {draft.blockedBy.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-1">
+                {draft.blockedBy.map((id) => (
+                  <span
+                    key={id}
+                    className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-0.5 text-xs"
+                  >
+                    {titleOf(id)}
+                    <button
+                      type="button"
+                      aria-label={`Remove ${titleOf(id)}`}
+                      onClick={() =>
+                        setDraft((d) => ({
+                          ...d,
+                          blockedBy: d.blockedBy.filter((b) => b !== id),
+                        }))
+                      }
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <select
+              className={selectClass}
+              value=""
+              onChange={(e) => {
+                const id = e.target.value;
+                if (id) {
+                  setDraft((d) => ({ ...d, blockedBy: [...d.blockedBy, id] }));
+                }
+              }}
+            >
+              <option value="">+ Add a blocking task</option>
+              {others
+                .filter((t) => !draft.blockedBy.includes(t.id))
+                .map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.title}
+                  </option>
+                ))}
+            </select>
+          </div>
+        ) : (
+          blockers.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1 text-xs">
+              <span className="text-slate-500">Blocked by</span>
+              {blockers.map((b) => (
+                <Link
+                  key={b.id}
+                  to={`/tasks/${b.id}`}
+                  className={`rounded px-2 py-0.5 hover:underline ${
+                    b.status === "done"
+                      ? "bg-emerald-50 text-emerald-700 line-through"
+                      : "bg-rose-50 text-rose-700"
+                  }`}
+                >
+                  {b.title}
+                </Link>
+              ))}
+            </div>
+          )
+        )}
+
+        {progress && (
+          <div
+            title={`${task.relations?.subtasks.done ?? 0}/${
+              task.relations?.subtasks.total ?? 0
+            } subtasks, ${checklist.filter((i) => i.done).length}/${
+              checklist.length
+            } checklist items`}
+          >
+            <div className="flex justify-between text-xs text-slate-500">
+              <span>Progress</span>
+              <span>
+                {progress.done}/{progress.total}
+              </span>
+            </div>
+            <div className="h-1.5 rounded bg-slate-100 overflow-hidden">
+              <div
+                className="h-full bg-emerald-500"
+                style={{ width: `${(progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {checklist.length > 0 && (
+          <ul className="space-y-1">
+            {checklist.map((item, i) => (
+              <li key={item.id || i} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={item.done}
+                  disabled={!draft && !canEdit}
+                  onChange={() =>
+                    setChecklist(
+                      checklist.map((x, j) =>
+                        j === i ? { ...x, done: !x.done } : x
+                      )
+                    )
+                  }
+                />
+                <span className={item.done ? "line-through text-slate-400" : ""}>
+                  {item.text}
+                </span>
+                {draft && (
+                  <button
+                    type="button"
+                    className="ml-auto text-xs text-rose-600 hover:underline"
+                    onClick={() =>
+                      setChecklist(checklist.filter((_, j) => j !== i))
+                    }
+                  >
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {draft && checklist.length < CHECKLIST_LIMIT && (
+          <div className="flex gap-2">
+            <input
+              className="flex-1 min-w-0 rounded-xl border border-slate-300 px-2 py-1 text-sm"
+              value={newItem}
+              onChange={(e) => setNewItem(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  addItem();
+                }
+              }}
+              placeholder="Add a checklist item"
+            />
+            <button
+              type="button"
+              className="px-3 py-1 rounded-xl border border-slate-300 text-sm"
+              onClick={addItem}
+            >
+              Add
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const TaskRow = ({ task }) => {
+    const draftOf = (t) => ({
+      title: t.title,
+      description: t.description,
+      status: t.status,
+      priority: t.priority,
+      assignedTo: t.assignedTo,
+      dueDate: t.dueDate ? t.dueDate.slice(0, 10) : "",
+      parentId: t.parentId || "",
+      blockedBy: t.blockedBy || [],
+      checklist: t.checklist || [],
+    });
+    const editor = taskEditorsRef.current[task.id];
+    const [editing, setEditingState] = useState(Boolean(editor));
+    const [draft, setDraftState] = useState(editor?.draft ?? draftOf(task));
+    const base = editor?.base ?? task;
+
+    // (re)starting an edit takes the current copy of the task
+    const setEditing = (on) => {
+      if (on) {
+        taskEditorsRef.current[task.id] = { draft: draftOf(task), base: task };
+      } else delete taskEditorsRef.current[task.id];
+      setDraftState(draftOf(task));
+      setEditingState(on);
+    };
+    const setDraft = (update) => {
+      const next = update(draft);
+      taskEditorsRef.current[task.id].draft = next;
+      setDraftState(next);
+    };
+
+    // someone else saved the task after this edit started
+    const stale = editing && taskVersion(task) > taskVersion(base);
+    const theirChanges = stale
+      ? diffFields(base, task, TASK_AUDIT_FIELDS).map((c) => c.field)
+      : [];
+
+    const assignedUser = users.find((u) => u.id === task.assignedTo);
     const createdByUser = users.find((u) => u.id === task.createdBy);
 
-    const canEdit =
-      isAdmin || isManager || (isMember && task.createdBy === auth.user?.id);
-    const canAssign = isAdmin || isManager;
+    const canEdit = canUpdateTask(policy.roles, auth.user, task);
+    const canRemove = canDeleteTask(policy.roles, auth.user, task);
+    const canAssign = can("tasks.assign");
 
     const save = async () => {
       const patch = {
@@ -1020,12 +2631,36 @@ export default function App() {
         dueDate: draft.dueDate || null,
       };
       if (canAssign) patch.assignedTo = draft.assignedTo;
-      await handleUpdateTask(task.id, patch);
-      setEditing(false);
+      // relationship fields only when changed, to keep the history readable
+      const before = draftOf(base);
+      for (const field of ["parentId", "blockedBy", "checklist"]) {
+        if (JSON.stringify(draft[field]) !== JSON.stringify(before[field])) {
+          patch[field] = draft[field] || null;
+        }
+      }
+      // closed first: the update re-renders (and remounts) this row
+      delete taskEditorsRef.current[task.id];
+      await handleUpdateTask(base, patch);
+      setEditingState(false);
     };
 
     return (
       <div className="grid grid-cols-1 md:grid-cols-12 gap-3 items-start">
+        {stale && (
+          <div className="md:col-span-12 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800 flex flex-wrap items-center justify-between gap-2">
+            <span>
+              Someone else changed this task while you were editing
+              {theirChanges.length ? ` (${theirChanges.join(", ")})` : ""}.
+              Saving will ask which changes to keep.
+            </span>
+            <button
+              className="px-3 py-1 rounded-xl border border-amber-300 bg-white"
+              onClick={() => setEditing(true)}
+            >
+              Load their version
+            </button>
+          </div>
+        )}
         <div className="md:col-span-5">
           {editing ? (
             <input
@@ -1036,7 +2671,12 @@ export default function App() {
               }
             />
           ) : (
-            <div className="font-medium">{task.title}</div>
+            <Link
+              to={`/tasks/${task.id}`}
+              className="font-medium hover:underline"
+            >
+              {task.title}
+            </Link>
           )}
           {editing ? (
             <textarea
@@ -1052,6 +2692,12 @@ export default function App() {
               {task.description || "—"}
             </div>
           )}
+          <TaskRelations
+            task={task}
+            draft={editing ? draft : null}
+            setDraft={setDraft}
+            canEdit={canEdit}
+          />
           <div className="mt-2 text-xs text-slate-500">
             Created by{" "}
             <span className="font-medium">
@@ -1097,11 +2743,28 @@ export default function App() {
                 task.priority
               )}
             </span>
+            {task.pending && (
+              <span className="text-xs uppercase bg-slate-100 text-slate-600 px-2 py-0.5 rounded">
+                not synced
+              </span>
+            )}
+            {task.status !== "done" &&
+              openBlockers(task.relations?.blockers || []).length > 0 && (
+                <span className="text-xs uppercase bg-rose-50 text-rose-700 px-2 py-0.5 rounded">
+                  blocked
+                </span>
+              )}
+            {task.recurrence && (
+              <span className="text-xs bg-indigo-50 text-indigo-700 px-2 py-0.5 rounded">
+                ↻ {describeRule(task.recurrence.rule)}
+                {task.recurrence.trigger === "schedule" ? " (on schedule)" : ""}
+              </span>
+            )}
           </div>
 
           <div className="mt-2 text-sm">
             <div className="text-slate-500">Assignee</div>
-            {editing && (isAdmin || isManager) ? (
+            {editing && canAssign ? (
               <select
                 className="rounded-xl border border-slate-300 px-2 py-1 text-sm"
                 value={draft.assignedTo}
@@ -1109,9 +2772,10 @@ export default function App() {
                   setDraft((d) => ({ ...d, assignedTo: e.target.value }))
                 }
               >
-                {users.map((u) => (
+                {activeUsers.map((u) => (
                   <option key={u.id} value={u.id}>
-                    {u.name} ({u.role})
+                    {u.name}
+                    {u.role ? ` (${u.role})` : ""}
                   </option>
                 ))}
               </select>
@@ -1144,7 +2808,7 @@ export default function App() {
         </div>
 
         <div className="md:col-span-4 flex items-center md:justify-end gap-2">
-          {canEdit ? (
+          {canEdit || canRemove ? (
             editing ? (
               <>
                 <button
@@ -1162,18 +2826,22 @@ export default function App() {
               </>
             ) : (
               <>
-                <button
-                  className="px-3 py-1.5 rounded-xl border border-slate-300"
-                  onClick={() => setEditing(true)}
-                >
-                  Edit
-                </button>
-                <button
-                  className="px-3 py-1.5 rounded-xl border border-rose-300 text-rose-700 hover:bg-rose-50"
-                  onClick={() => handleDeleteTask(task.id)}
-                >
-                  Delete
-                </button>
+                {canEdit && (
+                  <button
+                    className="px-3 py-1.5 rounded-xl border border-slate-300"
+                    onClick={() => setEditing(true)}
+                  >
+                    Edit
+                  </button>
+                )}
+                {canRemove && (
+                  <button
+                    className="px-3 py-1.5 rounded-xl border border-rose-300 text-rose-700 hover:bg-rose-50"
+                    onClick={() => handleDeleteTask(task.id)}
+                  >
+                    Delete
+                  </button>
+                )}
               </>
             )
           ) : (
@@ -1184,69 +2852,1050 @@ export default function App() {
     );
   };
 
-  const TasksView = () => (
-    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-      <div className="lg:col-span-1">
-        <TaskFormCard />
-      </div>
-      <div className="lg:col-span-2 space-y-3">
-        <TaskFilters />
-        <TaskList />
-      </div>
-    </div>
-  );
+  const SyncConflict = ({ conflict }) => {
+    const fields = conflictFields(conflict);
+    const [picks, setPicks] = useState(() =>
+      Object.fromEntries(fields.map((f) => [f.field, f.pick]))
+    );
+    const { mine, theirs } = conflict;
+    const title = (mine || theirs || conflict.base)?.title;
+    const resolve = (choice) =>
+      handleResolveConflict(
+        conflict,
+        choice,
+        Object.fromEntries(fields.map((f) => [f.field, f[picks[f.field]]]))
+      );
+    const button = "px-3 py-1.5 rounded-xl border border-slate-300 text-sm";
 
-  const ProfileView = () => (
-    <div className="bg-white rounded-2xl border border-slate-200 p-4">
-      <h3 className="text-lg font-semibold mb-3">Profile</h3>
-      <div className="grid sm:grid-cols-2 gap-4 text-sm">
-        <div>
-          <div className="text-slate-500">Name</div>
-          <div className="font-medium">{auth.user?.name}</div>
-        </div>
-        <div>
-          <div className="text-slate-500">Email</div>
-          <div className="font-medium">{auth.user?.email}</div>
+    return (
+      <div className="bg-white rounded-2xl border border-rose-200 p-4">
+        <h3 className="font-semibold">Sync conflict: {title}</h3>
+        <p className="text-sm text-slate-600 mt-1">
+          {!mine
+            ? "You deleted this task, but someone else changed it."
+            : !theirs
+            ? "You changed this task, but someone else deleted it."
+            : "You and someone else changed this task at the same time."}
+        </p>
+        {mine && theirs && fields.length > 0 && (
+          <table className="mt-3 w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-1 font-normal">Field</th>
+                <th className="py-1 font-normal">Mine</th>
+                <th className="py-1 font-normal">Theirs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((f) => (
+                <tr key={f.field} className="border-t border-slate-100">
+                  <td className="py-1 pr-2 font-medium">{f.field}</td>
+                  {["mine", "theirs"].map((side) => (
+                    <td key={side} className="py-1 pr-2">
+                      <label className="flex items-start gap-2">
+                        <input
+                          type="radio"
+                          className="mt-1"
+                          name={`${conflict.id}-${f.field}`}
+                          checked={picks[f.field] === side}
+                          onChange={() =>
+                            setPicks((p) => ({ ...p, [f.field]: side }))
+                          }
+                        />
+                        <span className="break-words">
+                          {formatAuditValue(f.field, f[side])}
+                        </span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="mt-3 flex flex-wrap gap-2">
+          <button className={button} onClick={() => resolve("mine")}>
+            {!mine
+              ? "Delete anyway"
+              : !theirs
+              ? "Restore with my changes"
+              : "Keep mine"}
+          </button>
+          <button className={button} onClick={() => resolve("theirs")}>
+            {!theirs ? "Discard my changes" : "Keep theirs"}
+          </button>
+          {mine && theirs && fields.length > 0 && (
+            <button
+              className="px-3 py-1.5 rounded-xl bg-slate-900 text-white text-sm"
+              onClick={() => resolve("merge")}
+            >
+              Merge selected
+            </button>
+          )}
         </div>
-        <div>
-          <div className="text-slate-500">Role</div>
-          <div className="font-medium">{auth.user?.role}</div>
+      </div>
+    );
+  };
+
+  // Offline / queued-changes banner plus any conflicts waiting for a choice.
+  const SyncPanel = () => {
+    const { offline, pending, conflicts } = syncStatus;
+    if (!offline && !pending && !conflicts.length) return null;
+    return (
+      <div className="space-y-3">
+        {(offline || pending > 0) && (
+          <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 flex flex-wrap items-center justify-between gap-2">
+            <span>
+              {offline
+                ? "You're offline. Showing tasks saved on this device."
+                : "Some changes haven't reached the server yet."}
+              {pending > 0 &&
+                ` ${pending} change${pending === 1 ? "" : "s"} waiting to sync.`}
+            </span>
+            <button
+              className="px-3 py-1.5 rounded-xl border border-amber-300 bg-white"
+              onClick={handleSync}
+            >
+              Sync now
+            </button>
+          </div>
+        )}
+        {conflicts.map((c) => (
+          <SyncConflict key={c.id} conflict={c} />
+        ))}
+      </div>
+    );
+  };
+
+  const TasksView = () => (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-1">
+        {can("tasks.create") ? (
+          <TaskFormCard />
+        ) : (
+          <div className="bg-white rounded-2xl border border-slate-200 p-4 text-sm text-slate-500">
+            Your role can view tasks but not create them.
+          </div>
+        )}
+        <SavedViewsCard />
+      </div>
+      <div className="lg:col-span-2 space-y-3">
+        <SyncPanel />
+        <TaskFilters />
+        {taskQuery.view === "board" ? <TaskBoard /> : <TaskList />}
+      </div>
+    </div>
+  );
+
+  const TaskSubtasks = () => {
+    const [title, setTitle] = useState("");
+    const add = async (e) => {
+      e.preventDefault();
+      const text = title.trim();
+      if (text && (await handleCreateSubtask(text))) setTitle("");
+    };
+
+    return (
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <div className="flex items-center justify-between gap-2 mb-3">
+          <h3 className="text-lg font-semibold">Subtasks</h3>
+          {subtasks.items.length > 0 && (
+            <Link
+              to={`/tasks?parent=${taskDetail.task.id}`}
+              className="text-sm text-slate-600 hover:underline"
+            >
+              Show in task list
+            </Link>
+          )}
         </div>
+        {subtasks.loading && !subtasks.items.length ? (
+          <div className="text-slate-500 text-sm">Loading subtasks…</div>
+        ) : !subtasks.items.length ? (
+          <div className="text-slate-500 text-sm">No subtasks yet.</div>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {subtasks.items.map((t) => {
+              const blocked =
+                t.status !== "done" &&
+                openBlockers(t.relations?.blockers || []).length > 0;
+              const assignee = users.find((u) => u.id === t.assignedTo);
+              return (
+                <li key={t.id} className="flex items-center gap-2 py-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={t.status === "done"}
+                    disabled={
+                      blocked || !canUpdateTask(policy.roles, auth.user, t)
+                    }
+                    title={blocked ? "Finish its blockers first" : undefined}
+                    onChange={() =>
+                      handleUpdateTask(t, {
+                        status: t.status === "done" ? "todo" : "done",
+                      })
+                    }
+                  />
+                  <Link
+                    to={`/tasks/${t.id}`}
+                    className={`hover:underline ${
+                      t.status === "done" ? "line-through text-slate-400" : ""
+                    }`}
+                  >
+                    {t.title}
+                  </Link>
+                  {blocked && (
+                    <span className="text-xs uppercase bg-rose-50 text-rose-700 px-2 py-0.5 rounded">
+                      blocked
+                    </span>
+                  )}
+                  {t.pending && (
+                    <span className="text-xs uppercase bg-slate-100 text-slate-600 px-2 py-0.5 rounded">
+                      not synced
+                    </span>
+                  )}
+                  <span className="ml-auto text-xs text-slate-500">
+                    {assignee ? assignee.name : "Unassigned"}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {can("tasks.create") && (
+          <form className="mt-3 flex gap-2" onSubmit={add}>
+            <input
+              className="flex-1 min-w-0 rounded-xl border border-slate-300 px-3 py-2 text-sm"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="New subtask title"
+            />
+            <button className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800">
+              Add subtask
+            </button>
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  const TaskDetailView = () => (
+    <div className="space-y-3">
+      <Link
+        to="/tasks"
+        className="inline-block text-sm text-slate-600 hover:underline"
+      >
+        ← Back to tasks
+      </Link>
+      <SyncPanel />
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        {taskDetail.loading && !taskDetail.task ? (
+          <div className="text-slate-500">Loading task…</div>
+        ) : taskDetail.error ? (
+          <div className="text-rose-600 text-sm">{taskDetail.error}</div>
+        ) : taskDetail.task ? (
+          <TaskRow key={taskDetail.task.updatedAt} task={taskDetail.task} />
+        ) : null}
+      </div>
+      {taskDetail.task && !isLocalTaskId(taskDetail.task.id) && (
+        <>
+          <TaskSubtasks />
+          <TaskComments />
+          <TaskHistory />
+        </>
+      )}
+    </div>
+  );
+
+  // Human-readable before/after values for audit entries.
+  const formatAuditValue = (field, value) => {
+    if (value === null || value === undefined || value === "") return "—";
+    if (field === "assignedTo") {
+      return users.find((u) => u.id === value)?.name || "Unknown user";
+    }
+    if (field === "dueDate") return new Date(value).toLocaleDateString();
+    if (field === "active") return value ? "active" : "deactivated";
+    if (field === "parentId" || field === "blockedBy") {
+      const known = [
+        ...tasks,
+        ...(taskDetail.task?.relations?.blockers || []),
+        taskDetail.task?.relations?.parent,
+      ];
+      const titleOf = (id) =>
+        known.find((t) => t?.id === id)?.title || "another task";
+      return [value].flat().map(titleOf).join(", ") || "—";
+    }
+    if (field === "checklist") {
+      return `${value.filter((i) => i.done).length}/${value.length} done`;
+    }
+    if (field === "recurrence") {
+      return `${describeRule(value.rule)}${
+        value.trigger === "schedule" ? " (on schedule)" : ""
+      }`;
+    }
+    if (Array.isArray(value)) return value.join(", ") || "—";
+    return String(value);
+  };
+
+  const AuditChanges = ({ entry }) =>
+    entry.changes.length ? (
+      <ul className="mt-1 space-y-0.5 text-xs text-slate-600">
+        {entry.changes.map((c) => (
+          <li key={c.field}>
+            <span className="font-medium">{c.field}</span>:{" "}
+            <span className="line-through text-slate-400">
+              {formatAuditValue(c.field, c.before)}
+            </span>{" "}
+            → {formatAuditValue(c.field, c.after)}
+          </li>
+        ))}
+      </ul>
+    ) : null;
+
+  // entries without an actor come from the recurring-task scheduler
+  const actorName = (entry) =>
+    entry.actorId === null
+      ? "Scheduler"
+      : users.find((u) => u.id === entry.actorId)?.name || "Deleted user";
+
+  const TaskHistory = () => (
+    <div className="bg-white rounded-2xl border border-slate-200 p-4">
+      <h3 className="text-lg font-semibold mb-3">History</h3>
+      {taskHistory.error ? (
+        <div className="text-rose-600 text-sm">{taskHistory.error}</div>
+      ) : taskHistory.loading && !taskHistory.items.length ? (
+        <div className="text-slate-500 text-sm">Loading history…</div>
+      ) : taskHistory.items.length ? (
+        <ol className="space-y-3">
+          {taskHistory.items.map((entry) => (
+            <li key={entry.id} className="text-sm">
+              <div>
+                <span className="font-medium">{actorName(entry)}</span>{" "}
+                {entry.action === "task.create"
+                  ? "created the task"
+                  : entry.action === "task.delete"
+                  ? "deleted the task"
+                  : "updated the task"}{" "}
+                <span className="text-xs text-slate-500">
+                  · {new Date(entry.at).toLocaleString()}
+                </span>
+              </div>
+              <AuditChanges entry={entry} />
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="text-slate-500 text-sm">No recorded changes.</div>
+      )}
+    </div>
+  );
+
+  const AuditView = () => (
+    <div className="bg-white rounded-2xl border border-slate-200 p-4">
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-3 mb-4">
         <div>
-          <div className="text-slate-500">User ID</div>
-          <div className="font-mono text-xs">{auth.user?.id}</div>
+          <h3 className="text-lg font-semibold">Audit log</h3>
+          <p className="text-sm text-slate-500">
+            {auditLog.total} entr{auditLog.total === 1 ? "y" : "ies"}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2 text-sm">
+          <label>
+            <span className="block text-slate-500 mb-1">User</span>
+            <select
+              className="rounded-xl border border-slate-300 px-3 py-2"
+              value={auditQuery.userId}
+              onChange={(e) => setAuditFilter({ userId: e.target.value })}
+            >
+              <option value="">Everyone</option>
+              {users.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="block text-slate-500 mb-1">From</span>
+            <input
+              type="date"
+              className="rounded-xl border border-slate-300 px-3 py-2"
+              value={auditQuery.from}
+              onChange={(e) => setAuditFilter({ from: e.target.value })}
+            />
+          </label>
+          <label>
+            <span className="block text-slate-500 mb-1">To</span>
+            <input
+              type="date"
+              className="rounded-xl border border-slate-300 px-3 py-2"
+              value={auditQuery.to}
+              onChange={(e) => setAuditFilter({ to: e.target.value })}
+            />
+          </label>
+          <button
+            className="px-3 py-2 rounded-xl border border-slate-300"
+            onClick={() => setAuditQuery(emptyAuditQuery)}
+          >
+            Reset
+          </button>
         </div>
       </div>
-      <div className="mt-4 text-xs text-slate-500">
-        Session token is stored in localStorage for this mock. Replace `api`
-        methods with real API calls to integrate with your backend.
+
+      {auditLog.error ? (
+        <div className="text-rose-600 text-sm">{auditLog.error}</div>
+      ) : auditLog.loading && !auditLog.items.length ? (
+        <div className="text-slate-500 text-sm">Loading…</div>
+      ) : auditLog.items.length ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b border-slate-200 text-slate-500">
+                <th className="py-2 pr-4 font-medium">When</th>
+                <th className="py-2 pr-4 font-medium">Who</th>
+                <th className="py-2 pr-4 font-medium">Action</th>
+                <th className="py-2 font-medium">Target / changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y align-top">
+              {auditLog.items.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {new Date(entry.at).toLocaleString()}
+                  </td>
+                  <td className="py-2 pr-4">{actorName(entry)}</td>
+                  <td className="py-2 pr-4 font-mono text-xs">
+                    {entry.action}
+                  </td>
+                  <td className="py-2">
+                    {entry.entity === "task" &&
+                    entry.action !== "task.delete" ? (
+                      <Link
+                        to={`/tasks/${entry.entityId}`}
+                        className="hover:underline"
+                      >
+                        {entry.label}
+                      </Link>
+                    ) : (
+                      entry.label
+                    )}
+                    <AuditChanges entry={entry} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-slate-500 text-sm">No matching entries.</div>
+      )}
+
+      <div className="pt-3 mt-3 border-t border-slate-100 flex items-center justify-between text-sm">
+        <div>
+          Page {auditQuery.page} of {auditLog.totalPages}
+        </div>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1.5 rounded-xl border border-slate-300 disabled:opacity-50"
+            disabled={auditQuery.page <= 1}
+            onClick={() => setAuditQuery((q) => ({ ...q, page: q.page - 1 }))}
+          >
+            Prev
+          </button>
+          <button
+            className="px-3 py-1.5 rounded-xl border border-slate-300 disabled:opacity-50"
+            disabled={auditQuery.page >= auditLog.totalPages}
+            onClick={() => setAuditQuery((q) => ({ ...q, page: q.page + 1 }))}
+          >
+            Next
+          </button>
+        </div>
       </div>
     </div>
   );
 
-  // ------------------------------
-  // Render
-  // ------------------------------
-  if (auth.loading) {
+  // Textarea with @mention suggestions; keeps its own draft so typing
+  // doesn't re-render the whole app, mirrored in commentDraftsRef under
+  // `draftKey` so it survives the remounts.
+  const CommentComposer = ({
+    draftKey,
+    initial = "",
+    placeholder = "Write a comment… use @ to mention someone",
+    submitLabel = "Comment",
+    onSubmit,
+    onCancel,
+  }) => {
+    const saved = commentDraftsRef.current;
+    const [text, setTextState] = useState(
+      () => saved.drafts[draftKey]?.text ?? initial
+    );
+    const [busy, setBusy] = useState(false);
+    const inputRef = useRef(null);
+
+    // Focus comes back to the composer being typed in, and goes to a reply
+    // or edit form when it opens.
+    useEffect(() => {
+      const input = inputRef.current;
+      const draft = saved.drafts[draftKey];
+      if (saved.focused === draftKey || (!draft && onCancel)) {
+        const caret = draft?.caret ?? input.value.length;
+        input.focus();
+        input.setSelectionRange(caret, caret);
+      }
+      saved.drafts[draftKey] ??= { text: input.value, caret: null };
+      // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const setText = (next, caret = next.length) => {
+      saved.drafts[draftKey] = { text: next, caret };
+      setTextState(next);
+    };
+
+    const partial = pendingMention(text);
+    const suggestions =
+      partial === null
+        ? []
+        : activeUsers
+            .filter(
+              (u) =>
+                u.handle.startsWith(partial) ||
+                u.name.toLowerCase().startsWith(partial)
+            )
+            .slice(0, 5);
+
+    const insertMention = (user) => {
+      setText(text.replace(/@[^\s@]*$/, `@${user.handle} `));
+      inputRef.current?.focus();
+    };
+
+    const submit = async (e) => {
+      e.preventDefault();
+      if (!text.trim()) return;
+      setBusy(true);
+      // dropped first: the refreshed thread remounts this form
+      delete saved.drafts[draftKey];
+      const ok = await onSubmit(text);
+      setBusy(false);
+      if (!ok) setText(text);
+      else if (!onCancel) setTextState("");
+    };
+
     return (
-      <div className="min-h-screen flex items-center justify-center text-slate-600">
-        Loading…
+      <form onSubmit={submit} className="space-y-2">
+        <textarea
+          ref={inputRef}
+          className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+          rows={2}
+          placeholder={placeholder}
+          value={text}
+          onChange={(e) => setText(e.target.value, e.target.selectionStart)}
+          onSelect={(e) => {
+            const { value, selectionStart } = e.target;
+            saved.drafts[draftKey] = { text: value, caret: selectionStart };
+          }}
+          onFocus={() => {
+            saved.focused = draftKey;
+          }}
+          onBlur={(e) => {
+            // a remount removes the textarea, which isn't the user leaving it
+            const input = e.target;
+            queueMicrotask(() => {
+              if (input.isConnected && saved.focused === draftKey) {
+                saved.focused = null;
+              }
+            });
+          }}
+        />
+        {suggestions.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {suggestions.map((u) => (
+              <button
+                key={u.id}
+                type="button"
+                className="text-xs px-2 py-1 rounded-lg border border-slate-300 hover:bg-slate-50"
+                onClick={() => insertMention(u)}
+              >
+                @{u.handle}{" "}
+                <span className="text-slate-500">{u.name}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="flex justify-end gap-2">
+          {onCancel && (
+            <button
+              type="button"
+              className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm"
+              onClick={onCancel}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            className="px-3 py-1.5 rounded-xl bg-slate-900 text-white text-sm disabled:opacity-50"
+            disabled={busy || !text.trim()}
+          >
+            {busy ? "Saving…" : submitLabel}
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  const CommentBody = ({ body }) => (
+    <p className="text-sm whitespace-pre-wrap break-words">
+      {splitMentions(body).map((part, i) => {
+        const user =
+          part.handle && users.find((u) => u.handle === part.handle);
+        return user ? (
+          <span
+            key={i}
+            title={user.name}
+            className="text-indigo-700 bg-indigo-50 rounded px-0.5"
+          >
+            {part.text}
+          </span>
+        ) : (
+          <React.Fragment key={i}>{part.text}</React.Fragment>
+        );
+      })}
+    </p>
+  );
+
+  const CommentItem = ({ comment, replies }) => {
+    const modes = commentModesRef.current;
+    // "edit" | "reply" | null
+    const [mode, setModeState] = useState(modes[comment.id] ?? null);
+    const setMode = (next) => {
+      if (mode) delete commentDraftsRef.current.drafts[`${mode}:${comment.id}`];
+      if (next) modes[comment.id] = next;
+      else delete modes[comment.id];
+      setModeState(next);
+    };
+    const author = users.find((u) => u.id === comment.authorId);
+    const canComment = can("tasks.comment");
+
+    return (
+      <li>
+        <div className="rounded-xl bg-slate-50 px-3 py-2">
+          <div className="flex flex-wrap items-baseline gap-2 text-xs text-slate-500">
+            <span className="font-medium text-slate-800">
+              {author?.name || "Deleted user"}
+            </span>
+            <span>{new Date(comment.createdAt).toLocaleString()}</span>
+            {comment.editedAt && !comment.deletedAt && <span>(edited)</span>}
+          </div>
+          {comment.deletedAt ? (
+            <p className="text-sm italic text-slate-400">Comment deleted</p>
+          ) : mode === "edit" ? (
+            <CommentComposer
+              draftKey={`edit:${comment.id}`}
+              initial={comment.body}
+              submitLabel="Save"
+              onSubmit={async (body) => {
+                const ok = await handleEditComment(comment.id, body);
+                if (ok) setMode(null);
+                return ok;
+              }}
+              onCancel={() => setMode(null)}
+            />
+          ) : (
+            <CommentBody body={comment.body} />
+          )}
+          {!comment.deletedAt && mode !== "edit" && (
+            <div className="mt-1 flex gap-3 text-xs">
+              {canComment && (
+                <button
+                  className="text-slate-600 hover:underline"
+                  onClick={() => setMode(mode === "reply" ? null : "reply")}
+                >
+                  Reply
+                </button>
+              )}
+              {canEditComment(auth.user, comment) && (
+                <button
+                  className="text-slate-600 hover:underline"
+                  onClick={() => setMode("edit")}
+                >
+                  Edit
+                </button>
+              )}
+              {canDeleteComment(policy.roles, auth.user, comment) && (
+                <button
+                  className="text-rose-700 hover:underline"
+                  onClick={() => handleDeleteComment(comment.id)}
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        {mode === "reply" && (
+          <div className="mt-2 ml-6">
+            <CommentComposer
+              draftKey={`reply:${comment.id}`}
+              placeholder={`Reply to ${author?.name || "comment"}…`}
+              submitLabel="Reply"
+              onSubmit={async (body) => {
+                const ok = await handleAddComment(body, comment.id);
+                if (ok) setMode(null);
+                return ok;
+              }}
+              onCancel={() => setMode(null)}
+            />
+          </div>
+        )}
+        <CommentThread parentId={comment.id} replies={replies} nested />
+      </li>
+    );
+  };
+
+  // `replies` maps parentId -> child comments (top level under null).
+  const CommentThread = ({ parentId, replies, nested = false }) => {
+    const items = replies.get(parentId) || [];
+    if (!items.length) return null;
+    return (
+      <ul
+        className={
+          nested
+            ? "mt-2 ml-4 pl-3 border-l border-slate-200 space-y-2"
+            : "space-y-3"
+        }
+      >
+        {items.map((c) => (
+          <CommentItem key={c.id} comment={c} replies={replies} />
+        ))}
+      </ul>
+    );
+  };
+
+  const TaskComments = () => {
+    const replies = new Map();
+    for (const c of comments.items) {
+      const key = c.parentId || null;
+      replies.set(key, [...(replies.get(key) || []), c]);
+    }
+
+    return (
+      <div className="bg-white rounded-2xl border border-slate-200 p-4 space-y-4">
+        <h3 className="text-lg font-semibold">
+          Comments{" "}
+          <span className="text-sm font-normal text-slate-500">
+            ({comments.items.filter((c) => !c.deletedAt).length})
+          </span>
+        </h3>
+        {comments.error ? (
+          <div className="text-rose-600 text-sm">{comments.error}</div>
+        ) : comments.loading && !comments.items.length ? (
+          <div className="text-slate-500 text-sm">Loading comments…</div>
+        ) : comments.items.length ? (
+          <CommentThread parentId={null} replies={replies} />
+        ) : (
+          <div className="text-slate-500 text-sm">No comments yet.</div>
+        )}
+        {can("tasks.comment") && (
+          <CommentComposer
+            draftKey={`new:${activeTaskId}`}
+            onSubmit={(body) => handleAddComment(body)}
+          />
+        )}
       </div>
     );
-  }
+  };
+
+  const RolesView = () => (
+    <div className="bg-white rounded-2xl border border-slate-200 p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-3">
+        <div>
+          <h3 className="text-lg font-semibold">Roles & permissions</h3>
+          <p className="text-sm text-slate-500">
+            Changes apply to API checks and to what each role sees here.
+          </p>
+        </div>
+        <form className="flex gap-2" onSubmit={handleAddRole}>
+          <input
+            className="rounded-xl border border-slate-300 px-3 py-2"
+            placeholder="New role, e.g. viewer"
+            value={newRoleName}
+            onChange={(e) => setNewRoleName(e.target.value)}
+          />
+          <button className="rounded-xl bg-slate-900 text-white px-4 py-2 hover:bg-slate-800">
+            Add
+          </button>
+        </form>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b border-slate-200">
+              <th className="py-2 pr-4 font-medium">Permission</th>
+              {roleNames.map((r) => (
+                <th key={r} className="py-2 px-3 font-medium text-center">
+                  <span className="uppercase text-xs bg-slate-100 px-2 py-0.5 rounded">
+                    {r}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {policy.permissions.map((p) => (
+              <tr key={p.key}>
+                <td className="py-2 pr-4">
+                  <div>{p.label}</div>
+                  <div className="font-mono text-xs text-slate-400">
+                    {p.key}
+                  </div>
+                </td>
+                {roleNames.map((r) => (
+                  <td key={r} className="py-2 px-3 text-center">
+                    <input
+                      type="checkbox"
+                      disabled={r === LOCKED_ROLE}
+                      checked={(rolesDraft[r] || []).includes(p.key)}
+                      onChange={() => toggleRolePermission(r, p.key)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-slate-200">
+              <td />
+              {roleNames.map((r) => (
+                <td key={r} className="py-2 px-3 text-center">
+                  {r === LOCKED_ROLE ? (
+                    <span className="text-xs text-slate-400">locked</span>
+                  ) : (
+                    <div className="flex flex-col items-center gap-1">
+                      <button
+                        className="px-2 py-1 rounded-lg bg-slate-900 text-white text-xs disabled:opacity-40"
+                        disabled={
+                          JSON.stringify(rolesDraft[r]) ===
+                          JSON.stringify(policy.roles[r])
+                        }
+                        onClick={() => handleSaveRole(r)}
+                      >
+                        Save
+                      </button>
+                      <button
+                        className="px-2 py-1 rounded-lg border border-rose-300 text-rose-700 text-xs"
+                        onClick={() => handleRemoveRole(r)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+
+  const ChangePasswordCard = ({ title = "Change password" }) => (
+    <div className="bg-white rounded-2xl border border-slate-200 p-4">
+      <h3 className="text-lg font-semibold mb-2">{title}</h3>
+      <form className="grid gap-3 max-w-md" onSubmit={handleChangePassword}>
+        <div>
+          <label className="block text-sm mb-1">Current password</label>
+          <input
+            type="password"
+            className="w-full rounded-xl border border-slate-300 px-3 py-2"
+            value={passwordForm.currentPassword}
+            onChange={(e) =>
+              setPasswordForm((f) => ({
+                ...f,
+                currentPassword: e.target.value,
+              }))
+            }
+          />
+        </div>
+        <div>
+          <label className="block text-sm mb-1">New password</label>
+          <input
+            type="password"
+            className="w-full rounded-xl border border-slate-300 px-3 py-2"
+            value={passwordForm.newPassword}
+            onChange={(e) =>
+              setPasswordForm((f) => ({ ...f, newPassword: e.target.value }))
+            }
+          />
+          <p className="text-xs text-slate-500 mt-1">{PASSWORD_POLICY}</p>
+        </div>
+        <div>
+          <label className="block text-sm mb-1">Confirm new password</label>
+          <input
+            type="password"
+            className="w-full rounded-xl border border-slate-300 px-3 py-2"
+            value={passwordForm.confirmPassword}
+            onChange={(e) =>
+              setPasswordForm((f) => ({
+                ...f,
+                confirmPassword: e.target.value,
+              }))
+            }
+          />
+        </div>
+        {passwordError ? (
+          <p className="text-sm text-rose-600">{passwordError}</p>
+        ) : null}
+        <button className="rounded-xl bg-slate-900 text-white px-4 py-2 hover:bg-slate-800 justify-self-start">
+          Update password
+        </button>
+      </form>
+    </div>
+  );
 
+  const ProfileView = () => (
+    <div className="space-y-4">
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <h3 className="text-lg font-semibold mb-3">Profile</h3>
+        <div className="grid sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <div className="text-slate-500">Name</div>
+            <div className="font-medium">{auth.user?.name}</div>
+          </div>
+          <div>
+            <div className="text-slate-500">Email</div>
+            <div className="font-medium">{auth.user?.email}</div>
+          </div>
+          <div>
+            <div className="text-slate-500">Role</div>
+            <div className="font-medium">{auth.user?.role}</div>
+          </div>
+          <div>
+            <div className="text-slate-500">User ID</div>
+            <div className="font-mono text-xs">{auth.user?.id}</div>
+          </div>
+        </div>
+        <div className="mt-4 text-xs text-slate-500">
+          You are signed in to the Dashboard and the task manager with the
+          same session. Set VITE_TASKS_BACKEND=local to run against the
+          in-browser mock instead of the REST backend.
+        </div>
+      </div>
+      <ChangePasswordCard />
+    </div>
+  );
+
+  // ------------------------------
+  // Render
+  // ------------------------------
   return (
     <Shell>
-      {!auth.user ? (
-        <AuthView />
-      ) : (
-        <>
-          <Tabs />
-          {activeTab === "tasks" && <TasksView />}
-          {activeTab === "users" && <UsersView />}
-          {activeTab === "profile" && <ProfileView />}
-        </>
-      )}
+      <Tabs />
+      {activeTab === "tasks" &&
+        (activeTaskId ? <TaskDetailView /> : <TasksView />)}
+      {activeTab === "users" &&
+        (can("users.view") || can("users.manage") ? (
+          <UsersView />
+        ) : (
+          <Navigate to="/tasks" replace />
+        ))}
+      {activeTab === "roles" &&
+        (can("roles.manage") ? (
+          <RolesView />
+        ) : (
+          <Navigate to="/tasks" replace />
+        ))}
+      {activeTab === "audit" &&
+        (can("audit.view") ? (
+          <AuditView />
+        ) : (
+          <Navigate to="/tasks" replace />
+        ))}
+      {activeTab === "profile" && <ProfileView />}
     </Shell>
   );
 }
+
+// ------------------------------
+// URL <-> task query
+// ------------------------------
+// How many tasks the list fetches per scroll step.
+const TASK_BATCH_SIZES = [10, 20, 50];
+
+const TASK_QUERY_DEFAULTS = {
+  pageSize: 20,
+  status: "all",
+  search: "",
+  view: "list",
+  sortBy: "createdAt",
+  sortDir: "desc",
+  assignedTo: "",
+  createdBy: "",
+  priority: "",
+  dueFrom: "",
+  dueTo: "",
+  overdue: false,
+  mine: false,
+  parentId: "",
+  blocked: false,
+};
+
+// Filter fields reset together by "Clear filters".
+const TASK_FILTER_KEYS = [
+  "status",
+  "search",
+  "assignedTo",
+  "createdBy",
+  "priority",
+  "dueFrom",
+  "dueTo",
+  "overdue",
+  "mine",
+  "parentId",
+  "blocked",
+];
+
+// query field -> URL parameter, for the plain string fields
+const TASK_QUERY_PARAMS = {
+  status: "status",
+  search: "q",
+  sortBy: "sort",
+  sortDir: "dir",
+  assignedTo: "assignee",
+  createdBy: "creator",
+  priority: "priority",
+  dueFrom: "dueFrom",
+  dueTo: "dueTo",
+  parentId: "parent",
+};
+
+function parseTaskQuery(params) {
+  const pageSize = Number(params.get("pageSize"));
+  return {
+    pageSize: TASK_BATCH_SIZES.includes(pageSize)
+      ? pageSize
+      : TASK_QUERY_DEFAULTS.pageSize,
+    ...Object.fromEntries(
+      Object.entries(TASK_QUERY_PARAMS).map(([field, param]) => [
+        field,
+        params.get(param) || TASK_QUERY_DEFAULTS[field],
+      ])
+    ),
+    view: params.get("view") === "board" ? "board" : TASK_QUERY_DEFAULTS.view,
+    overdue: params.get("overdue") === "1",
+    mine: params.get("mine") === "1",
+    blocked: params.get("blocked") === "1",
+  };
+}
+
+// Only non-default values go into the URL to keep links short.
+function serializeTaskQuery(query) {
+  const params = new URLSearchParams();
+  if (query.view !== TASK_QUERY_DEFAULTS.view) params.set("view", query.view);
+  for (const [field, param] of Object.entries(TASK_QUERY_PARAMS)) {
+    if (query[field] && query[field] !== TASK_QUERY_DEFAULTS[field])
+      params.set(param, query[field]);
+  }
+  if (query.overdue) params.set("overdue", "1");
+  if (query.mine) params.set("mine", "1");
+  if (query.blocked) params.set("blocked", "1");
+  if (query.pageSize !== TASK_QUERY_DEFAULTS.pageSize)
+    params.set("pageSize", String(query.pageSize));
+  return params;
+}
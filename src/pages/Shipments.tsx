@@ -0,0 +1,319 @@
+import { useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router";
+import trackIcon from "../../public/map.png";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  PICKUP_WINDOWS,
+  SHIPMENT_STATUS_LABELS,
+  shipments as shipmentService,
+  type Shipment,
+  type ShipmentStatus,
+} from "../services/shipments.ts";
+import { SERVICE_LABELS } from "../services/vouchers.ts";
+import { formatCount, formatMoney } from "../services/wallet.ts";
+import { useShipment } from "../shipments/useShipment.ts";
+import { useShipments } from "../shipments/useShipments.ts";
+
+const PAGE_SIZE = 10;
+
+const inputClass =
+  "border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400";
+
+const STATUS_STYLES: Record<ShipmentStatus, string> = {
+  booked: "bg-purple-50 text-purple-600",
+  picked_up: "bg-amber-50 text-amber-700",
+  in_transit: "bg-blue-50 text-blue-700",
+  delivered: "bg-green-50 text-green-700",
+  cancelled: "bg-gray-100 text-gray-500",
+};
+
+const shortDate = (day: string) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+
+const StatusBadge = ({ status }: { status: ShipmentStatus }) => (
+  <span
+    className={`shrink-0 rounded-full px-2 py-0.5 text-xs ${STATUS_STYLES[status]}`}
+  >
+    {SHIPMENT_STATUS_LABELS[status]}
+  </span>
+);
+
+const ShipmentDetail = ({
+  shipment,
+  onChanged,
+}: {
+  shipment: Shipment;
+  onChanged: () => void;
+}) => {
+  const { token } = useAuth();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const money = (amount: number) =>
+    formatMoney(amount, shipment.price.currency);
+  const savings = [
+    shipment.voucher &&
+      `${shipment.voucher.code} −${money(shipment.price.voucherDiscount)}`,
+    shipment.coinsSpent > 0 &&
+      `${formatCount(shipment.coinsSpent)} coins −${money(
+        shipment.price.coinDiscount
+      )}`,
+  ].filter(Boolean);
+
+  const cancel = async () => {
+    if (!token) return;
+    setBusy(true);
+    setError("");
+    try {
+      await shipmentService.cancel(token, shipment.id);
+      onChanged();
+    } catch (e) {
+      setError(
+        e instanceof Error && e.message ? e.message : "Couldn't cancel."
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="mt-6 rounded-2xl border border-purple-400 p-4 text-sm">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="font-mono font-semibold">{shipment.trackingNumber}</p>
+          <p className="text-gray-400">
+            {SERVICE_LABELS[shipment.service]} · {shipment.parcel.weightKg} kg
+          </p>
+        </div>
+        <StatusBadge status={shipment.status} />
+      </div>
+      <p className="mt-3">
+        <span className="text-gray-400">From</span> {shipment.pickup.name},{" "}
+        {shipment.pickup.street}, {shipment.pickup.city}
+      </p>
+      <p>
+        <span className="text-gray-400">To</span> {shipment.dropoff.name},{" "}
+        {shipment.dropoff.street}, {shipment.dropoff.city}
+      </p>
+      <p>
+        <span className="text-gray-400">Pickup</span>{" "}
+        {shortDate(shipment.schedule.date)},{" "}
+        {PICKUP_WINDOWS.find((w) => w.id === shipment.schedule.window)?.label}
+        {shipment.status !== "cancelled" && (
+          <>
+            {" "}
+            · arrives {shortDate(shipment.estimatedDelivery.from)}–
+            {shortDate(shipment.estimatedDelivery.to)}
+          </>
+        )}
+      </p>
+      <ol className="mt-3 border-l border-gray-200 pl-4">
+        {shipment.history.map((h) => (
+          <li key={h.status} className="py-1">
+            <span className="font-semibold">
+              {SHIPMENT_STATUS_LABELS[h.status]}
+            </span>{" "}
+            <span className="text-gray-400">
+              {new Date(h.at).toLocaleString()}
+            </span>
+          </li>
+        ))}
+      </ol>
+      <p className="mt-3 text-gray-600">
+        Paid{" "}
+        <span className="font-semibold">{money(shipment.price.total)}</span>
+        {savings.length > 0 && ` (${savings.join(", ")})`}
+        {shipment.status === "cancelled" && ", refunded"}
+      </p>
+      {shipment.coinsEarned > 0 && (
+        <p className="text-green-600">
+          Earned {formatCount(shipment.coinsEarned)} coins.
+        </p>
+      )}
+      {error && (
+        <p className="mt-2 text-rose-600" role="alert">
+          {error}
+        </p>
+      )}
+      {shipment.status === "booked" && (
+        <button
+          type="button"
+          disabled={busy}
+          onClick={cancel}
+          className="mt-3 rounded-full border border-rose-300 px-4 py-1 text-rose-600 disabled:opacity-60"
+        >
+          {busy ? "Cancelling…" : "Cancel and refund"}
+        </button>
+      )}
+    </section>
+  );
+};
+
+/**
+ * The signed-in user's shipments, newest first (?status=&page= in the query
+ * string). /shipments/:shipmentId also shows that shipment's details.
+ */
+const Shipments = () => {
+  const { shipmentId } = useParams();
+  const [params, setParams] = useSearchParams();
+  const status = (params.get("status") || undefined) as
+    | ShipmentStatus
+    | undefined;
+  const list = useShipments({
+    status,
+    page: Math.max(Number(params.get("page")) || 1, 1),
+    pageSize: PAGE_SIZE,
+  });
+  const detail = useShipment(shipmentId);
+  const page = list.page;
+  const selected =
+    detail.shipment?.id === shipmentId ? detail.shipment : null;
+
+  const setFilter = (key: string, value: string) => {
+    const next = new URLSearchParams(params);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    if (key !== "page") next.delete("page");
+    setParams(next, { replace: key !== "page" });
+  };
+
+  const afterChange = () => {
+    detail.refresh();
+    list.refresh();
+  };
+
+  return (
+    <div className="flex min-h-screen items-start justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+        <div className="flex items-center justify-between">
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+          <h1 className="flex text-lg font-bold">
+            <img src={trackIcon} alt="" className="mr-2 w-[25px]" />
+            My Packages
+          </h1>
+        </div>
+
+        <div className="mt-6 flex gap-2 text-sm">
+          {Object.entries(SERVICE_LABELS).map(([service, label]) => (
+            <Link
+              key={service}
+              to={`/ship/${service}`}
+              className="flex-1 rounded-full border border-purple-400 py-1 text-center text-purple-600"
+            >
+              Send {label}
+            </Link>
+          ))}
+        </div>
+
+        {shipmentId &&
+          (selected ? (
+            <ShipmentDetail shipment={selected} onChanged={afterChange} />
+          ) : detail.error ? (
+            <p className="mt-6 text-sm text-rose-600" role="alert">
+              {detail.error}
+            </p>
+          ) : (
+            <p className="mt-6 text-sm text-gray-400">Loading…</p>
+          ))}
+
+        <section className="mt-8">
+          <select
+            aria-label="Status"
+            value={status ?? ""}
+            onChange={(e) => setFilter("status", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All shipments</option>
+            {Object.entries(SHIPMENT_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {list.error && !page ? (
+            <div className="py-6 text-sm">
+              <p className="text-rose-600">{list.error}</p>
+              <button
+                type="button"
+                className="mt-2 text-purple-500 hover:underline"
+                onClick={list.refresh}
+              >
+                Try again
+              </button>
+            </div>
+          ) : !page ? (
+            <p className="py-6 text-sm text-gray-400">Loading…</p>
+          ) : !page.items.length ? (
+            <p className="py-6 text-sm text-gray-400">
+              {status
+                ? "No shipments with this status."
+                : "No shipments yet. Pick a service above to send one."}
+            </p>
+          ) : (
+            <ul
+              className={`mt-2 divide-y divide-gray-100 ${
+                list.loading ? "opacity-60" : ""
+              }`}
+              aria-busy={list.loading}
+            >
+              {page.items.map((s) => (
+                <li key={s.id}>
+                  <Link
+                    to={`/shipments/${s.id}${
+                      params.size ? `?${params}` : ""
+                    }`}
+                    className={`flex items-center justify-between gap-3 py-3 ${
+                      s.id === shipmentId ? "text-purple-600" : ""
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <p className="truncate text-sm font-semibold">
+                        {SERVICE_LABELS[s.service]} to {s.dropoff.city}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        {s.trackingNumber} · est.{" "}
+                        {shortDate(s.estimatedDelivery.to)}
+                      </p>
+                    </div>
+                    <StatusBadge status={s.status} />
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {page && page.totalPages > 1 && (
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button
+                type="button"
+                disabled={page.page <= 1}
+                onClick={() => setFilter("page", String(page.page - 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Previous
+              </button>
+              <span className="text-gray-400">
+                Page {page.page} of {page.totalPages}
+              </span>
+              <button
+                type="button"
+                disabled={page.page >= page.totalPages}
+                onClick={() => setFilter("page", String(page.page + 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Shipments;
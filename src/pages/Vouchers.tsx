@@ -0,0 +1,349 @@
+import { useState } from "react";
+import { Link } from "react-router";
+import voucherIcon from "../../public/coupon.png";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  SERVICE_LABELS,
+  vouchers as voucherService,
+  type VoucherQuote,
+} from "../services/vouchers.ts";
+import {
+  formatMoney,
+  parseMoney,
+  type ShippingService,
+  type Voucher,
+} from "../services/wallet.ts";
+import { useVouchers } from "../wallet/useVouchers.ts";
+import { useWallet } from "../wallet/useWallet.ts";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const inputClass =
+  "border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400";
+
+const errorText = (e: unknown, fallback: string) =>
+  e instanceof Error && e.message ? e.message : fallback;
+
+const shortDate = (iso: string) =>
+  new Date(iso).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const expiryText = (v: Voucher) => {
+  if (v.status === "used" && v.usedAt) return `Used ${shortDate(v.usedAt)}`;
+  if (v.status === "expired") return `Expired ${shortDate(v.expiresAt)}`;
+  const days = Math.ceil((Date.parse(v.expiresAt) - Date.now()) / DAY);
+  if (days <= 1) return "Expires today";
+  if (days <= 7) return `Expires in ${days} days`;
+  return `Expires ${shortDate(v.expiresAt)}`;
+};
+
+const discountText = (v: Voucher, currency: string) =>
+  v.kind === "percent"
+    ? `${v.value}% off${
+        v.maxDiscount !== null
+          ? `, up to ${formatMoney(v.maxDiscount, currency)}`
+          : ""
+      }`
+    : `${formatMoney(v.value, currency)} off`;
+
+const VoucherCard = ({
+  voucher,
+  currency,
+  best,
+}: {
+  voucher: Voucher;
+  currency: string;
+  best: boolean;
+}) => {
+  const usable = voucher.status === "available";
+  return (
+    <li
+      className={`rounded-2xl border p-4 ${
+        best ? "border-purple-400 bg-purple-50/50" : "border-gray-300"
+      } ${usable ? "" : "opacity-60"}`}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="font-mono text-sm font-semibold tracking-wide">
+            {voucher.code}
+          </p>
+          <p className="text-sm">{voucher.title}</p>
+        </div>
+        {best && (
+          <span className="shrink-0 rounded-full bg-purple-500 px-2 py-0.5 text-xs text-white">
+            Best for this order
+          </span>
+        )}
+      </div>
+      <p className="mt-2 text-sm text-gray-600">
+        {discountText(voucher, currency)} ·{" "}
+        {voucher.minOrder
+          ? `Min. order ${formatMoney(voucher.minOrder, currency)}`
+          : "No minimum order"}
+      </p>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        {voucher.services.map((service) => (
+          <span
+            key={service}
+            className="rounded-full bg-gray-100 px-2 py-0.5 text-gray-600"
+          >
+            {SERVICE_LABELS[service]}
+          </span>
+        ))}
+        <span
+          className={`ml-auto ${
+            voucher.status === "expired" ? "text-rose-500" : "text-gray-400"
+          }`}
+        >
+          {expiryText(voucher)}
+        </span>
+      </div>
+    </li>
+  );
+};
+
+const AddCode = ({ onAdded }: { onAdded: () => void }) => {
+  const { token } = useAuth();
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!token) return;
+    setBusy(true);
+    setError("");
+    try {
+      await voucherService.add(token, code);
+      setCode("");
+      onAdded();
+    } catch (err) {
+      setError(errorText(err, "Couldn't add that code."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit}>
+      <div className="flex gap-2">
+        <input
+          aria-label="Voucher code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Enter a voucher code"
+          className={`${inputClass} flex-1 uppercase`}
+          required
+        />
+        <button
+          disabled={busy}
+          className="rounded-lg bg-purple-500 px-4 text-sm text-white disabled:opacity-60"
+        >
+          {busy ? "Adding…" : "Add"}
+        </button>
+      </div>
+      {error && (
+        <p className="mt-2 text-sm text-rose-600" role="alert">
+          {error}
+        </p>
+      )}
+    </form>
+  );
+};
+
+// Shows which voucher checkout would apply to an order, and why the others
+// wouldn't.
+const CheckOrder = ({
+  currency,
+  onQuote,
+}: {
+  currency: string;
+  onQuote: (quote: VoucherQuote | null) => void;
+}) => {
+  const { token } = useAuth();
+  const [service, setService] = useState<ShippingService>("express");
+  const [amount, setAmount] = useState("");
+  const [quote, setQuote] = useState<VoucherQuote | null>(null);
+  const [error, setError] = useState("");
+
+  const show = (next: VoucherQuote | null) => {
+    setQuote(next);
+    onQuote(next);
+  };
+
+  const submit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!token) return;
+    const subtotal = parseMoney(amount, currency);
+    if (!subtotal) {
+      setError("Enter the order amount, e.g. 30.00.");
+      show(null);
+      return;
+    }
+    setError("");
+    try {
+      show(await voucherService.apply(token, { service, subtotal }));
+    } catch (err) {
+      setError(errorText(err, "Couldn't check vouchers."));
+      show(null);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-2">
+      <div className="flex gap-2">
+        <select
+          aria-label="Service"
+          value={service}
+          onChange={(e) => setService(e.target.value as ShippingService)}
+          className={inputClass}
+        >
+          {Object.entries(SERVICE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          aria-label="Order amount"
+          inputMode="decimal"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="Order amount"
+          className={`${inputClass} min-w-0 flex-1`}
+        />
+        <button className="rounded-lg border border-purple-400 px-4 text-sm text-purple-600">
+          Check
+        </button>
+      </div>
+      {error && (
+        <p className="text-sm text-rose-600" role="alert">
+          {error}
+        </p>
+      )}
+      {quote && (
+        <div className="rounded-lg bg-gray-50 p-3 text-sm" role="status">
+          {quote.voucher ? (
+            <p>
+              <span className="font-semibold">{quote.voucher.code}</span> saves{" "}
+              {formatMoney(quote.discount, currency)}: you pay{" "}
+              <span className="font-semibold">
+                {formatMoney(quote.total, currency)}
+              </span>
+              .
+            </p>
+          ) : (
+            <p>None of your vouchers applies to this order.</p>
+          )}
+          {quote.rejected.length > 0 && (
+            <ul className="mt-2 list-disc pl-5 text-gray-500">
+              {quote.rejected.map((r) => (
+                <li key={r.id}>{r.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+/**
+ * The user's vouchers with their rules, a field to add a promo code and a
+ * check of which voucher checkout would apply to an order.
+ */
+const Vouchers = () => {
+  const { vouchers, loading, error, refresh } = useVouchers();
+  const { wallet } = useWallet();
+  const [bestId, setBestId] = useState<string | null>(null);
+  const currency = wallet?.currency ?? "USD";
+  const available = vouchers?.filter((v) => v.status === "available") ?? [];
+  const past = vouchers?.filter((v) => v.status !== "available") ?? [];
+
+  return (
+    <div className="flex min-h-screen items-start justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+        <div className="flex items-center justify-between">
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+          <h1 className="flex text-lg font-bold">
+            <img src={voucherIcon} alt="" className="mr-2 w-[25px]" />
+            My Vouchers
+          </h1>
+        </div>
+
+        <section className="mt-6">
+          <AddCode onAdded={refresh} />
+        </section>
+
+        <section className="mt-6">
+          <h2 className="mb-2 font-bold">Check an order</h2>
+          <CheckOrder
+            currency={currency}
+            onQuote={(quote) => setBestId(quote?.voucher?.id ?? null)}
+          />
+        </section>
+
+        <section className="mt-8">
+          {error && !vouchers ? (
+            <div className="text-sm">
+              <p className="text-rose-600">{error}</p>
+              <button
+                type="button"
+                className="mt-2 text-purple-500 hover:underline"
+                onClick={refresh}
+              >
+                Try again
+              </button>
+            </div>
+          ) : loading && !vouchers ? (
+            <p className="text-sm text-gray-400">Loading…</p>
+          ) : (
+            <>
+              <h2 className="mb-3 font-bold">
+                Available ({available.length})
+              </h2>
+              {available.length ? (
+                <ul className="flex flex-col gap-3">
+                  {available.map((v) => (
+                    <VoucherCard
+                      key={v.id}
+                      voucher={v}
+                      currency={currency}
+                      best={v.id === bestId}
+                    />
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-400">
+                  No vouchers to use right now. Have a code? Add it above.
+                </p>
+              )}
+              {past.length > 0 && (
+                <>
+                  <h2 className="mb-3 mt-8 font-bold">Used and expired</h2>
+                  <ul className="flex flex-col gap-3">
+                    {past.map((v) => (
+                      <VoucherCard
+                        key={v.id}
+                        voucher={v}
+                        currency={currency}
+                        best={false}
+                      />
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Vouchers;
@@ -0,0 +1,382 @@
+import { useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router";
+import walletIcon from "../../public/wallet.svg";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  TOP_UP_LIMITS,
+  TRANSACTION_KIND_LABELS,
+  formatMoney,
+  parseMoney,
+  wallet as walletService,
+  type Transaction,
+  type TransactionKind,
+} from "../services/wallet.ts";
+import { useTransactions } from "../wallet/useTransactions.ts";
+import { useWallet } from "../wallet/useWallet.ts";
+
+const PAGE_SIZE = 10;
+const PRESETS = ["10", "25", "50"];
+const TEST_CARD = "4242 4242 4242 4242";
+
+const inputClass =
+  "border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400";
+
+const TopUpForm = ({
+  currency,
+  onDone,
+}: {
+  currency: string;
+  onDone: () => void;
+}) => {
+  const { token } = useAuth();
+  const [amount, setAmount] = useState("");
+  const [card, setCard] = useState(TEST_CARD);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", ok: false });
+  // one key per attempt, so resubmitting after a lost response can't charge
+  // twice; a new amount or card starts a new attempt
+  const attempt = useRef<string | null>(null);
+
+  const edit = (setter: (value: string) => void) => (value: string) => {
+    attempt.current = null;
+    setter(value);
+  };
+
+  const submit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!token) return;
+    const minor = parseMoney(amount, currency);
+    if (minor === null) {
+      setMessage({ text: "Enter an amount, e.g. 25.00.", ok: false });
+      return;
+    }
+    if (minor < TOP_UP_LIMITS.min || minor > TOP_UP_LIMITS.max) {
+      setMessage({
+        text: `Top-ups must be between ${formatMoney(
+          TOP_UP_LIMITS.min,
+          currency
+        )} and ${formatMoney(TOP_UP_LIMITS.max, currency)}.`,
+        ok: false,
+      });
+      return;
+    }
+    attempt.current ??= crypto.randomUUID();
+    setBusy(true);
+    setMessage({ text: "", ok: false });
+    try {
+      const { entry } = await walletService.topUp(token, {
+        amount: minor,
+        source: card,
+        idempotencyKey: attempt.current,
+      });
+      attempt.current = null;
+      setAmount("");
+      setMessage({
+        text: `Added ${formatMoney(entry.amount, currency)}.`,
+        ok: true,
+      });
+      onDone();
+    } catch (err) {
+      setMessage({
+        text: err instanceof Error ? err.message : "Top-up failed.",
+        ok: false,
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-3">
+      <div className="flex gap-2">
+        {PRESETS.map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => edit(setAmount)(preset)}
+            className={`rounded-full border px-4 py-1 text-sm ${
+              amount === preset
+                ? "border-purple-400 bg-purple-50 text-purple-600"
+                : "border-gray-300 text-gray-600"
+            }`}
+          >
+            {formatMoney(parseMoney(preset, currency) ?? 0, currency)}
+          </button>
+        ))}
+      </div>
+      <label className="flex flex-col gap-1 text-sm text-gray-500">
+        Amount
+        <input
+          inputMode="decimal"
+          value={amount}
+          onChange={(e) => edit(setAmount)(e.target.value)}
+          placeholder="0.00"
+          className={inputClass}
+          required
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-sm text-gray-500">
+        Card number
+        <input
+          inputMode="numeric"
+          autoComplete="cc-number"
+          value={card}
+          onChange={(e) => edit(setCard)(e.target.value)}
+          className={inputClass}
+          required
+        />
+        <span className="text-xs text-gray-400">
+          Test payments: {TEST_CARD} succeeds, 4000 0000 0000 0002 is
+          declined.
+        </span>
+      </label>
+      {message.text && (
+        <p
+          role={message.ok ? "status" : "alert"}
+          className={`text-sm ${message.ok ? "text-green-600" : "text-rose-600"}`}
+        >
+          {message.text}
+        </p>
+      )}
+      <button
+        disabled={busy}
+        className="self-end rounded-full bg-gradient-to-r from-orange-500 to-orange-300 px-6 py-2 text-white disabled:opacity-60"
+      >
+        {busy ? "Processing…" : "Top up"}
+      </button>
+    </form>
+  );
+};
+
+const TransactionRow = ({
+  entry,
+  currency,
+}: {
+  entry: Transaction;
+  currency: string;
+}) => (
+  <li className="flex items-center justify-between gap-3 py-3">
+    <div className="min-w-0">
+      <p className="truncate text-sm font-semibold">{entry.description}</p>
+      <p className="text-xs text-gray-400">
+        {TRANSACTION_KIND_LABELS[entry.kind]} ·{" "}
+        {new Date(entry.createdAt).toLocaleString()}
+      </p>
+    </div>
+    <div className="shrink-0 text-right">
+      <p
+        className={`text-sm font-semibold ${
+          entry.type === "credit" ? "text-green-600" : "text-gray-800"
+        }`}
+      >
+        {entry.type === "credit" ? "+" : "−"}
+        {formatMoney(entry.amount, currency)}
+      </p>
+      <p className="text-xs text-gray-400">
+        Balance {formatMoney(entry.balanceAfter, currency)}
+      </p>
+    </div>
+  </li>
+);
+
+/**
+ * Balance, top-up and the transaction history. Filters and the page number
+ * live in the query string (?type=&kind=&from=&to=&page=) so a filtered
+ * history can be bookmarked.
+ */
+const Wallet = () => {
+  const { wallet, error: walletError, refresh: refreshWallet } = useWallet();
+  const [params, setParams] = useSearchParams();
+  const filters = {
+    type: (params.get("type") || undefined) as Transaction["type"] | undefined,
+    kind: (params.get("kind") || undefined) as TransactionKind | undefined,
+    from: params.get("from") || undefined,
+    to: params.get("to") || undefined,
+    page: Math.max(Number(params.get("page")) || 1, 1),
+  };
+  const history = useTransactions({ ...filters, pageSize: PAGE_SIZE });
+  const currency = wallet?.currency ?? "USD";
+  const filtered = Boolean(
+    filters.type || filters.kind || filters.from || filters.to
+  );
+
+  const setFilter = (key: string, value: string) => {
+    const next = new URLSearchParams(params);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    // a different filter starts over on the first page
+    if (key !== "page") next.delete("page");
+    setParams(next, { replace: key !== "page" });
+  };
+
+  const afterTopUp = () => {
+    refreshWallet();
+    history.refresh();
+  };
+
+  const page = history.page;
+
+  return (
+    <div className="flex min-h-screen items-start justify-center bg-gray-100">
+      <div className="lg:w-[500px] w-full min-h-screen bg-white p-6">
+        <div className="flex items-center justify-between">
+          <Link to="/dashboard" className="text-sm text-purple-400">
+            ← Dashboard
+          </Link>
+          <h1 className="text-lg font-bold">My Wallet</h1>
+        </div>
+
+        <section className="mt-6 rounded-2xl border border-gray-300 p-4">
+          <p className="flex text-sm text-gray-400">
+            <img src={walletIcon} alt="" className="mr-1 w-[15px]" />
+            My Balance
+          </p>
+          {walletError && !wallet ? (
+            <p className="mt-1 text-sm text-rose-600" role="alert">
+              {walletError}
+              <button
+                type="button"
+                className="ml-2 text-purple-500 hover:underline"
+                onClick={refreshWallet}
+              >
+                Retry
+              </button>
+            </p>
+          ) : (
+            <p className="text-3xl">
+              {wallet ? formatMoney(wallet.balance, wallet.currency) : "…"}
+            </p>
+          )}
+        </section>
+
+        <section className="mt-6">
+          <h2 className="mb-3 font-bold">Top up</h2>
+          <TopUpForm currency={currency} onDone={afterTopUp} />
+        </section>
+
+        <section className="mt-8">
+          <h2 className="mb-3 font-bold">Transactions</h2>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              aria-label="Direction"
+              value={filters.type ?? ""}
+              onChange={(e) => setFilter("type", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Money in and out</option>
+              <option value="credit">Money in</option>
+              <option value="debit">Money out</option>
+            </select>
+            <select
+              aria-label="Kind"
+              value={filters.kind ?? ""}
+              onChange={(e) => setFilter("kind", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All kinds</option>
+              {Object.entries(TRANSACTION_KIND_LABELS).map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="flex flex-col gap-1 text-xs text-gray-400">
+              From
+              <input
+                type="date"
+                value={filters.from ?? ""}
+                max={filters.to}
+                onChange={(e) => setFilter("from", e.target.value)}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-xs text-gray-400">
+              To
+              <input
+                type="date"
+                value={filters.to ?? ""}
+                min={filters.from}
+                onChange={(e) => setFilter("to", e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          {filtered && (
+            <button
+              type="button"
+              className="mt-2 text-sm text-purple-500 hover:underline"
+              onClick={() => setParams(new URLSearchParams(), { replace: true })}
+            >
+              Clear filters
+            </button>
+          )}
+
+          {history.error && !page ? (
+            <div className="py-6 text-sm">
+              <p className="text-rose-600">{history.error}</p>
+              <button
+                type="button"
+                className="mt-2 text-purple-500 hover:underline"
+                onClick={history.refresh}
+              >
+                Try again
+              </button>
+            </div>
+          ) : !page ? (
+            <p className="py-6 text-sm text-gray-400">Loading…</p>
+          ) : !page.items.length ? (
+            <p className="py-6 text-sm text-gray-400">
+              {filtered
+                ? "No transactions match these filters."
+                : "No transactions yet."}
+            </p>
+          ) : (
+            <ul
+              className={`mt-2 divide-y divide-gray-100 ${
+                history.loading ? "opacity-60" : ""
+              }`}
+              aria-busy={history.loading}
+            >
+              {page.items.map((entry) => (
+                <TransactionRow
+                  key={entry.id}
+                  entry={entry}
+                  currency={currency}
+                />
+              ))}
+            </ul>
+          )}
+          {history.error && page && (
+            <p className="text-sm text-rose-600">{history.error}</p>
+          )}
+
+          {page && page.totalPages > 1 && (
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button
+                type="button"
+                disabled={page.page <= 1}
+                onClick={() => setFilter("page", String(page.page - 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Previous
+              </button>
+              <span className="text-gray-400">
+                Page {page.page} of {page.totalPages}
+              </span>
+              <button
+                type="button"
+                disabled={page.page >= page.totalPages}
+                onClick={() => setFilter("page", String(page.page + 1))}
+                className="text-purple-500 disabled:text-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Wallet;
@@ -0,0 +1,165 @@
+import { API_URL, ApiError, request } from "./http.ts";
+
+/** A role id: the built-in "admin", "manager" and "member", or a custom role. */
+export type Role = string;
+
+export type User = {
+  id: string;
+  name: string;
+  email: string;
+  role: Role;
+  createdAt: string;
+  /** Set for admin-issued passwords; the API refuses other calls until then. */
+  mustChangePassword?: boolean;
+};
+
+export type Credentials = {
+  email: string;
+  password: string;
+};
+
+export type PasswordChange = {
+  currentPassword: string;
+  newPassword: string;
+};
+
+export type Session = {
+  /** Short-lived signed access token. */
+  token: string;
+  /** Rotating token used to obtain a new access token. */
+  refreshToken?: string;
+  expiresAt?: string;
+  user: User;
+};
+
+/**
+ * Contract every auth backend implements. The login page and the route
+ * guards only talk to this interface, so the HTTP client below can be
+ * replaced (e.g. by an in-memory fake, or the task manager's in-browser
+ * backend in src/api/local.js) without touching the UI.
+ */
+export interface AuthService {
+  login(credentials: Credentials): Promise<Session>;
+  logout(): Promise<void>;
+  /**
+   * Resolves the stored session, renewing an expired access token with the
+   * refresh token; null when there is no session or it cannot be renewed.
+   */
+  restore(): Promise<Session | null>;
+  /**
+   * Renews the access token with the stored refresh token; forgets the
+   * session and rejects when it can't be renewed (401). Other failures,
+   * like a network error, reject and keep the session for the next try.
+   */
+  refresh(): Promise<Session>;
+  /**
+   * Changes the signed-in user's password and resolves the updated user;
+   * their other sessions are signed out.
+   */
+  changePassword(change: PasswordChange): Promise<User>;
+}
+
+type StoredTokens = Pick<Session, "token" | "refreshToken">;
+
+// The server turned the tokens down, as opposed to not being reached.
+const isUnauthorized = (e: unknown): e is ApiError =>
+  e instanceof ApiError && e.status === 401;
+
+const SESSION_KEY = "auth_session";
+
+export const createHttpAuthService = (baseUrl = API_URL): AuthService => {
+  const readTokens = (): StoredTokens | null => {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    } catch {
+      return null;
+    }
+  };
+  const saveTokens = ({ token, refreshToken }: Session) =>
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ token, refreshToken }));
+  const clearTokens = () => localStorage.removeItem(SESSION_KEY);
+
+  const refresh = async (refreshToken: string) => {
+    const session = await request<Session>(baseUrl, "/auth/refresh", {
+      method: "POST",
+      body: { refreshToken },
+    });
+    saveTokens(session);
+    return session;
+  };
+  // Refresh tokens rotate, so concurrent renewals share one request.
+  let renewing: Promise<Session> | null = null;
+
+  return {
+    login: async ({ email, password }) => {
+      const session = await request<Session>(baseUrl, "/auth/login", {
+        method: "POST",
+        body: { email: email.trim(), password },
+      });
+      saveTokens(session);
+      return session;
+    },
+    logout: async () => {
+      const stored = readTokens();
+      clearTokens();
+      if (!stored) return;
+      try {
+        await request(baseUrl, "/auth/logout", {
+          method: "POST",
+          token: stored.token,
+          body: { refreshToken: stored.refreshToken },
+        });
+      } catch {
+        // the local session is gone either way
+      }
+    },
+    restore: async () => {
+      const stored = readTokens();
+      if (!stored?.token) return null;
+      try {
+        const session = await request<Session>(baseUrl, "/auth/me", {
+          token: stored.token,
+        });
+        return { ...session, refreshToken: stored.refreshToken };
+      } catch (e) {
+        if (!isUnauthorized(e)) throw e;
+        if (e.code === "token_expired" && stored.refreshToken) {
+          try {
+            return await refresh(stored.refreshToken);
+          } catch (err) {
+            if (!isUnauthorized(err)) throw err;
+            // fall through: the refresh token is no good either
+          }
+        }
+        clearTokens();
+        return null;
+      }
+    },
+    changePassword: ({ currentPassword, newPassword }) =>
+      request<User>(baseUrl, "/auth/password", {
+        method: "POST",
+        token: readTokens()?.token,
+        body: { currentPassword, newPassword },
+      }),
+    refresh: () => {
+      renewing ??= (async () => {
+        const stored = readTokens();
+        if (!stored?.refreshToken) {
+          clearTokens();
+          throw new ApiError("You are signed out.", 401, "session_expired");
+        }
+        try {
+          return await refresh(stored.refreshToken);
+        } catch (e) {
+          if (isUnauthorized(e)) clearTokens();
+          throw e;
+        }
+      })().finally(() => {
+        renewing = null;
+      });
+      return renewing;
+    },
+  };
+};
+
+export const auth: AuthService = createHttpAuthService();
@@ -0,0 +1,105 @@
+export const API_URL: string = import.meta.env.VITE_API_URL ?? "/api";
+
+export class ApiError extends Error {
+  status: number;
+  code: string;
+
+  constructor(message: string, status: number, code: string) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+type RequestOptions = {
+  method?: string;
+  body?: unknown;
+  token?: string | null;
+};
+
+type TokenRefresher = (expired: string) => Promise<string>;
+
+let tokenRefresher: TokenRefresher | null = null;
+
+/**
+ * Lets `request` and `withFreshToken` renew access tokens: a call that
+ * fails with 401 "token_expired" is made once more with the token
+ * `refresher` resolves for the expired one. AuthProvider sets it while it is
+ * mounted.
+ */
+export const setTokenRefresher = (refresher: TokenRefresher | null) => {
+  tokenRefresher = refresher;
+};
+
+const send = async <T>(
+  baseUrl: string,
+  path: string,
+  { method = "GET", body, token }: RequestOptions = {}
+): Promise<T> => {
+  const headers: Record<string, string> = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  let res: Response;
+  try {
+    res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch {
+    throw new ApiError("Cannot reach the server.", 0, "network_error");
+  }
+
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new ApiError(
+      data?.error?.message || res.statusText || "Request failed.",
+      res.status,
+      data?.error?.code || "unknown_error"
+    );
+  }
+  return data as T;
+};
+
+/**
+ * Runs `call` with `token`; when it fails with 401 "token_expired", runs it
+ * once more with the token the refresher resolves. request() goes through
+ * it, and so do the task manager's backends (src/api), whatever their
+ * transport.
+ */
+export const withFreshToken = async <T>(
+  token: string | null | undefined,
+  call: (token: string | null | undefined) => Promise<T>
+): Promise<T> => {
+  try {
+    return await call(token);
+  } catch (e) {
+    if (
+      (e as { code?: string } | null)?.code !== "token_expired" ||
+      !token ||
+      !tokenRefresher
+    ) {
+      throw e;
+    }
+    let next: string;
+    try {
+      next = await tokenRefresher(token);
+    } catch (refreshError) {
+      // offline: say so rather than that the token expired
+      const { status } = (refreshError ?? {}) as { status?: number };
+      throw status === 0 ? refreshError : e;
+    }
+    return call(next);
+  }
+};
+
+export const request = <T>(
+  baseUrl: string,
+  path: string,
+  options: RequestOptions = {}
+): Promise<T> =>
+  withFreshToken(options.token, (token) =>
+    send<T>(baseUrl, path, { ...options, token })
+  );
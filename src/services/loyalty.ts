@@ -0,0 +1,152 @@
+import { API_URL, request } from "./http.ts";
+import type { ShippingService, Voucher } from "./wallet.ts";
+
+export type LoyaltyTier = {
+  name: string;
+  minEarned: number;
+  multiplier: number;
+};
+
+/** Earn and burn rules; amounts are in minor units. */
+export type LoyaltyRules = {
+  /** Coins per 1.00 spent, by service. */
+  earnRates: Record<ShippingService, number>;
+  /** Flat coins per shipment, by service. */
+  shipmentBonus: Record<ShippingService, number>;
+  /** Lowest first; by coins earned over the last 365 days. */
+  tiers: LoyaltyTier[];
+  expiryDays: number;
+  /** What one coin takes off an order. */
+  coinValue: number;
+  minRedeem: number;
+  /** Largest share (0-1) of an order coins may pay for. */
+  maxDiscountShare: number;
+  rewards: LoyaltyReward[];
+};
+
+export type LoyaltyReward = {
+  id: string;
+  title: string;
+  cost: number;
+  voucher: Pick<
+    Voucher,
+    "kind" | "value" | "maxDiscount" | "minOrder" | "services"
+  > & { validDays: number };
+};
+
+export type LoyaltySummary = {
+  balance: number;
+  tier: {
+    name: string;
+    multiplier: number;
+    /** Coins earned over the last 365 days. */
+    earned: number;
+    /** null at the top tier. */
+    next: { name: string; needed: number } | null;
+  };
+  /** Upcoming expiries, soonest first. */
+  expiring: { amount: number; expiresAt: string }[];
+  rules: LoyaltyRules;
+  /** Whether the user may change the rules (`loyalty.manage`). */
+  canEditRules: boolean;
+};
+
+export type CoinEntry = {
+  id: string;
+  /**
+   * "welcome": the new-member grant; "refund": coins given back when a
+   * shipment is cancelled. Neither counts towards tiers.
+   */
+  type: "earn" | "welcome" | "redeem" | "refund" | "expire";
+  amount: number;
+  balanceAfter: number;
+  description: string;
+  reference: string | null;
+  createdAt: string;
+};
+
+export type CoinHistoryPage = {
+  items: CoinEntry[];
+  total: number;
+  page: number;
+  pageSize: number;
+  totalPages: number;
+};
+
+export const COIN_ENTRY_LABELS: Record<CoinEntry["type"], string> = {
+  earn: "Earned",
+  welcome: "Welcome",
+  redeem: "Redeemed",
+  refund: "Returned",
+  expire: "Expired",
+};
+
+/**
+ * The signed-in user's loyalty coins (GET /loyalty and friends). Coins are
+ * earned on shipments and spent on reward vouchers or as a discount.
+ */
+export interface LoyaltyService {
+  summary(token: string): Promise<LoyaltySummary>;
+  history(
+    token: string,
+    filters?: { type?: CoinEntry["type"]; page?: number; pageSize?: number }
+  ): Promise<CoinHistoryPage>;
+  /** Coins a shipment would earn; `spend` in minor units. */
+  estimate(
+    token: string,
+    shipment: { service: ShippingService; spend: number }
+  ): Promise<{ coins: number }>;
+  /** What spending `coins` would take off an order, without spending. */
+  discount(
+    token: string,
+    order: { coins: number; subtotal: number }
+  ): Promise<{ coins: number; discount: number }>;
+  redeemReward(
+    token: string,
+    id: string
+  ): Promise<{ voucher: Voucher; balance: number }>;
+  /** Any subset of the rules; needs `loyalty.manage`. */
+  updateRules(
+    token: string,
+    rules: Partial<LoyaltyRules>
+  ): Promise<LoyaltyRules>;
+}
+
+export const createHttpLoyaltyService = (
+  baseUrl = API_URL
+): LoyaltyService => ({
+  summary: (token) => request<LoyaltySummary>(baseUrl, "/loyalty", { token }),
+  history: (token, filters = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined) params.set(key, String(value));
+    }
+    const query = params.toString();
+    return request<CoinHistoryPage>(
+      baseUrl,
+      `/loyalty/history${query ? `?${query}` : ""}`,
+      { token }
+    );
+  },
+  estimate: (token, shipment) =>
+    request(baseUrl, "/loyalty/estimate", {
+      method: "POST",
+      token,
+      body: shipment,
+    }),
+  discount: (token, order) =>
+    request(baseUrl, "/loyalty/discount", {
+      method: "POST",
+      token,
+      body: order,
+    }),
+  redeemReward: (token, id) =>
+    request(baseUrl, `/loyalty/rewards/${encodeURIComponent(id)}/redeem`, {
+      method: "POST",
+      token,
+    }),
+  updateRules: (token, rules) =>
+    request(baseUrl, "/loyalty/rules", { method: "PUT", token, body: rules }),
+});
+
+export const loyalty: LoyaltyService = createHttpLoyaltyService();
@@ -0,0 +1,91 @@
+import { API_URL, request } from "./http.ts";
+
+export type NotificationType =
+  | "assignment"
+  | "mention"
+  | "due_soon"
+  | "overdue"
+  | "package";
+
+export type AppNotification = {
+  id: string;
+  userId: string;
+  type: NotificationType;
+  title: string;
+  body: string;
+  /** App path to open, e.g. /tasks/abc. */
+  link: string | null;
+  read: boolean;
+  createdAt: string;
+};
+
+export type NotificationList = {
+  /** Newest first. */
+  items: AppNotification[];
+  unread: number;
+};
+
+/** Which types the user receives; switched-off types are never stored. */
+export type NotificationPreferences = Record<NotificationType, boolean>;
+
+export const NOTIFICATION_TYPE_LABELS: Record<NotificationType, string> = {
+  assignment: "Tasks assigned to me",
+  mention: "Mentions in comments",
+  due_soon: "Tasks due soon",
+  overdue: "Overdue tasks",
+  package: "Package status changes",
+};
+
+/**
+ * The signed-in user's notifications (GET /notifications and friends). The
+ * server generates them from task assignments, comment mentions, due dates
+ * and package status changes.
+ */
+export interface NotificationService {
+  list(
+    token: string,
+    options?: { unread?: boolean; limit?: number }
+  ): Promise<NotificationList>;
+  markRead(token: string, ids: string[]): Promise<{ unread: number }>;
+  markAllRead(token: string): Promise<{ unread: number }>;
+  preferences(token: string): Promise<NotificationPreferences>;
+  updatePreferences(
+    token: string,
+    changes: Partial<NotificationPreferences>
+  ): Promise<NotificationPreferences>;
+}
+
+export const createHttpNotificationService = (
+  baseUrl = API_URL
+): NotificationService => ({
+  list: (token, { unread = false, limit } = {}) => {
+    const params = new URLSearchParams();
+    if (unread) params.set("unread", "1");
+    if (limit) params.set("limit", String(limit));
+    const query = params.toString();
+    return request<NotificationList>(
+      baseUrl,
+      `/notifications${query ? `?${query}` : ""}`,
+      { token }
+    );
+  },
+  markRead: (token, ids) =>
+    request(baseUrl, "/notifications/read", {
+      method: "POST",
+      token,
+      body: { ids },
+    }),
+  markAllRead: (token) =>
+    request(baseUrl, "/notifications/read-all", { method: "POST", token }),
+  preferences: (token) =>
+    request(baseUrl, "/notifications/preferences", { token }),
+  updatePreferences: (token, changes) =>
+    request(baseUrl, "/notifications/preferences", {
+      method: "PUT",
+      token,
+      body: changes,
+    }),
+});
+
+export const notifications: NotificationService =
+  createHttpNotificationService();
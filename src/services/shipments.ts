@@ -0,0 +1,199 @@
+import { API_URL, request } from "./http.ts";
+import type { VoucherRejection } from "./vouchers.ts";
+import type { ShippingService, Voucher } from "./wallet.ts";
+
+export type Address = {
+  name: string;
+  phone: string;
+  street: string;
+  city: string;
+  postalCode: string;
+  country: string;
+};
+
+export type Parcel = {
+  weightKg: number;
+  lengthCm: number;
+  widthCm: number;
+  heightCm: number;
+};
+
+export type PickupWindow = "morning" | "afternoon" | "evening";
+
+export type Booking = {
+  service: ShippingService;
+  pickup: Address;
+  dropoff: Address;
+  parcel: Parcel;
+  /** `date` is YYYY-MM-DD. */
+  schedule: { date: string; window: PickupWindow };
+};
+
+/** How a booking is paid for, on top of the wallet balance. */
+export type BookingDiscounts = {
+  /** A specific voucher; without it the best of the user's is used. */
+  code?: string;
+  /** false books without a voucher. */
+  useVoucher?: boolean;
+  /** Coins to spend; 0 or at least the loyalty rules' minRedeem. */
+  coins?: number;
+};
+
+/** Amounts are in minor units. */
+export type ShipmentQuote = {
+  service: ShippingService;
+  /** Actual or volumetric weight, whichever is higher, per started kg. */
+  chargeableKg: number;
+  baseFee: number;
+  weightFee: number;
+  subtotal: number;
+  voucher: Voucher | null;
+  voucherDiscount: number;
+  /** Why each of the user's other usable vouchers doesn't apply. */
+  rejected: VoucherRejection[];
+  /** Coins that would be spent, capped by the balance and the rules. */
+  coins: number;
+  coinDiscount: number;
+  total: number;
+  currency: string;
+  /** The wallet balance the total is paid from. */
+  balance: number;
+  coinBalance: number;
+  /** Coins the shipment earns once it is delivered. */
+  coinsToEarn: number;
+  /** YYYY-MM-DD. */
+  estimatedDelivery: { from: string; to: string };
+};
+
+export type ShipmentStatus =
+  | "booked"
+  | "picked_up"
+  | "in_transit"
+  | "delivered"
+  | "cancelled";
+
+export type Shipment = Booking & {
+  id: string;
+  trackingNumber: string;
+  status: ShipmentStatus;
+  price: Pick<
+    ShipmentQuote,
+    | "chargeableKg"
+    | "baseFee"
+    | "weightFee"
+    | "subtotal"
+    | "voucherDiscount"
+    | "coinDiscount"
+    | "total"
+    | "currency"
+  >;
+  voucher: { id: string; code: string } | null;
+  coinsSpent: number;
+  coinsEarned: number;
+  /** The wallet ledger entry that paid for it; null when nothing was due. */
+  paymentId: string | null;
+  estimatedDelivery: { from: string; to: string };
+  history: { status: ShipmentStatus; at: string }[];
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type ShipmentPage = {
+  items: Shipment[];
+  total: number;
+  page: number;
+  pageSize: number;
+  totalPages: number;
+};
+
+export const SHIPMENT_STATUS_LABELS: Record<ShipmentStatus, string> = {
+  booked: "Booked",
+  picked_up: "Picked up",
+  in_transit: "In transit",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+};
+
+export const PICKUP_WINDOWS: { id: PickupWindow; label: string }[] = [
+  { id: "morning", label: "09:00–12:00" },
+  { id: "afternoon", label: "12:00–15:00" },
+  { id: "evening", label: "15:00–18:00" },
+];
+
+/**
+ * Parcel limits and transit days by service, as the server enforces them
+ * (src/api/shipments.js); used for form hints only.
+ */
+export const SERVICE_TERMS: Record<
+  ShippingService,
+  { maxWeightKg: number; maxSideCm: number; transitDays: [number, number] }
+> = {
+  express: { maxWeightKg: 30, maxSideCm: 120, transitDays: [1, 2] },
+  regular: { maxWeightKg: 30, maxSideCm: 150, transitDays: [3, 5] },
+  cargo: { maxWeightKg: 1000, maxSideCm: 300, transitDays: [5, 8] },
+};
+
+// Pickups can be booked up to this many days ahead.
+export const BOOKING_DAYS = 30;
+
+/**
+ * The signed-in user's shipments (POST /shipments and friends). The server
+ * prices every booking; invalid details fail with an ApiError whose code is
+ * "invalid_shipment" and whose message says what to fix.
+ */
+export interface ShipmentService {
+  /** What a booking would cost, without booking it. */
+  quote(
+    token: string,
+    booking: Booking & BookingDiscounts
+  ): Promise<ShipmentQuote>;
+  /**
+   * Books and pays from the wallet balance. Resending the same
+   * `idempotencyKey` returns the first shipment.
+   */
+  book(
+    token: string,
+    booking: Booking & BookingDiscounts & { idempotencyKey?: string }
+  ): Promise<Shipment>;
+  list(
+    token: string,
+    filters?: { status?: ShipmentStatus; page?: number; pageSize?: number }
+  ): Promise<ShipmentPage>;
+  get(token: string, id: string): Promise<Shipment>;
+  /** Refunds the balance, voucher and coins; only before pickup. */
+  cancel(token: string, id: string): Promise<Shipment>;
+}
+
+export const createHttpShipmentService = (
+  baseUrl = API_URL
+): ShipmentService => ({
+  quote: (token, booking) =>
+    request(baseUrl, "/shipments/quote", {
+      method: "POST",
+      token,
+      body: booking,
+    }),
+  book: (token, booking) =>
+    request(baseUrl, "/shipments", { method: "POST", token, body: booking }),
+  list: (token, filters = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined) params.set(key, String(value));
+    }
+    const query = params.toString();
+    return request<ShipmentPage>(
+      baseUrl,
+      `/shipments${query ? `?${query}` : ""}`,
+      { token }
+    );
+  },
+  get: (token, id) =>
+    request(baseUrl, `/shipments/${encodeURIComponent(id)}`, { token }),
+  cancel: (token, id) =>
+    request(baseUrl, `/shipments/${encodeURIComponent(id)}/cancel`, {
+      method: "POST",
+      token,
+    }),
+});
+
+export const shipments: ShipmentService = createHttpShipmentService();
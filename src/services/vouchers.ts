@@ -0,0 +1,81 @@
+import { API_URL, request } from "./http.ts";
+import type { ShippingService, Voucher } from "./wallet.ts";
+
+export type VoucherRejectionReason =
+  | "voucher_used"
+  | "voucher_expired"
+  | "wrong_service"
+  | "below_minimum";
+
+/** Why a voucher doesn't apply to an order; `message` is ready to show. */
+export type VoucherRejection = {
+  id: string;
+  code: string;
+  reason: VoucherRejectionReason;
+  message: string;
+};
+
+/** An order as vouchers see it; `subtotal` is in minor units. */
+export type VoucherOrder = {
+  service: ShippingService;
+  subtotal: number;
+  /** A specific voucher; without it the best of the user's is used. */
+  code?: string;
+};
+
+export type VoucherQuote = {
+  subtotal: number;
+  discount: number;
+  total: number;
+  /** null when none of the user's vouchers applies. */
+  voucher: Voucher | null;
+  /** Why each of the user's other usable vouchers doesn't apply. */
+  rejected: VoucherRejection[];
+};
+
+export const SERVICE_LABELS: Record<ShippingService, string> = {
+  express: "Express",
+  regular: "Regular",
+  cargo: "Cargo",
+};
+
+/**
+ * The signed-in user's vouchers (GET /vouchers and friends). The server
+ * checks every rule; a voucher given by `code` that doesn't apply fails
+ * with an ApiError whose `code` is the VoucherRejectionReason, or
+ * "voucher_not_found".
+ */
+export interface VoucherService {
+  list(token: string): Promise<Voucher[]>;
+  /** Adds a promo code to the wallet. */
+  add(token: string, code: string): Promise<Voucher>;
+  /** The discount for an order, without using the voucher. */
+  apply(token: string, order: VoucherOrder): Promise<VoucherQuote>;
+  /** Uses the voucher `apply` picks; `reference` is e.g. a shipment id. */
+  redeem(
+    token: string,
+    order: VoucherOrder & { reference?: string }
+  ): Promise<Omit<VoucherQuote, "rejected">>;
+}
+
+export const createHttpVoucherService = (
+  baseUrl = API_URL
+): VoucherService => ({
+  list: (token) => request<Voucher[]>(baseUrl, "/vouchers", { token }),
+  add: (token, code) =>
+    request(baseUrl, "/vouchers", { method: "POST", token, body: { code } }),
+  apply: (token, order) =>
+    request(baseUrl, "/vouchers/apply", {
+      method: "POST",
+      token,
+      body: order,
+    }),
+  redeem: (token, order) =>
+    request(baseUrl, "/vouchers/redeem", {
+      method: "POST",
+      token,
+      body: order,
+    }),
+});
+
+export const vouchers: VoucherService = createHttpVoucherService();
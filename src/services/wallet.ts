@@ -0,0 +1,172 @@
+import { API_URL, request } from "./http.ts";
+
+export type ShippingService = "express" | "regular" | "cargo";
+
+export type VoucherStatus = "available" | "used" | "expired";
+
+export type Voucher = {
+  id: string;
+  code: string;
+  title: string;
+  /** "percent": `value` is a percentage; "amount": a fixed discount. */
+  kind: "percent" | "amount";
+  value: number;
+  /** Cap on a percent discount, in minor units; null for no cap. */
+  maxDiscount: number | null;
+  /** Smallest order the voucher applies to, in minor units. */
+  minOrder: number;
+  services: ShippingService[];
+  expiresAt: string;
+  usedAt: string | null;
+  /** What it was redeemed on, e.g. a shipment id. */
+  usedFor: string | null;
+  status: VoucherStatus;
+  createdAt: string;
+};
+
+/** Amounts are integers in the currency's minor unit (cents for USD). */
+export type Wallet = {
+  /** ISO 4217 code, e.g. "USD". */
+  currency: string;
+  balance: number;
+  coins: number;
+  /** Available vouchers first, then by expiry. */
+  vouchers: Voucher[];
+};
+
+export type TransactionKind = "opening" | "topup" | "payment" | "refund";
+
+/** One ledger entry; `amount` and `balanceAfter` are in minor units. */
+export type Transaction = {
+  id: string;
+  type: "credit" | "debit";
+  kind: TransactionKind;
+  amount: number;
+  balanceAfter: number;
+  description: string;
+  /** What the money was for: a provider charge id, a shipment id. */
+  reference: string | null;
+  createdAt: string;
+};
+
+export type TransactionFilters = {
+  type?: Transaction["type"];
+  kind?: TransactionKind;
+  /** Inclusive YYYY-MM-DD range. */
+  from?: string;
+  to?: string;
+  page?: number;
+  pageSize?: number;
+};
+
+export type TransactionPage = {
+  items: Transaction[];
+  total: number;
+  page: number;
+  pageSize: number;
+  totalPages: number;
+};
+
+export type Posting = { entry: Transaction; balance: number };
+
+export const TRANSACTION_KIND_LABELS: Record<TransactionKind, string> = {
+  opening: "Welcome balance",
+  topup: "Top-up",
+  payment: "Payment",
+  refund: "Refund",
+};
+
+/** Smallest and largest single top-up, in minor units. */
+export const TOP_UP_LIMITS = { min: 500, max: 100000 };
+
+/**
+ * The signed-in user's wallet (GET /wallet and friends). Top-ups are charged
+ * by the server's payment provider; the mock server's fake provider takes
+ * any 16-digit card number except the declined test cards.
+ */
+export interface WalletService {
+  get(token: string): Promise<Wallet>;
+  transactions(
+    token: string,
+    filters?: TransactionFilters
+  ): Promise<TransactionPage>;
+  /**
+   * `idempotencyKey` identifies the attempt: retrying with the same key
+   * doesn't charge twice.
+   */
+  topUp(
+    token: string,
+    topUp: { amount: number; source: string; idempotencyKey?: string }
+  ): Promise<Posting>;
+  pay(
+    token: string,
+    payment: {
+      amount: number;
+      reference?: string;
+      description?: string;
+      idempotencyKey?: string;
+    }
+  ): Promise<Posting>;
+}
+
+export const createHttpWalletService = (baseUrl = API_URL): WalletService => ({
+  get: (token) => request<Wallet>(baseUrl, "/wallet", { token }),
+  transactions: (token, filters = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== "") params.set(key, String(value));
+    }
+    const query = params.toString();
+    return request<TransactionPage>(
+      baseUrl,
+      `/wallet/transactions${query ? `?${query}` : ""}`,
+      { token }
+    );
+  },
+  topUp: (token, topUp) =>
+    request(baseUrl, "/wallet/top-up", { method: "POST", token, body: topUp }),
+  pay: (token, payment) =>
+    request(baseUrl, "/wallet/payments", {
+      method: "POST",
+      token,
+      body: payment,
+    }),
+});
+
+export const wallet: WalletService = createHttpWalletService();
+
+/** Decimal places of the currency's minor unit (2 for USD, 0 for JPY). */
+export const fractionDigits = (currency: string) =>
+  new Intl.NumberFormat("en", { style: "currency", currency })
+    .resolvedOptions().maximumFractionDigits ?? 2;
+
+/**
+ * `amount` (minor units) as money in the user's locale, e.g. 12198 USD is
+ * "$121.98" in en-US and "121,98 $US" in fr-FR.
+ */
+export const formatMoney = (
+  amount: number,
+  currency: string,
+  locale?: string
+) => {
+  const format = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+  });
+  return format.format(amount / 10 ** fractionDigits(currency));
+};
+
+/**
+ * A typed amount ("25", "25.5") in minor units, or null when it isn't a
+ * number or has more decimals than the currency allows.
+ */
+export const parseMoney = (input: string, currency: string) => {
+  const digits = fractionDigits(currency);
+  const text = input.trim().replace(",", ".");
+  const pattern = digits ? `^\\d+(\\.\\d{1,${digits}})?$` : "^\\d+$";
+  if (!new RegExp(pattern).test(text)) return null;
+  return Math.round(Number(text) * 10 ** digits);
+};
+
+export const formatCount = (n: number, locale?: string) =>
+  new Intl.NumberFormat(locale).format(n);
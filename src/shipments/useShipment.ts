@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  shipments as defaultService,
+  type Shipment,
+  type ShipmentService,
+} from "../services/shipments.ts";
+
+type State = {
+  shipment: Shipment | null;
+  loading: boolean;
+  error: string;
+};
+
+/** One of the signed-in user's shipments; nothing is loaded without `id`. */
+export const useShipment = (
+  id: string | undefined,
+  service: ShipmentService = defaultService
+) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    shipment: null,
+    loading: Boolean(id),
+    error: "",
+  });
+
+  const refresh = useCallback(async () => {
+    if (!token || !id) return;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      setState({
+        shipment: await service.get(token, id),
+        loading: false,
+        error: "",
+      });
+    } catch (e) {
+      setState({
+        shipment: null,
+        loading: false,
+        error:
+          e instanceof Error && e.message
+            ? e.message
+            : "Failed to load the shipment.",
+      });
+    }
+  }, [service, token, id]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  shipments as defaultService,
+  type ShipmentPage,
+  type ShipmentService,
+  type ShipmentStatus,
+} from "../services/shipments.ts";
+
+type State = {
+  page: ShipmentPage | null;
+  loading: boolean;
+  error: string;
+};
+
+/**
+ * One page of the signed-in user's shipments, newest first, reloaded
+ * whenever a filter changes and on `refresh()`.
+ */
+export const useShipments = (
+  {
+    status,
+    page = 1,
+    pageSize = 10,
+  }: { status?: ShipmentStatus; page?: number; pageSize?: number },
+  service: ShipmentService = defaultService
+) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    page: null,
+    loading: true,
+    error: "",
+  });
+  // only the latest request may update the state
+  const latest = useRef(0);
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    const request = ++latest.current;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      const result = await service.list(token, { status, page, pageSize });
+      if (request !== latest.current) return;
+      setState({ page: result, loading: false, error: "" });
+    } catch (e) {
+      if (request !== latest.current) return;
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message
+            ? e.message
+            : "Failed to load shipments.",
+      }));
+    }
+  }, [service, token, status, page, pageSize]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
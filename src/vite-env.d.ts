@@ -1 +1,10 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  /** Base URL of the REST API (defaults to the /api dev proxy). */
+  readonly VITE_API_URL?: string;
+  /** Task manager backend: "local" (in-browser mock) or "rest". */
+  readonly VITE_TASKS_BACKEND?: "local" | "rest";
+  /** Store behind the local backend (defaults to IndexedDB when available). */
+  readonly VITE_LOCAL_STORE?: "indexeddb" | "localstorage";
+}
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  loyalty as defaultService,
+  type CoinEntry,
+  type CoinHistoryPage,
+  type LoyaltyService,
+} from "../services/loyalty.ts";
+
+type State = {
+  page: CoinHistoryPage | null;
+  loading: boolean;
+  error: string;
+};
+
+/**
+ * One page of the signed-in user's coin history, reloaded whenever a filter
+ * changes and on `refresh()`.
+ */
+export const useCoinHistory = (
+  {
+    type,
+    page = 1,
+    pageSize = 10,
+  }: { type?: CoinEntry["type"]; page?: number; pageSize?: number },
+  service: LoyaltyService = defaultService
+) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    page: null,
+    loading: true,
+    error: "",
+  });
+  // only the latest request may update the state
+  const latest = useRef(0);
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    const request = ++latest.current;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      const result = await service.history(token, { type, page, pageSize });
+      if (request !== latest.current) return;
+      setState({ page: result, loading: false, error: "" });
+    } catch (e) {
+      if (request !== latest.current) return;
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message
+            ? e.message
+            : "Failed to load coin history.",
+      }));
+    }
+  }, [service, token, type, page, pageSize]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  loyalty as defaultService,
+  type LoyaltyService,
+  type LoyaltySummary,
+} from "../services/loyalty.ts";
+
+type State = {
+  summary: LoyaltySummary | null;
+  loading: boolean;
+  error: string;
+};
+
+/** The signed-in user's coins, tier and the loyalty rules. */
+export const useLoyalty = (service: LoyaltyService = defaultService) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    summary: null,
+    loading: true,
+    error: "",
+  });
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      setState({
+        summary: await service.summary(token),
+        loading: false,
+        error: "",
+      });
+    } catch (e) {
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message ? e.message : "Failed to load coins.",
+      }));
+    }
+  }, [service, token]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
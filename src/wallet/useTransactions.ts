@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  wallet as defaultService,
+  type TransactionFilters,
+  type TransactionPage,
+  type WalletService,
+} from "../services/wallet.ts";
+
+type State = {
+  page: TransactionPage | null;
+  loading: boolean;
+  error: string;
+};
+
+/**
+ * One page of the signed-in user's transactions, reloaded whenever a filter
+ * changes and on `refresh()`.
+ */
+export const useTransactions = (
+  { type, kind, from, to, page = 1, pageSize = 10 }: TransactionFilters,
+  service: WalletService = defaultService
+) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    page: null,
+    loading: true,
+    error: "",
+  });
+  // only the latest request may update the state
+  const latest = useRef(0);
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    const request = ++latest.current;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      const result = await service.transactions(token, {
+        type,
+        kind,
+        from,
+        to,
+        page,
+        pageSize,
+      });
+      if (request !== latest.current) return;
+      setState({ page: result, loading: false, error: "" });
+    } catch (e) {
+      if (request !== latest.current) return;
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message
+            ? e.message
+            : "Failed to load transactions.",
+      }));
+    }
+  }, [service, token, type, kind, from, to, page, pageSize]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
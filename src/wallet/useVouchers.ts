@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  vouchers as defaultService,
+  type VoucherService,
+} from "../services/vouchers.ts";
+import type { Voucher } from "../services/wallet.ts";
+
+type State = {
+  vouchers: Voucher[] | null;
+  loading: boolean;
+  error: string;
+};
+
+/** The signed-in user's vouchers, available ones first. */
+export const useVouchers = (service: VoucherService = defaultService) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    vouchers: null,
+    loading: true,
+    error: "",
+  });
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      setState({
+        vouchers: await service.list(token),
+        loading: false,
+        error: "",
+      });
+    } catch (e) {
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message
+            ? e.message
+            : "Failed to load vouchers.",
+      }));
+    }
+  }, [service, token]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../auth/useAuth.ts";
+import {
+  wallet as defaultService,
+  type Wallet,
+  type WalletService,
+} from "../services/wallet.ts";
+
+type State = {
+  wallet: Wallet | null;
+  loading: boolean;
+  error: string;
+};
+
+/** The signed-in user's wallet, loaded on mount and on `refresh()`. */
+export const useWallet = (service: WalletService = defaultService) => {
+  const { token } = useAuth();
+  const [state, setState] = useState<State>({
+    wallet: null,
+    loading: true,
+    error: "",
+  });
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    try {
+      setState({ wallet: await service.get(token), loading: false, error: "" });
+    } catch (e) {
+      setState((s) => ({
+        ...s,
+        loading: false,
+        error:
+          e instanceof Error && e.message ? e.message : "Failed to load wallet.",
+      }));
+    }
+  }, [service, token]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { ...state, refresh };
+};
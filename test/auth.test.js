@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createTestService } from "./helpers.js";
+
+describe("auth", () => {
+  test("login matches emails regardless of case and spaces", async () => {
+    const { service } = createTestService();
+    const session = await service.auth.login({
+      email: "  Member@Demo.COM ",
+      password: "member",
+    });
+    assert.equal(session.user.email, "member@demo.com");
+    assert.ok(session.token && session.refreshToken);
+  });
+
+  test("wrong passwords fail with 401 invalid_credentials", async () => {
+    const { service } = createTestService();
+    await assert.rejects(
+      service.auth.login({ email: "member@demo.com", password: "nope" }),
+      { status: 401, code: "invalid_credentials" }
+    );
+  });
+
+  test("refresh rotates the refresh token", async () => {
+    const { service, login } = createTestService();
+    const first = await login("member");
+    const next = await service.auth.refresh({
+      refreshToken: first.refreshToken,
+    });
+    assert.notEqual(next.refreshToken, first.refreshToken);
+    const { user } = await service.auth.me({ token: next.token });
+    assert.equal(user.email, "member@demo.com");
+  });
+
+  test("replaying a rotated refresh token ends the session", async () => {
+    const { service, login } = createTestService();
+    const first = await login("member");
+    const next = await service.auth.refresh({
+      refreshToken: first.refreshToken,
+    });
+    await assert.rejects(
+      service.auth.refresh({ refreshToken: first.refreshToken }),
+      { status: 401, code: "refresh_token_reused" }
+    );
+    await assert.rejects(
+      service.auth.refresh({ refreshToken: next.refreshToken }),
+      { status: 401, code: "session_expired" }
+    );
+    await assert.rejects(service.auth.me({ token: next.token }), {
+      status: 401,
+      code: "session_revoked",
+    });
+  });
+
+  test("expired access tokens fail with 401 token_expired", async () => {
+    const { service, login } = createTestService({ accessTokenTtl: 0 });
+    const { token } = await login("member");
+    await assert.rejects(service.auth.me({ token }), {
+      status: 401,
+      code: "token_expired",
+    });
+  });
+
+  test("logout revokes the session", async () => {
+    const { service, login } = createTestService();
+    const { token, refreshToken } = await login("member");
+    await service.auth.logout({ token, refreshToken });
+    await assert.rejects(service.auth.me({ token }), {
+      status: 401,
+      code: "session_revoked",
+    });
+    await assert.rejects(service.auth.refresh({ refreshToken }), {
+      status: 401,
+    });
+  });
+
+  test("deactivation signs the user out and blocks login", async () => {
+    const { service, login } = createTestService();
+    const admin = await login("admin");
+    const member = await login("member");
+    await service.users.deactivate({
+      token: admin.token,
+      id: member.user.id,
+    });
+    await assert.rejects(service.auth.me({ token: member.token }), {
+      status: 401,
+    });
+    await assert.rejects(login("member"), {
+      status: 403,
+      code: "account_disabled",
+    });
+  });
+
+  test("concurrent password writes keep every user", async () => {
+    const { service, login } = createTestService();
+    const admin = await login("admin");
+    const member = await login("member");
+    await Promise.all([
+      ...["a", "b", "c"].map((n) =>
+        service.users.create({
+          token: admin.token,
+          payload: { name: n, email: `${n}@demo.com`, role: "member" },
+        })
+      ),
+      service.auth.changePassword({
+        token: member.token,
+        currentPassword: "member",
+        newPassword: "New-password-42",
+      }),
+    ]);
+    const users = await service.users.list({ token: admin.token });
+    assert.equal(users.length, 6);
+    await service.auth.login({
+      email: "member@demo.com",
+      password: "New-password-42",
+    });
+  });
+});
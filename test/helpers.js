@@ -0,0 +1,23 @@
+/**
+ * Shared test setup: the task service over fresh in-memory storage, seeded
+ * with the demo accounts (admin, manager and member; the password is the
+ * role name).
+ */
+import { createTaskService } from "../src/api/service.js";
+import { createMemoryStorage } from "../src/api/storage.js";
+
+export const createTestService = (options = {}) => {
+  const storage = createMemoryStorage();
+  const service = createTaskService({ storage, ...options });
+  const login = (who) =>
+    service.auth.login({ email: `${who}@demo.com`, password: who });
+  return { service, storage, login };
+};
+
+// A local YYYY-MM-DD `days` ahead, moved off Sunday (no pickups then).
+export const pickupDate = (days = 2) => {
+  const d = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  if (d.getDay() === 0) d.setDate(d.getDate() + 1);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
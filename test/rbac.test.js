@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createTestService } from "./helpers.js";
+
+describe("permissions", () => {
+  test("everyone can resolve names; users.view shows the rest", async () => {
+    const { service, login } = createTestService();
+    const member = await login("member");
+    const manager = await login("manager");
+    const directory = await service.users.list({ token: member.token });
+    const entry = directory.find((u) => u.id === manager.user.id);
+    assert.deepEqual(entry, {
+      id: manager.user.id,
+      name: manager.user.name,
+      active: true,
+      handle: "manager",
+    });
+    const users = await service.users.list({ token: manager.token });
+    assert.equal(users.length, 3);
+    assert.ok(users.every((u) => u.email && u.role && u.handle));
+    assert.ok(users.every((u) => !("passwordHash" in u)));
+  });
+
+  test("only users.manage creates users", async () => {
+    const { service, login } = createTestService();
+    const manager = await login("manager");
+    await assert.rejects(
+      service.users.create({
+        token: manager.token,
+        payload: { name: "New", email: "new@demo.com", role: "member" },
+      }),
+      { status: 403 }
+    );
+  });
+
+  test("members only change their own tasks", async () => {
+    const { service, login } = createTestService();
+    const admin = await login("admin");
+    const member = await login("member");
+    const theirs = await service.tasks.create({
+      token: admin.token,
+      payload: { title: "Admin's task" },
+    });
+    await assert.rejects(
+      service.tasks.update({
+        token: member.token,
+        id: theirs.id,
+        payload: { title: "Mine now" },
+      }),
+      { status: 403 }
+    );
+    await assert.rejects(
+      service.tasks.remove({ token: member.token, id: theirs.id }),
+      { status: 403 }
+    );
+    const own = await service.tasks.create({
+      token: member.token,
+      payload: { title: "Member's task" },
+    });
+    const updated = await service.tasks.update({
+      token: member.token,
+      id: own.id,
+      payload: { status: "in-progress" },
+    });
+    assert.equal(updated.status, "in-progress");
+  });
+
+  test("without tasks.assign new tasks go to their creator", async () => {
+    const { service, login } = createTestService();
+    const admin = await login("admin");
+    const member = await login("member");
+    const task = await service.tasks.create({
+      token: member.token,
+      payload: { title: "Delegated", assignedTo: admin.user.id },
+    });
+    assert.equal(task.assignedTo, member.user.id);
+  });
+
+  test("the audit log and shipment tracking are staff only", async () => {
+    const { service, login } = createTestService();
+    const member = await login("member");
+    await assert.rejects(service.audit.list({ token: member.token }), {
+      status: 403,
+    });
+    await assert.rejects(
+      service.shipments.setStatus({
+        token: member.token,
+        id: "missing",
+        status: "picked_up",
+      }),
+      { status: 403 }
+    );
+  });
+});
@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { KEYS } from "../src/api/storage.js";
+import { createTestService, pickupDate } from "./helpers.js";
+
+const address = (city) => ({
+  name: "Ann Lee",
+  phone: "+353 1 234 5678",
+  street: "1 Main St",
+  city,
+  postalCode: "D24",
+  country: "Ireland",
+});
+
+const booking = () => ({
+  service: "express",
+  pickup: address("Dublin"),
+  dropoff: address("Cork"),
+  parcel: { weightKg: 2.2, lengthCm: 40, widthCm: 30, heightCm: 20 },
+  schedule: { date: pickupDate(), window: "morning" },
+});
+
+const setup = async () => {
+  const { service, storage, login } = createTestService();
+  const { token } = await login("member");
+  const admin = await login("admin");
+  // what the member has to pay with: balance, coins and unused vouchers
+  const funds = async () => {
+    const wallet = await service.wallet.get({ token });
+    return {
+      balance: wallet.balance,
+      coins: (await service.loyalty.summary({ token })).balance,
+      used: wallet.vouchers.filter((v) => v.usedAt).map((v) => v.code),
+    };
+  };
+  return { service, storage, token, adminToken: admin.token, funds };
+};
+
+describe("shipments", () => {
+  test("booking pays with the voucher, coins and balance", async () => {
+    const { service, token, funds } = await setup();
+    const before = await funds();
+    const quote = await service.shipments.quote({
+      token,
+      ...booking(),
+      coins: 200,
+    });
+    const shipment = await service.shipments.book({
+      token,
+      ...booking(),
+      coins: 200,
+    });
+    assert.equal(shipment.status, "booked");
+    assert.equal(shipment.price.total, quote.total);
+    assert.equal(shipment.voucher.code, quote.voucher.code);
+    const after = await funds();
+    assert.equal(after.balance, before.balance - quote.total);
+    assert.equal(after.coins, before.coins - 200);
+    assert.deepEqual(after.used, [...before.used, quote.voucher.code]);
+  });
+
+  test("a retried booking returns the first shipment", async () => {
+    const { service, token, funds } = await setup();
+    const input = { token, ...booking(), idempotencyKey: "book-1" };
+    const first = await service.shipments.book(input);
+    const afterFirst = await funds();
+    const again = await service.shipments.book(input);
+    assert.equal(again.id, first.id);
+    assert.deepEqual(await funds(), afterFirst);
+    assert.equal((await service.shipments.list({ token })).total, 1);
+  });
+
+  test("a booking the balance can't cover changes nothing", async () => {
+    const { service, token, funds } = await setup();
+    const before = await funds();
+    await service.wallet.pay({ token, amount: before.balance });
+    await assert.rejects(
+      service.shipments.book({ token, ...booking(), coins: 200 }),
+      { status: 409, code: "insufficient_funds" }
+    );
+    const after = await funds();
+    assert.equal(after.coins, before.coins);
+    assert.deepEqual(after.used, before.used);
+  });
+
+  test("a failed booking gives back what it took", async () => {
+    const { service, storage, token, funds } = await setup();
+    const before = await funds();
+    const write = storage.write;
+    storage.write = async (key, value) => {
+      if (key === KEYS.shipments) throw new Error("Disk full.");
+      return write.call(storage, key, value);
+    };
+    await assert.rejects(
+      service.shipments.book({
+        token,
+        ...booking(),
+        coins: 200,
+        idempotencyKey: "book-2",
+      }),
+      { message: "Disk full." }
+    );
+    storage.write = write;
+    const after = await funds();
+    assert.equal(after.balance, before.balance);
+    assert.equal(after.coins, before.coins);
+    assert.deepEqual(after.used, before.used);
+    // the key wasn't used up by the failed attempt
+    const shipment = await service.shipments.book({
+      token,
+      ...booking(),
+      idempotencyKey: "book-2",
+    });
+    assert.equal(shipment.status, "booked");
+  });
+
+  test("cancelling refunds the balance, voucher and coins", async () => {
+    const { service, token, funds } = await setup();
+    const before = await funds();
+    const shipment = await service.shipments.book({
+      token,
+      ...booking(),
+      coins: 200,
+    });
+    const cancelled = await service.shipments.cancel({
+      token,
+      id: shipment.id,
+    });
+    assert.equal(cancelled.status, "cancelled");
+    assert.deepEqual(await funds(), before);
+    await assert.rejects(
+      service.shipments.cancel({ token, id: shipment.id }),
+      { status: 409, code: "shipment_not_cancellable" }
+    );
+  });
+
+  test("picked up shipments can't be cancelled", async () => {
+    const { service, token, adminToken } = await setup();
+    const shipment = await service.shipments.book({ token, ...booking() });
+    await service.shipments.setStatus({
+      token: adminToken,
+      id: shipment.id,
+      status: "picked_up",
+    });
+    await assert.rejects(
+      service.shipments.cancel({ token, id: shipment.id }),
+      { status: 409, code: "shipment_not_cancellable" }
+    );
+  });
+
+  test("invalid bookings fail with 400 invalid_shipment", async () => {
+    const { service, token } = await setup();
+    for (const input of [
+      { ...booking(), service: "rocket" },
+      { ...booking(), dropoff: address("Dublin") },
+      { ...booking(), parcel: { ...booking().parcel, weightKg: 50 } },
+      { ...booking(), schedule: { date: "2020-01-01", window: "morning" } },
+    ]) {
+      await assert.rejects(service.shipments.book({ token, ...input }), {
+        status: 400,
+        code: "invalid_shipment",
+      });
+    }
+  });
+});
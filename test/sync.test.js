@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { apiError } from "../src/api/errors.js";
+import { createMemoryStorage } from "../src/api/storage.js";
+import { conflictFields, createTaskSync } from "../src/api/sync.js";
+import { createTestService } from "./helpers.js";
+
+// The sync layer over the service's tasks API, with a switch that makes
+// every call fail the way fetch does when the network is down.
+const setup = async () => {
+  const { service, login } = createTestService();
+  const { token, user } = await login("admin");
+  const network = { online: true };
+  const tasks = Object.fromEntries(
+    ["list", "get", "create", "update", "remove"].map((name) => [
+      name,
+      async (args) => {
+        if (!network.online) {
+          throw apiError(0, "Failed to fetch", "network_error");
+        }
+        return service.tasks[name](args);
+      },
+    ])
+  );
+  const sync = createTaskSync({
+    tasks,
+    userId: user.id,
+    storage: createMemoryStorage(),
+    isOnline: () => network.online,
+  });
+  const serverCopy = (id) => service.tasks.get({ token, id });
+  return { service, sync, token, network, serverCopy };
+};
+
+// A task I edit from `base` while someone else saves `theirs` over it.
+const conflict = async ({ service, sync, token }, mine, theirs) => {
+  const base = await service.tasks.create({
+    token,
+    payload: { title: "Shared", priority: "medium" },
+  });
+  await service.tasks.update({ token, id: base.id, payload: theirs });
+  await assert.rejects(sync.update({ token, task: base, payload: mine }), {
+    status: 409,
+    code: "version_conflict",
+  });
+  return base.id;
+};
+
+describe("task sync", () => {
+  test("offline changes are queued and replayed in order", async () => {
+    const ctx = await setup();
+    const { sync, token, network, serverCopy } = ctx;
+    const existing = await sync.create({ token, payload: { title: "Online" } });
+    assert.equal(existing.pending, undefined);
+
+    network.online = false;
+    const draft = await sync.create({ token, payload: { title: "Offline" } });
+    assert.equal(draft.pending, true);
+    // a second edit folds into the queued create
+    await sync.update({ token, task: draft, payload: { priority: "high" } });
+    await sync.update({ token, task: existing, payload: { status: "done" } });
+    let status = await sync.status();
+    assert.equal(status.offline, true);
+    assert.equal(status.pending, 2);
+
+    const offline = await sync.list({ token });
+    assert.equal(offline.offline, true);
+    assert.deepEqual(
+      offline.items.map((t) => [t.title, Boolean(t.pending)]).sort(),
+      [
+        ["Offline", true],
+        ["Online", true],
+      ]
+    );
+
+    network.online = true;
+    const flushed = await sync.flush(token);
+    assert.equal(flushed.sent, 2);
+    status = await sync.status();
+    assert.equal(status.offline, false);
+    assert.equal(status.pending, 0);
+    const { items } = await sync.list({ token, search: "Offline" });
+    assert.equal(items.length, 1);
+    assert.equal(items[0].priority, "high");
+    assert.equal((await serverCopy(existing.id)).status, "done");
+  });
+
+  test("a version conflict lands in conflicts with both sides", async () => {
+    const ctx = await setup();
+    const { sync, token } = ctx;
+    const id = await conflict(ctx, { title: "Mine" }, { title: "Theirs" });
+    const [entry] = (await sync.status()).conflicts;
+    assert.equal(entry.taskId, id);
+    assert.equal(entry.base.title, "Shared");
+    assert.equal(entry.mine.title, "Mine");
+    assert.equal(entry.theirs.title, "Theirs");
+    assert.equal((await sync.status()).pending, 0);
+    // nothing more goes out for the task until it is resolved
+    await assert.rejects(
+      sync.update({ token, task: entry.theirs, payload: { title: "Again" } }),
+      { status: 409, code: "version_conflict" }
+    );
+  });
+
+  test("resolving keeps mine, theirs or a merge", async () => {
+    const ctx = await setup();
+    const { sync, token, serverCopy } = ctx;
+
+    const edits = [{ title: "Mine" }, { title: "Theirs" }];
+    const theirsId = await conflict(ctx, ...edits);
+    await sync.resolve({ token, taskId: theirsId, choice: "theirs" });
+    assert.equal((await serverCopy(theirsId)).title, "Theirs");
+
+    const mineId = await conflict(ctx, ...edits);
+    const kept = await sync.resolve({ token, taskId: mineId, choice: "mine" });
+    assert.equal(kept.title, "Mine");
+    assert.equal((await serverCopy(mineId)).title, "Mine");
+
+    // each side changed a different field: the merge keeps both
+    const mergeId = await conflict(ctx, { title: "Mine" }, { priority: "low" });
+    const entry = (await sync.status()).conflicts.find(
+      (c) => c.taskId === mergeId
+    );
+    const fields = Object.fromEntries(
+      conflictFields(entry).map((f) => [f.field, f[f.pick]])
+    );
+    await sync.resolve({ token, taskId: mergeId, choice: "merge", fields });
+    const merged = await serverCopy(mergeId);
+    assert.equal(merged.title, "Mine");
+    assert.equal(merged.priority, "low");
+
+    assert.deepEqual((await sync.status()).conflicts, []);
+  });
+});
@@ -0,0 +1,208 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createTestService } from "./helpers.js";
+
+const setup = async () => {
+  const { service, login } = createTestService();
+  const { token } = await login("admin");
+  return { service, token };
+};
+
+describe("tasks", () => {
+  test("create checks the title, status and priority", async () => {
+    const { service, token } = await setup();
+    for (const payload of [
+      {},
+      { title: "   " },
+      { title: "Ok", status: "blocked" },
+      { title: "Ok", priority: "urgent" },
+    ]) {
+      await assert.rejects(service.tasks.create({ token, payload }), {
+        status: 400,
+      });
+    }
+    const task = await service.tasks.create({
+      token,
+      payload: { title: "  Write tests " },
+    });
+    assert.equal(task.title, "Write tests");
+    assert.equal(task.status, "todo");
+    assert.equal(task.priority, "medium");
+  });
+
+  test("update only writes the fields clients may change", async () => {
+    const { service, token } = await setup();
+    const task = await service.tasks.create({
+      token,
+      payload: { title: "Original" },
+    });
+    const updated = await service.tasks.update({
+      token,
+      id: task.id,
+      payload: {
+        id: "other",
+        createdBy: "someone",
+        createdAt: "2000-01-01T00:00:00.000Z",
+        seriesId: "series",
+        nextTaskId: "next",
+        priority: "high",
+      },
+    });
+    assert.equal(updated.id, task.id);
+    assert.equal(updated.createdBy, task.createdBy);
+    assert.equal(updated.createdAt, task.createdAt);
+    assert.equal(updated.seriesId, null);
+    assert.equal(updated.nextTaskId, null);
+    assert.equal(updated.priority, "high");
+    assert.equal(updated.title, "Original");
+    await assert.rejects(
+      service.tasks.update({ token, id: task.id, payload: { title: "" } }),
+      { status: 400 }
+    );
+  });
+
+  test("cursor pagination visits every task once", async () => {
+    const { service, token } = await setup();
+    for (let i = 0; i < 7; i++) {
+      await service.tasks.create({ token, payload: { title: `Paged ${i}` } });
+    }
+    const query = { token, search: "Paged", sortBy: "title" };
+    const titles = [];
+    let cursor;
+    do {
+      const page = await service.tasks.list({ ...query, limit: 3, cursor });
+      assert.equal(page.total, 7);
+      titles.push(...page.items.map((t) => t.title));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(
+      titles,
+      Array.from({ length: 7 }, (_, i) => `Paged ${i}`)
+    );
+  });
+
+  test("a cursor from another sort is rejected", async () => {
+    const { service, token } = await setup();
+    const { nextCursor } = await service.tasks.list({
+      token,
+      limit: 1,
+      sortBy: "title",
+    });
+    await assert.rejects(
+      service.tasks.list({
+        token,
+        limit: 1,
+        sortBy: "dueDate",
+        cursor: nextCursor,
+      }),
+      { status: 400, code: "invalid_cursor" }
+    );
+  });
+
+  test("writes based on an old version conflict", async () => {
+    const { service, token } = await setup();
+    const task = await service.tasks.create({
+      token,
+      payload: { title: "Shared" },
+    });
+    const saved = await service.tasks.update({
+      token,
+      id: task.id,
+      payload: { title: "First", baseVersion: task.version },
+    });
+    assert.equal(saved.version, task.version + 1);
+    await assert.rejects(
+      service.tasks.update({
+        token,
+        id: task.id,
+        payload: { title: "Second", baseVersion: task.version },
+      }),
+      { status: 409, code: "version_conflict" }
+    );
+    await assert.rejects(
+      service.tasks.remove({ token, id: task.id, baseVersion: task.version }),
+      { status: 409, code: "version_conflict" }
+    );
+  });
+
+  test("monthly series keep their day of the month", async () => {
+    const { service, token } = await setup();
+    let task = await service.tasks.create({
+      token,
+      payload: {
+        title: "Rent",
+        dueDate: "2027-01-31",
+        recurrence: { rule: "FREQ=MONTHLY" },
+      },
+    });
+    const dueDates = [];
+    for (let i = 0; i < 3; i++) {
+      await service.tasks.update({
+        token,
+        id: task.id,
+        payload: { status: "done" },
+      });
+      task = await service.tasks.get({
+        token,
+        id: (await service.tasks.get({ token, id: task.id })).nextTaskId,
+      });
+      dueDates.push(task.dueDate);
+    }
+    assert.deepEqual(dueDates, ["2027-02-28", "2027-03-31", "2027-04-30"]);
+    assert.equal(task.recurrence.rule, "FREQ=MONTHLY");
+  });
+
+  test("moving a monthly task moves its series' day", async () => {
+    const { service, token } = await setup();
+    const task = await service.tasks.create({
+      token,
+      payload: {
+        title: "Invoice",
+        dueDate: "2027-01-31",
+        recurrence: { rule: "FREQ=MONTHLY" },
+      },
+    });
+    await service.tasks.update({
+      token,
+      id: task.id,
+      payload: { dueDate: "2027-03-05" },
+    });
+    await service.tasks.update({
+      token,
+      id: task.id,
+      payload: { status: "done" },
+    });
+    const { nextTaskId } = await service.tasks.get({ token, id: task.id });
+    const next = await service.tasks.get({ token, id: nextTaskId });
+    assert.equal(next.dueDate, "2027-04-05");
+  });
+
+  test("mentions need a handle that names one user", async () => {
+    const { service, token } = await setup();
+    const [a, b] = await Promise.all(
+      ["john@a.com", "john@b.com"].map((email) =>
+        service.users.create({
+          token,
+          payload: { name: "John", email, role: "member" },
+        })
+      )
+    );
+    const handles = new Map(
+      (await service.users.list({ token })).map((u) => [u.id, u.handle])
+    );
+    assert.equal(handles.get(a.id), "john.a.com");
+    assert.equal(handles.get(b.id), "john.b.com");
+
+    const task = await service.tasks.create({
+      token,
+      payload: { title: "Mentions" },
+    });
+    const comment = await service.tasks.comments.create({
+      token,
+      taskId: task.id,
+      body: "@john.b.com and @john, mail member@demo.com or ping @manager",
+    });
+    const manager = [...handles].find(([, h]) => h === "manager")[0];
+    assert.deepEqual(comment.mentions, [b.id, manager]);
+  });
+});
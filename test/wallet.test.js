@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createTestService } from "./helpers.js";
+
+const CARD = "4242 4242 4242 4242";
+const DECLINED_CARD = "4000 0000 0000 0002";
+
+const setup = async () => {
+  const { service, login } = createTestService();
+  const { token } = await login("member");
+  return { service, token };
+};
+
+const balanceOf = async (service, token) =>
+  (await service.wallet.get({ token })).balance;
+
+describe("wallet", () => {
+  test("a retried top-up credits the balance once", async () => {
+    const { service, token } = await setup();
+    const before = await balanceOf(service, token);
+    const topUp = () =>
+      service.wallet.topUp({
+        token,
+        amount: 2000,
+        source: CARD,
+        idempotencyKey: "top-up-1",
+      });
+    const first = await topUp();
+    const again = await topUp();
+    assert.equal(again.entry.id, first.entry.id);
+    assert.equal(await balanceOf(service, token), before + 2000);
+  });
+
+  test("concurrent retries of a top-up charge the card once", async () => {
+    let charges = 0;
+    const paymentProvider = {
+      name: "counting",
+      charge: async () => {
+        charges += 1;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return { id: `charge_${charges}`, label: "Card •••• 4242" };
+      },
+    };
+    const { service, login } = createTestService({ paymentProvider });
+    const { token } = await login("member");
+    const before = await balanceOf(service, token);
+    const input = {
+      token,
+      amount: 2000,
+      source: CARD,
+      idempotencyKey: "top-up-2",
+    };
+    const results = await Promise.all([
+      service.wallet.topUp(input),
+      service.wallet.topUp(input),
+      service.wallet.topUp(input),
+    ]);
+    assert.equal(charges, 1);
+    assert.ok(results.every((r) => r.entry.id === results[0].entry.id));
+    assert.equal(await balanceOf(service, token), before + 2000);
+  });
+
+  test("a declined card fails with 402 and credits nothing", async () => {
+    const { service, token } = await setup();
+    const before = await balanceOf(service, token);
+    await assert.rejects(
+      service.wallet.topUp({ token, amount: 2000, source: DECLINED_CARD }),
+      { status: 402, code: "payment_declined" }
+    );
+    assert.equal(await balanceOf(service, token), before);
+  });
+
+  test("payments can't overdraw the balance", async () => {
+    const { service, token } = await setup();
+    const before = await balanceOf(service, token);
+    await assert.rejects(
+      service.wallet.pay({ token, amount: before + 1 }),
+      { status: 409, code: "insufficient_funds" }
+    );
+    const { balance } = await service.wallet.pay({
+      token,
+      amount: 100,
+      idempotencyKey: "pay-1",
+    });
+    assert.equal(balance, before - 100);
+    await service.wallet.pay({ token, amount: 100, idempotencyKey: "pay-1" });
+    assert.equal(await balanceOf(service, token), before - 100);
+  });
+});
+
+describe("vouchers", () => {
+  const order = { service: "express", subtotal: 3000 };
+
+  test("without a code the biggest discount is picked", async () => {
+    const { service, token } = await setup();
+    const result = await service.vouchers.apply({ token, ...order });
+    const { vouchers } = await service.wallet.get({ token });
+    const discounts = await Promise.all(
+      vouchers
+        .filter((v) => v.status === "available")
+        .map((v) =>
+          service.vouchers
+            .apply({ token, ...order, code: v.code })
+            .then((r) => r.discount, () => 0)
+        )
+    );
+    assert.equal(result.discount, Math.max(...discounts));
+    assert.equal(result.total, order.subtotal - result.discount);
+    assert.ok(result.rejected.every((r) => r.code !== result.voucher.code));
+  });
+
+  test("vouchers only apply to their services and minimum", async () => {
+    const { service, token } = await setup();
+    await assert.rejects(
+      service.vouchers.apply({ token, ...order, code: "CARGO15" }),
+      { status: 409, code: "wrong_service" }
+    );
+    await assert.rejects(
+      service.vouchers.apply({
+        token,
+        service: "express",
+        subtotal: 1000,
+        code: "EXPRESS5",
+      }),
+      { status: 409, code: "below_minimum" }
+    );
+    await assert.rejects(
+      service.vouchers.apply({ token, ...order, code: "SPRING30" }),
+      { status: 409, code: "voucher_expired" }
+    );
+  });
+
+  test("a redeemed voucher can't be used again", async () => {
+    const { service, token } = await setup();
+    const { voucher } = await service.vouchers.redeem({
+      token,
+      ...order,
+      code: "EXPRESS5",
+    });
+    assert.equal(voucher.code, "EXPRESS5");
+    await assert.rejects(
+      service.vouchers.apply({ token, ...order, code: "EXPRESS5" }),
+      { status: 409, code: "voucher_used" }
+    );
+  });
+
+  test("promo codes are added once and only while running", async () => {
+    const { service, token } = await setup();
+    const voucher = await service.vouchers.add({ token, code: " freeship " });
+    assert.equal(voucher.code, "FREESHIP");
+    await assert.rejects(service.vouchers.add({ token, code: "FREESHIP" }), {
+      status: 409,
+      code: "voucher_already_added",
+    });
+    await assert.rejects(service.vouchers.add({ token, code: "WINTER10" }), {
+      status: 409,
+      code: "voucher_expired",
+    });
+    await assert.rejects(service.vouchers.add({ token, code: "NOPE" }), {
+      status: 404,
+    });
+  });
+});
@@ -6,4 +6,13 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  server: {
+    // `npm run mock-server` serves the API on :4000; the app calls it under /api
+    proxy: {
+      '/api': {
+        target: 'http://localhost:4000',
+        rewrite: (path) => path.replace(/^\/api/, ''),
+      },
+    },
+  },
 })